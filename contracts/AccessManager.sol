@@ -11,21 +11,46 @@ contract AccessManager is AccessControl, AccessControlEnumerable {
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant COMPANY_USER_ROLE = keccak256("COMPANY_USER_ROLE");
     bytes32 public constant CONSUMER_ROLE = keccak256("CONSUMER_ROLE");
+    bytes32 public constant ATTESTER_ROLE = keccak256("ATTESTER_ROLE");
+    bytes32 public constant QC_INSPECTOR_ROLE = keccak256("QC_INSPECTOR_ROLE");
+    bytes32 public constant CERTIFIER_ROLE = keccak256("CERTIFIER_ROLE");
+
+    // the Default (Super) Admin role changes hands once the proposed account accepts it, after the delay
+    struct DefaultAdminTransfer {
+        address newDefaultAdmin;
+        uint256 acceptableAt;
+    }
+    DefaultAdminTransfer private pendingDefaultAdminTransfer;
+    uint256 public defaultAdminTransferDelay = 2 days;
+    uint256 public constant MIN_DEFAULT_ADMIN_TRANSFER_DELAY = 1 hours;
+    uint256 public constant MAX_DEFAULT_ADMIN_TRANSFER_DELAY = 30 days;
+
+    // role => account => end of a time-limited grant, zero for a permanent one
+    mapping(bytes32 => mapping(address => uint256)) private roleExpiry;
 
     event DefaultAdminRoleTransferred(address indexed defaultAdmin, address previousDefaultAdmin, uint256 timestamp);
+    event DefaultAdminTransferProposed(address indexed newDefaultAdmin, uint256 acceptableAt);
+    event DefaultAdminTransferCancelled(address indexed newDefaultAdmin);
+    event DefaultAdminTransferDelayUpdated(uint256 delay);
+    event TemporaryRoleGranted(bytes32 indexed role, address indexed account, uint256 expiresAt, uint256 timestamp);
     event AuthorizedContractRoleGranted(address indexed contractAddress, uint256 timestamp);
     event AuthorizedContractRoleRevoked(address indexed contractAddress, uint256 timestamp);
     event AdminRoleGranted(address indexed admin, uint256 timestamp);
     event AdminRoleRevoked(address indexed admin, uint256 timestamp);
     event CompanyUserRoleGranted(address indexed companyUser, uint256 timestamp);
     event CompanyUserRoleRevoked(address indexed companyUser, uint256 timestamp);
+    event AttesterRoleGranted(address indexed attester, uint256 timestamp);
+    event AttesterRoleRevoked(address indexed attester, uint256 timestamp);
+    event QcInspectorRoleGranted(address indexed inspector, uint256 timestamp);
+    event QcInspectorRoleRevoked(address indexed inspector, uint256 timestamp);
+    event CertifierRoleGranted(address indexed certifier, uint256 timestamp);
+    event CertifierRoleRevoked(address indexed certifier, uint256 timestamp);
 
     /**
     * @dev Throws `UnAuthorized` if called by any account other than the Admin or Default (Super) Admin.
     */
     modifier onlyClearanceLevelA() {
-        if (!(hasRole(ADMIN_ROLE, msg.sender) || hasRole(DEFAULT_ADMIN_ROLE, msg.sender)))
-            revert Errors.UnAuthorized("ADMIN_ROLE");
+        _checkClearanceLevelA();
         _;
     }
 
@@ -33,8 +58,7 @@ contract AccessManager is AccessControl, AccessControlEnumerable {
     * @dev Throws `UnAuthorized` if called by any account other than company user, Admin or Default (Super) Admin.
     */
     modifier onlyClearanceLevelB() {
-        if (!(hasRole(COMPANY_USER_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender) || hasRole(DEFAULT_ADMIN_ROLE, msg.sender)))
-            revert Errors.UnAuthorized("COMPANY_USER_ROLE");
+        _checkClearanceLevelB();
         _;
     }
 
@@ -116,22 +140,165 @@ contract AccessManager is AccessControl, AccessControlEnumerable {
         _revokeRole(CONSUMER_ROLE, account);
     }
 
+    /// Attester Role
+    /**
+    * @dev grants the ATTESTER_ROLE to the provided address.
+    * Attesters sign the metadata validations of the `AttestationValidator`.
+    */
+    function grantAttesterRole(address account) public onlyClearanceLevelA {
+        _grantRole(ATTESTER_ROLE, account);
+        emit AttesterRoleGranted(account, block.timestamp);
+    }
+
+    /**
+    * @dev revokes the ATTESTER_ROLE from the provided address.
+    */
+    function revokeAttesterRole(address account) public onlyClearanceLevelA {
+        _revokeRole(ATTESTER_ROLE, account);
+        emit AttesterRoleRevoked(account, block.timestamp);
+    }
+
+    /// QC Inspector Role
+    /**
+    * @dev grants the QC_INSPECTOR_ROLE to the provided address.
+    * QC inspectors record the quality-control inspections of the batches in `QualityControl`.
+    */
+    function grantQcInspectorRole(address account) public onlyClearanceLevelA {
+        _grantRole(QC_INSPECTOR_ROLE, account);
+        emit QcInspectorRoleGranted(account, block.timestamp);
+    }
+
+    /**
+    * @dev revokes the QC_INSPECTOR_ROLE from the provided address.
+    */
+    function revokeQcInspectorRole(address account) public onlyClearanceLevelA {
+        _revokeRole(QC_INSPECTOR_ROLE, account);
+        emit QcInspectorRoleRevoked(account, block.timestamp);
+    }
+
+    /// Certifier Role
+    /**
+    * @dev grants the CERTIFIER_ROLE to the provided address.
+    * Certifiers record & revoke the certificates of the actors in `ActorsManager`, as their issuer.
+    */
+    function grantCertifierRole(address account) public onlyClearanceLevelA {
+        _grantRole(CERTIFIER_ROLE, account);
+        emit CertifierRoleGranted(account, block.timestamp);
+    }
+
+    /**
+    * @dev revokes the CERTIFIER_ROLE from the provided address.
+    */
+    function revokeCertifierRole(address account) public onlyClearanceLevelA {
+        _revokeRole(CERTIFIER_ROLE, account);
+        emit CertifierRoleRevoked(account, block.timestamp);
+    }
+
+    /// Time-limited Roles
+    /**
+    * @dev grants a role to the provided address until the given time, e.g. the COMPANY_USER_ROLE of a contractor.
+    * The grant is scoped to the granters of the role: the Default (Super) Admin for the ADMIN_ROLE, actors of
+    * clearance level B for the CONSUMER_ROLE & of clearance level A for the others. `hasRole` turns false on expiry.
+    * Replaces any grant of the role to the account, a later permanent grant lifting the expiry.
+    * @param expiresAt end of the grant, in the future.
+    */
+    function grantTemporaryRole(bytes32 role, address account, uint256 expiresAt) public {
+        if (role == ADMIN_ROLE) _checkRole(DEFAULT_ADMIN_ROLE);
+        else if (role == CONSUMER_ROLE) _checkClearanceLevelB();
+        else if (
+            role == COMPANY_USER_ROLE ||
+            role == AUTHORIZED_CONTRACT_ROLE ||
+            role == ATTESTER_ROLE ||
+            role == QC_INSPECTOR_ROLE ||
+            role == CERTIFIER_ROLE
+        ) _checkClearanceLevelA();
+        else revert Errors.RoleNotGrantable(role);
+        if (!(expiresAt > block.timestamp)) revert Errors.InvalidRoleExpiry(expiresAt);
+
+        _grantRole(role, account);
+        roleExpiry[role][account] = expiresAt;
+        emit TemporaryRoleGranted(role, account, expiresAt, block.timestamp);
+    }
+
+    /**
+    * @dev To get the end of the grant of a role, zero for a permanent (or no) grant.
+    */
+    function getRoleExpiry(bytes32 role, address account) external view returns (uint256) {
+        return roleExpiry[role][account];
+    }
+
+    /**
+    * @return Whether the account holds the role, a time-limited grant holding until it expires.
+    */
+    function hasRole(bytes32 role, address account) public view override(AccessControl, IAccessControl) returns (bool) {
+        uint256 expiresAt = roleExpiry[role][account];
+        return super.hasRole(role, account) && (expiresAt == 0 || block.timestamp < expiresAt);
+    }
+
     /// Super User | Default Admin role
     /**
-    * @dev grants the DEFAULT_ADMIN_ROLE to the provided account.
-    * This is an irreversible step unless the given account agrees to transfer back the role.
+    * @dev proposes to hand the DEFAULT_ADMIN_ROLE over to the provided account, which accepts it once the delay
+    * elapsed. Replaces any pending proposal.
+    */
+    function beginDefaultAdminTransfer(address account) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (account == address(0)) revert Errors.InvalidDefaultAdmin(account);
+        uint256 acceptableAt = block.timestamp + defaultAdminTransferDelay;
+        pendingDefaultAdminTransfer = DefaultAdminTransfer({ newDefaultAdmin: account, acceptableAt: acceptableAt });
+        emit DefaultAdminTransferProposed(account, acceptableAt);
+    }
+
+    /**
+    * @dev accepts the DEFAULT_ADMIN_ROLE, called by the proposed account once the delay elapsed.
+    */
+    function acceptDefaultAdminTransfer() public {
+        DefaultAdminTransfer memory transfer = pendingDefaultAdminTransfer;
+        if (transfer.newDefaultAdmin == address(0)) revert Errors.DefaultAdminTransferNotFound();
+        if (msg.sender != transfer.newDefaultAdmin) revert Errors.UnexpectedAgent(msg.sender, transfer.newDefaultAdmin);
+        if (block.timestamp < transfer.acceptableAt) revert Errors.DefaultAdminTransferDelayed(transfer.acceptableAt);
+
+        delete pendingDefaultAdminTransfer;
+        address previousDefaultAdmin = getCurrentDefaultAdmin();
+        for (uint256 i = getRoleMemberCount(DEFAULT_ADMIN_ROLE); i > 0; i--) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, getRoleMember(DEFAULT_ADMIN_ROLE, i - 1));
+        }
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        emit DefaultAdminRoleTransferred(msg.sender, previousDefaultAdmin, block.timestamp);
+    }
+
+    /**
+    * @dev withdraws the pending transfer of the DEFAULT_ADMIN_ROLE.
+    */
+    function cancelDefaultAdminTransfer() public onlyRole(DEFAULT_ADMIN_ROLE) {
+        address newDefaultAdmin = pendingDefaultAdminTransfer.newDefaultAdmin;
+        if (newDefaultAdmin == address(0)) revert Errors.DefaultAdminTransferNotFound();
+        delete pendingDefaultAdminTransfer;
+        emit DefaultAdminTransferCancelled(newDefaultAdmin);
+    }
+
+    /**
+    * @dev sets the delay between the proposal & the acceptance of a DEFAULT_ADMIN_ROLE transfer,
+    * applying to the next proposals. Bounded by `MIN_DEFAULT_ADMIN_TRANSFER_DELAY` & `MAX_DEFAULT_ADMIN_TRANSFER_DELAY`.
+    */
+    function setDefaultAdminTransferDelay(uint256 delay) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (delay < MIN_DEFAULT_ADMIN_TRANSFER_DELAY || delay > MAX_DEFAULT_ADMIN_TRANSFER_DELAY)
+            revert Errors.InvalidDefaultAdminTransferDelay(delay, MIN_DEFAULT_ADMIN_TRANSFER_DELAY, MAX_DEFAULT_ADMIN_TRANSFER_DELAY);
+        defaultAdminTransferDelay = delay;
+        emit DefaultAdminTransferDelayUpdated(delay);
+    }
+
+    /**
+    * @dev To retrieve the pending transfer of the DEFAULT_ADMIN_ROLE, `newDefaultAdmin` being zero if none.
     */
-    function transferDefaultAdminRole(address account) public onlyRole(DEFAULT_ADMIN_ROLE) {
-        _revokeRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(DEFAULT_ADMIN_ROLE, account);
-        emit DefaultAdminRoleTransferred(account, msg.sender, block.timestamp);
+    function getPendingDefaultAdminTransfer() external view returns (DefaultAdminTransfer memory) {
+        return pendingDefaultAdminTransfer;
     }
 
     /**
     * @dev To retrieve the current Default (Super) Admin.
-    * @return The address with the DEFAULT_ADMIN_ROLE.
+    * @return The address with the DEFAULT_ADMIN_ROLE, the zero address if none.
     */
     function getCurrentDefaultAdmin() public view returns (address) {
+        if (getRoleMemberCount(DEFAULT_ADMIN_ROLE) == 0) return address(0);
         return getRoleMember(DEFAULT_ADMIN_ROLE, 0);
     }
 
@@ -140,13 +307,7 @@ contract AccessManager is AccessControl, AccessControlEnumerable {
     * @return The addresses with the AUTHORIZED_CONTRACT_ROLE.
     */
     function getCurrentContracts() public view returns (address[] memory) {
-        uint256 roleMemberCount = getRoleMemberCount(AUTHORIZED_CONTRACT_ROLE);
-        address[] memory contracts = new address[](roleMemberCount);
-        for (uint256 i = 0; i < roleMemberCount; ) {
-            contracts[i] = getRoleMember(AUTHORIZED_CONTRACT_ROLE, i);
-            unchecked { ++i; }
-        }
-        return contracts;
+        return _getCurrentMembers(AUTHORIZED_CONTRACT_ROLE, type(uint256).max);
     }
 
     /**
@@ -154,13 +315,7 @@ contract AccessManager is AccessControl, AccessControlEnumerable {
     * @return The addresses with the ADMIN_ROLE.
     */
     function getCurrentAdmins() public view returns (address[] memory) {
-        uint256 roleMemberCount = getRoleMemberCount(ADMIN_ROLE);
-        address[] memory admins = new address[](roleMemberCount);
-        for (uint256 i = 0; i < roleMemberCount; ) {
-            admins[i] = getRoleMember(ADMIN_ROLE, i);
-            unchecked { ++i; }
-        }
-        return admins;
+        return _getCurrentMembers(ADMIN_ROLE, type(uint256).max);
     }
 
     /**
@@ -168,14 +323,7 @@ contract AccessManager is AccessControl, AccessControlEnumerable {
     * @return The addresses with the COMPANY_USER_ROLE.
     */
     function getCurrentCompanyUsers(uint256 query) public view returns (address[] memory) {
-        uint256 roleMemberCount = getRoleMemberCount(COMPANY_USER_ROLE);
-        if (roleMemberCount < query) query = roleMemberCount;
-        address[] memory companyUsers = new address[](roleMemberCount);
-        for (uint256 i = 0; i < query; ) {
-            companyUsers[i] = getRoleMember(COMPANY_USER_ROLE, i);
-            unchecked { ++i; }
-        }
-        return companyUsers;
+        return _getCurrentMembers(COMPANY_USER_ROLE, query);
     }
 
     /**
@@ -183,19 +331,72 @@ contract AccessManager is AccessControl, AccessControlEnumerable {
     * @return The addresses with the CONSUMER_ROLE.
     */
     function getCurrentConsumers(uint256 query) public view returns (address[] memory) {
-        uint256 roleMemberCount = getRoleMemberCount(CONSUMER_ROLE);
-        if (roleMemberCount < query) query = roleMemberCount;
-        address[] memory consumers = new address[](roleMemberCount);
-        for (uint256 i = 0; i < query; ) {
-            consumers[i] = getRoleMember(CONSUMER_ROLE, i);
+        return _getCurrentMembers(CONSUMER_ROLE, query);
+    }
+
+    /**
+    * @dev To get the first `query` members of a role still holding it, skipping the expired time-limited grants.
+    */
+    function _getCurrentMembers(bytes32 role, uint256 query) internal view returns (address[] memory) {
+        uint256 roleMemberCount = getRoleMemberCount(role);
+        uint256 count = 0;
+        for (uint256 i = 0; i < roleMemberCount && count < query; ) {
+            if (hasRole(role, getRoleMember(role, i))) ++count;
+            unchecked { ++i; }
+        }
+        address[] memory members = new address[](count);
+        uint256 found = 0;
+        for (uint256 i = 0; found < count; ) {
+            address member = getRoleMember(role, i);
+            if (hasRole(role, member)) members[found++] = member;
             unchecked { ++i; }
         }
-        return consumers;
+        return members;
+    }
+
+    /**
+    * @dev Throws `UnAuthorized` unless called by an Admin or the Default (Super) Admin.
+    */
+    function _checkClearanceLevelA() internal view {
+        if (!(hasRole(ADMIN_ROLE, msg.sender) || hasRole(DEFAULT_ADMIN_ROLE, msg.sender)))
+            revert Errors.UnAuthorized("ADMIN_ROLE");
+    }
+
+    /**
+    * @dev Throws `UnAuthorized` unless called by a company user, an Admin or the Default (Super) Admin.
+    */
+    function _checkClearanceLevelB() internal view {
+        if (!(hasRole(COMPANY_USER_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender) || hasRole(DEFAULT_ADMIN_ROLE, msg.sender)))
+            revert Errors.UnAuthorized("COMPANY_USER_ROLE");
     }
 
     /// Necessary Overrides:
     /**
-    * @dev To grant a custom role.
+    * @dev To grant a role through its admin role, the DEFAULT_ADMIN_ROLE only changing hands through `beginDefaultAdminTransfer`.
+    */
+    function grantRole(bytes32 role, address account) public override(AccessControl, IAccessControl) {
+        if (role == DEFAULT_ADMIN_ROLE) revert Errors.DefaultAdminTransferRequired();
+        super.grantRole(role, account);
+    }
+
+    /**
+    * @dev To revoke a role through its admin role, the DEFAULT_ADMIN_ROLE only changing hands through `beginDefaultAdminTransfer`.
+    */
+    function revokeRole(bytes32 role, address account) public override(AccessControl, IAccessControl) {
+        if (role == DEFAULT_ADMIN_ROLE) revert Errors.DefaultAdminTransferRequired();
+        super.revokeRole(role, account);
+    }
+
+    /**
+    * @dev To give up a role, the DEFAULT_ADMIN_ROLE being handed over through `beginDefaultAdminTransfer` instead.
+    */
+    function renounceRole(bytes32 role, address callerConfirmation) public override(AccessControl, IAccessControl) {
+        if (role == DEFAULT_ADMIN_ROLE) revert Errors.DefaultAdminTransferRequired();
+        super.renounceRole(role, callerConfirmation);
+    }
+
+    /**
+    * @dev To grant a custom role, permanently unless `grantTemporaryRole` sets an expiry afterwards.
     * @return success status.
     */
     function _grantRole(bytes32 role, address account)
@@ -203,6 +404,7 @@ contract AccessManager is AccessControl, AccessControlEnumerable {
     override(AccessControl, AccessControlEnumerable)
     returns (bool)
     {
+        delete roleExpiry[role][account];
         return super._grantRole(role, account);
     }
 
@@ -215,6 +417,8 @@ contract AccessManager is AccessControl, AccessControlEnumerable {
     override(AccessControl, AccessControlEnumerable)
     returns (bool)
     {
+        // an expired grant is revoked like any other
+        delete roleExpiry[role][account];
         return super._revokeRole(role, account);
     }
 
@@ -6,7 +6,7 @@ import { IERC721 } from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import { ERC721Enumerable } from "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
 import { ERC721URIStorage } from "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import { AccessManager } from "./AccessManager.sol";
-import { Errors } from "./Errors.sol";
+import { Errors } from "./libraries/Errors.sol";
 
 /**
 * @title An ERC721 collection of actors.
@@ -67,6 +67,33 @@ contract Actor is ERC721, ERC721Enumerable, ERC721URIStorage {
         _setTokenURI(actorId, newHash);
     }
 
+    /**
+    * @dev To burn the ID of a deactivated actor, the ID is never issued again.
+    * Can only by called an external contract which would be `ActorsManager`.
+    * @param actorId ID to burn.
+    */
+    function burnActor(uint256 actorId)
+    external
+    onlyAuthorizedContract
+    {
+        _burn(actorId);
+    }
+
+    /**
+    * @dev To move the ID of an actor to a new account, the only way it changes hands.
+    * Can only by called an external contract which would be `ActorsManager`, once the migration is approved & accepted.
+    * @param actorId ID to move.
+    * @param to new account, not holding any ID yet.
+    */
+    function migrateActor(uint256 actorId, address to)
+    external
+    onlyAuthorizedContract
+    {
+        if (balanceOf(to) != 0) revert Errors.DoubleRegistrationNotAllowed();
+        _requireOwned(actorId);
+        _update(to, actorId, address(0));
+    }
+
     /**
     * @dev Reverts with `SoulBoundTransferNotAllowed`.
     */
@@ -82,10 +109,17 @@ contract Actor is ERC721, ERC721Enumerable, ERC721URIStorage {
     }
 
     /**
-    * @return Whether the id has been issued or not.
+    * @return Whether the id has been issued or not, burned ones included.
     */
     function idExists(uint256 id) public view returns(bool) {
-        return id < totalSupply();
+        return id < _nextActorId;
+    }
+
+    /**
+    * @return The number of IDs issued, burned ones included.
+    */
+    function issuedCount() external view returns (uint256) {
+        return _nextActorId;
     }
 
     // Necessary Overrides
@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { LzApp } from "./lzApp/LzApp.sol";
+import { Actor } from "./Actor.sol";
+import { AccessManager } from "./AccessManager.sol";
+import { ActorsManager } from "./ActorsManager.sol";
+import { Errors } from "./libraries/Errors.sol";
+
+/**
+* @title The home chain end of the actor replication.
+* @dev Sends the registrations & updates validated by the `ActorsManager`, along with the status changes of the actors,
+* to the `ActorReplica` of every replica chain.
+* The LayerZero fees of the broadcasts are paid from the balance of this contract, to be funded by the company.
+*/
+contract ActorBroadcaster is LzApp {
+    // also the LayerZero packet types of `minDstGasLookup`
+    enum PacketType {
+        Register,
+        Update,
+        Status
+    }
+
+    AccessManager public acl;
+    bytes32 immutable AUTHORIZED_CONTRACT_ROLE;
+    bytes32 immutable COMPANY_USER_ROLE;
+    bytes32 immutable ADMIN_ROLE;
+    ActorsManager public actorsManager;
+    uint16[] private replicaChainIds;
+
+    event ReplicaChainsUpdated(uint16[] chainIds);
+    event ActorBroadcast(uint16 indexed dstChainId, PacketType packetType, uint8 indexed actorType, uint256 indexed actorId);
+
+    modifier onlyAuthorizedContract() {
+        if (!acl.hasRole(AUTHORIZED_CONTRACT_ROLE, msg.sender))
+            revert Errors.UnAuthorized("AUTHORIZED_CONTRACT_ROLE");
+        _;
+    }
+
+    modifier onlyCompanyUser() {
+        if (!acl.hasRole(COMPANY_USER_ROLE, msg.sender))
+            revert Errors.UnAuthorized("COMPANY_USER_ROLE");
+        _;
+    }
+
+    modifier onlyAdminRole() {
+        if (!acl.hasRole(ADMIN_ROLE, msg.sender))
+            revert Errors.UnAuthorized("ADMIN_ROLE");
+        _;
+    }
+
+    /**
+    * @dev Sets the ACL, the `ActorsManager` holding the actors & the LayerZero endpoint.
+    */
+    constructor(address aclAddress, address _actorsManager, address _lzEndpoint) LzApp(_lzEndpoint) {
+        acl = AccessManager(aclAddress);
+        AUTHORIZED_CONTRACT_ROLE = acl.AUTHORIZED_CONTRACT_ROLE();
+        COMPANY_USER_ROLE = acl.COMPANY_USER_ROLE();
+        ADMIN_ROLE = acl.ADMIN_ROLE();
+        actorsManager = ActorsManager(_actorsManager);
+    }
+
+    receive() external payable {}
+
+    /**
+    * @dev A guarded function to set the chains the actors are replicated to.
+    * @param chainIds LayerZero IDs of the replica chains, each to be trusted & given its `minDstGas` per packet type.
+    */
+    function setReplicaChains(uint16[] calldata chainIds) external onlyAdminRole {
+        replicaChainIds = chainIds;
+        emit ReplicaChainsUpdated(chainIds);
+    }
+
+    /**
+    * @return The LayerZero IDs of the replica chains.
+    */
+    function getReplicaChains() external view returns (uint16[] memory) {
+        return replicaChainIds;
+    }
+
+    /**
+    * @dev Sends the current record of an actor to every replica chain, called by the `ActorsManager`.
+    * Reverts with `InsufficientFee` if the balance cannot pay the fee of a chain.
+    * @param packetType registration, update or status change.
+    * @param actorType type of the actor.
+    * @param actorId ID of the actor.
+    */
+    function broadcast(PacketType packetType, uint8 actorType, uint256 actorId) external onlyAuthorizedContract {
+        bytes memory payload = _actorPayload(packetType, actorType, actorId);
+        for (uint256 i = 0; i < replicaChainIds.length; i++) {
+            uint16 dstChainId = replicaChainIds[i];
+            bytes memory adapterParams = _adapterParams(dstChainId, packetType);
+            (uint256 fee, ) = lzEndpoint.estimateFees(dstChainId, address(this), payload, false, adapterParams);
+            if (address(this).balance < fee) revert Errors.InsufficientFee(address(this).balance, fee);
+            _lzSend(dstChainId, payload, payable(address(this)), address(0), adapterParams, fee);
+            emit ActorBroadcast(dstChainId, packetType, actorType, actorId);
+        }
+    }
+
+    /**
+    * @dev Sends the current record of an actor to a chain as a registration, paid by the caller, or its status alone
+    * once deactivated. To catch up a replica after a failed broadcast or on a chain added after the registration.
+    * @param dstChainId LayerZero ID of the chain.
+    * @param actorType type of the actor.
+    * @param actorId ID of the actor.
+    */
+    function replicateActor(uint16 dstChainId, uint8 actorType, uint256 actorId) external payable onlyCompanyUser {
+        _checkActor(actorType, actorId);
+        PacketType packetType = actorsManager.getActorStatus(actorType, actorId).status == ActorsManager.ActorStatus.Deactivated
+            ? PacketType.Status
+            : PacketType.Register;
+        _lzSend(
+            dstChainId,
+            _actorPayload(packetType, actorType, actorId),
+            payable(msg.sender),
+            address(0),
+            _adapterParams(dstChainId, packetType),
+            msg.value
+        );
+        emit ActorBroadcast(dstChainId, packetType, actorType, actorId);
+    }
+
+    /**
+    * @return nativeFee The fee to send the record of an actor to a chain.
+    */
+    function estimateReplicationFee(uint16 dstChainId, PacketType packetType, uint8 actorType, uint256 actorId)
+        external
+        view
+        returns (uint256 nativeFee)
+    {
+        bytes memory payload = _actorPayload(packetType, actorType, actorId);
+        (nativeFee, ) = lzEndpoint.estimateFees(dstChainId, address(this), payload, false, _adapterParams(dstChainId, packetType));
+    }
+
+    /**
+    * @dev Every packet carries the status of the actor, a status packet leaves out the account & URI,
+    * a deactivated actor having its ID burned.
+    */
+    function _actorPayload(PacketType packetType, uint8 actorType, uint256 actorId) internal view returns (bytes memory) {
+        Actor actor = _checkActor(actorType, actorId);
+        ActorsManager.ActorStatus status = actorsManager.getActorStatus(actorType, actorId).status;
+        if (packetType == PacketType.Status) return abi.encode(packetType, actorType, actorId, address(0), "", status);
+        return abi.encode(packetType, actorType, actorId, actor.ownerOf(actorId), actor.tokenURI(actorId), status);
+    }
+
+    function _checkActor(uint8 actorType, uint256 actorId) internal view returns (Actor actor) {
+        if (!(actorType < actorsManager.ACTOR_TYPE_COUNT()))
+            revert Errors.InvalidActorType(actorType, actorsManager.ACTOR_TYPE_COUNT());
+        actor = actorsManager.actors(actorType);
+        if (!actor.idExists(actorId)) revert Errors.InvalidActorId(actorType, actorId);
+    }
+
+    function _adapterParams(uint16 dstChainId, PacketType packetType) internal view returns (bytes memory adapterParams) {
+        adapterParams = abi.encodePacked(uint16(1), minDstGasLookup[dstChainId][uint16(packetType)]);
+        _checkGasLimit(dstChainId, uint16(packetType), adapterParams, 0);
+    }
+
+    /**
+    * @dev Replicas do not send messages back.
+    */
+    function _blockingLzReceive(uint16, bytes memory, uint64, bytes memory) internal override {}
+}
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { NonblockingLzApp } from "./lzApp/NonblockingLzApp.sol";
+import { ActorBroadcaster } from "./ActorBroadcaster.sol";
+import { ActorsManager } from "./ActorsManager.sol";
+import { Errors } from "./libraries/Errors.sol";
+
+/**
+* @title The read-only replica of the actors on the other chains.
+* @dev Keeps the records received from the home chain `ActorBroadcaster`, trusted through `setTrustedRemote`.
+* An update or a status change received before the registration of its actor fails & is stored for `retryMessage`,
+* once the actor has been replicated with `ActorBroadcaster.replicateActor`.
+*/
+contract ActorReplica is NonblockingLzApp {
+    struct ActorRecord {
+        address account;
+        string uri;
+        ActorsManager.ActorStatus status;
+    }
+    mapping(uint8 => mapping(uint256 => ActorRecord)) private records;
+
+    event ActorReplicated(uint16 indexed srcChainId, uint8 indexed actorType, uint256 indexed actorId, address account, string uri);
+    event ActorStatusReplicated(uint16 indexed srcChainId, uint8 indexed actorType, uint256 indexed actorId, ActorsManager.ActorStatus status);
+
+    /**
+    * @dev Sets the LayerZero endpoint.
+    */
+    constructor(address _lzEndpoint) NonblockingLzApp(_lzEndpoint) {}
+
+    /**
+    * @return Whether the actor has been replicated or not.
+    */
+    function idExists(uint8 actorType, uint256 actorId) public view returns (bool) {
+        return records[actorType][actorId].account != address(0);
+    }
+
+    /**
+    * @return The account holding the identification NFT of the actor on the home chain.
+    */
+    function ownerOf(uint8 actorType, uint256 actorId) external view returns (address) {
+        if (!idExists(actorType, actorId)) revert Errors.InvalidActorId(actorType, actorId);
+        return records[actorType][actorId].account;
+    }
+
+    /**
+    * @return The token URI of the actor on the home chain.
+    */
+    function tokenURI(uint8 actorType, uint256 actorId) external view returns (string memory) {
+        if (!idExists(actorType, actorId)) revert Errors.InvalidActorId(actorType, actorId);
+        return records[actorType][actorId].uri;
+    }
+
+    /**
+    * @return The status of the actor on the home chain, the account & URI of a deactivated actor being the last ones known.
+    */
+    function getActorStatus(uint8 actorType, uint256 actorId) public view returns (ActorsManager.ActorStatus) {
+        if (!idExists(actorType, actorId)) revert Errors.InvalidActorId(actorType, actorId);
+        return records[actorType][actorId].status;
+    }
+
+    /**
+    * @return Whether the actor is active, neither suspended nor deactivated, on the home chain.
+    */
+    function isActive(uint8 actorType, uint256 actorId) external view returns (bool) {
+        return idExists(actorType, actorId) && records[actorType][actorId].status == ActorsManager.ActorStatus.Active;
+    }
+
+    function _nonblockingLzReceive(uint16 _srcChainId, bytes memory, uint64, bytes memory _payload) internal override {
+        (
+            ActorBroadcaster.PacketType packetType,
+            uint8 actorType,
+            uint256 actorId,
+            address account,
+            string memory uri,
+            ActorsManager.ActorStatus status
+        ) = abi.decode(_payload, (ActorBroadcaster.PacketType, uint8, uint256, address, string, ActorsManager.ActorStatus));
+        if (packetType != ActorBroadcaster.PacketType.Register && !idExists(actorType, actorId))
+            revert Errors.InvalidActorId(actorType, actorId);
+
+        if (packetType == ActorBroadcaster.PacketType.Status) {
+            records[actorType][actorId].status = status;
+            emit ActorStatusReplicated(_srcChainId, actorType, actorId, status);
+            return;
+        }
+        records[actorType][actorId] = ActorRecord({ account: account, uri: uri, status: status });
+        emit ActorReplicated(_srcChainId, actorType, actorId, account, uri);
+    }
+}
@@ -2,21 +2,25 @@
 pragma solidity ^0.8.20;
 
 import { Actor } from "./Actor.sol";
+import { ActorBroadcaster } from "./ActorBroadcaster.sol";
 import { AccessManager } from "./AccessManager.sol";
-import { String } from "./String.sol";
-import { Errors } from "./Errors.sol";
-
-import { FunctionsClient } from "@chainlink/contracts/src/v0.8/functions/v1_0_0/FunctionsClient.sol";
-import { FunctionsRequest } from "@chainlink/contracts/src/v0.8/functions/v1_0_0/libraries/FunctionsRequest.sol";
+import { String } from "./libraries/String.sol";
+import { Errors } from "./libraries/Errors.sol";
+import { IMetadataValidator, IValidationConsumer } from "./validators/IMetadataValidator.sol";
+import { PendingRequests } from "./validators/PendingRequests.sol";
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 
 /**
 * @title Actors Manager.
 * @dev Aggregates the collections for all actor types & performs the necessary validation.
 */
-contract ActorsManager is FunctionsClient {
-    using FunctionsRequest for FunctionsRequest.Request;
+contract ActorsManager is IValidationConsumer, PendingRequests {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
     AccessManager public acl;
     bytes32 immutable AUTHORIZED_CONTRACT_ROLE;
+    bytes32 immutable ADMIN_ROLE;
+    bytes32 immutable CERTIFIER_ROLE;
 
     modifier onlyAuthorizedContract() {
         if (!acl.hasRole(AUTHORIZED_CONTRACT_ROLE, msg.sender))
@@ -24,44 +28,144 @@ contract ActorsManager is FunctionsClient {
         _;
     }
 
-    uint8 public constant ACTOR_TYPE_COUNT = 6;
+    modifier onlyAdminRole() {
+        if (!acl.hasRole(ADMIN_ROLE, msg.sender))
+            revert Errors.UnAuthorized("ADMIN_ROLE");
+        _;
+    }
+
+    modifier onlyCertifier() {
+        if (!acl.hasRole(CERTIFIER_ROLE, msg.sender))
+            revert Errors.UnAuthorized("CERTIFIER_ROLE");
+        _;
+    }
+
+    uint8 public constant ACTOR_TYPE_COUNT = 8;
     enum ActorType {
         RawMaterialSupplier,
         RawProcessorId,
         BatteryManufacturer,   
         Distributor,
         Retailer,
-        Consumer
+        Consumer,
+        Collector,
+        Recycler
     }
     mapping(uint8 => Actor) public actors;
 
-    // Chainlink config
+    // Validation config
     struct RequestInfo {
         uint256 actorId;
         address account;
+        address registrar;
         bool isNewRegistration;
         ActorType actorType;
         string hash;
     }
     mapping(bytes32 => RequestInfo) private lastValidationRequest;
 
-    string validationSource =
+    string public validationSource =
         "const actorType = args[0];"
         "const hash = args[1];"
+        "const baseUrl = args[2];"
         "const res = await Functions.makeHttpRequest("
-        "{ url: `https://trustifyscm.com/api/validate-actor-meta?type=${actorType}&hash=${hash}`,"
-        "timeout: 9000 });"
+        "{ url: `${baseUrl}/validate-actor-meta?type=${actorType}&hash=${hash}`,"
+        "headers: secrets.apiKey ? { 'x-api-key': secrets.apiKey } : {}, timeout: 9000 });"
         "if (res.error || res.status !== 200) throw Error('Request Failed');"
         "const { data } = res;"
-        "return Functions.encodeUint256(data.isValid);";
-    address donRouter;
-    bytes32 donId;
-    uint64 donSubscriptionId;
-    uint32 donCallbackGasLimit; 
+        "return Functions.encodeString(String(data.isValid));";
+    string public validationBaseUrl = "https://trustifyscm.com/api";
+    IMetadataValidator public validator;
+    uint32 public callbackGasLimit;
+    uint256 public requestIdCounter;
+
+    ActorBroadcaster public broadcaster;
+
+    // an actor is suspended temporarily e.g. after a failed audit, a deactivated actor has its ID burned for good
+    enum ActorStatus {
+        Active,
+        Suspended,
+        Deactivated
+    }
+    struct ActorState {
+        ActorStatus status;
+        string reason;
+        uint256 timestamp;
+    }
+    mapping(uint8 => mapping(uint256 => ActorState)) private actorStates;
+
+    // an admin-approved move of an actor ID to a new account, awaiting the acceptance of the account
+    struct ActorMigration {
+        address newAccount;
+        address approvedBy;
+        uint256 timestamp;
+    }
+    mapping(uint8 => mapping(uint256 => ActorMigration)) private pendingMigrations;
+
+    // accounts acting on behalf of an actor besides its holder e.g. staff & ERP systems,
+    // an account is bound to at most one actor per type, as holder or operator
+    mapping(uint8 => mapping(uint256 => EnumerableSet.AddressSet)) private operators;
+    struct OperatorBinding {
+        bool bound;
+        uint256 actorId;
+    }
+    mapping(address => mapping(uint8 => OperatorBinding)) private operatorBindings;
+
+    // certificates held by the actors e.g. ISO 14001, OECD due diligence or conflict minerals
+    struct Certificate {
+        bytes32 certificateType;
+        // holder of the CERTIFIER_ROLE who recorded the certificate
+        address issuer;
+        string hash;
+        uint64 validFrom;
+        uint64 validUntil;
+        bool revoked;
+    }
+    // actor type => actor ID => certificates, a certificate ID being its index
+    mapping(uint8 => mapping(uint256 => Certificate[])) private certificates;
+    // actor type => types of the certificates an actor must hold to be assigned a batch stage
+    mapping(uint8 => bytes32[]) private requiredCertificates;
 
     event ActorRegistered(uint8 indexed actorType, uint256 indexed actorId, address indexed account, string hash);
     event ActorUpdated(uint8 indexed actorType, uint256 indexed actorId, string newHash);
     event ValidationFailed(uint8 indexed actorType, uint256 indexed actorId, string hash, bytes error);
+    event ValidationBaseUrlUpdated(string baseUrl);
+    event ValidationSourceUpdated(string source);
+    event CallbackGasLimitUpdated(uint32 callbackGasLimit);
+    event ValidatorUpdated(address validator);
+    // named after the `FunctionsClient` events, whichever the validator
+    event RequestSent(bytes32 indexed id);
+    event RequestFulfilled(bytes32 indexed id);
+    event ValidationRequested(bytes32 indexed requestId, uint8 indexed actorType, uint256 indexed actorId, address account, string hash);
+    event BroadcasterUpdated(address broadcaster);
+    event BroadcastFailed(uint8 indexed actorType, uint256 indexed actorId, bytes reason);
+    event ActorSuspended(uint8 indexed actorType, uint256 indexed actorId, string reason, uint256 timestamp);
+    event ActorReinstated(uint8 indexed actorType, uint256 indexed actorId, uint256 timestamp);
+    event ActorDeactivated(uint8 indexed actorType, uint256 indexed actorId, string reason, uint256 timestamp);
+    event ActorMigrationProposed(uint8 indexed actorType, uint256 indexed actorId, address indexed newAccount, address approvedBy);
+    event ActorMigrationCancelled(uint8 indexed actorType, uint256 indexed actorId, address indexed newAccount);
+    event ActorMigrated(
+        uint8 indexed actorType,
+        uint256 indexed actorId,
+        address indexed newAccount,
+        address previousAccount,
+        address approvedBy,
+        uint256 timestamp
+    );
+    event OperatorAdded(uint8 indexed actorType, uint256 indexed actorId, address indexed account, address addedBy);
+    event OperatorRemoved(uint8 indexed actorType, uint256 indexed actorId, address indexed account, address removedBy);
+    event CertificateAdded(
+        uint8 indexed actorType,
+        uint256 indexed actorId,
+        uint256 indexed certificateId,
+        bytes32 certificateType,
+        address issuer,
+        string hash,
+        uint64 validFrom,
+        uint64 validUntil
+    );
+    event CertificateRevoked(uint8 indexed actorType, uint256 indexed actorId, uint256 indexed certificateId);
+    event RequiredCertificatesUpdated(uint8 indexed actorType, bytes32[] certificateTypes);
 
     modifier onlyValidActorType(uint8 actorType) {
         if (!(actorType < ACTOR_TYPE_COUNT)) revert Errors.InvalidActorType(actorType, ACTOR_TYPE_COUNT);
@@ -70,24 +174,22 @@ contract ActorsManager is FunctionsClient {
 
     /**
     * @dev Sets the ACL and determines the hash AUTHORIZED_CONTRACT_ROLE.
-    * Along with the Chainlink Configuration.
+    * Along with the metadata validator & the actor collections, deployed beforehand to keep the deployment
+    * of the manager within the block gas limit.
+    * @param actorCollections `Actor` collection of each actor type, in the order of `ActorType`.
     */
-    constructor(address aclAddress, bytes32 _donId, address _donRouter, uint64 _donSubscriptionId)
-        FunctionsClient(_donRouter)
-    {
-        actors[0] = new Actor(aclAddress, "RawMaterialSupplier", "RMS");
-        actors[1] = new Actor(aclAddress, "RawProcessorId", "RP");
-        actors[2] = new Actor(aclAddress, "BatteryManufacturer", "BM");
-        actors[3] = new Actor(aclAddress, "Distributor", "DS");
-        actors[4] = new Actor(aclAddress, "Retailer", "RT");
-        actors[5] = new Actor(aclAddress, "Consumer", "CU");
+    constructor(address aclAddress, address _validator, address[ACTOR_TYPE_COUNT] memory actorCollections) {
+        for (uint8 i = 0; i < ACTOR_TYPE_COUNT; i++) {
+            actors[i] = Actor(actorCollections[i]);
+        }
 
-        donId = _donId;
-        donCallbackGasLimit = 600000;
-        donSubscriptionId = _donSubscriptionId;
+        validator = IMetadataValidator(_validator);
+        callbackGasLimit = 600000;
 
         acl = AccessManager(aclAddress);
         AUTHORIZED_CONTRACT_ROLE = acl.AUTHORIZED_CONTRACT_ROLE();
+        ADMIN_ROLE = acl.ADMIN_ROLE();
+        CERTIFIER_ROLE = acl.CERTIFIER_ROLE();
     }
 
     /**
@@ -101,13 +203,15 @@ contract ActorsManager is FunctionsClient {
         onlyValidActorType(actorType)
         onlyAuthorizedContract
     {
-        lastValidationRequest[validateMetadata(actorType, hash)] = RequestInfo({
+        _checkUnbound(actorType, account);
+        validateMetadata(RequestInfo({
             actorId: 0,
             account: account,
+            registrar: msg.sender,
             isNewRegistration: true,
             actorType: ActorType(actorType),
             hash: hash
-        });
+        }));
     }
 
     /**
@@ -121,13 +225,15 @@ contract ActorsManager is FunctionsClient {
         onlyValidActorType(actorType)
         onlyAuthorizedContract
     {
-        lastValidationRequest[validateMetadata(actorType, hash)] = RequestInfo({
+        _checkStatus(actorType, actorId, ActorStatus.Active, ActorStatus.Suspended);
+        validateMetadata(RequestInfo({
             actorId: actorId,
             account: address(0),
+            registrar: msg.sender,
             isNewRegistration: false,
             actorType: ActorType(actorType),
             hash: hash
-        });
+        }));
     }
 
     /**
@@ -160,51 +266,489 @@ contract ActorsManager is FunctionsClient {
     {
         if (!(pageSize < 101)) revert Errors.OutOfBounds(pageSize, 100);
         Actor actorContract = actors[actorType];
-        uint256 totalSupply = actorContract.totalSupply();
-        if (!(cursor < totalSupply)) revert Errors.OutOfBounds(cursor, totalSupply);
+        uint256 issuedCount = actorContract.issuedCount();
+        if (!(cursor < issuedCount)) revert Errors.OutOfBounds(cursor, issuedCount);
 
         uint256 endIndex = cursor + pageSize;
-        if (endIndex > totalSupply) endIndex = totalSupply;
+        if (endIndex > issuedCount) endIndex = issuedCount;
 
         uint256 actualPageSize = endIndex - cursor;
         string[] memory actorURIs = new string[](actualPageSize);
         for (uint256 i = 0; i < actualPageSize; i++) {
-            actorURIs[i] = actorContract.tokenURI(cursor + i);
+            // the URI of a deactivated actor is burned along with its ID
+            if (actorStates[actorType][cursor + i].status != ActorStatus.Deactivated)
+                actorURIs[i] = actorContract.tokenURI(cursor + i);
         }
         return actorURIs;
     }
 
     /**
-    * @dev An internal function to be called to send a validation request.
+    * @dev A guarded function to suspend an active actor, e.g. after a failed audit, until it is reinstated.
+    * Suspended actors keep their ID but are not assigned any new batch stage.
+    * @param reason reason of the suspension.
+    */
+    function suspendActor(uint8 actorType, uint256 actorId, string calldata reason)
+        public
+        onlyValidActorType(actorType)
+        onlyAdminRole
+    {
+        _checkStatus(actorType, actorId, ActorStatus.Active, ActorStatus.Active);
+        actorStates[actorType][actorId] = ActorState({ status: ActorStatus.Suspended, reason: reason, timestamp: block.timestamp });
+        emit ActorSuspended(actorType, actorId, reason, block.timestamp);
+        broadcast(ActorBroadcaster.PacketType.Status, actorType, actorId);
+    }
+
+    /**
+    * @dev A guarded function to reinstate a suspended actor.
+    */
+    function reinstateActor(uint8 actorType, uint256 actorId) public onlyValidActorType(actorType) onlyAdminRole {
+        _checkStatus(actorType, actorId, ActorStatus.Suspended, ActorStatus.Suspended);
+        actorStates[actorType][actorId] = ActorState({ status: ActorStatus.Active, reason: "", timestamp: block.timestamp });
+        emit ActorReinstated(actorType, actorId, block.timestamp);
+        broadcast(ActorBroadcaster.PacketType.Status, actorType, actorId);
+    }
+
+    /**
+    * @dev A guarded function to deactivate an actor permanently, active or suspended, its ID is burned.
+    * @param reason reason of the deactivation.
+    */
+    function deactivateActor(uint8 actorType, uint256 actorId, string calldata reason)
+        public
+        onlyValidActorType(actorType)
+        onlyAdminRole
+    {
+        _checkStatus(actorType, actorId, ActorStatus.Active, ActorStatus.Suspended);
+        actorStates[actorType][actorId] = ActorState({ status: ActorStatus.Deactivated, reason: reason, timestamp: block.timestamp });
+        delete pendingMigrations[actorType][actorId];
+        EnumerableSet.AddressSet storage actorOperators = operators[actorType][actorId];
+        for (uint256 i = actorOperators.length(); i > 0; i--) {
+            address operator = actorOperators.at(i - 1);
+            actorOperators.remove(operator);
+            delete operatorBindings[operator][actorType];
+        }
+        actors[actorType].burnActor(actorId);
+        emit ActorDeactivated(actorType, actorId, reason, block.timestamp);
+        broadcast(ActorBroadcaster.PacketType.Status, actorType, actorId);
+    }
+
+    /**
+    * @dev A guarded function to approve the move of an actor ID to a new account, e.g. after a key loss or rotation,
+    * completed once the new account accepts it with `acceptActorMigration`. Replaces any pending migration of the actor.
+    * @param newAccount account to receive the ID, not holding any ID of the type.
+    */
+    function proposeActorMigration(uint8 actorType, uint256 actorId, address newAccount)
+        public
+        onlyValidActorType(actorType)
+        onlyAdminRole
+    {
+        _checkStatus(actorType, actorId, ActorStatus.Active, ActorStatus.Suspended);
+        if (newAccount == address(0)) revert Errors.InvalidMigrationAccount(newAccount);
+        _checkUnbound(actorType, newAccount);
+        pendingMigrations[actorType][actorId] = ActorMigration({ newAccount: newAccount, approvedBy: msg.sender, timestamp: block.timestamp });
+        emit ActorMigrationProposed(actorType, actorId, newAccount, msg.sender);
+    }
+
+    /**
+    * @dev To accept the migration of an actor ID, called by the new account. The ID keeps its URI, certificates,
+    * status & batch links, only its holder changes.
+    */
+    function acceptActorMigration(uint8 actorType, uint256 actorId) public {
+        ActorMigration memory migration = pendingMigrations[actorType][actorId];
+        if (migration.newAccount == address(0)) revert Errors.MigrationNotFound(actorType, actorId);
+        if (msg.sender != migration.newAccount) revert Errors.UnexpectedAgent(msg.sender, migration.newAccount);
+
+        _checkUnbound(actorType, msg.sender);
+        delete pendingMigrations[actorType][actorId];
+        Actor actorContract = actors[actorType];
+        address previousAccount = actorContract.ownerOf(actorId);
+        actorContract.migrateActor(actorId, msg.sender);
+        emit ActorMigrated(actorType, actorId, msg.sender, previousAccount, migration.approvedBy, block.timestamp);
+        broadcast(ActorBroadcaster.PacketType.Update, actorType, actorId);
+    }
+
+    /**
+    * @dev A guarded function to withdraw the pending migration of an actor ID.
+    */
+    function cancelActorMigration(uint8 actorType, uint256 actorId) public onlyAdminRole {
+        address newAccount = pendingMigrations[actorType][actorId].newAccount;
+        if (newAccount == address(0)) revert Errors.MigrationNotFound(actorType, actorId);
+        delete pendingMigrations[actorType][actorId];
+        emit ActorMigrationCancelled(actorType, actorId, newAccount);
+    }
+
+    /**
+    * @dev To get the pending migration of an actor ID, `newAccount` being zero if none.
+    */
+    function getPendingMigration(uint8 actorType, uint256 actorId) external view returns (ActorMigration memory) {
+        return pendingMigrations[actorType][actorId];
+    }
+
+    /**
+    * @dev To add an operator acting on behalf of an actor, called by the holder of the actor ID or an admin.
+    * @param account operator, not bound to any actor of the type.
+    */
+    function addOperator(uint8 actorType, uint256 actorId, address account) public onlyValidActorType(actorType) {
+        _checkHolderOrAdmin(actorType, actorId);
+        if (account == address(0)) revert Errors.InvalidOperatorAccount(account);
+        _checkUnbound(actorType, account);
+        operators[actorType][actorId].add(account);
+        operatorBindings[account][actorType] = OperatorBinding({ bound: true, actorId: actorId });
+        emit OperatorAdded(actorType, actorId, account, msg.sender);
+    }
+
+    /**
+    * @dev To remove an operator of an actor, called by the holder of the actor ID or an admin.
+    */
+    function removeOperator(uint8 actorType, uint256 actorId, address account) public onlyValidActorType(actorType) {
+        _checkHolderOrAdmin(actorType, actorId);
+        if (!operators[actorType][actorId].remove(account)) revert Errors.OperatorNotFound(actorType, actorId, account);
+        delete operatorBindings[account][actorType];
+        emit OperatorRemoved(actorType, actorId, account, msg.sender);
+    }
+
+    /**
+    * @dev To get the operators of an actor, its holder excluded.
+    */
+    function getOperators(uint8 actorType, uint256 actorId) external view returns (address[] memory) {
+        return operators[actorType][actorId].values();
+    }
+
+    /**
+    * @return Whether the account acts on behalf of the actor, as the holder of its ID or as an operator.
+    * False for the unissued IDs.
+    */
+    function isOperator(uint8 actorType, uint256 actorId, address account)
+        external
+        view
+        onlyValidActorType(actorType)
+        returns (bool)
+    {
+        if (!actors[actorType].idExists(actorId)) return false;
+        if (operators[actorType][actorId].contains(account)) return true;
+        return actorStates[actorType][actorId].status != ActorStatus.Deactivated && actors[actorType].ownerOf(actorId) == account;
+    }
+
+    /**
+    * @dev Reverse lookup of the actor of a type an account acts on behalf of, as holder or operator.
+    * @return found whether the account is bound to an actor of the type.
+    * @return actorId ID of the actor.
+    */
+    function actorOf(address account, uint8 actorType)
+        external
+        view
+        onlyValidActorType(actorType)
+        returns (bool found, uint256 actorId)
+    {
+        Actor actorContract = actors[actorType];
+        if (actorContract.balanceOf(account) != 0) return (true, actorContract.tokenOfOwnerByIndex(account, 0));
+        OperatorBinding memory binding = operatorBindings[account][actorType];
+        return (binding.bound, binding.actorId);
+    }
+
+    /**
+    * @dev Reverts with `UnexpectedAgent` unless called by the holder of an active or suspended actor or an admin.
+    */
+    function _checkHolderOrAdmin(uint8 actorType, uint256 actorId) internal view {
+        _checkStatus(actorType, actorId, ActorStatus.Active, ActorStatus.Suspended);
+        address holder = actors[actorType].ownerOf(actorId);
+        if (msg.sender != holder && !acl.hasRole(ADMIN_ROLE, msg.sender)) revert Errors.UnexpectedAgent(msg.sender, holder);
+    }
+
+    /**
+    * @dev Reverts with `DoubleRegistrationNotAllowed` if the account holds an ID of the type or operates an actor of the type.
+    */
+    function _checkUnbound(uint8 actorType, address account) internal view {
+        if (actors[actorType].balanceOf(account) != 0 || operatorBindings[account][actorType].bound)
+            revert Errors.DoubleRegistrationNotAllowed();
+    }
+
+    /**
+    * @dev To get the status of an actor along with the reason & time of its last change.
+    */
+    function getActorStatus(uint8 actorType, uint256 actorId)
+        external
+        view
+        onlyValidActorType(actorType)
+        returns (ActorState memory)
+    {
+        if (!actors[actorType].idExists(actorId)) revert Errors.InvalidActorId(actorType, actorId);
+        return actorStates[actorType][actorId];
+    }
+
+    /**
+    * @dev To retrieve the statuses of the actors of a type in a chunk, chunk size cannot exceed 100.
+    * @param actorType type of the actors.
+    * @param cursor starting index (ID) of the actors.
+    * @param pageSize request size.
+    * @return The statuses of the actors.
+    */
+    function getActorStatusesInBatch(uint8 actorType, uint256 cursor, uint256 pageSize)
+        external
+        view
+        onlyValidActorType(actorType)
+        returns (ActorStatus[] memory)
+    {
+        if (!(pageSize < 101)) revert Errors.OutOfBounds(pageSize, 100);
+        uint256 issuedCount = actors[actorType].issuedCount();
+        if (!(cursor < issuedCount)) revert Errors.OutOfBounds(cursor, issuedCount);
+
+        uint256 endIndex = cursor + pageSize;
+        if (endIndex > issuedCount) endIndex = issuedCount;
+
+        ActorStatus[] memory statuses = new ActorStatus[](endIndex - cursor);
+        for (uint256 i = 0; i < statuses.length; i++) {
+            statuses[i] = actorStates[actorType][cursor + i].status;
+        }
+        return statuses;
+    }
+
+    /**
+    * @return Whether the actor is active, i.e. neither suspended nor deactivated.
+    */
+    function isActive(uint8 actorType, uint256 actorId) external view returns (bool) {
+        return actorStates[actorType][actorId].status == ActorStatus.Active;
+    }
+
+    /**
+    * @dev Reverts with `InvalidActorId` unless the ID was issued, with `InvalidActorStatus` unless the actor is in either status.
+    */
+    function _checkStatus(uint8 actorType, uint256 actorId, ActorStatus either, ActorStatus or) internal view {
+        if (!actors[actorType].idExists(actorId)) revert Errors.InvalidActorId(actorType, actorId);
+        ActorStatus status = actorStates[actorType][actorId].status;
+        if (status != either && status != or) revert Errors.InvalidActorStatus(actorType, actorId, uint8(status));
+    }
+
+    /**
+    * @dev To record a certificate held by an actor, the certifier calling it being recorded as its issuer.
     * @param actorType type of the actor.
-    * @param  hash of the metadata to be validated.
-    * @return The DON Function request ID.
+    * @param actorId ID of the actor.
+    * @param certificateType type of the certificate e.g. `ISO14001` as bytes32.
+    * @param hash hash of the certificate document.
+    * @param validFrom start of the validity, as a unix timestamp.
+    * @param validUntil end of the validity, as a unix timestamp.
+    * @return certificateId ID of the certificate among the ones of the actor.
     */
-    function validateMetadata(uint8 actorType, string calldata hash) internal returns(bytes32) {
-        FunctionsRequest.Request memory req;
-        req.initializeRequestForInlineJavaScript(validationSource);
-        string[] memory args = new string[](2);
-        args[0] = String.toString(actorType);
-        args[1] = hash;
-        req.setArgs(args);
-        return _sendRequest(
-            req.encodeCBOR(),
-            donSubscriptionId,
-            donCallbackGasLimit,
-            donId
+    function addCertificate(
+        uint8 actorType,
+        uint256 actorId,
+        bytes32 certificateType,
+        string calldata hash,
+        uint64 validFrom,
+        uint64 validUntil
+    )
+        public
+        onlyValidActorType(actorType)
+        onlyCertifier
+        returns (uint256 certificateId)
+    {
+        if (!actors[actorType].idExists(actorId)) revert Errors.InvalidActorId(actorType, actorId);
+        if (!(validFrom < validUntil)) revert Errors.InvalidValidityPeriod(validFrom, validUntil);
+        certificateId = certificates[actorType][actorId].length;
+        certificates[actorType][actorId].push(Certificate({
+            certificateType: certificateType,
+            issuer: msg.sender,
+            hash: hash,
+            validFrom: validFrom,
+            validUntil: validUntil,
+            revoked: false
+        }));
+        emit CertificateAdded(actorType, actorId, certificateId, certificateType, msg.sender, hash, validFrom, validUntil);
+    }
+
+    /**
+    * @dev To revoke a certificate of an actor ahead of its expiry, the certificate stays listed.
+    */
+    function revokeCertificate(uint8 actorType, uint256 actorId, uint256 certificateId)
+        public
+        onlyValidActorType(actorType)
+        onlyCertifier
+    {
+        Certificate[] storage actorCertificates = certificates[actorType][actorId];
+        if (!(certificateId < actorCertificates.length)) revert Errors.CertificateNotFound(actorType, actorId, certificateId);
+        if (actorCertificates[certificateId].revoked) revert Errors.CertificateAlreadyRevoked(actorType, actorId, certificateId);
+        actorCertificates[certificateId].revoked = true;
+        emit CertificateRevoked(actorType, actorId, certificateId);
+    }
+
+    /**
+    * @dev To get the certificates of an actor, revoked & expired ones included.
+    */
+    function getCertificates(uint8 actorType, uint256 actorId) external view returns (Certificate[] memory) {
+        return certificates[actorType][actorId];
+    }
+
+    /**
+    * @return Whether the actor holds a certificate of the type which is neither revoked nor out of its validity period.
+    */
+    function hasValidCertificate(uint8 actorType, uint256 actorId, bytes32 certificateType) public view returns (bool) {
+        Certificate[] storage actorCertificates = certificates[actorType][actorId];
+        for (uint256 i = 0; i < actorCertificates.length; i++) {
+            Certificate storage certificate = actorCertificates[i];
+            if (
+                certificate.certificateType == certificateType &&
+                !certificate.revoked &&
+                certificate.validFrom <= block.timestamp &&
+                block.timestamp < certificate.validUntil
+            ) return true;
+        }
+        return false;
+    }
+
+    /**
+    * @return Whether the actor holds a valid certificate of every type required for its actor type.
+    */
+    function isCertified(uint8 actorType, uint256 actorId) external view returns (bool) {
+        bytes32[] storage required = requiredCertificates[actorType];
+        for (uint256 i = 0; i < required.length; i++) {
+            if (!hasValidCertificate(actorType, actorId, required[i])) return false;
+        }
+        return true;
+    }
+
+    /**
+    * @dev To get the types of the certificates required for an actor type.
+    */
+    function getRequiredCertificates(uint8 actorType) external view returns (bytes32[] memory) {
+        return requiredCertificates[actorType];
+    }
+
+    /**
+    * @dev A guarded function to set the types of the certificates an actor type must hold to be assigned a batch stage.
+    * @param certificateTypes the required types, replacing the previous ones, empty to require none.
+    */
+    function setRequiredCertificates(uint8 actorType, bytes32[] calldata certificateTypes)
+        public
+        onlyValidActorType(actorType)
+        onlyAdminRole
+    {
+        requiredCertificates[actorType] = certificateTypes;
+        emit RequiredCertificatesUpdated(actorType, certificateTypes);
+    }
+
+    /**
+    * @dev A guarded function to choose the metadata validator, e.g. Chainlink Functions, signed attestations or an allowlist.
+    * Pending requests are only answered by the validator they were sent to.
+    * @param _validator address of an `IMetadataValidator`.
+    */
+    function setValidator(address _validator) public onlyAdminRole {
+        validator = IMetadataValidator(_validator);
+        emit ValidatorUpdated(_validator);
+    }
+
+    /**
+    * @dev A guarded function to change the base URL of the metadata validation API queried by the DON.
+    * @param baseUrl new base URL, without a trailing slash e.g. `https://trustifyscm.com/api`.
+    */
+    function setValidationBaseUrl(string calldata baseUrl) public onlyAdminRole {
+        validationBaseUrl = baseUrl;
+        emit ValidationBaseUrlUpdated(baseUrl);
+    }
+
+    /**
+    * @dev A guarded function to change the JavaScript source run by the DON to validate the metadata.
+    * The source receives the same `args` & may read the API key of the validation API from `secrets.apiKey`.
+    */
+    function setValidationSource(string calldata source) public onlyAdminRole {
+        validationSource = source;
+        emit ValidationSourceUpdated(source);
+    }
+
+    /**
+    * @dev A guarded function to change the gas available to process the validation answers.
+    */
+    function setCallbackGasLimit(uint32 _callbackGasLimit) public onlyAdminRole {
+        callbackGasLimit = _callbackGasLimit;
+        emit CallbackGasLimitUpdated(_callbackGasLimit);
+    }
+
+    /**
+    * @dev A guarded function to set the `ActorBroadcaster` replicating the actors to other chains.
+    * @param _broadcaster address of the broadcaster, the zero address to stop the replication.
+    */
+    function setBroadcaster(address _broadcaster) public onlyAdminRole {
+        broadcaster = ActorBroadcaster(payable(_broadcaster));
+        emit BroadcasterUpdated(_broadcaster);
+    }
+
+    /**
+    * @dev Replicates a registration, an update or a status change, a failed broadcast does not revert the calling operation.
+    */
+    function broadcast(ActorBroadcaster.PacketType packetType, uint8 actorType, uint256 actorId) internal {
+        if (address(broadcaster) == address(0)) return;
+        try broadcaster.broadcast(packetType, actorType, actorId) {
+        } catch (bytes memory reason) {
+            emit BroadcastFailed(actorType, actorId, reason);
+        }
+    }
+
+    /**
+    * @dev An internal function to be called to send a validation request.
+    * The request is stored first, as instant validators answer within the call.
+    * @param info request to be fulfilled upon the validation of its hash.
+    * @return requestId ID of the request.
+    */
+    function validateMetadata(RequestInfo memory info) internal returns (bytes32 requestId) {
+        requestId = bytes32(++requestIdCounter);
+        lastValidationRequest[requestId] = info;
+        uint8 actorType = uint8(info.actorType);
+        // the registrations are pending under the account to register, the updates under the actor
+        _trackRequest(
+            requestId,
+            info.isNewRegistration ? keccak256(abi.encode(info.account)) : keccak256(abi.encode(actorType, info.actorId)),
+            info.registrar
         );
+        string[] memory args = new string[](3);
+        args[0] = String.toString(actorType);
+        args[1] = info.hash;
+        args[2] = validationBaseUrl;
+        emit RequestSent(requestId);
+        emit ValidationRequested(requestId, actorType, info.actorId, info.account, info.hash);
+        validator.requestValidation(requestId, info.hash, validationSource, args, callbackGasLimit);
     }
 
     /**
-    * @notice User defined function to handle a response from the DON
-    * @param requestId The request ID, returned by sendRequest()
-    * @param response Aggregated response from the execution of the user's source code
-    * @param err Aggregated error from the execution of the user code or from the execution pipeline
-    * @dev Either response or error parameter will be set, but never both
+    * @return The IDs of the pending update requests of an actor.
     */
-    function fulfillRequest(bytes32 requestId, bytes memory response, bytes memory err) internal override {
+    function getPendingRequests(uint8 actorType, uint256 actorId) external view returns (bytes32[] memory) {
+        return _getPendingRequests(keccak256(abi.encode(actorType, actorId)));
+    }
+
+    /**
+    * @return The IDs of the pending registration requests of an account, whichever the actor type.
+    */
+    function getPendingRegistrations(address account) external view returns (bytes32[] memory) {
+        return _getPendingRequests(keccak256(abi.encode(account)));
+    }
+
+    function _isAdmin(address account) internal view override returns (bool) {
+        return acl.hasRole(ADMIN_ROLE, account);
+    }
+
+    function _forgetRequest(bytes32 requestId) internal override {
+        delete lastValidationRequest[requestId];
+        validator.cancelValidation(requestId);
+    }
+
+    function _resendRequest(bytes32 requestId) internal override returns (bytes32) {
+        RequestInfo memory info = lastValidationRequest[requestId];
+        delete lastValidationRequest[requestId];
+        validator.cancelValidation(requestId);
+        return validateMetadata(info);
+    }
+
+    /**
+    * @dev To be called by the validator with the answer to a request.
+    * @param requestId The request ID, sent to the validator
+    * @param response `"true"` if the metadata is valid
+    * @param err Error from the validation (if any), either response or error parameter will be set, but never both
+    */
+    function fulfillValidation(bytes32 requestId, bytes calldata response, bytes calldata err) external {
+        if (msg.sender != address(validator)) revert Errors.UnexpectedAgent(msg.sender, address(validator));
         RequestInfo memory info = lastValidationRequest[requestId];
         if (bytes(info.hash).length == 0) revert Errors.UnexpectedRequestID(requestId);
+        emit RequestFulfilled(requestId);
+        if (_settleRequest(requestId)) return;
+        delete lastValidationRequest[requestId];
 
         uint256 actorId = info.actorId;
         uint8 actorType = uint8(info.actorType);
@@ -218,16 +762,22 @@ contract ActorsManager is FunctionsClient {
             return;
         }
 
-        if (info.isNewRegistration) {
+        if (info.isNewRegistration && operatorBindings[info.account][actorType].bound) {
+            // the account became an operator while the registration was pending
+            emit ValidationFailed(actorType, actorId, hash, bytes("Account bound to an actor"));
+        } else if (info.isNewRegistration) {
             address account = info.account;
             actorId = actors[actorType].registerActor(account, hash);
             emit ActorRegistered(actorType, actorId, account, hash);
+            broadcast(ActorBroadcaster.PacketType.Register, actorType, actorId);
+        } else if (actorStates[actorType][actorId].status == ActorStatus.Deactivated) {
+            // the actor was deactivated while the update was pending
+            emit ValidationFailed(actorType, actorId, hash, bytes("Actor deactivated"));
         } else {
             actors[actorType].updateActor(actorId, hash);
             emit ActorUpdated(actorType, actorId, hash);
+            broadcast(ActorBroadcaster.PacketType.Update, actorType, actorId);
         }
-
-        delete lastValidationRequest[requestId];
     }
 
 
@@ -6,7 +6,7 @@ import { IERC721 } from "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 import { ERC721Enumerable } from "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
 import { ERC721URIStorage } from "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import { AccessManager } from "./AccessManager.sol";
-import { Errors } from "./Errors.sol";
+import { Errors } from "./libraries/Errors.sol";
 
 /**
 * @title An ERC721 collection of batches.
@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { BatchONFTCore } from "./BatchONFTCore.sol";
+import { AccessManager } from "./AccessManager.sol";
+import { BatchManager } from "./BatchManager.sol";
+import { Errors } from "./libraries/Errors.sol";
+
+/**
+* @title The home chain end of the batch bridge.
+* @dev Sends the current record of a batch held by the `BatchManager` to `RemoteBatch` on other chains.
+* The soul-bound batch itself stays with the `SupplyChain`, which keeps the authoritative record:
+* a batch may be sent again to deliver its updated record, copies sent back home are discarded.
+*/
+contract BatchBridge is BatchONFTCore {
+    AccessManager public acl;
+    bytes32 immutable COMPANY_USER_ROLE;
+    BatchManager public batchManager;
+
+    /**
+    * @dev Sets the ACL, the `BatchManager` holding the batches & the LayerZero configuration.
+    */
+    constructor(address aclAddress, address _batchManager, uint256 _minGasToTransferAndStore, address _lzEndpoint)
+        BatchONFTCore(_minGasToTransferAndStore, _lzEndpoint)
+    {
+        acl = AccessManager(aclAddress);
+        COMPANY_USER_ROLE = acl.COMPANY_USER_ROLE();
+        batchManager = BatchManager(_batchManager);
+    }
+
+    function _batchRecord(uint256 batchId)
+        internal
+        view
+        override
+        returns (string memory uri, BatchManager.BatchInfo memory info)
+    {
+        info = batchManager.getBatchInfo(batchId);
+        info.batchId = batchId;
+        uri = batchManager.getBatchURI(batchId);
+    }
+
+    /**
+    * @dev Only company users may send batches, on their own behalf.
+    */
+    function _debitFrom(address _from, uint16, bytes memory, uint256 _tokenId) internal view override {
+        if (_from != _msgSender()) revert Errors.UnexpectedAgent(_msgSender(), _from);
+        if (!acl.hasRole(COMPANY_USER_ROLE, _from)) revert Errors.UnAuthorized("COMPANY_USER_ROLE");
+        if (!batchManager.batches().idExists(_tokenId)) revert Errors.InvalidTokenId();
+    }
+
+    function _storeBatchRecord(uint16, string memory, BatchManager.BatchInfo memory) internal override {}
+
+    function _creditTo(uint16, address, uint256) internal override {}
+}
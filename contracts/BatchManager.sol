@@ -3,19 +3,21 @@ pragma solidity ^0.8.20;
 
 import { Batch } from "./Batch.sol";
 import { AccessManager } from "./AccessManager.sol";
-import { String } from "./String.sol";
-import { Errors } from "./Errors.sol";
+import { String } from "./libraries/String.sol";
+import { Errors } from "./libraries/Errors.sol";
+
+import { IMetadataValidator, IValidationConsumer } from "./validators/IMetadataValidator.sol";
+import { PendingRequests } from "./validators/PendingRequests.sol";
+import { QualityControl } from "./QualityControl.sol";
+import { BatteryUnit } from "./BatteryUnit.sol";
 
 import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
-import { FunctionsClient } from "@chainlink/contracts/src/v0.8/functions/v1_0_0/FunctionsClient.sol";
-import { FunctionsRequest } from "@chainlink/contracts/src/v0.8/functions/v1_0_0/libraries/FunctionsRequest.sol";
 
 /**
 * @title Batch Aggregator.
 * @dev Maintains the necessary on-chain batch state, keeping in sync with the underlying collection.
 */
-contract BatchManager is FunctionsClient {
-    using FunctionsRequest for FunctionsRequest.Request;
+contract BatchManager is IValidationConsumer, PendingRequests {
     using EnumerableSet for EnumerableSet.UintSet;
 
     AccessManager public acl;
@@ -34,7 +36,13 @@ contract BatchManager is FunctionsClient {
         _;
     }
 
-    uint8 public constant BATCH_STATE_COUNT = 9;
+    modifier onlySupplyChain() {
+        if (msg.sender != supplyChainContract)
+            revert Errors.UnexpectedAgent(msg.sender, supplyChainContract);
+        _;
+    }
+
+    uint8 public constant BATCH_STATE_COUNT = 13;
     enum BatchState {
         Harvested,
         Processed,
@@ -44,7 +52,11 @@ contract BatchManager is FunctionsClient {
         ToCustomers,
         InStorage,
         InTransit,
-        InProcessing 
+        InProcessing,
+        Collected,
+        SecondLife,
+        Recycled,
+        Disposed
     }
 
     struct BatchInfo {
@@ -63,51 +75,120 @@ contract BatchManager is FunctionsClient {
     mapping(uint256 => BatchInfo) public batchInfoForId;
     Batch public batches; 
 
-    // Chainlink config
+    struct HistoryEntry {
+        BatchState state;
+        string hash;
+        uint256 timestamp;
+        address registrar;
+    }
+    mapping(uint256 => HistoryEntry[]) private batchHistory;
+
+    // allowedTransitions[from][to], intermediate states may always return to the stage they were entered from
+    mapping(uint8 => mapping(uint8 => bool)) public allowedTransitions;
+    mapping(uint256 => BatchState) public returnStateForId;
+
+    // lineage of the batches derived through splits & merges
+    uint8 public constant MAX_PARENT_BATCHES = 20;
+    uint32 constant LINEAGE_CALLBACK_GAS = 80000;
+    // minting the units planned for a batch reaching `Packaged`, on top of a gas per unit
+    uint32 constant UNITS_CALLBACK_GAS = 200000;
+    uint32 constant UNIT_CALLBACK_GAS = 3000;
+    mapping(uint256 => uint256[]) private parentBatches;
+    mapping(uint256 => uint256[]) private childBatches;
+
+    // Validation config
     struct RequestInfo {
         uint256 batchId;
         address registrar;
+        // account on whose behalf the registrar sent the request, logged in the history
+        address submitter;
         bool isNewCreation;
         BatchInfo batch;
         string hash;
         bytes4 callbackFunction;
+        uint256[] parentIds;
     }
     mapping(bytes32 => RequestInfo) private lastValidationRequest;
-    string validationSource = "const hash = args[0];"
-        "const res = await Functions.makeHttpRequest({ url: `https://trustifyscm.com/api/validate-batch-meta?hash=${hash}`,"
-        "timeout: 9000 });"
+    string public validationSource = "const hash = args[0];"
+        "const baseUrl = args[1];"
+        "const res = await Functions.makeHttpRequest({ url: `${baseUrl}/validate-batch-meta?hash=${hash}`,"
+        "headers: secrets.apiKey ? { 'x-api-key': secrets.apiKey } : {}, timeout: 9000 });"
         "if (res.error || res.status !== 200) throw Error('Request Failed');"
         "const { data } = res;"
-        "return Functions.encodeUint256(data.isValid);";
-    address donRouter;
-    bytes32 donId;
-    uint64 donSubscriptionId;
-    uint32 donCallbackGasLimit;
+        "return Functions.encodeString(String(data.isValid));";
+    string public validationBaseUrl = "https://trustifyscm.com/api";
+    IMetadataValidator public validator;
+    uint32 public callbackGasLimit;
+    uint256 public requestIdCounter;
 
     address public supplyChainContract;
+    // consulted before a batch leaves a stage, no inspection is required until it is set
+    QualityControl public qualityControl;
+    BatteryUnit public batteryUnit;
 
     event DataCertified(uint256 indexed batchId, string hash, uint256 timestamp);
     event DataCertificationFailed(uint256 indexed batchId, string hash, bytes error);
     event BatchCreated(uint256 indexed batchId, string hash, uint256 timestamp);
     event BatchStatusUpdated(uint256 indexed batchId, BatchState state, string hash, uint256 timestamp);
+    event ValidationBaseUrlUpdated(string baseUrl);
+    event ValidationSourceUpdated(string source);
+    event CallbackGasLimitUpdated(uint32 callbackGasLimit);
+    event ValidatorUpdated(address validator);
+    event QualityControlUpdated(address qualityControl);
+    event BatteryUnitUpdated(address batteryUnit);
+    event PlannedUnitsMintFailed(uint256 indexed batchId, bytes error);
+    // named after the `FunctionsClient` events, whichever the validator
+    event RequestSent(bytes32 indexed id);
+    event RequestFulfilled(bytes32 indexed id);
+    event ValidationRequested(bytes32 indexed requestId, uint256 indexed batchId, bool isNewCreation, string hash);
+    event BatchTransitionUpdated(uint8 indexed from, uint8 indexed to, bool allowed);
+    event BatchDerived(uint256 indexed batchId, uint256[] parentIds, uint256 timestamp);
 
     /**
     * @dev Sets the ACL and determines the hash AUTHORIZED_CONTRACT_ROLE.
-    * Along with the Chainlink Configuration  &  the address of the `SupplyChain` contract.
+    * Along with the metadata validator  &  the address of the `SupplyChain` contract.
     */
-    constructor(address aclAddress, address _supplyChainContract, bytes32 _donId, address _donRouter, uint64 _donSubscriptionId)
-        FunctionsClient(_donRouter)
-    {
+    constructor(address aclAddress, address _supplyChainContract, address _validator) {
         batches = new Batch(aclAddress, "Batch", "B");
-        donId = _donId;
-        donCallbackGasLimit = 600000;
-        donSubscriptionId = _donSubscriptionId;
+        validator = IMetadataValidator(_validator);
+        callbackGasLimit = 600000;
 
         acl = AccessManager(aclAddress);
         AUTHORIZED_CONTRACT_ROLE = acl.AUTHORIZED_CONTRACT_ROLE();
         ADMIN_ROLE = acl.ADMIN_ROLE();
 
         supplyChainContract = _supplyChainContract; 
+
+        // Harvested -> Processed -> Packaged -> AtDistributors -> AtRetailers -> ToCustomers
+        // where any stage but the last may be left for storage, transit or processing
+        uint8 firstIntermediate = uint8(BatchState.InStorage);
+        uint8 lastIntermediate = uint8(BatchState.InProcessing);
+        for (uint8 state = uint8(BatchState.Harvested); state < uint8(BatchState.ToCustomers); state++) {
+            _setTransition(state, state + 1, true);
+            for (uint8 intermediate = firstIntermediate; intermediate <= lastIntermediate; intermediate++) {
+                _setTransition(state, intermediate, true);
+            }
+        }
+        // intermediate states may follow each other e.g. InProcessing -> InStorage
+        for (uint8 from = firstIntermediate; from <= lastIntermediate; from++) {
+            for (uint8 to = firstIntermediate; to <= lastIntermediate; to++) {
+                if (from != to) _setTransition(from, to, true);
+            }
+        }
+        // a batch may be handed over in between distributors & in between retailers
+        _setTransition(uint8(BatchState.AtDistributors), uint8(BatchState.AtDistributors), true);
+        _setTransition(uint8(BatchState.AtRetailers), uint8(BatchState.AtRetailers), true);
+        // end of life: ToCustomers -> Collected -> SecondLife | Recycled | Disposed, a second life ends with another collection
+        // where collected & second life batches may be left for storage, transit or processing
+        _setTransition(uint8(BatchState.ToCustomers), uint8(BatchState.Collected), true);
+        for (uint8 to = uint8(BatchState.SecondLife); to <= uint8(BatchState.Disposed); to++) {
+            _setTransition(uint8(BatchState.Collected), to, true);
+        }
+        _setTransition(uint8(BatchState.SecondLife), uint8(BatchState.Collected), true);
+        for (uint8 intermediate = firstIntermediate; intermediate <= lastIntermediate; intermediate++) {
+            _setTransition(uint8(BatchState.Collected), intermediate, true);
+            _setTransition(uint8(BatchState.SecondLife), intermediate, true);
+        }
     }
 
     /**
@@ -115,13 +196,30 @@ contract BatchManager is FunctionsClient {
     * @param _rawMaterialSupplierId ID of the rawMaterialSupplierId who created the batch.
     * @param hash hash of the metadata of the batch.
     * @param _callbackFunction selector, which calls a post validation function in SupplyChain to perform creation.
+    * @param submitter account submitting the batch, logged in the history of the batch.
     */
-    function createBatch(uint256 _rawMaterialSupplierId, string calldata hash, bytes4 _callbackFunction)
+    function createBatch(uint256 _rawMaterialSupplierId, string calldata hash, bytes4 _callbackFunction, address submitter)
         external
         onlyAuthorizedContract
     {
+        validateMetadata(RequestInfo({
+            batchId: 0,
+            registrar: msg.sender,
+            submitter: submitter,
+            isNewCreation: true,
+            batch: _newBatchInfo(_rawMaterialSupplierId),
+            hash: hash,
+            callbackFunction: _callbackFunction,
+            parentIds: new uint256[](0)
+        }));
+    }
+
+    /**
+    * @dev The info of a newly harvested batch.
+    */
+    function _newBatchInfo(uint256 _rawMaterialSupplierId) internal pure returns (BatchInfo memory) {
         uint256[] memory ids;
-        BatchInfo memory _batch = BatchInfo({
+        return BatchInfo({
             batchId: 0,
             state: BatchState(0),
             isCertified: false,
@@ -134,15 +232,6 @@ contract BatchManager is FunctionsClient {
             distributorIds: ids,
             retailerIds: ids
         });
-
-        lastValidationRequest[validateMetadata(hash)] = RequestInfo({
-            batchId: 0,
-            registrar: msg.sender,
-            isNewCreation: true,
-            batch: _batch,
-            hash: hash,
-            callbackFunction: _callbackFunction
-        });
     }
 
     /**
@@ -150,20 +239,105 @@ contract BatchManager is FunctionsClient {
     * @param _batch new updated batch info itself.
     * @param hash hash of the new dynamically updated metadata.
     * @param _callbackFunction selector, which calls a post validation function in SupplyChain to perform update.
+    * @param submitter account submitting the update, logged in the history of the batch.
     */
-    function updateBatch(BatchInfo calldata _batch, string calldata hash, bytes4 _callbackFunction)
+    function updateBatch(BatchInfo calldata _batch, string calldata hash, bytes4 _callbackFunction, address submitter)
         external
         onlyAuthorizedContract
     {
         if (!(batches.idExists(_batch.batchId))) revert Errors.InvalidTokenId();
-        lastValidationRequest[validateMetadata(hash)] = RequestInfo({
+        if (!canTransition(_batch.batchId, _batch.state))
+            revert Errors.InvalidBatchTransition(uint8(batchInfoForId[_batch.batchId].state), uint8(_batch.state));
+        if (!isInspected(_batch.batchId, _batch.state))
+            revert Errors.InspectionRequired(_batch.batchId, uint8(stageOf(_batch.batchId)));
+        validateMetadata(RequestInfo({
             batchId: _batch.batchId,
             registrar: msg.sender,
+            submitter: submitter,
             isNewCreation: false,
             batch: _batch,
             hash: hash,
-            callbackFunction: _callbackFunction
-        });
+            callbackFunction: _callbackFunction,
+            parentIds: new uint256[](0)
+        }));
+    }
+
+    /**
+    * @dev Creates a batch derived from existing ones if the metadata validation succeeds.
+    * A split derives a child from a single parent, a merge from several. The child starts from the info of the first parent,
+    * all parents must be in the same state.
+    * @param parentIds IDs of the batches the new batch is derived from, at most `MAX_PARENT_BATCHES`.
+    * @param hash hash of the metadata of the new batch.
+    * @param _callbackFunction selector, which calls a post validation function in SupplyChain to perform creation.
+    * @param submitter account submitting the batch, logged in the history of the batch.
+    */
+    function createChildBatch(uint256[] calldata parentIds, string calldata hash, bytes4 _callbackFunction, address submitter)
+        external
+        onlyAuthorizedContract
+    {
+        if (parentIds.length == 0) revert Errors.OutOfBounds(0, MAX_PARENT_BATCHES);
+        BatchInfo memory _batch = batchInfoForId[parentIds[0]];
+        _checkParentBatches(parentIds, _batch.state);
+        _requestDerivedBatch(_batch, parentIds, hash, _callbackFunction, submitter);
+    }
+
+    /**
+    * @dev Creates a newly harvested batch, made of the material recovered from recycled batches, if the metadata validation succeeds.
+    * The recycled batches are recorded as the parents of the new batch, so recycled content can be traced through the lineage.
+    * @param _rawMaterialSupplierId ID of the rawMaterialSupplierId who created the batch.
+    * @param recycledBatchIds IDs of the `Recycled` batches the material was recovered from, at most `MAX_PARENT_BATCHES`.
+    * @param hash hash of the metadata of the new batch.
+    * @param _callbackFunction selector, which calls a post validation function in SupplyChain to perform creation.
+    * @param submitter account submitting the batch, logged in the history of the batch.
+    */
+    function createRecycledBatch(
+        uint256 _rawMaterialSupplierId,
+        uint256[] calldata recycledBatchIds,
+        string calldata hash,
+        bytes4 _callbackFunction,
+        address submitter
+    )
+        external
+        onlyAuthorizedContract
+    {
+        if (recycledBatchIds.length == 0) revert Errors.OutOfBounds(0, MAX_PARENT_BATCHES);
+        _checkParentBatches(recycledBatchIds, BatchState.Recycled);
+        _requestDerivedBatch(_newBatchInfo(_rawMaterialSupplierId), recycledBatchIds, hash, _callbackFunction, submitter);
+    }
+
+    /**
+    * @dev Reverts unless the parent batches exist, are listed once & are all in `state`.
+    */
+    function _checkParentBatches(uint256[] calldata parentIds, BatchState state) internal view {
+        if (parentIds.length > MAX_PARENT_BATCHES) revert Errors.OutOfBounds(parentIds.length, MAX_PARENT_BATCHES);
+        for (uint256 i = 0; i < parentIds.length; i++) {
+            if (!(batches.idExists(parentIds[i]))) revert Errors.InvalidTokenId();
+            if (batchInfoForId[parentIds[i]].state != state) revert Errors.InvalidParentBatch(parentIds[i]);
+            for (uint256 j = 0; j < i; j++) {
+                if (parentIds[j] == parentIds[i]) revert Errors.InvalidParentBatch(parentIds[i]);
+            }
+        }
+    }
+
+    function _requestDerivedBatch(
+        BatchInfo memory _batch,
+        uint256[] calldata parentIds,
+        string calldata hash,
+        bytes4 _callbackFunction,
+        address submitter
+    )
+        internal
+    {
+        validateMetadata(RequestInfo({
+            batchId: 0,
+            registrar: msg.sender,
+            submitter: submitter,
+            isNewCreation: true,
+            batch: _batch,
+            hash: hash,
+            callbackFunction: _callbackFunction,
+            parentIds: parentIds
+        }));
     }
 
     /**
@@ -206,35 +380,204 @@ contract BatchManager is FunctionsClient {
         return batchURIs;
     }
 
+    /**
+    * @dev To retrieve the number of accepted transitions recorded for a batch, its creation included.
+    * @param batchId ID of the batch.
+    */
+    function getBatchHistoryLength(uint256 batchId) public view returns (uint256) {
+        return batchHistory[batchId].length;
+    }
+
+    /**
+    * @dev To retrieve a single entry of the append-only history of a batch.
+    * @param batchId ID of the batch.
+    * @param index position of the entry, 0 being the creation.
+    * @return The state, metadata hash, timestamp & registrar of the transition.
+    */
+    function getBatchHistoryEntry(uint256 batchId, uint256 index) public view returns (HistoryEntry memory) {
+        uint256 length = batchHistory[batchId].length;
+        if (!(index < length)) revert Errors.OutOfBounds(index, length);
+        return batchHistory[batchId][index];
+    }
+
+    /**
+    * @dev To retrieve the history of a batch in a chunk, chunk size cannot exceed 100.
+    * @param batchId ID of the batch.
+    * @param cursor starting index of the entries.
+    * @param pageSize request size.
+    * @return The entries, oldest first.
+    */
+    function getBatchHistory(uint256 batchId, uint256 cursor, uint256 pageSize)
+        public
+        view
+        returns (HistoryEntry[] memory)
+    {
+        HistoryEntry[] storage history = batchHistory[batchId];
+        if (!(pageSize < 101)) revert Errors.OutOfBounds(pageSize, 100);
+        uint256 length = history.length;
+        if (!(cursor < length)) revert Errors.OutOfBounds(cursor, length);
+
+        uint256 endIndex = cursor + pageSize;
+        if (endIndex > length) endIndex = length;
+
+        HistoryEntry[] memory entries = new HistoryEntry[](endIndex - cursor);
+        for (uint256 i = 0; i < entries.length; i++) {
+            entries[i] = history[cursor + i];
+        }
+        return entries;
+    }
+
+    /**
+    * @return The IDs of the batches the batch was directly derived from.
+    */
+    function getParentBatches(uint256 batchId) external view returns (uint256[] memory) {
+        return parentBatches[batchId];
+    }
+
+    /**
+    * @return The IDs of the batches directly derived from the batch.
+    */
+    function getChildBatches(uint256 batchId) external view returns (uint256[] memory) {
+        return childBatches[batchId];
+    }
+
+    /**
+    * @dev To retrieve every batch the batch was derived from, up to the harvested ones.
+    * @return The IDs of the ancestors, closest first.
+    */
+    function getAncestors(uint256 batchId) external view returns (uint256[] memory) {
+        return traverseLineage(batchId, true);
+    }
+
+    /**
+    * @dev To retrieve every batch derived from the batch, down to the latest splits & merges.
+    * @return The IDs of the descendants, closest first.
+    */
+    function getDescendants(uint256 batchId) external view returns (uint256[] memory) {
+        return traverseLineage(batchId, false);
+    }
+
+    /**
+    * @dev A breadth-first walk through the lineage, each batch is listed once.
+    * The memory grows with the lineage, the batches met being looked up among the listed ones.
+    * @param up whether to walk towards the parents or the children.
+    */
+    function traverseLineage(uint256 batchId, bool up) internal view returns (uint256[] memory) {
+        uint256[] memory queue = new uint256[](MAX_PARENT_BATCHES);
+        uint256 count;
+
+        uint256 head;
+        uint256 current = batchId;
+        while (true) {
+            uint256[] storage links = up ? parentBatches[current] : childBatches[current];
+            for (uint256 i = 0; i < links.length; i++) {
+                uint256 j;
+                while (j < count && queue[j] != links[i]) j++;
+                if (j < count) continue;
+                if (count == queue.length) {
+                    uint256[] memory grown = new uint256[](2 * count);
+                    for (j = 0; j < count; j++) grown[j] = queue[j];
+                    queue = grown;
+                }
+                queue[count++] = links[i];
+            }
+            if (head == count) break;
+            current = queue[head++];
+        }
+
+        uint256[] memory lineage = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            lineage[i] = queue[i];
+        }
+        return lineage;
+    }
+
     /**
     * @dev An internal function to be called to send a validation request.
-    * @param hash hash of the metadata to be validated.
-    * @return The DON Function request ID.
-    */
-    function validateMetadata(string calldata hash) internal returns(bytes32) {
-        FunctionsRequest.Request memory req;
-        req.initializeRequestForInlineJavaScript(validationSource);
-        string[] memory args = new string[](1);
-        args[0] = hash;
-        req.setArgs(args);
-        return _sendRequest(
-            req.encodeCBOR(),
-            donSubscriptionId,
-            donCallbackGasLimit,
-            donId
-        );
+    * The request is stored first, as instant validators answer within the call.
+    * @param info request to be fulfilled upon the validation of its hash.
+    * @return requestId ID of the request.
+    */
+    function validateMetadata(RequestInfo memory info) internal returns (bytes32 requestId) {
+        requestId = bytes32(++requestIdCounter);
+        lastValidationRequest[requestId] = info;
+        // the new batches are pending under the zero key, the updates under the batch they are about
+        _trackRequest(requestId, info.isNewCreation ? bytes32(0) : keccak256(abi.encode(info.batchId)), info.submitter);
+        string[] memory args = new string[](2);
+        args[0] = info.hash;
+        args[1] = validationBaseUrl;
+        emit RequestSent(requestId);
+        emit ValidationRequested(requestId, info.batchId, info.isNewCreation, info.hash);
+        // recording the lineage upon the fulfillment costs more gas per parent, minting the planned units per unit
+        uint32 gasLimit = callbackGasLimit + uint32(info.parentIds.length) * LINEAGE_CALLBACK_GAS;
+        if (!info.isNewCreation && info.batch.state == BatchState.Packaged && address(batteryUnit) != address(0)) {
+            (, uint256 quantity) = batteryUnit.getPlannedUnits(info.batchId);
+            if (quantity > 0) gasLimit += UNITS_CALLBACK_GAS + uint32(quantity) * UNIT_CALLBACK_GAS;
+        }
+        validator.requestValidation(requestId, info.hash, validationSource, args, gasLimit);
     }
 
     /**
-    * @dev An internal function to be called by the donRouter.
+    * @return The IDs of the pending update requests of a batch.
+    */
+    function getPendingRequests(uint256 batchId) external view returns (bytes32[] memory) {
+        return _getPendingRequests(keccak256(abi.encode(batchId)));
+    }
+
+    /**
+    * @return The IDs of the pending requests creating new batches, harvested or derived.
+    */
+    function getPendingCreations() external view returns (bytes32[] memory) {
+        return _getPendingRequests(bytes32(0));
+    }
+
+    /**
+    * @dev Cancels a pending request on behalf of `account`, to be called by the `SupplyChain` contract.
+    * Only the account which submitted the request or an admin may cancel it.
+    */
+    function cancelRequestFor(bytes32 requestId, address account) external onlySupplyChain {
+        _cancelRequest(requestId, account);
+    }
+
+    /**
+    * @dev Resubmits an expired request on behalf of `account`, to be called by the `SupplyChain` contract.
+    * Only the account which submitted the request or an admin may resubmit it.
+    * @return The ID of the resubmitted request.
+    */
+    function resubmitRequestFor(bytes32 requestId, address account) external onlySupplyChain returns (bytes32) {
+        return _resubmitRequest(requestId, account);
+    }
+
+    function _isAdmin(address account) internal view override returns (bool) {
+        return acl.hasRole(ADMIN_ROLE, account);
+    }
+
+    function _forgetRequest(bytes32 requestId) internal override {
+        delete lastValidationRequest[requestId];
+        validator.cancelValidation(requestId);
+    }
+
+    function _resendRequest(bytes32 requestId) internal override returns (bytes32) {
+        RequestInfo memory info = lastValidationRequest[requestId];
+        delete lastValidationRequest[requestId];
+        validator.cancelValidation(requestId);
+        return validateMetadata(info);
+    }
+
+    /**
+    * @dev To be called by the validator with the answer to a request.
     * @param requestId validation request ID.
-    * @param response response from the DON Function.
-    * @param err from the DON Function (if any).
+    * @param response response from the validator.
+    * @param err from the validator (if any).
     */
-    function fulfillRequest(bytes32 requestId, bytes memory response, bytes memory err) internal override {
+    function fulfillValidation(bytes32 requestId, bytes calldata response, bytes calldata err) external {
+        if (msg.sender != address(validator)) revert Errors.UnexpectedAgent(msg.sender, address(validator));
         RequestInfo memory info = lastValidationRequest[requestId];
         if (bytes(info.hash).length == 0) revert Errors.UnexpectedRequestID(requestId);
-        
+        emit RequestFulfilled(requestId);
+        if (_settleRequest(requestId)) return;
+        delete lastValidationRequest[requestId];
+
         uint256 _batchId = info.batchId;
         string memory hash = info.hash;
 
@@ -246,30 +589,67 @@ contract BatchManager is FunctionsClient {
             return;
         }
 
+        // another update of the batch may have been accepted since the request was sent
+        if (!info.isNewCreation && !canTransition(_batchId, info.batch.state)) {
+            emit DataCertificationFailed(_batchId, hash, bytes("Invalid batch transition"));
+            return;
+        }
+        if (!info.isNewCreation && !isInspected(_batchId, info.batch.state)) {
+            emit DataCertificationFailed(_batchId, hash, bytes("Inspection required"));
+            return;
+        }
+
+        // the flags are not the caller's to set, the approval of an inspection holds until the batch leaves its stage
+        info.batch.isCertified = true;
+        info.batch.qualityControlApproved = !info.isNewCreation
+            && batchInfoForId[_batchId].qualityControlApproved
+            && (isIntermediateState(info.batch.state) || info.batch.state == stageOf(_batchId));
+
         if (info.isNewCreation) {
-            info.batch.isCertified = true;
             _batchId = batches.createBatch(info.registrar, hash); // Assumption: The Contract creates the batches on behalf of the farmers
             emit DataCertified(_batchId, hash, block.timestamp);
             emit BatchCreated(_batchId, hash, block.timestamp);
+            if (info.parentIds.length > 0) {
+                for (uint256 i = 0; i < info.parentIds.length; i++) {
+                    childBatches[info.parentIds[i]].push(_batchId);
+                }
+                parentBatches[_batchId] = info.parentIds;
+                returnStateForId[_batchId] = returnStateForId[info.parentIds[0]];
+                emit BatchDerived(_batchId, info.parentIds, block.timestamp);
+            }
         } else {
+            BatchState previous = batchInfoForId[_batchId].state;
+            if (isIntermediateState(info.batch.state) && !isIntermediateState(previous)) returnStateForId[_batchId] = previous;
             batches.updateBatch(_batchId, hash);
             emit BatchStatusUpdated(_batchId, info.batch.state, hash, block.timestamp);
+            // serializes the units planned for the batch, a failed mint leaving the units to `BatteryUnit.mintUnits`
+            if (info.batch.state == BatchState.Packaged && address(batteryUnit) != address(0)) {
+                try batteryUnit.mintPlannedUnits(_batchId) {} catch (bytes memory reason) {
+                    emit PlannedUnitsMintFailed(_batchId, reason);
+                }
+            }
         }
 
         batchInfoForId[_batchId] = info.batch;
-        delete lastValidationRequest[requestId];
+        batchHistory[_batchId].push(HistoryEntry({
+            state: info.batch.state,
+            hash: hash,
+            timestamp: block.timestamp,
+            registrar: info.submitter
+        }));
 
         (bool success, ) = supplyChainContract.call(abi.encodeWithSelector(info.callbackFunction, _batchId));
         if(!success) revert Errors.FulfillmentFailed();
     }
 
     /**
-    * @dev A guarded function to update the on-chain batch state, to be called by the `SupplyChain` contract.
-    * @param _batchId batch ID to set the batch for.
-    * @param batch new batch info itself.
+    * @dev Mirrors the latest inspection of a batch in `BatchInfo.qualityControlApproved`, to be called by the `QualityControl` contract.
+    * @param _batchId ID of the inspected batch.
+    * @param approved whether the batch passed the inspection.
     */
-    function setBatch(uint256 _batchId, BatchInfo calldata batch) external onlyAuthorizedContract {
-        batchInfoForId[_batchId] = batch;
+    function setQualityControlApproved(uint256 _batchId, bool approved) external {
+        if (msg.sender != address(qualityControl)) revert Errors.UnexpectedAgent(msg.sender, address(qualityControl));
+        batchInfoForId[_batchId].qualityControlApproved = approved;
     }
 
     /**
@@ -300,6 +680,13 @@ contract BatchManager is FunctionsClient {
         );
     }
 
+    /**
+    * @dev To get the full on-chain info of a batch, the public `batchInfoForId` getter omits the actor ID arrays.
+    */
+    function getBatchInfo(uint256 _batchId) external view returns (BatchInfo memory) {
+        return batchInfoForId[_batchId];
+    }
+
     /**
     * @dev To get the getBatchRawMaterialSupplierId of a particular batch, a read-only external function.
     */
@@ -320,4 +707,113 @@ contract BatchManager is FunctionsClient {
         supplyChainContract = _supplyChainAddress;
     }
 
+    /**
+    * @return Whether the state is an intermediate one i.e. storage, transit or processing.
+    */
+    function isIntermediateState(BatchState state) public pure returns (bool) {
+        return state == BatchState.InStorage || state == BatchState.InTransit || state == BatchState.InProcessing;
+    }
+
+    /**
+    * @return The stage of a batch, i.e. its state or the stage it left for storage, transit or processing.
+    */
+    function stageOf(uint256 _batchId) public view returns (BatchState) {
+        BatchState state = batchInfoForId[_batchId].state;
+        return isIntermediateState(state) ? returnStateForId[_batchId] : state;
+    }
+
+    /**
+    * @dev Checks a batch update against the inspections recorded in `QualityControl`.
+    * Storage, transit & processing do not leave the stage.
+    * @return Whether the batch may move to `to` as far as the quality control is concerned.
+    */
+    function isInspected(uint256 _batchId, BatchState to) public view returns (bool) {
+        if (address(qualityControl) == address(0) || isIntermediateState(to)) return true;
+        BatchState stage = stageOf(_batchId);
+        return to == stage || qualityControl.canLeave(_batchId, uint8(stage));
+    }
+
+    /**
+    * @dev Checks a batch update against the transition graph.
+    * A batch in an intermediate state may always return to the stage it was entered from.
+    * @param _batchId ID of the batch.
+    * @param to the requested state.
+    * @return Whether the batch may move from its current state to `to`.
+    */
+    function canTransition(uint256 _batchId, BatchState to) public view returns (bool) {
+        BatchState from = batchInfoForId[_batchId].state;
+        if (isIntermediateState(from) && to == returnStateForId[_batchId]) return true;
+        return allowedTransitions[uint8(from)][uint8(to)];
+    }
+
+    /**
+    * @dev A guarded function to allow or forbid a move in between two batch states.
+    * @param from state the batch is in.
+    * @param to state the batch moves to.
+    * @param allowed whether the move is allowed.
+    */
+    function setTransition(uint8 from, uint8 to, bool allowed) public onlyAdminRole {
+        if (!(from < BATCH_STATE_COUNT)) revert Errors.InvalidBatchStatus(from, BATCH_STATE_COUNT);
+        if (!(to < BATCH_STATE_COUNT)) revert Errors.InvalidBatchStatus(to, BATCH_STATE_COUNT);
+        _setTransition(from, to, allowed);
+    }
+
+    function _setTransition(uint8 from, uint8 to, bool allowed) internal {
+        allowedTransitions[from][to] = allowed;
+        emit BatchTransitionUpdated(from, to, allowed);
+    }
+
+    /**
+    * @dev A guarded function to choose the metadata validator, e.g. Chainlink Functions, signed attestations or an allowlist.
+    * Pending requests are only answered by the validator they were sent to.
+    * @param _validator address of an `IMetadataValidator`.
+    */
+    function setValidator(address _validator) public onlyAdminRole {
+        validator = IMetadataValidator(_validator);
+        emit ValidatorUpdated(_validator);
+    }
+
+    /**
+    * @dev A guarded function to set the `QualityControl` contract holding the inspections, the zero address lifting the requirement.
+    */
+    function setQualityControl(address _qualityControl) public onlyAdminRole {
+        qualityControl = QualityControl(_qualityControl);
+        emit QualityControlUpdated(_qualityControl);
+    }
+
+    /**
+    * @dev A guarded function to set the `BatteryUnit` collection minting the units planned for a batch as it reaches `Packaged`,
+    * the zero address leaving the units to be minted by hand.
+    */
+    function setBatteryUnit(address _batteryUnit) public onlyAdminRole {
+        batteryUnit = BatteryUnit(_batteryUnit);
+        emit BatteryUnitUpdated(_batteryUnit);
+    }
+
+    /**
+    * @dev A guarded function to change the base URL of the metadata validation API queried by the DON.
+    * @param baseUrl new base URL, without a trailing slash e.g. `https://trustifyscm.com/api`.
+    */
+    function setValidationBaseUrl(string calldata baseUrl) public onlyAdminRole {
+        validationBaseUrl = baseUrl;
+        emit ValidationBaseUrlUpdated(baseUrl);
+    }
+
+    /**
+    * @dev A guarded function to change the JavaScript source run by the DON to validate the metadata.
+    * The source receives the same `args` & may read the API key of the validation API from `secrets.apiKey`.
+    */
+    function setValidationSource(string calldata source) public onlyAdminRole {
+        validationSource = source;
+        emit ValidationSourceUpdated(source);
+    }
+
+    /**
+    * @dev A guarded function to change the gas available to process the validation answers.
+    */
+    function setCallbackGasLimit(uint32 _callbackGasLimit) public onlyAdminRole {
+        callbackGasLimit = _callbackGasLimit;
+        emit CallbackGasLimitUpdated(_callbackGasLimit);
+    }
+
 }
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { ONFT721Core } from "./onft721/ONFT721Core.sol";
+import { BatchManager } from "./BatchManager.sol";
+
+/**
+* @title The LayerZero transport of the batch records.
+* @dev Extends the ONFT721 payload `(toAddress, tokenIds)` with the token URI & the full `BatchInfo` of every batch,
+* so the records arrive intact on the destination chain. The payload starts with the ONFT721 fields,
+* leaving the crediting & the stored credits of `ONFT721Core` untouched.
+*/
+abstract contract BatchONFTCore is ONFT721Core {
+    constructor(uint256 _minGasToTransferAndStore, address _lzEndpoint)
+        ONFT721Core(_minGasToTransferAndStore, _lzEndpoint)
+    {}
+
+    /**
+    * @dev The record of a batch to send from this chain.
+    */
+    function _batchRecord(uint256 batchId) internal view virtual returns (string memory uri, BatchManager.BatchInfo memory info);
+
+    /**
+    * @dev To keep the record of a batch received from another chain, before it is credited.
+    */
+    function _storeBatchRecord(uint16 srcChainId, string memory uri, BatchManager.BatchInfo memory info) internal virtual;
+
+    function _encodePayload(bytes memory _toAddress, uint256[] memory _tokenIds) internal view returns (bytes memory) {
+        string[] memory uris = new string[](_tokenIds.length);
+        BatchManager.BatchInfo[] memory infos = new BatchManager.BatchInfo[](_tokenIds.length);
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            (uris[i], infos[i]) = _batchRecord(_tokenIds[i]);
+        }
+        return abi.encode(_toAddress, _tokenIds, uris, infos);
+    }
+
+    function estimateSendBatchFee(
+        uint16 _dstChainId,
+        bytes memory _toAddress,
+        uint256[] memory _tokenIds,
+        bool _useZro,
+        bytes memory _adapterParams
+    ) public view virtual override returns (uint256 nativeFee, uint256 zroFee) {
+        return lzEndpoint.estimateFees(_dstChainId, address(this), _encodePayload(_toAddress, _tokenIds), _useZro, _adapterParams);
+    }
+
+    function _send(
+        address _from,
+        uint16 _dstChainId,
+        bytes memory _toAddress,
+        uint256[] memory _tokenIds,
+        address payable _refundAddress,
+        address _zroPaymentAddress,
+        bytes memory _adapterParams
+    ) internal virtual override {
+        require(_tokenIds.length > 0, "tokenIds[] is empty");
+        require(_tokenIds.length == 1 || _tokenIds.length <= dstChainIdToBatchLimit[_dstChainId], "batch size exceeds dst batch limit");
+
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            _debitFrom(_from, _dstChainId, _toAddress, _tokenIds[i]);
+        }
+
+        bytes memory payload = _encodePayload(_toAddress, _tokenIds);
+
+        _checkGasLimit(_dstChainId, FUNCTION_TYPE_SEND, _adapterParams, dstChainIdToTransferGas[_dstChainId] * _tokenIds.length);
+        _lzSend(_dstChainId, payload, _refundAddress, _zroPaymentAddress, _adapterParams, msg.value);
+        emit SendToChain(_dstChainId, _from, _toAddress, _tokenIds);
+    }
+
+    function _nonblockingLzReceive(
+        uint16 _srcChainId,
+        bytes memory _srcAddress,
+        uint64 _nonce,
+        bytes memory _payload
+    ) internal virtual override {
+        (, , string[] memory uris, BatchManager.BatchInfo[] memory infos) =
+            abi.decode(_payload, (bytes, uint256[], string[], BatchManager.BatchInfo[]));
+        for (uint256 i = 0; i < infos.length; i++) {
+            _storeBatchRecord(_srcChainId, uris[i], infos[i]);
+        }
+        super._nonblockingLzReceive(_srcChainId, _srcAddress, _nonce, _payload);
+    }
+}
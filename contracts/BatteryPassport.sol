@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { AccessManager } from "./AccessManager.sol";
+import { BatchManager } from "./BatchManager.sol";
+import { Errors } from "./libraries/Errors.sol";
+
+/**
+* @title EU Battery Passport records.
+* @dev Holds the required passport fields of the packaged batches on-chain, next to the hash of the full passport document.
+*/
+contract BatteryPassport {
+    AccessManager public acl;
+    bytes32 immutable COMPANY_USER_ROLE;
+    BatchManager public batchManager;
+
+    modifier onlyCompanyUser() {
+        if (!acl.hasRole(COMPANY_USER_ROLE, msg.sender))
+            revert Errors.UnAuthorized("COMPANY_USER_ROLE");
+        _;
+    }
+
+    enum Chemistry {
+        LFP,
+        NMC,
+        NCA,
+        LMO,
+        LTO,
+        NiMH,
+        LeadAcid,
+        SodiumIon,
+        Other
+    }
+
+    enum CarbonFootprintClass {
+        A,
+        B,
+        C,
+        D,
+        E
+    }
+
+    uint16 public constant MAX_SHARE = 10000;
+
+    struct PassportRecord {
+        Chemistry chemistry;
+        CarbonFootprintClass carbonFootprintClass;
+        uint16 recycledContentShare; // in basis points
+        uint64 ratedCapacity; // in mAh
+        uint256 manufacturerId;
+        string hash;
+        uint256 timestamp;
+    }
+    mapping(uint256 => PassportRecord) private passports;
+
+    event PassportRecorded(uint256 indexed batchId, uint256 indexed manufacturerId, string hash, uint256 timestamp);
+
+    /**
+    * @dev Sets the ACL and the `BatchManager` holding the batches.
+    */
+    constructor(address aclAddress, address _batchManager) {
+        acl = AccessManager(aclAddress);
+        COMPANY_USER_ROLE = acl.COMPANY_USER_ROLE();
+        batchManager = BatchManager(_batchManager);
+    }
+
+    /**
+    * @dev To record the passport of a packaged batch.
+    * The manufacturer is the battery manufacturer assigned to the batch. The record may be corrected
+    * as long as the batch is `Packaged`, it is frozen once the batch moves on.
+    * @param batchId ID of the packaged batch.
+    * @param chemistry battery chemistry.
+    * @param carbonFootprintClass carbon footprint performance class.
+    * @param ratedCapacity rated capacity in mAh.
+    * @param recycledContentShare share of recycled content in basis points.
+    * @param hash hash of the full passport document.
+    */
+    function setPassport(
+        uint256 batchId,
+        Chemistry chemistry,
+        CarbonFootprintClass carbonFootprintClass,
+        uint64 ratedCapacity,
+        uint16 recycledContentShare,
+        string calldata hash
+    )
+        public
+        onlyCompanyUser
+    {
+        if (!batchManager.batches().idExists(batchId)) revert Errors.InvalidTokenId();
+        BatchManager.BatchInfo memory batch = batchManager.getBatchInfo(batchId);
+        if (batch.state != BatchManager.BatchState.Packaged) revert Errors.BatchNotPackaged(batchId);
+        if (ratedCapacity == 0) revert Errors.InvalidPassportField("ratedCapacity");
+        if (recycledContentShare > MAX_SHARE) revert Errors.OutOfBounds(recycledContentShare, MAX_SHARE);
+        if (bytes(hash).length == 0) revert Errors.InvalidPassportField("hash");
+
+        passports[batchId] = PassportRecord({
+            chemistry: chemistry,
+            carbonFootprintClass: carbonFootprintClass,
+            recycledContentShare: recycledContentShare,
+            ratedCapacity: ratedCapacity,
+            manufacturerId: batch.batteryManufacturerId,
+            hash: hash,
+            timestamp: block.timestamp
+        });
+        emit PassportRecorded(batchId, batch.batteryManufacturerId, hash, block.timestamp);
+    }
+
+    /**
+    * @return Whether a passport has been recorded for the batch or not.
+    */
+    function hasPassport(uint256 batchId) public view returns (bool) {
+        return passports[batchId].timestamp != 0;
+    }
+
+    /**
+    * @dev To get the passport record of a batch, reverts with `PassportNotFound` if none was recorded.
+    */
+    function getPassport(uint256 batchId) external view returns (PassportRecord memory) {
+        if (!hasPassport(batchId)) revert Errors.PassportNotFound(batchId);
+        return passports[batchId];
+    }
+
+    /**
+    * @dev To get the URI of the full passport document of a batch.
+    */
+    function passportURI(uint256 batchId) external view returns (string memory) {
+        if (!hasPassport(batchId)) revert Errors.PassportNotFound(batchId);
+        return string.concat("ipfs://", passports[batchId].hash);
+    }
+}
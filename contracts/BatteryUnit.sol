@@ -0,0 +1,182 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { ONFT721A } from "./onft721/ONFT721A.sol";
+import { AccessManager } from "./AccessManager.sol";
+import { BatchManager } from "./BatchManager.sol";
+import { Errors } from "./libraries/Errors.sol";
+
+/**
+* @title An ERC721A collection of serialized battery units.
+* @dev Each unit token stands for a single battery pack of a packaged batch. Unlike the soul-bound batches,
+* units are transferable, down to the end consumers proving their ownership for warranties & recalls.
+* Serial numbers are minted sequentially, every mint recording the range of units of a batch.
+* The units planned for a batch are minted by the `BatchManager` as the batch reaches `Packaged`,
+* company users topping them up with `mintUnits`.
+*/
+contract BatteryUnit is ONFT721A {
+    AccessManager public acl;
+    bytes32 immutable COMPANY_USER_ROLE;
+    BatchManager public batchManager;
+
+    modifier onlyCompanyUser() {
+        if (!acl.hasRole(COMPANY_USER_ROLE, msg.sender))
+            revert Errors.UnAuthorized("COMPANY_USER_ROLE");
+        _;
+    }
+
+    // bounds the ownership lookups ERC721A performs on the transfers of a large mint
+    uint256 public constant MAX_UNITS_PER_MINT = 100;
+
+    struct UnitRange {
+        uint256 batchId;
+        uint256 firstUnitId;
+        uint256 quantity;
+    }
+    // in the order of the serial numbers
+    UnitRange[] private unitRanges;
+    mapping(uint256 => uint256[]) private rangesOfBatch;
+
+    // units to mint once the batch is packaged
+    struct UnitPlan {
+        address to;
+        uint256 quantity;
+    }
+    mapping(uint256 => UnitPlan) private plannedUnits;
+
+    event UnitsPlanned(uint256 indexed batchId, address indexed to, uint256 quantity);
+    event UnitsMinted(uint256 indexed batchId, address indexed to, uint256 firstUnitId, uint256 quantity);
+
+    /**
+    * @dev Sets the ACL, the `BatchManager` holding the batches & the LayerZero configuration.
+    */
+    constructor(address aclAddress, address _batchManager, uint256 _minGasToTransferAndStore, address _lzEndpoint)
+        ONFT721A("BatteryUnit", "BU", _minGasToTransferAndStore, _lzEndpoint)
+    {
+        acl = AccessManager(aclAddress);
+        COMPANY_USER_ROLE = acl.COMPANY_USER_ROLE();
+        batchManager = BatchManager(_batchManager);
+    }
+
+    /**
+    * @dev To set the units to serialize as a batch reaches `Packaged`, minted by `mintPlannedUnits`.
+    * Replaces the previous plan of the batch, a zero quantity withdrawing it. The callback gas of the update to `Packaged`
+    * covers the units planned as it is sent.
+    * @param batchId ID of the batch, not packaged yet.
+    * @param to receiver of the units e.g. the battery manufacturer, not the zero address.
+    * @param quantity number of units to mint, at most `MAX_UNITS_PER_MINT`.
+    */
+    function planUnits(uint256 batchId, address to, uint256 quantity) external onlyCompanyUser {
+        if (!batchManager.batches().idExists(batchId)) revert Errors.InvalidTokenId();
+        if (quantity > MAX_UNITS_PER_MINT) revert Errors.OutOfBounds(quantity, MAX_UNITS_PER_MINT);
+        if (to == address(0)) revert Errors.InvalidUnitReceiver(to);
+        // the stage a batch in storage, transit or processing returns to
+        if (uint8(batchManager.stageOf(batchId)) >= uint8(BatchManager.BatchState.Packaged)) revert Errors.BatchAlreadyPackaged(batchId);
+        plannedUnits[batchId] = UnitPlan({ to: to, quantity: quantity });
+        emit UnitsPlanned(batchId, to, quantity);
+    }
+
+    /**
+    * @return to receiver & quantity of the units to mint once the batch is packaged.
+    */
+    function getPlannedUnits(uint256 batchId) external view returns (address to, uint256 quantity) {
+        UnitPlan memory plan = plannedUnits[batchId];
+        return (plan.to, plan.quantity);
+    }
+
+    /**
+    * @dev Mints the units planned for a batch, called by the `BatchManager` as the batch reaches `Packaged`.
+    * Minted without the receiver check, a receiving contract cannot reject the units of the validated batch.
+    */
+    function mintPlannedUnits(uint256 batchId) external {
+        if (msg.sender != address(batchManager)) revert Errors.UnexpectedAgent(msg.sender, address(batchManager));
+        UnitPlan memory plan = plannedUnits[batchId];
+        if (plan.quantity == 0) return;
+        delete plannedUnits[batchId];
+        _recordUnits(batchId, plan.to, plan.quantity);
+        _mint(plan.to, plan.quantity);
+    }
+
+    /**
+    * @dev To serialize the units of a packaged batch. May be called several times for a batch, each mint
+    * is numbered after the previous units.
+    * @param batchId ID of the packaged batch.
+    * @param to receiver of the units e.g. the battery manufacturer.
+    * @param quantity number of units to mint, at most `MAX_UNITS_PER_MINT`.
+    * @return firstUnitId the serial number of the first unit minted.
+    */
+    function mintUnits(uint256 batchId, address to, uint256 quantity)
+        external
+        onlyCompanyUser
+        returns (uint256 firstUnitId)
+    {
+        if (!batchManager.batches().idExists(batchId)) revert Errors.InvalidTokenId();
+        if (batchManager.getBatchInfo(batchId).state != BatchManager.BatchState.Packaged) revert Errors.BatchNotPackaged(batchId);
+        if (quantity == 0 || quantity > MAX_UNITS_PER_MINT) revert Errors.OutOfBounds(quantity, MAX_UNITS_PER_MINT);
+
+        firstUnitId = _recordUnits(batchId, to, quantity);
+        _safeMint(to, quantity);
+    }
+
+    /**
+    * @dev Links the units about to be minted to their batch.
+    */
+    function _recordUnits(uint256 batchId, address to, uint256 quantity) internal returns (uint256 firstUnitId) {
+        firstUnitId = _nextTokenId();
+        rangesOfBatch[batchId].push(unitRanges.length);
+        unitRanges.push(UnitRange({ batchId: batchId, firstUnitId: firstUnitId, quantity: quantity }));
+        emit UnitsMinted(batchId, to, firstUnitId, quantity);
+    }
+
+    /**
+    * @dev To get the batch a unit was serialized under, reverts with `InvalidTokenId` for unknown units.
+    */
+    function batchOfUnit(uint256 unitId) public view returns (uint256) {
+        if (!(unitId < _nextTokenId())) revert Errors.InvalidTokenId();
+        // the last range starting at or before the unit
+        uint256 low = 0;
+        uint256 high = unitRanges.length - 1;
+        while (low < high) {
+            uint256 mid = (low + high + 1) / 2;
+            if (unitRanges[mid].firstUnitId <= unitId) low = mid;
+            else high = mid - 1;
+        }
+        return unitRanges[low].batchId;
+    }
+
+    /**
+    * @dev To get the serial numbers of the units of a batch, as ranges of consecutive units.
+    * @return firstUnitIds the first unit of every range.
+    * @return quantities the number of units of every range.
+    */
+    function getBatchUnits(uint256 batchId)
+        external
+        view
+        returns (uint256[] memory firstUnitIds, uint256[] memory quantities)
+    {
+        uint256[] storage ranges = rangesOfBatch[batchId];
+        firstUnitIds = new uint256[](ranges.length);
+        quantities = new uint256[](ranges.length);
+        for (uint256 i = 0; i < ranges.length; i++) {
+            firstUnitIds[i] = unitRanges[ranges[i]].firstUnitId;
+            quantities[i] = unitRanges[ranges[i]].quantity;
+        }
+    }
+
+    /**
+    * @dev To get the number of units serialized under a batch.
+    */
+    function getBatchUnitCount(uint256 batchId) external view returns (uint256 count) {
+        uint256[] storage ranges = rangesOfBatch[batchId];
+        for (uint256 i = 0; i < ranges.length; i++) {
+            count += unitRanges[ranges[i]].quantity;
+        }
+    }
+
+    /**
+    * @dev A unit shares the metadata of its batch.
+    */
+    function tokenURI(uint256 unitId) public view override returns (string memory) {
+        return batchManager.getBatchURI(batchOfUnit(unitId));
+    }
+}
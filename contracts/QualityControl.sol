@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { AccessManager } from "./AccessManager.sol";
+import { BatchManager } from "./BatchManager.sol";
+import { Errors } from "./libraries/Errors.sol";
+
+/**
+* @title Quality-control inspections of the batches.
+* @dev Records the inspections of each batch per stage, consulted by the `BatchManager` before a batch leaves a stage
+* requiring an inspection, `Processed` & `Packaged` by default.
+*/
+contract QualityControl {
+    AccessManager public acl;
+    bytes32 immutable QC_INSPECTOR_ROLE;
+    bytes32 immutable ADMIN_ROLE;
+    BatchManager public batchManager;
+
+    modifier onlyQcInspector() {
+        if (!acl.hasRole(QC_INSPECTOR_ROLE, msg.sender))
+            revert Errors.UnAuthorized("QC_INSPECTOR_ROLE");
+        _;
+    }
+
+    modifier onlyAdminRole() {
+        if (!acl.hasRole(ADMIN_ROLE, msg.sender))
+            revert Errors.UnAuthorized("ADMIN_ROLE");
+        _;
+    }
+
+    struct Inspection {
+        bool passed;
+        string reportHash;
+        address inspector;
+        uint256 timestamp;
+    }
+    // batch ID => stage => inspections, the latest one prevailing
+    mapping(uint256 => mapping(uint8 => Inspection[])) private inspections;
+    mapping(uint8 => bool) public inspectionRequired;
+
+    event InspectionRecorded(
+        uint256 indexed batchId,
+        uint8 indexed stage,
+        bool passed,
+        string reportHash,
+        address indexed inspector,
+        uint256 timestamp
+    );
+    event InspectionRequirementUpdated(uint8 indexed stage, bool required);
+
+    /**
+    * @dev Sets the ACL and the `BatchManager` holding the batches.
+    * An inspection is required to leave `Processed` & `Packaged`.
+    */
+    constructor(address aclAddress, address _batchManager) {
+        acl = AccessManager(aclAddress);
+        QC_INSPECTOR_ROLE = acl.QC_INSPECTOR_ROLE();
+        ADMIN_ROLE = acl.ADMIN_ROLE();
+        batchManager = BatchManager(_batchManager);
+
+        _setInspectionRequired(uint8(BatchManager.BatchState.Processed), true);
+        _setInspectionRequired(uint8(BatchManager.BatchState.Packaged), true);
+    }
+
+    /**
+    * @dev To record the inspection of a batch at its current stage, i.e. its state or the stage it left for
+    * storage, transit or processing. A failed inspection may be followed by another one once the batch is reworked.
+    * The result is mirrored in `BatchInfo.qualityControlApproved`.
+    * @param batchId ID of the inspected batch.
+    * @param stage stage the batch was inspected at.
+    * @param passed whether the batch passed the inspection.
+    * @param reportHash hash of the inspection report.
+    */
+    function recordInspection(uint256 batchId, BatchManager.BatchState stage, bool passed, string calldata reportHash)
+        public
+        onlyQcInspector
+    {
+        if (!batchManager.batches().idExists(batchId)) revert Errors.InvalidTokenId();
+        BatchManager.BatchInfo memory batch = batchManager.getBatchInfo(batchId);
+        BatchManager.BatchState current = batchManager.isIntermediateState(batch.state)
+            ? batchManager.returnStateForId(batchId)
+            : batch.state;
+        if (stage != current) revert Errors.InvalidInspectionStage(batchId, uint8(stage));
+
+        inspections[batchId][uint8(stage)].push(Inspection({
+            passed: passed,
+            reportHash: reportHash,
+            inspector: msg.sender,
+            timestamp: block.timestamp
+        }));
+        batchManager.setQualityControlApproved(batchId, passed);
+        emit InspectionRecorded(batchId, uint8(stage), passed, reportHash, msg.sender, block.timestamp);
+    }
+
+    /**
+    * @dev To get the inspections of a batch at a stage, in the order they were recorded.
+    */
+    function getInspections(uint256 batchId, uint8 stage) external view returns (Inspection[] memory) {
+        return inspections[batchId][stage];
+    }
+
+    /**
+    * @return Whether the latest inspection of the batch at the stage passed or not.
+    */
+    function hasPassed(uint256 batchId, uint8 stage) public view returns (bool) {
+        Inspection[] storage stageInspections = inspections[batchId][stage];
+        return stageInspections.length > 0 && stageInspections[stageInspections.length - 1].passed;
+    }
+
+    /**
+    * @return Whether the batch may leave the stage, i.e. no inspection is required or the latest one passed.
+    */
+    function canLeave(uint256 batchId, uint8 stage) external view returns (bool) {
+        return !inspectionRequired[stage] || hasPassed(batchId, stage);
+    }
+
+    /**
+    * @dev A guarded function to require, or not, a passed inspection before a batch leaves a stage.
+    */
+    function setInspectionRequired(uint8 stage, bool required) public onlyAdminRole {
+        uint8 stateCount = batchManager.BATCH_STATE_COUNT();
+        if (!(stage < stateCount)) revert Errors.InvalidBatchStatus(stage, stateCount);
+        _setInspectionRequired(stage, required);
+    }
+
+    function _setInspectionRequired(uint8 stage, bool required) internal {
+        inspectionRequired[stage] = required;
+        emit InspectionRequirementUpdated(stage, required);
+    }
+}
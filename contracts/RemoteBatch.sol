@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { ERC721 } from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import { BatchONFTCore } from "./BatchONFTCore.sol";
+import { ONFT721Core } from "./onft721/ONFT721Core.sol";
+import { BatchManager } from "./BatchManager.sol";
+import { Errors } from "./libraries/Errors.sol";
+
+/**
+* @title The copies of the batches on the other chains.
+* @dev A soul-bound ERC721 holding the records bridged from the home chain `BatchBridge`.
+* A batch received again refreshes its record & goes to the new receiver, the home chain being authoritative.
+* Holders may pass their copy on to another chain, the copy is then locked by this contract.
+*/
+contract RemoteBatch is BatchONFTCore, ERC721 {
+    struct BatchRecord {
+        BatchManager.BatchInfo info;
+        string uri;
+        uint16 srcChainId;
+    }
+    mapping(uint256 => BatchRecord) private records;
+
+    event BatchRecordReceived(uint16 indexed srcChainId, uint256 indexed batchId, BatchManager.BatchState state, string uri);
+
+    /**
+    * @dev Sets the LayerZero configuration.
+    */
+    constructor(uint256 _minGasToTransferAndStore, address _lzEndpoint)
+        BatchONFTCore(_minGasToTransferAndStore, _lzEndpoint)
+        ERC721("Batch", "B")
+    {}
+
+    /**
+    * @dev To get the bridged `BatchInfo` of a batch.
+    */
+    function getBatchInfo(uint256 batchId) external view returns (BatchManager.BatchInfo memory) {
+        if (_ownerOf(batchId) == address(0)) revert Errors.InvalidTokenId();
+        return records[batchId].info;
+    }
+
+    /**
+    * @dev To get the chain the latest record of a batch was received from.
+    */
+    function getSourceChain(uint256 batchId) external view returns (uint16) {
+        if (_ownerOf(batchId) == address(0)) revert Errors.InvalidTokenId();
+        return records[batchId].srcChainId;
+    }
+
+    /**
+    * @return The token URI of the batch on the home chain.
+    */
+    function tokenURI(uint256 batchId) public view override returns (string memory) {
+        _requireOwned(batchId);
+        return records[batchId].uri;
+    }
+
+    function _batchRecord(uint256 batchId)
+        internal
+        view
+        override
+        returns (string memory uri, BatchManager.BatchInfo memory info)
+    {
+        return (records[batchId].uri, records[batchId].info);
+    }
+
+    function _storeBatchRecord(uint16 srcChainId, string memory uri, BatchManager.BatchInfo memory info) internal override {
+        BatchRecord storage record = records[info.batchId];
+        record.info = info;
+        record.uri = uri;
+        record.srcChainId = srcChainId;
+        emit BatchRecordReceived(srcChainId, info.batchId, info.state, uri);
+    }
+
+    function _debitFrom(address _from, uint16, bytes memory, uint256 _tokenId) internal override {
+        address owner = _ownerOf(_tokenId);
+        if (owner != _from) revert Errors.UnexpectedAgent(_from, owner);
+        _checkAuthorized(owner, _msgSender(), _tokenId);
+        _update(address(this), _tokenId, address(0));
+    }
+
+    function _creditTo(uint16, address _toAddress, uint256 _tokenId) internal override {
+        address owner = _ownerOf(_tokenId);
+        if (owner == address(0)) {
+            _mint(_toAddress, _tokenId);
+        } else if (owner != _toAddress) {
+            _update(_toAddress, _tokenId, address(0));
+        }
+    }
+
+    /**
+    * @dev Reverts with `SoulBoundTransferNotAllowed`.
+    */
+    function transferFrom(address /*from*/, address /*to*/, uint256 /*tokenId*/) public pure override {
+        revert Errors.SoulBoundTransferNotAllowed();
+    }
+
+    /**
+    * @dev Reverts with `SoulBoundTransferNotAllowed`.
+    */
+    function safeTransferFrom(address /*from*/, address /*to*/, uint256 /*tokenId*/, bytes memory /*data*/) public pure override {
+        revert Errors.SoulBoundTransferNotAllowed();
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ONFT721Core, ERC721) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+}
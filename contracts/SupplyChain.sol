@@ -7,7 +7,7 @@ import { AccessManager } from "./AccessManager.sol";
 import { BatchManager } from "./BatchManager.sol";
 import { ActorsManager } from "./ActorsManager.sol";
 import { Actor } from "./Actor.sol";
-import { Errors } from "./Errors.sol";
+import { Errors } from "./libraries/Errors.sol";
 
 /**
 * @title The Core NFT based SupplyChain.
@@ -42,13 +42,24 @@ contract SupplyChain {
     mapping(uint256 => BatchIdsForActors) private batteryManufacturers;
     mapping(uint256 => BatchIdsForActors) private distributors;
     mapping(uint256 => BatchIdsForActors) private retailers;
+    mapping(uint256 => BatchIdsForActors) private collectors;
+    mapping(uint256 => BatchIdsForActors) private recyclers;
+
+    // the actors handling a batch at the end of its life, assigned ahead of the stages like the `BatchInfo` actors
+    struct EndOfLifeActors {
+        uint256 collectorId;
+        uint256 recyclerId;
+    }
+    mapping(uint256 => EndOfLifeActors) public endOfLifeActorsForId;
+
+    event EndOfLifeActorAssigned(uint256 indexed batchId, uint8 indexed actorType, uint256 actorId);
 
     /**
     * @dev Sets the ACL and determines the hash AUTHORIZED_CONTRACT_ROLE.
-    * And handles the deployment of the `BatchManager` contract.
+    * And handles the deployment of the `BatchManager` contract, validated by `_validator`.
     */
-    constructor(address aclAddress, address _actorsManager, bytes32 _donId, address _donRouter, uint64 _donSubscriptionId) {
-        batchManager = new BatchManager(aclAddress, address(this), _donId, _donRouter, _donSubscriptionId);
+    constructor(address aclAddress, address _actorsManager, address _validator) {
+        batchManager = new BatchManager(aclAddress, address(this), _validator);
 
         acl = AccessManager(aclAddress);
         COMPANY_USER_ROLE = acl.COMPANY_USER_ROLE();
@@ -71,6 +82,7 @@ contract SupplyChain {
     /**
     * @dev A callback function to be called by the `BatchManager` upon the dynamic batch update metadata validation.
     * Note that the on-chain info is managed by the `BatchManager` in sync with this function.
+    * Also called upon the creation of the batches split or merged from others, a batch derived from harvested ones being logged to its supplier.
     * @param _batchId ID of the updated batch.
     * @return The success status if the batch is logged to the new actor, upon a failure it reverts with `FulfillmentFailed`.
     */
@@ -89,7 +101,9 @@ contract SupplyChain {
             uint256[] memory retailerIds
         ) = batchManager.getUpdatedBatchActors(_batchId);
 
-        if (state == BatchManager.BatchState.Processed) {
+        if (state == BatchManager.BatchState.Harvested) {
+            return rawMaterialSuppliers[batchManager.getBatchRawMaterialSupplierId(_batchId)].batchIds.add(_batchId);
+        } else if (state == BatchManager.BatchState.Processed) {
             return rawProcessors[rawProcessorId].batchIds.add(_batchId);
         } else if (state == BatchManager.BatchState.Packaged) {
             return batteryManufacturers[batteryManufacturerId].batchIds.add(_batchId);
@@ -99,6 +113,10 @@ contract SupplyChain {
         } else if (state == BatchManager.BatchState.AtRetailers) {
             uint256 retailerAdded = retailerIds[retailersCount - 1];
             return retailers[retailerAdded].batchIds.add(_batchId);
+        } else if (state == BatchManager.BatchState.Collected) {
+            return collectors[endOfLifeActorsForId[_batchId].collectorId].batchIds.add(_batchId);
+        } else if (state == BatchManager.BatchState.Recycled) {
+            return recyclers[endOfLifeActorsForId[_batchId].recyclerId].batchIds.add(_batchId);
         }
         return true; // Batch Update not necessary for intermediary stages i.e storage/transit etc
     }
@@ -109,7 +127,45 @@ contract SupplyChain {
     * @param hash hash of the harvested batch.
     */
     function addHarvestedBatch(uint256 rawProcessorId, string calldata hash) public onlyCompanyUser {
-        batchManager.createBatch(rawProcessorId, hash, this.performBatchCreation.selector);
+        _checkActor(ActorsManager.ActorType.RawMaterialSupplier, rawProcessorId);
+        _checkAssignable(ActorsManager.ActorType.RawMaterialSupplier, rawProcessorId);
+        batchManager.createBatch(rawProcessorId, hash, this.performBatchCreation.selector, msg.sender);
+    }
+
+    /**
+    * @dev To add a newly harvested batch made of the material recovered from recycled batches.
+    * The recycled batches are recorded as its parents in `BatchManager`, which traces the recycled content.
+    * @param rawMaterialSupplierId ID of the supplier of the recovered material.
+    * @param recycledBatchIds IDs of the `Recycled` batches the material was recovered from.
+    * @param hash hash of the harvested batch.
+    */
+    function addRecycledBatch(uint256 rawMaterialSupplierId, uint256[] calldata recycledBatchIds, string calldata hash)
+        public
+        onlyCompanyUser
+    {
+        _checkActor(ActorsManager.ActorType.RawMaterialSupplier, rawMaterialSupplierId);
+        _checkAssignable(ActorsManager.ActorType.RawMaterialSupplier, rawMaterialSupplierId);
+        batchManager.createRecycledBatch(rawMaterialSupplierId, recycledBatchIds, hash, this.performBatchCreation.selector, msg.sender);
+    }
+
+    /**
+    * @dev To assign the collector or the recycler of a batch, ahead of its collection or recycling.
+    * @param batchId ID of the batch.
+    * @param actorType `Collector` or `Recycler`.
+    * @param actorId ID of the actor.
+    */
+    function assignEndOfLifeActor(uint256 batchId, ActorsManager.ActorType actorType, uint256 actorId) public onlyCompanyUser {
+        if (!batchManager.batches().idExists(batchId)) revert Errors.InvalidTokenId();
+        _checkActor(actorType, actorId);
+        _checkAssignable(actorType, actorId);
+        if (actorType == ActorsManager.ActorType.Collector) {
+            endOfLifeActorsForId[batchId].collectorId = actorId;
+        } else if (actorType == ActorsManager.ActorType.Recycler) {
+            endOfLifeActorsForId[batchId].recyclerId = actorId;
+        } else {
+            revert Errors.InvalidActorType(uint8(actorType), actorsManager.ACTOR_TYPE_COUNT());
+        }
+        emit EndOfLifeActorAssigned(batchId, uint8(actorType), actorId);
     }
 
     /**
@@ -122,7 +178,212 @@ contract SupplyChain {
         public
         onlyCompanyUser
     {
-        batchManager.updateBatch(_batch, hash, this.performBatchUpdate.selector);
+        _checkBatchActors(_batch);
+        _checkStageActor(_batch);
+        batchManager.updateBatch(_batch, hash, this.performBatchUpdate.selector, msg.sender);
+    }
+
+    /**
+    * @dev To split a batch e.g. a processed lot feeding several cell batches.
+    * Creates a child batch per hash, each starting from the info of the parent & validated on its own.
+    * @param batchId ID of the batch to split.
+    * @param hashes hashes of the child batches, at most 100.
+    */
+    function splitBatch(uint256 batchId, string[] calldata hashes) public onlyCompanyUser {
+        if (hashes.length > 100) revert Errors.OutOfBounds(hashes.length, 100);
+        uint256[] memory parentIds = new uint256[](1);
+        parentIds[0] = batchId;
+        for (uint256 i = 0; i < hashes.length; i++) {
+            batchManager.createChildBatch(parentIds, hashes[i], this.performBatchUpdate.selector, msg.sender);
+        }
+    }
+
+    /**
+    * @dev To merge batches in the same state e.g. cells from several suppliers combined into a pack batch.
+    * The merged batch starts from the info of the first batch.
+    * @param batchIds IDs of the batches to merge.
+    * @param hash hash of the merged batch.
+    */
+    function mergeBatches(uint256[] calldata batchIds, string calldata hash) public onlyCompanyUser {
+        batchManager.createChildBatch(batchIds, hash, this.performBatchUpdate.selector, msg.sender);
+    }
+
+    /**
+    * @dev To let a registered actor submit an update of a batch it is responsible for, without a company user.
+    * An actor moves a batch into the stage it was assigned to by the company users in `BatchManager.batchInfoForId`:
+    * the raw processor marks it `Processed`, the battery manufacturer `Packaged`, and the next distributor (retailer)
+    * listed in `distributorIds` (`retailerIds`) records its receipt. Storage, transit, processing & the sale to customers
+    * are recorded by the actor of the current stage. The actor assignments themselves cannot be changed this way.
+    * @param actorType type of the submitting actor.
+    * @param actorId ID of the submitting actor, held or operated by the caller.
+    * @param batchId ID of the batch.
+    * @param state state to move the batch to.
+    * @param hash updated hash of the batch.
+    */
+    function submitBatchUpdate(
+        uint8 actorType,
+        uint256 actorId,
+        uint256 batchId,
+        BatchManager.BatchState state,
+        string calldata hash
+    )
+        public
+    {
+        if (!(actorType < actorsManager.ACTOR_TYPE_COUNT())) revert Errors.InvalidActorType(actorType, actorsManager.ACTOR_TYPE_COUNT());
+        Actor actor = actorsManager.actors(actorType);
+        if (!actor.idExists(actorId)) revert Errors.InvalidActorId(actorType, actorId);
+        // the ID of a deactivated actor is burned, leaving no holder to report
+        if (!actorsManager.isActive(actorType, actorId)) revert Errors.ActorNotActive(actorType, actorId);
+        if (!actorsManager.isOperator(actorType, actorId, msg.sender)) revert Errors.UnexpectedAgent(msg.sender, actor.ownerOf(actorId));
+
+        BatchManager.BatchInfo memory batch = batchManager.getBatchInfo(batchId);
+        batch.batchId = batchId;
+        (bool found, ActorsManager.ActorType responsibleType, uint256 responsibleId) = _responsibleActor(batch, state);
+        if (!(found && uint8(responsibleType) == actorType && responsibleId == actorId))
+            revert Errors.NotResponsibleActor(actorType, actorId, batchId);
+
+        batch.state = state;
+        _checkStageActor(batch);
+        batchManager.updateBatch(batch, hash, this.performBatchUpdate.selector, msg.sender);
+    }
+
+    /**
+    * @dev To cancel a pending validation request of a batch, only the account which submitted it or an admin may cancel it,
+    * be it a company user or an actor through `submitBatchUpdate`.
+    * @param requestId ID of the request, see `BatchManager.getPendingRequests` & `getPendingCreations`.
+    */
+    function cancelValidationRequest(bytes32 requestId) public {
+        batchManager.cancelRequestFor(requestId, msg.sender);
+    }
+
+    /**
+    * @dev To send an expired validation request of a batch again, only the account which submitted it or an admin may resubmit it.
+    * @param requestId ID of the expired request.
+    * @return The ID of the resubmitted request.
+    */
+    function resubmitValidationRequest(bytes32 requestId) public returns (bytes32) {
+        return batchManager.resubmitRequestFor(requestId, msg.sender);
+    }
+
+    /**
+    * @dev Reverts with `InvalidActorId` unless the actor ID was issued in the collection of the actor type.
+    */
+    function _checkActor(ActorsManager.ActorType actorType, uint256 actorId) internal view {
+        if (!actorsManager.actors(uint8(actorType)).idExists(actorId)) revert Errors.InvalidActorId(uint8(actorType), actorId);
+    }
+
+    /**
+    * @dev Reverts with `ActorNotActive` unless the actor is active, with `ActorNotCertified` unless it holds a valid
+    * certificate of every type required for its type.
+    */
+    function _checkAssignable(ActorsManager.ActorType actorType, uint256 actorId) internal view {
+        if (!actorsManager.isActive(uint8(actorType), actorId)) revert Errors.ActorNotActive(uint8(actorType), actorId);
+        if (!actorsManager.isCertified(uint8(actorType), actorId)) revert Errors.ActorNotCertified(uint8(actorType), actorId);
+    }
+
+    /**
+    * @dev Checks the status & certificates of the actor a batch update assigns the new stage to, as logged by `performBatchUpdate`.
+    */
+    function _checkStageActor(BatchManager.BatchInfo memory batch) internal view {
+        BatchManager.BatchState state = batch.state;
+        if (state == BatchManager.BatchState.Processed) {
+            _checkAssignable(ActorsManager.ActorType.RawProcessorId, batch.rawProcessorId);
+        } else if (state == BatchManager.BatchState.Packaged) {
+            _checkAssignable(ActorsManager.ActorType.BatteryManufacturer, batch.batteryManufacturerId);
+        } else if (state == BatchManager.BatchState.AtDistributors && batch.distributorsCount > 0) {
+            _checkAssignable(ActorsManager.ActorType.Distributor, batch.distributorIds[batch.distributorsCount - 1]);
+        } else if (state == BatchManager.BatchState.AtRetailers && batch.retailersCount > 0) {
+            _checkAssignable(ActorsManager.ActorType.Retailer, batch.retailerIds[batch.retailersCount - 1]);
+        } else if (state == BatchManager.BatchState.Collected) {
+            _checkAssignable(ActorsManager.ActorType.Collector, endOfLifeActorsForId[batch.batchId].collectorId);
+        } else if (state == BatchManager.BatchState.Recycled) {
+            _checkAssignable(ActorsManager.ActorType.Recycler, endOfLifeActorsForId[batch.batchId].recyclerId);
+        }
+    }
+
+    /**
+    * @dev Checks the actor IDs referenced by a batch update.
+    * As unassigned IDs default to 0, an unchanged ID is only checked when the update moves the batch to its stage.
+    * The distributors (retailers) count cannot exceed their IDs, nor be zero as the batch moves to their stage.
+    */
+    function _checkBatchActors(BatchManager.BatchInfo calldata _batch) internal view {
+        _checkActorsCount(ActorsManager.ActorType.Distributor, _batch.distributorsCount, _batch.distributorIds.length,
+            _batch.state == BatchManager.BatchState.AtDistributors);
+        _checkActorsCount(ActorsManager.ActorType.Retailer, _batch.retailersCount, _batch.retailerIds.length,
+            _batch.state == BatchManager.BatchState.AtRetailers);
+        (, uint256 rawProcessorId, uint256 batteryManufacturerId, , , , ) = batchManager.getUpdatedBatchActors(_batch.batchId);
+
+        if (_batch.rawMaterialSupplierId != batchManager.getBatchRawMaterialSupplierId(_batch.batchId))
+            _checkActor(ActorsManager.ActorType.RawMaterialSupplier, _batch.rawMaterialSupplierId);
+        if (_batch.rawProcessorId != rawProcessorId || _batch.state == BatchManager.BatchState.Processed)
+            _checkActor(ActorsManager.ActorType.RawProcessorId, _batch.rawProcessorId);
+        if (_batch.batteryManufacturerId != batteryManufacturerId || _batch.state == BatchManager.BatchState.Packaged)
+            _checkActor(ActorsManager.ActorType.BatteryManufacturer, _batch.batteryManufacturerId);
+        for (uint256 i = 0; i < _batch.distributorIds.length; i++) {
+            _checkActor(ActorsManager.ActorType.Distributor, _batch.distributorIds[i]);
+        }
+        for (uint256 i = 0; i < _batch.retailerIds.length; i++) {
+            _checkActor(ActorsManager.ActorType.Retailer, _batch.retailerIds[i]);
+        }
+        if (_batch.state == BatchManager.BatchState.Collected)
+            _checkActor(ActorsManager.ActorType.Collector, endOfLifeActorsForId[_batch.batchId].collectorId);
+        if (_batch.state == BatchManager.BatchState.Recycled)
+            _checkActor(ActorsManager.ActorType.Recycler, endOfLifeActorsForId[_batch.batchId].recyclerId);
+    }
+
+    /**
+    * @dev Reverts with `InvalidActorsCount` unless the count of the actors of a stage fits their IDs.
+    * @param toStage whether the batch moves to their stage, requiring a listed actor.
+    */
+    function _checkActorsCount(ActorsManager.ActorType actorType, uint256 count, uint256 length, bool toStage) internal pure {
+        if (count > length || (toStage && count == 0)) revert Errors.InvalidActorsCount(uint8(actorType), count, length);
+    }
+
+    /**
+    * @dev Determines the actor responsible for moving a batch to `to`.
+    * Moving into a distributor (retailer) stage hands the batch to the next listed one, `batch` is updated accordingly.
+    * @return found whether any actor is responsible.
+    */
+    function _responsibleActor(BatchManager.BatchInfo memory batch, BatchManager.BatchState to)
+        internal
+        view
+        returns (bool found, ActorsManager.ActorType actorType, uint256 actorId)
+    {
+        BatchManager.BatchState from = batch.state;
+        if (batchManager.isIntermediateState(from)) {
+            from = batchManager.returnStateForId(batch.batchId);
+        } else if (to == BatchManager.BatchState.Processed) {
+            return (true, ActorsManager.ActorType.RawProcessorId, batch.rawProcessorId);
+        } else if (to == BatchManager.BatchState.Packaged) {
+            return (true, ActorsManager.ActorType.BatteryManufacturer, batch.batteryManufacturerId);
+        } else if (to == BatchManager.BatchState.AtDistributors) {
+            if (!(batch.distributorsCount < batch.distributorIds.length)) return (false, actorType, 0);
+            return (true, ActorsManager.ActorType.Distributor, batch.distributorIds[batch.distributorsCount++]);
+        } else if (to == BatchManager.BatchState.AtRetailers) {
+            if (!(batch.retailersCount < batch.retailerIds.length)) return (false, actorType, 0);
+            return (true, ActorsManager.ActorType.Retailer, batch.retailerIds[batch.retailersCount++]);
+        } else if (to == BatchManager.BatchState.Collected) {
+            return (true, ActorsManager.ActorType.Collector, endOfLifeActorsForId[batch.batchId].collectorId);
+        } else if (to == BatchManager.BatchState.Recycled) {
+            return (true, ActorsManager.ActorType.Recycler, endOfLifeActorsForId[batch.batchId].recyclerId);
+        }
+
+        // any other move is made by the actor holding the batch
+        if (from == BatchManager.BatchState.Harvested) {
+            return (true, ActorsManager.ActorType.RawMaterialSupplier, batch.rawMaterialSupplierId);
+        } else if (from == BatchManager.BatchState.Processed) {
+            return (true, ActorsManager.ActorType.RawProcessorId, batch.rawProcessorId);
+        } else if (from == BatchManager.BatchState.Packaged) {
+            return (true, ActorsManager.ActorType.BatteryManufacturer, batch.batteryManufacturerId);
+        } else if (from == BatchManager.BatchState.AtDistributors && batch.distributorsCount > 0) {
+            return (true, ActorsManager.ActorType.Distributor, batch.distributorIds[batch.distributorsCount - 1]);
+        } else if (from == BatchManager.BatchState.AtRetailers && batch.retailersCount > 0) {
+            return (true, ActorsManager.ActorType.Retailer, batch.retailerIds[batch.retailersCount - 1]);
+        } else if (from == BatchManager.BatchState.Collected || from == BatchManager.BatchState.SecondLife) {
+            return (true, ActorsManager.ActorType.Collector, endOfLifeActorsForId[batch.batchId].collectorId);
+        } else if (from == BatchManager.BatchState.Recycled) {
+            return (true, ActorsManager.ActorType.Recycler, endOfLifeActorsForId[batch.batchId].recyclerId);
+        }
     }
 
     /**
@@ -170,6 +431,49 @@ contract SupplyChain {
         return retailers[retailerId].batchIds.values();
     }
 
+    /**
+    * @dev To retrieve all the batches of a particular collector.
+    * @param collectorId collector ID to retrieve the batches for.
+    * @return The IDs of the batches the collector ever collected.
+    */
+    function getBatchesCollected(uint256 collectorId) public view returns (uint256[] memory) {
+        return collectors[collectorId].batchIds.values();
+    }
+
+    /**
+    * @dev To retrieve all the batches of a particular recycler.
+    * @param recyclerId recycler ID to retrieve the batches for.
+    * @return The IDs of the batches the recycler ever recycled.
+    */
+    function getBatchesRecycled(uint256 recyclerId) public view returns (uint256[] memory) {
+        return recyclers[recyclerId].batchIds.values();
+    }
+
+    /**
+    * @dev To trace a batch back to the raw material suppliers of every batch it was derived from.
+    * @param batchId ID of the batch.
+    * @return The IDs of the raw material suppliers, each listed once.
+    */
+    function getRawMaterialSuppliers(uint256 batchId) public view returns (uint256[] memory) {
+        uint256[] memory ancestors = batchManager.getAncestors(batchId);
+        uint256[] memory suppliers = new uint256[](ancestors.length + 1);
+        uint256 count;
+        for (uint256 i = 0; i <= ancestors.length; i++) {
+            uint256 supplierId = batchManager.getBatchRawMaterialSupplierId(i == 0 ? batchId : ancestors[i - 1]);
+            bool listed;
+            for (uint256 j = 0; j < count && !listed; j++) {
+                listed = suppliers[j] == supplierId;
+            }
+            if (!listed) suppliers[count++] = supplierId;
+        }
+
+        uint256[] memory result = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            result[i] = suppliers[i];
+        }
+        return result;
+    }
+
     /**
     * @dev To interface with ERC721 & receive the batch DNFTs.
     */
@@ -3,7 +3,11 @@ pragma solidity ^0.8.20;
 
 library Errors {
     error InvalidActorType(uint8 given, uint8 max);
+    error InvalidActorId(uint8 actorType, uint256 actorId);
+    error NotResponsibleActor(uint8 actorType, uint256 actorId, uint256 batchId);
+    error InvalidActorsCount(uint8 actorType, uint256 count, uint256 length);
     error InvalidBatchStatus(uint8 given, uint8 max);
+    error InvalidBatchTransition(uint8 from, uint8 to);
     error OutOfBounds(uint256 given, uint256 max);
     error UnAuthorized(string expectedRole);
     error DoubleRegistrationNotAllowed();
@@ -12,4 +16,32 @@ library Errors {
     error UnexpectedAgent(address calledBy, address expected);
     error FulfillmentFailed();
     error InvalidTokenId();
+    error InvalidParentBatch(uint256 batchId);
+    error BatchNotPackaged(uint256 batchId);
+    error BatchAlreadyPackaged(uint256 batchId);
+    error InvalidUnitReceiver(address account);
+    error PassportNotFound(uint256 batchId);
+    error InvalidPassportField(string field);
+    error InsufficientFee(uint256 balance, uint256 fee);
+    error OnlyRouterCanFulfill();
+    error RequestNotExpired(bytes32 requestId);
+    error InspectionRequired(uint256 batchId, uint8 stage);
+    error InvalidInspectionStage(uint256 batchId, uint8 stage);
+    error InvalidValidityPeriod(uint64 validFrom, uint64 validUntil);
+    error CertificateNotFound(uint8 actorType, uint256 actorId, uint256 certificateId);
+    error CertificateAlreadyRevoked(uint8 actorType, uint256 actorId, uint256 certificateId);
+    error ActorNotCertified(uint8 actorType, uint256 actorId);
+    error ActorNotActive(uint8 actorType, uint256 actorId);
+    error InvalidActorStatus(uint8 actorType, uint256 actorId, uint8 status);
+    error InvalidMigrationAccount(address account);
+    error MigrationNotFound(uint8 actorType, uint256 actorId);
+    error InvalidOperatorAccount(address account);
+    error OperatorNotFound(uint8 actorType, uint256 actorId, address account);
+    error InvalidDefaultAdmin(address account);
+    error DefaultAdminTransferNotFound();
+    error DefaultAdminTransferDelayed(uint256 acceptableAt);
+    error DefaultAdminTransferRequired();
+    error InvalidDefaultAdminTransferDelay(uint256 delay, uint256 min, uint256 max);
+    error RoleNotGrantable(bytes32 role);
+    error InvalidRoleExpiry(uint256 expiresAt);
 }
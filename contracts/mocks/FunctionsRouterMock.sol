@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { IFunctionsClient } from "@chainlink/contracts/src/v0.8/functions/v1_0_0/interfaces/IFunctionsClient.sol";
+import { Errors } from "../libraries/Errors.sol";
+
+/**
+* @title A local stand-in for the Chainlink Functions router.
+* @dev Records the requests sent by `FunctionsClient` contracts & lets an off-chain simulator
+* (see `simulator/FunctionsSimulator.js`) deliver the computed result through `handleOracleFulfillment`.
+* Unlike the real router, there is no billing, no subscription management & no DON coordinator.
+*/
+contract FunctionsRouterMock {
+    struct Commitment {
+        address client;
+        uint64 subscriptionId;
+        uint32 callbackGasLimit;
+        bytes32 donId;
+    }
+
+    uint256 private _nonce;
+    mapping(bytes32 => Commitment) public commitments;
+
+    event RequestStarted(
+        bytes32 indexed requestId,
+        bytes32 indexed donId,
+        uint64 indexed subscriptionId,
+        address requestingContract,
+        bytes data,
+        uint16 dataVersion,
+        uint32 callbackGasLimit
+    );
+    event RequestProcessed(bytes32 indexed requestId, bool success, bytes response, bytes err, bytes callbackReturnData);
+
+    /**
+    * @dev Mirrors `IFunctionsRouter.sendRequest`, called by `FunctionsClient._sendRequest`.
+    * @return requestId The generated request ID for this request.
+    */
+    function sendRequest(
+        uint64 subscriptionId,
+        bytes calldata data,
+        uint16 dataVersion,
+        uint32 callbackGasLimit,
+        bytes32 donId
+    ) external returns (bytes32 requestId) {
+        requestId = keccak256(abi.encode(address(this), msg.sender, subscriptionId, _nonce++));
+        commitments[requestId] = Commitment({
+            client: msg.sender,
+            subscriptionId: subscriptionId,
+            callbackGasLimit: callbackGasLimit,
+            donId: donId
+        });
+        emit RequestStarted(requestId, donId, subscriptionId, msg.sender, data, dataVersion, callbackGasLimit);
+    }
+
+    /**
+    * @dev Delivers the result of a pending request to the requesting client.
+    * A reverting callback does not revert the fulfillment, its return data is reported in `RequestProcessed` instead.
+    * @param requestId ID of the pending request.
+    * @param response result of the source code execution.
+    * @param err error of the source code execution (if any).
+    * @return success Whether the client callback succeeded.
+    */
+    function fulfillRequest(bytes32 requestId, bytes calldata response, bytes calldata err) external returns (bool success) {
+        Commitment memory commitment = commitments[requestId];
+        if (commitment.client == address(0)) revert Errors.UnexpectedRequestID(requestId);
+        delete commitments[requestId];
+
+        bytes memory callbackReturnData;
+        (success, callbackReturnData) = commitment.client.call{ gas: commitment.callbackGasLimit }(
+            abi.encodeWithSelector(IFunctionsClient.handleOracleFulfillment.selector, requestId, response, err)
+        );
+        emit RequestProcessed(requestId, success, response, err, callbackReturnData);
+    }
+}
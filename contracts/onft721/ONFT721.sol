@@ -26,7 +26,7 @@ contract ONFT721 is ONFT721Core, ERC721, IONFT721 {
         bytes memory,
         uint _tokenId
     ) internal virtual override {
-        require(_isApprovedOrOwner(_msgSender(), _tokenId), "ONFT721: send caller is not owner nor approved");
+        require(_isAuthorized(_ownerOf(_tokenId), _msgSender(), _tokenId), "ONFT721: send caller is not owner nor approved");
         require(ERC721.ownerOf(_tokenId) == _from, "ONFT721: send from incorrect owner");
         _transfer(_from, address(this), _tokenId);
     }
@@ -36,8 +36,9 @@ contract ONFT721 is ONFT721Core, ERC721, IONFT721 {
         address _toAddress,
         uint _tokenId
     ) internal virtual override {
-        require(!_exists(_tokenId) || (_exists(_tokenId) && ERC721.ownerOf(_tokenId) == address(this)));
-        if (!_exists(_tokenId)) {
+        address owner = _ownerOf(_tokenId);
+        require(owner == address(0) || owner == address(this));
+        if (owner == address(0)) {
             _safeMint(_toAddress, _tokenId);
         } else {
             _transfer(address(this), _toAddress, _tokenId);
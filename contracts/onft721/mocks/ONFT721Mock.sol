@@ -17,9 +17,6 @@ contract ONFT721Mock is ONFT721 {
     }
 
     function rawOwnerOf(uint tokenId) public view returns (address) {
-        if (_exists(tokenId)) {
-            return ownerOf(tokenId);
-        }
-        return address(0);
+        return _ownerOf(tokenId);
     }
 }
@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { IMetadataValidator, IValidationConsumer } from "./IMetadataValidator.sol";
+import { AccessManager } from "../AccessManager.sol";
+import { Errors } from "../libraries/Errors.sol";
+
+/**
+* @title Instant allowlist validator.
+* @dev Meant for development: answers within the request, the metadata being valid if its hash is allowlisted by the admins.
+*/
+contract AllowlistValidator is IMetadataValidator {
+    AccessManager public acl;
+    bytes32 immutable AUTHORIZED_CONTRACT_ROLE;
+    bytes32 immutable ADMIN_ROLE;
+
+    modifier onlyAuthorizedContract() {
+        if (!acl.hasRole(AUTHORIZED_CONTRACT_ROLE, msg.sender))
+            revert Errors.UnAuthorized("AUTHORIZED_CONTRACT_ROLE");
+        _;
+    }
+
+    modifier onlyAdminRole() {
+        if (!acl.hasRole(ADMIN_ROLE, msg.sender))
+            revert Errors.UnAuthorized("ADMIN_ROLE");
+        _;
+    }
+
+    mapping(bytes32 => bool) private allowedHashes;
+
+    event HashAllowed(string hash, bool allowed);
+
+    /**
+    * @dev Sets the ACL and determines the hashes of the AUTHORIZED_CONTRACT_ROLE & ADMIN_ROLE.
+    */
+    constructor(address aclAddress) {
+        acl = AccessManager(aclAddress);
+        AUTHORIZED_CONTRACT_ROLE = acl.AUTHORIZED_CONTRACT_ROLE();
+        ADMIN_ROLE = acl.ADMIN_ROLE();
+    }
+
+    /**
+    * @dev A guarded function to allow or forbid a metadata hash.
+    */
+    function setAllowed(string calldata hash, bool allowed) external onlyAdminRole {
+        allowedHashes[keccak256(bytes(hash))] = allowed;
+        emit HashAllowed(hash, allowed);
+    }
+
+    /**
+    * @return Whether the metadata hash is allowed or not.
+    */
+    function isAllowed(string calldata hash) public view returns (bool) {
+        return allowedHashes[keccak256(bytes(hash))];
+    }
+
+    /**
+    * @dev Answers right away.
+    */
+    function requestValidation(
+        bytes32 requestId,
+        string calldata hash,
+        string calldata /*source*/,
+        string[] calldata /*args*/,
+        uint32 /*callbackGasLimit*/
+    ) external onlyAuthorizedContract {
+        IValidationConsumer(msg.sender).fulfillValidation(requestId, bytes(isAllowed(hash) ? "true" : "false"), "");
+    }
+
+    /**
+    * @dev Nothing to drop, the requests being answered right away.
+    */
+    function cancelValidation(bytes32 /*requestId*/) external pure {}
+}
@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { IMetadataValidator, IValidationConsumer } from "./IMetadataValidator.sol";
+import { AccessManager } from "../AccessManager.sol";
+import { Errors } from "../libraries/Errors.sol";
+
+/**
+* @title EIP-712 signed attestation validator.
+* @dev For the chains without a DON: attesters holding the ATTESTER_ROLE review the metadata off-chain
+* & sign an `Attestation`, which anyone may then submit with `attest`.
+*/
+contract AttestationValidator is EIP712, IMetadataValidator {
+    bytes32 public constant ATTESTATION_TYPEHASH =
+        keccak256("Attestation(address consumer,bytes32 requestId,string hash,bool valid)");
+
+    AccessManager public acl;
+    bytes32 immutable AUTHORIZED_CONTRACT_ROLE;
+    bytes32 immutable ATTESTER_ROLE;
+
+    modifier onlyAuthorizedContract() {
+        if (!acl.hasRole(AUTHORIZED_CONTRACT_ROLE, msg.sender))
+            revert Errors.UnAuthorized("AUTHORIZED_CONTRACT_ROLE");
+        _;
+    }
+
+    // consumer => request ID => keccak256 of the hash to attest
+    mapping(address => mapping(bytes32 => bytes32)) private pendingHashes;
+
+    event AttestationRequested(address indexed consumer, bytes32 indexed requestId, string hash, string[] args);
+    event Attested(address indexed consumer, bytes32 indexed requestId, address indexed attester, bool valid);
+    event AttestationCancelled(address indexed consumer, bytes32 indexed requestId);
+
+    /**
+    * @dev Sets the ACL and determines the hashes of the AUTHORIZED_CONTRACT_ROLE & ATTESTER_ROLE.
+    */
+    constructor(address aclAddress) EIP712("AttestationValidator", "1") {
+        acl = AccessManager(aclAddress);
+        AUTHORIZED_CONTRACT_ROLE = acl.AUTHORIZED_CONTRACT_ROLE();
+        ATTESTER_ROLE = acl.ATTESTER_ROLE();
+    }
+
+    /**
+    * @dev Records the request for the attesters, who find the hash & arguments in `AttestationRequested`.
+    */
+    function requestValidation(
+        bytes32 requestId,
+        string calldata hash,
+        string calldata /*source*/,
+        string[] calldata args,
+        uint32 /*callbackGasLimit*/
+    ) external onlyAuthorizedContract {
+        pendingHashes[msg.sender][requestId] = keccak256(bytes(hash));
+        emit AttestationRequested(msg.sender, requestId, hash, args);
+    }
+
+    /**
+    * @dev Submits a signed attestation & forwards its verdict to the consumer.
+    * @param consumer manager which requested the validation.
+    * @param requestId ID of the request.
+    * @param valid verdict of the attester.
+    * @param signature EIP-712 signature of the `Attestation` by an account holding the ATTESTER_ROLE.
+    */
+    function attest(address consumer, bytes32 requestId, bool valid, bytes calldata signature) external {
+        bytes32 hashDigest = pendingHashes[consumer][requestId];
+        if (hashDigest == bytes32(0)) revert Errors.UnexpectedRequestID(requestId);
+
+        address attester = ECDSA.recover(
+            _hashTypedDataV4(keccak256(abi.encode(ATTESTATION_TYPEHASH, consumer, requestId, hashDigest, valid))),
+            signature
+        );
+        if (!acl.hasRole(ATTESTER_ROLE, attester)) revert Errors.UnAuthorized("ATTESTER_ROLE");
+        delete pendingHashes[consumer][requestId];
+
+        emit Attested(consumer, requestId, attester, valid);
+        IValidationConsumer(consumer).fulfillValidation(requestId, bytes(valid ? "true" : "false"), "");
+    }
+
+    /**
+    * @dev Drops a request cancelled by the consumer, which can no longer be attested.
+    */
+    function cancelValidation(bytes32 requestId) external {
+        if (pendingHashes[msg.sender][requestId] == bytes32(0)) return;
+        delete pendingHashes[msg.sender][requestId];
+        emit AttestationCancelled(msg.sender, requestId);
+    }
+
+    /**
+    * @return Whether a request awaits its attestation or not.
+    */
+    function isPending(address consumer, bytes32 requestId) external view returns (bool) {
+        return pendingHashes[consumer][requestId] != bytes32(0);
+    }
+}
@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { IMetadataValidator, IValidationConsumer } from "./IMetadataValidator.sol";
+import { AccessManager } from "../AccessManager.sol";
+import { Errors } from "../libraries/Errors.sol";
+
+import { IFunctionsClient } from "@chainlink/contracts/src/v0.8/functions/v1_0_0/interfaces/IFunctionsClient.sol";
+import { IFunctionsRouter } from "@chainlink/contracts/src/v0.8/functions/v1_0_0/interfaces/IFunctionsRouter.sol";
+import { FunctionsRequest } from "@chainlink/contracts/src/v0.8/functions/v1_0_0/libraries/FunctionsRequest.sol";
+
+/**
+* @title Chainlink Functions validator.
+* @dev Runs the validation source of the consumers on the DON, which queries the validation API.
+* Unlike `FunctionsClient`, whose router is immutable, the DON configuration is kept up to date by the admins.
+*/
+contract FunctionsValidator is IFunctionsClient, IMetadataValidator {
+    using FunctionsRequest for FunctionsRequest.Request;
+    AccessManager public acl;
+    bytes32 immutable AUTHORIZED_CONTRACT_ROLE;
+    bytes32 immutable ADMIN_ROLE;
+
+    modifier onlyAuthorizedContract() {
+        if (!acl.hasRole(AUTHORIZED_CONTRACT_ROLE, msg.sender))
+            revert Errors.UnAuthorized("AUTHORIZED_CONTRACT_ROLE");
+        _;
+    }
+
+    modifier onlyAdminRole() {
+        if (!acl.hasRole(ADMIN_ROLE, msg.sender))
+            revert Errors.UnAuthorized("ADMIN_ROLE");
+        _;
+    }
+
+    // gas used to forward the answer on top of the one needed by the consumer
+    uint32 public constant FORWARDING_GAS = 30000;
+
+    struct PendingRequest {
+        address consumer;
+        bytes32 requestId;
+    }
+    mapping(bytes32 => PendingRequest) private pendingRequests;
+
+    IFunctionsRouter public donRouter;
+    bytes32 public donId;
+    uint64 public donSubscriptionId;
+    // slot & version of the encrypted secrets uploaded to the DON, none if the version is 0
+    uint8 public donHostedSecretsSlotId;
+    uint64 public donHostedSecretsVersion;
+
+    event RequestSent(bytes32 indexed id);
+    event RequestFulfilled(bytes32 indexed id);
+    event DonRouterUpdated(address router);
+    event DonIdUpdated(bytes32 donId);
+    event DonSubscriptionIdUpdated(uint64 subscriptionId);
+    event DonHostedSecretsUpdated(uint8 slotId, uint64 version);
+
+    /**
+    * @dev Sets the ACL and determines the hashes of the AUTHORIZED_CONTRACT_ROLE & ADMIN_ROLE.
+    * Along with the Chainlink Configuration.
+    */
+    constructor(address aclAddress, bytes32 _donId, address _donRouter, uint64 _donSubscriptionId) {
+        donRouter = IFunctionsRouter(_donRouter);
+        donId = _donId;
+        donSubscriptionId = _donSubscriptionId;
+
+        acl = AccessManager(aclAddress);
+        AUTHORIZED_CONTRACT_ROLE = acl.AUTHORIZED_CONTRACT_ROLE();
+        ADMIN_ROLE = acl.ADMIN_ROLE();
+    }
+
+    /**
+    * @dev Sends the source of the consumer to the DON, the hash being one of its arguments.
+    */
+    function requestValidation(
+        bytes32 requestId,
+        string calldata /*hash*/,
+        string calldata source,
+        string[] calldata args,
+        uint32 callbackGasLimit
+    ) external onlyAuthorizedContract {
+        FunctionsRequest.Request memory req;
+        req.initializeRequestForInlineJavaScript(source);
+        req.setArgs(args);
+        if (donHostedSecretsVersion != 0) req.addDONHostedSecrets(donHostedSecretsSlotId, donHostedSecretsVersion);
+        bytes32 donRequestId = donRouter.sendRequest(
+            donSubscriptionId,
+            req.encodeCBOR(),
+            FunctionsRequest.REQUEST_DATA_VERSION,
+            callbackGasLimit + FORWARDING_GAS,
+            donId
+        );
+        pendingRequests[donRequestId] = PendingRequest({ consumer: msg.sender, requestId: requestId });
+        emit RequestSent(donRequestId);
+    }
+
+    /**
+    * @dev A DON request cannot be withdrawn, the consumer rejects the answer to a cancelled request.
+    */
+    function cancelValidation(bytes32 /*requestId*/) external pure {}
+
+    /**
+    * @dev Called by the router with the answer of the DON.
+    * Requests still pending on a replaced router can no longer be fulfilled & have to be sent again.
+    */
+    function handleOracleFulfillment(bytes32 donRequestId, bytes memory response, bytes memory err) external override {
+        if (msg.sender != address(donRouter)) revert Errors.OnlyRouterCanFulfill();
+        fulfillRequest(donRequestId, response, err);
+        emit RequestFulfilled(donRequestId);
+    }
+
+    /**
+    * @notice User defined function to handle a response from the DON
+    * @param donRequestId The request ID, returned by sendRequest()
+    * @param response Aggregated response from the execution of the user's source code
+    * @param err Aggregated error from the execution of the user code or from the execution pipeline
+    * @dev Forwards the answer to the consumer, a revert of the consumer is recorded by the router as a failed fulfillment.
+    */
+    function fulfillRequest(bytes32 donRequestId, bytes memory response, bytes memory err) internal {
+        PendingRequest memory request = pendingRequests[donRequestId];
+        if (request.consumer == address(0)) revert Errors.UnexpectedRequestID(donRequestId);
+        delete pendingRequests[donRequestId];
+
+        IValidationConsumer(request.consumer).fulfillValidation(request.requestId, response, err);
+    }
+
+    /**
+    * @dev A guarded function to change the Chainlink Functions router.
+    */
+    function setDonRouter(address _donRouter) external onlyAdminRole {
+        donRouter = IFunctionsRouter(_donRouter);
+        emit DonRouterUpdated(_donRouter);
+    }
+
+    /**
+    * @dev A guarded function to change the DON the requests are sent to.
+    */
+    function setDonId(bytes32 _donId) external onlyAdminRole {
+        donId = _donId;
+        emit DonIdUpdated(_donId);
+    }
+
+    /**
+    * @dev A guarded function to change the subscription paying for the requests.
+    */
+    function setDonSubscriptionId(uint64 _donSubscriptionId) external onlyAdminRole {
+        donSubscriptionId = _donSubscriptionId;
+        emit DonSubscriptionIdUpdated(_donSubscriptionId);
+    }
+
+    /**
+    * @dev A guarded function to reference the encrypted secrets uploaded to the DON, exposed to the source as `secrets`.
+    * DON-hosted secrets expire, the new version has to be set after every upload.
+    * @param slotId slot the secrets were uploaded to.
+    * @param version version returned by the upload, 0 to stop sending secrets.
+    */
+    function setDonHostedSecrets(uint8 slotId, uint64 version) external onlyAdminRole {
+        donHostedSecretsSlotId = slotId;
+        donHostedSecretsVersion = version;
+        emit DonHostedSecretsUpdated(slotId, version);
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+* @title The metadata validators the managers delegate the certification to.
+* @dev Answers through `IValidationConsumer.fulfillValidation` with the request ID chosen by the consumer,
+* either within the call (instant validators) or later on (DON, attesters).
+*/
+interface IMetadataValidator {
+    /**
+    * @dev Asks for the validation of the metadata of an actor or a batch.
+    * @param requestId ID of the request, unique per consumer.
+    * @param hash hash of the metadata to be validated.
+    * @param source JavaScript source of the validation, for the validators running it.
+    * @param args arguments of the source.
+    * @param callbackGasLimit gas needed by the consumer to process the answer.
+    */
+    function requestValidation(
+        bytes32 requestId,
+        string calldata hash,
+        string calldata source,
+        string[] calldata args,
+        uint32 callbackGasLimit
+    ) external;
+
+    /**
+    * @dev Drops a request cancelled by the consumer, its answer is no longer expected.
+    * @param requestId ID of the request.
+    */
+    function cancelValidation(bytes32 requestId) external;
+}
+
+/**
+* @title The managers receiving the answers of an `IMetadataValidator`.
+*/
+interface IValidationConsumer {
+    /**
+    * @dev Processes the answer to a validation request, to be called by the validator of the consumer.
+    * @param requestId ID of the request.
+    * @param response `"true"` if the metadata is valid.
+    * @param err error of the validation (if any).
+    */
+    function fulfillValidation(bytes32 requestId, bytes calldata response, bytes calldata err) external;
+}
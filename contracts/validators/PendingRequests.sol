@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import { Errors } from "../libraries/Errors.sol";
+
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+
+/**
+* @title Lifecycle of the validation requests of a manager.
+* @dev Tracks the requests awaiting their validator, grouped by the batch or actor they are about.
+* A request left unanswered for longer than `requestTimeout` expires: its late answer is ignored,
+* the registrar of the request or an admin may then resubmit it, or cancel it at any time.
+*/
+abstract contract PendingRequests {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    struct PendingRequest {
+        bytes32 key;
+        address registrar;
+        uint64 sentAt;
+    }
+    mapping(bytes32 => PendingRequest) private pendingRequests;
+    // key of the batch or actor => IDs of its pending requests
+    mapping(bytes32 => EnumerableSet.Bytes32Set) private pendingRequestIds;
+
+    uint64 public requestTimeout = 1 days;
+
+    event ValidationRequestExpired(bytes32 indexed requestId);
+    event ValidationRequestCancelled(bytes32 indexed requestId, address indexed cancelledBy);
+    event ValidationRequestResubmitted(bytes32 indexed requestId, bytes32 indexed newRequestId);
+    event RequestTimeoutUpdated(uint64 timeout);
+
+    /**
+    * @return Whether the account holds the ADMIN_ROLE or not.
+    */
+    function _isAdmin(address account) internal view virtual returns (bool);
+
+    /**
+    * @dev Deletes the stored request & drops it from the validator.
+    */
+    function _forgetRequest(bytes32 requestId) internal virtual;
+
+    /**
+    * @dev Sends the stored request again under a new ID.
+    * @return The new request ID.
+    */
+    function _resendRequest(bytes32 requestId) internal virtual returns (bytes32);
+
+    /**
+    * @dev Starts tracking a request, to be called as it is sent.
+    */
+    function _trackRequest(bytes32 requestId, bytes32 key, address registrar) internal {
+        pendingRequests[requestId] = PendingRequest({ key: key, registrar: registrar, sentAt: uint64(block.timestamp) });
+        pendingRequestIds[key].add(requestId);
+    }
+
+    function _untrackRequest(bytes32 requestId) internal {
+        pendingRequestIds[pendingRequests[requestId].key].remove(requestId);
+        delete pendingRequests[requestId];
+    }
+
+    /**
+    * @dev Settles a request upon the answer of the validator, unless it expired.
+    * @return expired whether the answer is to be ignored, the request staying pending.
+    */
+    function _settleRequest(bytes32 requestId) internal returns (bool expired) {
+        if (isExpired(requestId)) {
+            emit ValidationRequestExpired(requestId);
+            return true;
+        }
+        _untrackRequest(requestId);
+    }
+
+    function _getPendingRequests(bytes32 key) internal view returns (bytes32[] memory) {
+        return pendingRequestIds[key].values();
+    }
+
+    /**
+    * @dev To get the key, registrar & sending time of a pending request.
+    */
+    function getPendingRequest(bytes32 requestId) public view returns (PendingRequest memory) {
+        return pendingRequests[requestId];
+    }
+
+    /**
+    * @return Whether a request is pending past the `requestTimeout` or not.
+    */
+    function isExpired(bytes32 requestId) public view returns (bool) {
+        uint64 sentAt = pendingRequests[requestId].sentAt;
+        return sentAt != 0 && block.timestamp > sentAt + requestTimeout;
+    }
+
+    /**
+    * @dev Cancels a pending request, a later answer of the validator is rejected.
+    * Only the registrar of the request or an admin may cancel it.
+    */
+    function cancelRequest(bytes32 requestId) external {
+        _cancelRequest(requestId, msg.sender);
+    }
+
+    function _cancelRequest(bytes32 requestId, address account) internal {
+        _checkRequestManager(requestId, account);
+        _untrackRequest(requestId);
+        _forgetRequest(requestId);
+        emit ValidationRequestCancelled(requestId, account);
+    }
+
+    /**
+    * @dev Sends an expired request again, under a new ID, to the current validator.
+    * Only the registrar of the request or an admin may resubmit it.
+    * @return newRequestId ID of the resubmitted request.
+    */
+    function resubmitRequest(bytes32 requestId) external returns (bytes32) {
+        return _resubmitRequest(requestId, msg.sender);
+    }
+
+    function _resubmitRequest(bytes32 requestId, address account) internal returns (bytes32 newRequestId) {
+        _checkRequestManager(requestId, account);
+        if (!isExpired(requestId)) revert Errors.RequestNotExpired(requestId);
+        _untrackRequest(requestId);
+        newRequestId = _resendRequest(requestId);
+        emit ValidationRequestResubmitted(requestId, newRequestId);
+    }
+
+    /**
+    * @dev A guarded function to change the time after which the unanswered requests expire.
+    * @param timeout in seconds.
+    */
+    function setRequestTimeout(uint64 timeout) external {
+        if (!_isAdmin(msg.sender)) revert Errors.UnAuthorized("ADMIN_ROLE");
+        requestTimeout = timeout;
+        emit RequestTimeoutUpdated(timeout);
+    }
+
+    function _checkRequestManager(bytes32 requestId, address account) internal view {
+        PendingRequest storage request = pendingRequests[requestId];
+        if (request.sentAt == 0) revert Errors.UnexpectedRequestID(requestId);
+        if (account != request.registrar && !_isAdmin(account)) revert Errors.UnAuthorized("ADMIN_ROLE");
+    }
+}
@@ -0,0 +1,14 @@
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    await deploy("AccessManager", {
+        from: deployer,
+        args: [deployer],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["AccessManager", "SupplyChainStack"]
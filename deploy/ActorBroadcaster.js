@@ -0,0 +1,28 @@
+const LZ_ENDPOINTS = require("../constants/layerzeroEndpoints.json")
+
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, get, getOrNull } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    // local networks are served by `LZEndpointMock`
+    const lzEndpointAddress = LZ_ENDPOINTS[hre.network.name] || (await getOrNull("LZEndpointMock"))?.address
+    if (!lzEndpointAddress) {
+        console.log(`[${hre.network.name}] No LayerZero endpoint configured, skipping ActorBroadcaster`)
+        return
+    }
+    console.log(`[${hre.network.name}] Endpoint Address: ${lzEndpointAddress}`)
+
+    const acl = await get("AccessManager")
+    const actorsManager = await get("ActorsManager")
+
+    await deploy("ActorBroadcaster", {
+        from: deployer,
+        args: [acl.address, actorsManager.address, lzEndpointAddress],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["ActorBroadcaster", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager", "ActorsManager", "LZEndpointMock"]
@@ -0,0 +1,25 @@
+const LZ_ENDPOINTS = require("../constants/layerzeroEndpoints.json")
+
+// the replicas of the actors, on the chains other than the one of the `SupplyChainStack`
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, getOrNull } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const lzEndpointAddress = LZ_ENDPOINTS[hre.network.name] || (await getOrNull("LZEndpointMock"))?.address
+    if (!lzEndpointAddress) {
+        console.log(`[${hre.network.name}] No LayerZero endpoint configured, skipping ActorReplica`)
+        return
+    }
+    console.log(`[${hre.network.name}] Endpoint Address: ${lzEndpointAddress}`)
+
+    await deploy("ActorReplica", {
+        from: deployer,
+        args: [lzEndpointAddress],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["ActorReplica"]
+module.exports.dependencies = ["LZEndpointMock"]
@@ -0,0 +1,45 @@
+// name & symbol of the `Actor` collection of each actor type, in the order of `ActorsManager.ActorType`
+const ACTOR_COLLECTIONS = [
+    ["RawMaterialSupplier", "RMS"],
+    ["RawProcessorId", "RP"],
+    ["BatteryManufacturer", "BM"],
+    ["Distributor", "DS"],
+    ["Retailer", "RT"],
+    ["Consumer", "CU"],
+    ["Collector", "CL"],
+    ["Recycler", "RC"],
+]
+
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, get, getOrNull } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const acl = await get("AccessManager")
+    // Chainlink Functions where a DON is available, signed attestations otherwise
+    const validator = (await getOrNull("FunctionsValidator")) || (await get("AttestationValidator"))
+    console.log(`[${hre.network.name}] Validator: ${validator.address}`)
+
+    // the collections are deployed on their own, keeping the deployment of the manager within the transaction gas cap
+    const collections = []
+    for (const [name, symbol] of ACTOR_COLLECTIONS) {
+        const { address } = await deploy(`${name}Actor`, {
+            contract: "Actor",
+            from: deployer,
+            args: [acl.address, name, symbol],
+            log: true,
+            waitConfirmations: 1,
+        })
+        collections.push(address)
+    }
+
+    await deploy("ActorsManager", {
+        from: deployer,
+        args: [acl.address, validator.address, collections],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["ActorsManager", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager", "FunctionsValidator", "AttestationValidator"]
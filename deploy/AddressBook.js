@@ -0,0 +1,47 @@
+const fs = require("fs")
+const path = require("path")
+
+const ADDRESS_BOOK = path.join(__dirname, "../constants/addressBook.json")
+const CONTRACTS = ["AccessManager", "ActorsManager", "SupplyChain", "BatchManager", "BatteryPassport", "QualityControl"]
+// skipped on networks without a DON or a LayerZero endpoint
+const OPTIONAL_CONTRACTS = ["FunctionsValidator", "AttestationValidator", "AllowlistValidator", "BatteryUnit", "BatchBridge", "ActorBroadcaster"]
+
+module.exports = async function ({ deployments, ethers }) {
+    const { get, getOrNull, read } = deployments
+
+    const entry = {}
+    for (const name of CONTRACTS) {
+        entry[name] = (await get(name)).address
+    }
+    for (const name of OPTIONAL_CONTRACTS) {
+        const deployment = await getOrNull(name)
+        if (deployment) entry[name] = deployment.address
+    }
+    entry.Batch = await read("BatchManager", "batches")
+    const actorTypeCount = Number((await read("ActorsManager", "ACTOR_TYPE_COUNT")).toString())
+    for (let actorType = 0; actorType < actorTypeCount; actorType++) {
+        const actor = await ethers.getContractAt("Actor", await read("ActorsManager", "actors", actorType))
+        entry[`${await actor.name()}Actor`] = await actor.getAddress()
+    }
+
+    if (hre.network.name === "hardhat") {
+        console.log(`[${hre.network.name}] Address Book:`, entry)
+        return
+    }
+
+    const addressBook = fs.existsSync(ADDRESS_BOOK) ? JSON.parse(fs.readFileSync(ADDRESS_BOOK, "utf8")) : {}
+    addressBook[hre.network.name] = entry
+    fs.writeFileSync(ADDRESS_BOOK, JSON.stringify(addressBook, null, 2) + "\n")
+    console.log(`[${hre.network.name}] Address Book written to ${path.relative(process.cwd(), ADDRESS_BOOK)}`)
+}
+
+module.exports.tags = ["AddressBook", "SupplyChainStack"]
+module.exports.dependencies = [
+    "AuthorizedContracts",
+    "ValidationApi",
+    "BatteryPassport",
+    "QualityControl",
+    "BatteryUnit",
+    "BatchBridge",
+    "ActorBroadcaster",
+]
@@ -0,0 +1,18 @@
+// development only, deployed on demand with `--tags AllowlistValidator`
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, get } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const acl = await get("AccessManager")
+
+    await deploy("AllowlistValidator", {
+        from: deployer,
+        args: [acl.address],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["AllowlistValidator"]
+module.exports.dependencies = ["AccessManager"]
@@ -0,0 +1,17 @@
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, get } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const acl = await get("AccessManager")
+
+    await deploy("AttestationValidator", {
+        from: deployer,
+        args: [acl.address],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["AttestationValidator", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager"]
@@ -0,0 +1,21 @@
+const AUTHORIZED_CONTRACTS = ["ActorsManager", "SupplyChain", "BatchManager"]
+
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { get, read, execute } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const role = await read("AccessManager", "AUTHORIZED_CONTRACT_ROLE")
+
+    for (const name of AUTHORIZED_CONTRACTS) {
+        const { address } = await get(name)
+        if (await read("AccessManager", "hasRole", role, address)) {
+            console.log(`[${hre.network.name}] ${name} (${address}) already holds AUTHORIZED_CONTRACT_ROLE, skipping`)
+            continue
+        }
+        await execute("AccessManager", { from: deployer, log: true, waitConfirmations: 1 }, "grantAuthorizedContractRole", address)
+    }
+}
+
+module.exports.tags = ["AuthorizedContracts", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager", "ActorsManager", "SupplyChain"]
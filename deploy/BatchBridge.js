@@ -0,0 +1,29 @@
+const LZ_ENDPOINTS = require("../constants/layerzeroEndpoints.json")
+
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, get, getOrNull } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    // local networks are served by `LZEndpointMock`
+    const lzEndpointAddress = LZ_ENDPOINTS[hre.network.name] || (await getOrNull("LZEndpointMock"))?.address
+    if (!lzEndpointAddress) {
+        console.log(`[${hre.network.name}] No LayerZero endpoint configured, skipping BatchBridge`)
+        return
+    }
+    console.log(`[${hre.network.name}] Endpoint Address: ${lzEndpointAddress}`)
+
+    const acl = await get("AccessManager")
+    const batchManager = await get("BatchManager")
+    const minGasToTransferAndStore = 100000
+
+    await deploy("BatchBridge", {
+        from: deployer,
+        args: [acl.address, batchManager.address, minGasToTransferAndStore, lzEndpointAddress],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["BatchBridge", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager", "SupplyChain", "LZEndpointMock"]
@@ -0,0 +1,18 @@
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, get } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const acl = await get("AccessManager")
+    const batchManager = await get("BatchManager")
+
+    await deploy("BatteryPassport", {
+        from: deployer,
+        args: [acl.address, batchManager.address],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["BatteryPassport", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager", "SupplyChain"]
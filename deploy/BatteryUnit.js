@@ -0,0 +1,44 @@
+const LZ_ENDPOINTS = require("../constants/layerzeroEndpoints.json")
+
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, get, getOrNull, read, execute } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    // local networks are served by `LZEndpointMock`
+    const lzEndpointAddress = LZ_ENDPOINTS[hre.network.name] || (await getOrNull("LZEndpointMock"))?.address
+    if (!lzEndpointAddress) {
+        console.log(`[${hre.network.name}] No LayerZero endpoint configured, skipping BatteryUnit`)
+        return
+    }
+    console.log(`[${hre.network.name}] Endpoint Address: ${lzEndpointAddress}`)
+
+    const acl = await get("AccessManager")
+    const batchManager = await get("BatchManager")
+    const minGasToTransferAndStore = 100000
+
+    const batteryUnit = await deploy("BatteryUnit", {
+        from: deployer,
+        args: [acl.address, batchManager.address, minGasToTransferAndStore, lzEndpointAddress],
+        log: true,
+        waitConfirmations: 1,
+    })
+
+    // `BatchManager` mints the units planned for a batch as it reaches `Packaged`
+    if ((await read("BatchManager", "batteryUnit")).toLowerCase() === batteryUnit.address.toLowerCase()) return
+    // the deployer, as the Default (Super) Admin, only holds the ADMIN_ROLE for the setter
+    const adminRole = await read("AccessManager", "ADMIN_ROLE")
+    const isAdmin = await read("AccessManager", "hasRole", adminRole, deployer)
+    if (!isAdmin) await execute("AccessManager", { from: deployer, log: true, waitConfirmations: 1 }, "grantAdminRole", deployer)
+    try {
+        await execute("BatchManager", { from: deployer, log: true, waitConfirmations: 1 }, "setBatteryUnit", batteryUnit.address)
+    } finally {
+        if (!isAdmin) {
+            await execute("AccessManager", { from: deployer, log: true, waitConfirmations: 1 }, "revokeAdminRole", deployer)
+            console.log(`[${hre.network.name}] ADMIN_ROLE temporarily granted to ${deployer} for setBatteryUnit, revoked`)
+        }
+    }
+}
+
+module.exports.tags = ["BatteryUnit", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager", "SupplyChain", "LZEndpointMock"]
@@ -0,0 +1,17 @@
+const LOCAL_NETWORKS = ["hardhat", "localhost"]
+
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    await deploy("FunctionsRouterMock", {
+        from: deployer,
+        args: [],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["FunctionsRouterMock"]
+module.exports.skip = async () => !LOCAL_NETWORKS.includes(hre.network.name)
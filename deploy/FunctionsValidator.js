@@ -0,0 +1,60 @@
+const FUNCTIONS_CONFIG = require("../constants/chainlinkFunctions.json")
+
+module.exports = async function ({ deployments, getNamedAccounts, ethers }) {
+    const { deploy, get, getOrNull, read, execute } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const config = { ...FUNCTIONS_CONFIG[hre.network.name] }
+    // local networks are served by `FunctionsRouterMock`, fulfilled through `simulator/FunctionsSimulator.js`
+    if (!config.router) config.router = (await getOrNull("FunctionsRouterMock"))?.address
+    if (!config.router) {
+        console.log(`[${hre.network.name}] No Chainlink Functions router configured, skipping FunctionsValidator`)
+        return
+    }
+    console.log(`[${hre.network.name}] Functions Router: ${config.router} | DON: ${config.donId} | Subscription: ${config.subscriptionId}`)
+
+    const acl = await get("AccessManager")
+    const donId = ethers.encodeBytes32String(config.donId)
+
+    // a configuration change is applied through the setters, the consumers keep their validator
+    if (await getOrNull("FunctionsValidator")) {
+        const settings = [
+            ["donRouter", "setDonRouter", config.router],
+            ["donId", "setDonId", donId],
+            ["donSubscriptionId", "setDonSubscriptionId", config.subscriptionId],
+        ]
+        const changes = []
+        for (const [getter, setter, value] of settings) {
+            if ((await read("FunctionsValidator", getter)).toString().toLowerCase() !== value.toString().toLowerCase())
+                changes.push([setter, value])
+        }
+        if (changes.length === 0) return
+
+        // the deployer, as the Default (Super) Admin, only holds the ADMIN_ROLE for the setters
+        const adminRole = await read("AccessManager", "ADMIN_ROLE")
+        const isAdmin = await read("AccessManager", "hasRole", adminRole, deployer)
+        if (!isAdmin) await execute("AccessManager", { from: deployer, log: true, waitConfirmations: 1 }, "grantAdminRole", deployer)
+        try {
+            for (const [setter, value] of changes) {
+                await execute("FunctionsValidator", { from: deployer, log: true, waitConfirmations: 1 }, setter, value)
+            }
+        } finally {
+            if (!isAdmin) {
+                await execute("AccessManager", { from: deployer, log: true, waitConfirmations: 1 }, "revokeAdminRole", deployer)
+                console.log(`[${hre.network.name}] ADMIN_ROLE temporarily granted to ${deployer} for the FunctionsValidator setters, revoked`)
+            }
+        }
+        return
+    }
+
+    await deploy("FunctionsValidator", {
+        from: deployer,
+        args: [acl.address, donId, config.router, config.subscriptionId],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["FunctionsValidator", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager", "FunctionsRouterMock"]
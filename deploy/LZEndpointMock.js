@@ -0,0 +1,18 @@
+const LOCAL_NETWORKS = ["hardhat", "localhost"]
+const LOCAL_CHAIN_ID = 31337
+
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    await deploy("LZEndpointMock", {
+        from: deployer,
+        args: [LOCAL_CHAIN_ID],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["LZEndpointMock"]
+module.exports.skip = async () => !LOCAL_NETWORKS.includes(hre.network.name)
@@ -0,0 +1,33 @@
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, get, read, execute } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const acl = await get("AccessManager")
+    const batchManager = await get("BatchManager")
+
+    const qualityControl = await deploy("QualityControl", {
+        from: deployer,
+        args: [acl.address, batchManager.address],
+        log: true,
+        waitConfirmations: 1,
+    })
+
+    // `BatchManager` consults the inspections before a batch leaves `Processed` or `Packaged`
+    if ((await read("BatchManager", "qualityControl")).toLowerCase() === qualityControl.address.toLowerCase()) return
+    // the deployer, as the Default (Super) Admin, only holds the ADMIN_ROLE for the setter
+    const adminRole = await read("AccessManager", "ADMIN_ROLE")
+    const isAdmin = await read("AccessManager", "hasRole", adminRole, deployer)
+    if (!isAdmin) await execute("AccessManager", { from: deployer, log: true, waitConfirmations: 1 }, "grantAdminRole", deployer)
+    try {
+        await execute("BatchManager", { from: deployer, log: true, waitConfirmations: 1 }, "setQualityControl", qualityControl.address)
+    } finally {
+        if (!isAdmin) {
+            await execute("AccessManager", { from: deployer, log: true, waitConfirmations: 1 }, "revokeAdminRole", deployer)
+            console.log(`[${hre.network.name}] ADMIN_ROLE temporarily granted to ${deployer} for setQualityControl, revoked`)
+        }
+    }
+}
+
+module.exports.tags = ["QualityControl", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager", "SupplyChain"]
@@ -0,0 +1,27 @@
+const LZ_ENDPOINTS = require("../constants/layerzeroEndpoints.json")
+
+// the copies of the batches, on the chains other than the one of the `SupplyChainStack`
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, getOrNull } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const lzEndpointAddress = LZ_ENDPOINTS[hre.network.name] || (await getOrNull("LZEndpointMock"))?.address
+    if (!lzEndpointAddress) {
+        console.log(`[${hre.network.name}] No LayerZero endpoint configured, skipping RemoteBatch`)
+        return
+    }
+    console.log(`[${hre.network.name}] Endpoint Address: ${lzEndpointAddress}`)
+
+    const minGasToTransferAndStore = 100000
+
+    await deploy("RemoteBatch", {
+        from: deployer,
+        args: [minGasToTransferAndStore, lzEndpointAddress],
+        log: true,
+        waitConfirmations: 1,
+    })
+}
+
+module.exports.tags = ["RemoteBatch"]
+module.exports.dependencies = ["LZEndpointMock"]
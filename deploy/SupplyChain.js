@@ -0,0 +1,26 @@
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { deploy, get, getOrNull, read, save, getArtifact } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const acl = await get("AccessManager")
+    const actorsManager = await get("ActorsManager")
+    // the same validator as the `ActorsManager`
+    const validator = (await getOrNull("FunctionsValidator")) || (await get("AttestationValidator"))
+
+    const supplyChain = await deploy("SupplyChain", {
+        from: deployer,
+        args: [acl.address, actorsManager.address, validator.address],
+        log: true,
+        waitConfirmations: 1,
+    })
+
+    // `BatchManager` is created by the `SupplyChain` constructor, record it so later steps can address it by name
+    const batchManagerAddress = await read("SupplyChain", "batchManager")
+    const { abi } = await getArtifact("BatchManager")
+    await save("BatchManager", { abi, address: batchManagerAddress, transactionHash: supplyChain.transactionHash })
+    console.log(`[${hre.network.name}] BatchManager Address: ${batchManagerAddress}`)
+}
+
+module.exports.tags = ["SupplyChain", "SupplyChainStack"]
+module.exports.dependencies = ["AccessManager", "ActorsManager", "FunctionsValidator", "AttestationValidator"]
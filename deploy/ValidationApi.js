@@ -0,0 +1,42 @@
+const FUNCTIONS_CONFIG = require("../constants/chainlinkFunctions.json")
+const VALIDATING_CONTRACTS = ["ActorsManager", "BatchManager"]
+
+module.exports = async function ({ deployments, getNamedAccounts }) {
+    const { read, execute } = deployments
+    const { deployer } = await getNamedAccounts()
+    console.log(`>>> your address: ${deployer}`)
+
+    const { validationBaseUrl } = FUNCTIONS_CONFIG[hre.network.name] || {}
+    if (!validationBaseUrl) {
+        console.log(`[${hre.network.name}] No validation API override configured, keeping the contract defaults`)
+        return
+    }
+
+    const names = []
+    for (const name of VALIDATING_CONTRACTS) {
+        if ((await read(name, "validationBaseUrl")) === validationBaseUrl) {
+            console.log(`[${hre.network.name}] ${name} already validates against ${validationBaseUrl}, skipping`)
+            continue
+        }
+        names.push(name)
+    }
+    if (names.length === 0) return
+
+    // the deployer, as the Default (Super) Admin, only holds the ADMIN_ROLE for the setters
+    const adminRole = await read("AccessManager", "ADMIN_ROLE")
+    const isAdmin = await read("AccessManager", "hasRole", adminRole, deployer)
+    if (!isAdmin) await execute("AccessManager", { from: deployer, log: true, waitConfirmations: 1 }, "grantAdminRole", deployer)
+    try {
+        for (const name of names) {
+            await execute(name, { from: deployer, log: true, waitConfirmations: 1 }, "setValidationBaseUrl", validationBaseUrl)
+        }
+    } finally {
+        if (!isAdmin) {
+            await execute("AccessManager", { from: deployer, log: true, waitConfirmations: 1 }, "revokeAdminRole", deployer)
+            console.log(`[${hre.network.name}] ADMIN_ROLE temporarily granted to ${deployer} for setValidationBaseUrl, revoked`)
+        }
+    }
+}
+
+module.exports.tags = ["ValidationApi", "SupplyChainStack"]
+module.exports.dependencies = ["AuthorizedContracts"]
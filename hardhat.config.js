@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("hardhat-deploy");
 require('dotenv').config();
+require("./tasks");
 
 task('accounts', 'Prints the list of accounts', async () => {
   const accounts = await ethers.getSigners();
@@ -14,7 +16,20 @@ function mnemonic() {
 }
 
 module.exports = {
-  solidity: '0.8.24',
+  solidity: {
+    version: '0.8.24',
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
+  namedAccounts: {
+    deployer: {
+      default: 0,
+    },
+  },
   networks: {
     localhost: {
       url: 'http://localhost:8545',
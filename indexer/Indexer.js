@@ -0,0 +1,157 @@
+const { Interface } = require("ethers")
+const { loadAbi } = require("../sdk/SupplyChainClient")
+const { getCheckpoint, setCheckpoint, rollback } = require("./database")
+
+const CONTRACTS = { accessManager: "AccessManager", actorsManager: "ActorsManager", batchManager: "BatchManager" }
+
+// Maps an indexed event to its table & row, events missing here are ignored.
+const ROWS = {
+    BatchCreated: ({ batchId, hash }) => ["batch_events", { batch_id: batchId, state: 0, hash }],
+    BatchStatusUpdated: ({ batchId, state, hash }) => ["batch_events", { batch_id: batchId, state, hash }],
+    DataCertified: ({ batchId, hash }) => ["batch_events", { batch_id: batchId, hash }],
+    DataCertificationFailed: ({ batchId, hash, error }) => ["batch_events", { batch_id: batchId, hash, error }],
+    BatchDerived: ({ batchId, parentIds }) => ["batch_events", { batch_id: batchId, parent_ids: JSON.stringify(parentIds.map(Number)) }],
+    ActorRegistered: ({ actorType, actorId, account, hash }) => ["actor_events", { actor_type: actorType, actor_id: actorId, account, hash }],
+    ActorUpdated: ({ actorType, actorId, newHash }) => ["actor_events", { actor_type: actorType, actor_id: actorId, hash: newHash }],
+    ValidationFailed: ({ actorType, actorId, hash, error }) => ["actor_events", { actor_type: actorType, actor_id: actorId, hash, error }],
+    ActorMigrated: ({ actorType, actorId, newAccount }) => ["actor_events", { actor_type: actorType, actor_id: actorId, account: newAccount }],
+    ActorSuspended: ({ actorType, actorId, reason }) => ["actor_events", { actor_type: actorType, actor_id: actorId, reason }],
+    ActorReinstated: ({ actorType, actorId }) => ["actor_events", { actor_type: actorType, actor_id: actorId }],
+    ActorDeactivated: ({ actorType, actorId, reason }) => ["actor_events", { actor_type: actorType, actor_id: actorId, reason }],
+    OperatorAdded: ({ actorType, actorId, account }) => ["actor_events", { actor_type: actorType, actor_id: actorId, account }],
+    OperatorRemoved: ({ actorType, actorId, account }) => ["actor_events", { actor_type: actorType, actor_id: actorId, account }],
+    RoleGranted: ({ role, account, sender }) => ["role_events", { role, account, sender }],
+    RoleRevoked: ({ role, account, sender }) => ["role_events", { role, account, sender }],
+}
+
+const COLUMNS = {
+    batch_events: ["batch_id", "state", "hash", "error", "parent_ids"],
+    actor_events: ["actor_type", "actor_id", "account", "hash", "error", "reason"],
+    role_events: ["role", "account", "sender"],
+}
+
+const toColumn = (value) => (typeof value === "bigint" ? Number(value) : value === undefined ? null : value)
+
+/**
+ * Reads the batch, actor & role events of a deployment into the indexer database.
+ *
+ * Each `sync()` first checks the hashes of the stored blocks against the chain: on a mismatch everything read
+ * from the orphaned blocks is dropped and indexed again from the last block still on the canonical chain.
+ * The checkpoint moves in the same SQLite transaction as the events, so an interrupted indexer resumes where it stopped.
+ */
+class Indexer {
+    /**
+     * @param {import("better-sqlite3").Database} db a database opened with `openDatabase()`.
+     * @param {import("ethers").Provider} provider
+     * @param {{ accessManager: string, actorsManager: string, batchManager: string }} addresses
+     * @param {object} [options]
+     * @param {number} [options.startBlock] first block to index, the deployment block.
+     * @param {number} [options.confirmations] blocks to stay behind the chain head.
+     * @param {number} [options.batchSize] blocks per `eth_getLogs` call.
+     * @param {number} [options.pollInterval] milliseconds in between two syncs once started.
+     * @param {object} [options.abis] ABIs by contract name, instead of the hardhat artifacts.
+     */
+    constructor(db, provider, addresses, { startBlock = 0, confirmations = 0, batchSize = 2000, pollInterval = 5000, abis = {} } = {}) {
+        this.db = db
+        this.provider = provider
+        this.options = { startBlock, confirmations, batchSize, pollInterval }
+        this.interfaces = {}
+        for (const [key, name] of Object.entries(CONTRACTS)) {
+            if (!addresses[key]) throw new Error(`Missing ${name} address`)
+            this.interfaces[addresses[key].toLowerCase()] = new Interface(abis[name] || loadAbi(name))
+        }
+        this.timer = null
+    }
+
+    /**
+     * Indexes the blocks up to the chain head (minus the confirmations).
+     * @returns {Promise<{ checkpoint: number|null, events: number, reorged: boolean }>}
+     */
+    async sync() {
+        const reorged = await this.undoReorg()
+        const head = (await this.provider.getBlockNumber()) - this.options.confirmations
+        let checkpoint = getCheckpoint(this.db)
+        let events = 0
+
+        for (let from = (checkpoint === null ? this.options.startBlock - 1 : checkpoint) + 1; from <= head; ) {
+            const to = Math.min(head, from + this.options.batchSize - 1)
+            const logs = await this.provider.getLogs({ address: Object.keys(this.interfaces), fromBlock: from, toBlock: to })
+
+            const blocks = new Map()
+            for (const number of new Set([...logs.map((log) => log.blockNumber), to])) {
+                blocks.set(number, await this.provider.getBlock(number))
+            }
+            // the chain moved in between the calls, the next sync starts over from the stored blocks
+            if (logs.some((log) => blocks.get(log.blockNumber)?.hash !== log.blockHash) || !blocks.get(to)) break
+
+            this.db.transaction(() => {
+                const insertBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)")
+                for (const block of blocks.values()) insertBlock.run(block.number, block.hash, block.timestamp)
+                for (const log of logs) events += this.insertLog(log)
+                setCheckpoint(this.db, to)
+            })()
+            checkpoint = to
+            from = to + 1
+        }
+        return { checkpoint, events, reorged }
+    }
+
+    /**
+     * Rolls the database back to the most recent stored block that is still on the canonical chain.
+     * @returns {Promise<boolean>} whether anything was rolled back.
+     */
+    async undoReorg() {
+        const checkpoint = getCheckpoint(this.db)
+        if (checkpoint === null) return false
+
+        const stored = this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all()
+        for (const { number, hash } of stored) {
+            const block = await this.provider.getBlock(number)
+            if (block && block.hash === hash) {
+                if (number === checkpoint) return false
+                rollback(this.db, number)
+                return true
+            }
+        }
+        rollback(this.db, this.options.startBlock - 1)
+        return true
+    }
+
+    insertLog(log) {
+        const event = this.interfaces[log.address.toLowerCase()].parseLog(log)
+        if (!event || !ROWS[event.name]) return 0
+
+        const [table, values] = ROWS[event.name](event.args.toObject())
+        const columns = COLUMNS[table]
+        this.db
+            .prepare(
+                `INSERT OR REPLACE INTO ${table} (block_number, log_index, tx_hash, name, ${columns.join(", ")}) ` +
+                    `VALUES (?, ?, ?, ?, ${columns.map(() => "?").join(", ")})`
+            )
+            .run(log.blockNumber, log.index, log.transactionHash, event.name, ...columns.map((column) => toColumn(values[column])))
+        return 1
+    }
+
+    /**
+     * Keeps syncing every `pollInterval` until `stop()`.
+     * @param {Function} [onError] called with the errors of a failed sync, the next one is attempted anyway.
+     */
+    start(onError = console.error) {
+        const loop = async () => {
+            try {
+                await this.sync()
+            } catch (e) {
+                onError(e)
+            }
+            if (this.timer) this.timer = setTimeout(loop, this.options.pollInterval)
+        }
+        this.timer = setTimeout(loop, 0)
+    }
+
+    stop() {
+        clearTimeout(this.timer)
+        this.timer = null
+    }
+}
+
+module.exports = { Indexer }
@@ -0,0 +1,137 @@
+const http = require("http")
+const { id, ZeroHash } = require("ethers")
+const { ACTOR_TYPES, BATCH_STATES, parseEnum } = require("../sdk/batchInfo")
+const { getCheckpoint } = require("./database")
+
+const ROLE_NAMES = Object.fromEntries([
+    [ZeroHash, "DEFAULT_ADMIN_ROLE"],
+    ...[
+        "AUTHORIZED_CONTRACT_ROLE",
+        "ADMIN_ROLE",
+        "COMPANY_USER_ROLE",
+        "CONSUMER_ROLE",
+        "ATTESTER_ROLE",
+        "QC_INSPECTOR_ROLE",
+        "CERTIFIER_ROLE",
+    ].map((name) => [id(name), name]),
+])
+
+// the events moving the ID of an actor to an account & those changing its status
+const HOLDER_EVENTS = ["ActorRegistered", "ActorMigrated"]
+const STATUSES = { ActorSuspended: "Suspended", ActorReinstated: "Active", ActorDeactivated: "Deactivated" }
+
+const ORDER = "ORDER BY e.block_number, e.log_index"
+const SELECT = (table) => `SELECT e.*, b.timestamp FROM ${table} e LEFT JOIN blocks b ON b.number = e.block_number`
+
+function base(row) {
+    return { event: row.name, blockNumber: row.block_number, logIndex: row.log_index, txHash: row.tx_hash, timestamp: row.timestamp }
+}
+
+function batchEvent(row) {
+    return {
+        ...base(row),
+        batchId: row.batch_id,
+        state: row.state === null ? null : BATCH_STATES[row.state],
+        hash: row.hash,
+        error: row.error,
+        parentIds: row.parent_ids === null ? null : JSON.parse(row.parent_ids),
+    }
+}
+
+function actorEvent(row) {
+    return {
+        ...base(row),
+        actorType: ACTOR_TYPES[row.actor_type],
+        actorId: row.actor_id,
+        account: row.account,
+        hash: row.hash,
+        error: row.error,
+        reason: row.reason,
+    }
+}
+
+// the current holder & status of an actor, from its last migration & status change
+function actorState(rows) {
+    const holder = rows.filter((row) => HOLDER_EVENTS.includes(row.name)).pop()
+    const change = rows.filter((row) => STATUSES[row.name]).pop()
+    return { account: holder ? holder.account : null, status: change ? STATUSES[change.name] : "Active" }
+}
+
+function roleEvent(row) {
+    return { ...base(row), role: ROLE_NAMES[row.role] || row.role, account: row.account, sender: row.sender }
+}
+
+function resolveRole(value) {
+    const name = value.toUpperCase().replace(/_ROLE$/, "") + "_ROLE"
+    const role = Object.keys(ROLE_NAMES).find((hash) => ROLE_NAMES[hash] === name)
+    if (!role && !/^0x[0-9a-fA-F]{64}$/.test(value)) throw new Error(`Invalid role "${value}"`)
+    return role || value.toLowerCase()
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" })
+    res.end(JSON.stringify(body))
+}
+
+/**
+ * Creates the REST API over the indexer database:
+ * - `GET /status`: the last indexed block.
+ * - `GET /batches/:batchId`: the timeline of a batch, from its creation to its latest state.
+ * - `GET /actors/:actorType/:actorId`: the current account & status of an actor, along with its registration, updates,
+ *   failed validations, migrations, status changes & operators.
+ * - `GET /roles?account=&role=`: the role grants & revocations, optionally filtered.
+ * @param {import("better-sqlite3").Database} db
+ * @returns {http.Server} a server that is not listening yet.
+ */
+function createApiServer(db) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost")
+        const parts = url.pathname.split("/").filter(Boolean)
+        try {
+            if (req.method !== "GET") return send(res, 405, { error: "Method Not Allowed" })
+
+            if (parts[0] === "status" && parts.length === 1) {
+                return send(res, 200, { checkpoint: getCheckpoint(db) })
+            }
+
+            if (parts[0] === "batches" && parts.length === 2 && /^\d+$/.test(parts[1])) {
+                const rows = db.prepare(`${SELECT("batch_events")} WHERE e.batch_id = ? ${ORDER}`).all(Number(parts[1]))
+                if (rows.length === 0) return send(res, 404, { error: `Unknown batch ${parts[1]}` })
+                return send(res, 200, { batchId: Number(parts[1]), timeline: rows.map(batchEvent) })
+            }
+
+            if (parts[0] === "actors" && parts.length === 3 && /^\d+$/.test(parts[2])) {
+                const actorType = parseEnum(ACTOR_TYPES, parts[1], "actor type")
+                const rows = db.prepare(`${SELECT("actor_events")} WHERE e.actor_type = ? AND e.actor_id = ? ${ORDER}`).all(actorType, Number(parts[2]))
+                if (rows.length === 0) return send(res, 404, { error: `Unknown actor ${parts[1]} ${parts[2]}` })
+                return send(res, 200, {
+                    actorType: ACTOR_TYPES[actorType],
+                    actorId: Number(parts[2]),
+                    ...actorState(rows),
+                    activity: rows.map(actorEvent),
+                })
+            }
+
+            if (parts[0] === "roles" && parts.length === 1) {
+                const filters = []
+                const params = []
+                if (url.searchParams.get("account")) {
+                    filters.push("lower(e.account) = ?")
+                    params.push(url.searchParams.get("account").toLowerCase())
+                }
+                if (url.searchParams.get("role")) {
+                    filters.push("lower(e.role) = ?")
+                    params.push(resolveRole(url.searchParams.get("role")))
+                }
+                const where = filters.length ? `WHERE ${filters.join(" AND ")}` : ""
+                return send(res, 200, { changes: db.prepare(`${SELECT("role_events")} ${where} ${ORDER}`).all(...params).map(roleEvent) })
+            }
+
+            send(res, 404, { error: "Not Found" })
+        } catch (e) {
+            send(res, /^Invalid/.test(e.message) ? 400 : 500, { error: e.message })
+        }
+    })
+}
+
+module.exports = { createApiServer }
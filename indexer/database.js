@@ -0,0 +1,101 @@
+const Database = require("better-sqlite3")
+
+// Every table keeps the block it was read from, so that a reorg can be undone by block number.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS checkpoint (
+    id INTEGER PRIMARY KEY CHECK (id = 0),
+    block_number INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS batch_events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    batch_id INTEGER NOT NULL,
+    state INTEGER,
+    hash TEXT,
+    error TEXT,
+    parent_ids TEXT,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS batch_events_batch_id ON batch_events (batch_id);
+CREATE TABLE IF NOT EXISTS actor_events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    actor_type INTEGER NOT NULL,
+    actor_id INTEGER NOT NULL,
+    account TEXT,
+    hash TEXT,
+    error TEXT,
+    reason TEXT,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS actor_events_actor ON actor_events (actor_type, actor_id);
+CREATE TABLE IF NOT EXISTS role_events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,
+    account TEXT NOT NULL,
+    sender TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS role_events_account ON role_events (account);
+`
+
+const EVENT_TABLES = ["batch_events", "actor_events", "role_events"]
+
+// columns added since the first schema, to databases created before them
+const ADDED_COLUMNS = { batch_events: ["parent_ids TEXT"], actor_events: ["reason TEXT"] }
+
+/**
+ * Opens (and migrates) the indexer database.
+ * @param {string} [file] database file, in memory by default.
+ */
+function openDatabase(file = ":memory:") {
+    const db = new Database(file)
+    db.pragma("journal_mode = WAL")
+    db.exec(SCHEMA)
+    for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+        const existing = db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name)
+        for (const column of columns) {
+            if (!existing.includes(column.split(" ")[0])) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`)
+        }
+    }
+    return db
+}
+
+/**
+ * @returns {number|null} the last indexed block, `null` if nothing was indexed yet.
+ */
+function getCheckpoint(db) {
+    const row = db.prepare("SELECT block_number FROM checkpoint WHERE id = 0").get()
+    return row ? row.block_number : null
+}
+
+function setCheckpoint(db, blockNumber) {
+    db.prepare("INSERT INTO checkpoint (id, block_number) VALUES (0, ?) ON CONFLICT (id) DO UPDATE SET block_number = excluded.block_number").run(
+        blockNumber
+    )
+}
+
+/**
+ * Drops everything read from the blocks above `blockNumber` & moves the checkpoint back to it.
+ */
+function rollback(db, blockNumber) {
+    db.transaction(() => {
+        for (const table of EVENT_TABLES) db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber)
+        db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber)
+        setCheckpoint(db, blockNumber)
+    })()
+}
+
+module.exports = { openDatabase, getCheckpoint, setCheckpoint, rollback }
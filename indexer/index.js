@@ -0,0 +1,47 @@
+const fs = require("fs")
+const path = require("path")
+const { JsonRpcProvider } = require("ethers")
+const { openDatabase } = require("./database")
+const { Indexer } = require("./Indexer")
+const { createApiServer } = require("./api")
+
+const DEFAULT_PORT = 8788
+const ADDRESS_BOOK = path.join(__dirname, "../constants/addressBook.json")
+const DEPLOYMENTS = path.join(__dirname, "../deployments")
+
+// The AccessManager is deployed first, nothing relevant happens before its deployment block.
+function deploymentBlock(network) {
+    const file = path.join(DEPLOYMENTS, network, "AccessManager.json")
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")).receipt?.blockNumber || 0 : 0
+}
+
+module.exports = { openDatabase, Indexer, createApiServer, DEFAULT_PORT }
+
+if (require.main === module) {
+    const flags = Object.fromEntries(
+        process.argv.slice(2).map((arg) => {
+            const [key, value] = arg.replace(/^--/, "").split("=")
+            return [key, value === undefined ? true : value]
+        })
+    )
+    const network = flags.network || "localhost"
+    const entry = fs.existsSync(ADDRESS_BOOK) ? JSON.parse(fs.readFileSync(ADDRESS_BOOK, "utf8"))[network] : undefined
+    if (!entry) throw new Error(`No address book entry for ${network}, deploy with --tags SupplyChainStack first`)
+
+    const db = openDatabase(flags.db || path.join(__dirname, `${network}.sqlite`))
+    const provider = new JsonRpcProvider(flags.rpc || process.env.RPC_URL || "http://127.0.0.1:8545")
+    const indexer = new Indexer(
+        db,
+        provider,
+        { accessManager: entry.AccessManager, actorsManager: entry.ActorsManager, batchManager: entry.BatchManager },
+        {
+            startBlock: Number(flags.from || deploymentBlock(network)),
+            confirmations: Number(flags.confirmations || 0),
+            pollInterval: Number(flags.poll || 5000),
+        }
+    )
+    indexer.start()
+
+    const port = Number(flags.port || process.env.INDEXER_PORT || DEFAULT_PORT)
+    createApiServer(db).listen(port, () => console.log(`[${network}] Indexer API listening on http://127.0.0.1:${port}`))
+}
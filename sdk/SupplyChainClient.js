@@ -0,0 +1,205 @@
+const path = require("path")
+const { Contract } = require("ethers")
+const { ACTOR_TYPES, BATCH_STATES, parseEnum, encodeBatchInfo, mergeBatchInfo, readBatchInfo } = require("./batchInfo")
+const { ValidationError, ValidationTimeoutError, ValidationAbortedError } = require("./errors")
+
+const ARTIFACTS = path.join(__dirname, "../artifacts/contracts")
+const ADDRESS_BOOK = path.join(__dirname, "../constants/addressBook.json")
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Loads the ABI of one of the repo contracts from the hardhat artifacts.
+ * @param {string} name contract name e.g. `SupplyChain`.
+ */
+function loadAbi(name) {
+    return require(path.join(ARTIFACTS, `${name}.sol`, `${name}.json`)).abi
+}
+
+function parseLogs(contract, receipt) {
+    const address = contract.target.toLowerCase()
+    return receipt.logs
+        .filter((log) => log.address.toLowerCase() === address)
+        .map((log) => contract.interface.parseLog(log))
+        .filter(Boolean)
+}
+
+/**
+ * Waits for the DON to answer the validation request sent in a transaction.
+ * The outcome events carry no reference to the request, they are matched through the `RequestFulfilled`
+ * event `FunctionsClient` emits in the same transaction as the outcome.
+ * @param {import("ethers").Contract} manager `ActorsManager` or `BatchManager`, the contract that sent the request.
+ * @param {import("ethers").TransactionReceipt} receipt receipt of the transaction that sent the request.
+ * @param {object} [options]
+ * @param {number} [options.timeout] milliseconds to wait for the answer.
+ * @param {number} [options.pollInterval] milliseconds in between two lookups.
+ * @param {Function} [options.onSent] called with the request ID once known.
+ * @returns {Promise<{ requestId: string, events: Array }>} the events the manager emitted upon the fulfillment.
+ * @throws {ValidationAbortedError} if the request is cancelled while waiting.
+ */
+async function waitForFulfillment(manager, receipt, { timeout = 300000, pollInterval = 2000, onSent = () => {} } = {}) {
+    const sent = parseLogs(manager, receipt).find((log) => log.name === "RequestSent")
+    if (!sent) throw new Error(`No validation request found in ${receipt.hash}`)
+    const requestId = sent.args.id
+    onSent(requestId)
+
+    const deadline = Date.now() + timeout
+    while (Date.now() < deadline) {
+        const [fulfilled] = await manager.queryFilter(manager.filters.RequestFulfilled(requestId), receipt.blockNumber)
+        if (fulfilled) {
+            const fulfillment = await manager.runner.provider.getTransactionReceipt(fulfilled.transactionHash)
+            return { requestId, events: parseLogs(manager, fulfillment) }
+        }
+        const [cancelled] = await manager.queryFilter(manager.filters.ValidationRequestCancelled(requestId), receipt.blockNumber)
+        if (cancelled) throw new ValidationAbortedError(requestId, "cancelled")
+        await sleep(pollInterval)
+    }
+    throw new ValidationTimeoutError(requestId, timeout)
+}
+
+/**
+ * A promise based client hiding the asynchronous metadata validation round-trip:
+ * every write resolves once the DON answered, to the resulting ID, or rejects with a `ValidationError`.
+ *
+ * Usage:
+ *   const client = SupplyChainClient.fromAddressBook(signer, "sepolia")
+ *   const batchId = await client.createBatch(supplierId, hash)
+ *   await client.advanceBatch(batchId, { state: "Processed", rawProcessorId: 2 }, newHash)
+ */
+class SupplyChainClient {
+    /**
+     * @param {import("ethers").ContractRunner} runner signer sending the transactions.
+     * @param {{ supplyChain: string, actorsManager: string }} addresses deployed contract addresses.
+     * @param {object} [options]
+     * @param {number} [options.timeout] milliseconds to wait for a validation.
+     * @param {number} [options.pollInterval] milliseconds in between two lookups.
+     * @param {object} [options.abis] ABIs by contract name, instead of the hardhat artifacts.
+     */
+    constructor(runner, { supplyChain, actorsManager }, { timeout = 300000, pollInterval = 2000, abis = {} } = {}) {
+        this.runner = runner
+        this.options = { timeout, pollInterval }
+        this.abis = abis
+        this.supplyChain = new Contract(supplyChain, this.abi("SupplyChain"), runner)
+        this.actorsManager = new Contract(actorsManager, this.abi("ActorsManager"), runner)
+        this._batchManager = null
+    }
+
+    /**
+     * Creates a client from the addresses written by the deploy scripts.
+     * @param {import("ethers").ContractRunner} runner
+     * @param {string} network network name as in `hardhat.config.js`.
+     */
+    static fromAddressBook(runner, network, options) {
+        const addresses = require(ADDRESS_BOOK)[network]
+        if (!addresses) throw new Error(`No address book entry for ${network}`)
+        return new SupplyChainClient(runner, { supplyChain: addresses.SupplyChain, actorsManager: addresses.ActorsManager }, options)
+    }
+
+    abi(name) {
+        return this.abis[name] || loadAbi(name)
+    }
+
+    /**
+     * @returns {Promise<import("ethers").Contract>} the `BatchManager` created by `SupplyChain`.
+     */
+    async batchManager() {
+        if (!this._batchManager) {
+            this._batchManager = new Contract(await this.supplyChain.batchManager(), this.abi("BatchManager"), this.runner)
+        }
+        return this._batchManager
+    }
+
+    /**
+     * Adds a newly harvested batch.
+     * @param {number|bigint} rawMaterialSupplierId ID of the supplier who harvested the batch.
+     * @param {string} hash hash of the batch metadata.
+     * @returns {Promise<bigint>} the minted batch ID.
+     */
+    async createBatch(rawMaterialSupplierId, hash) {
+        const batchManager = await this.batchManager()
+        const tx = await this.supplyChain.addHarvestedBatch(rawMaterialSupplierId, hash)
+        const outcome = await this.waitForOutcome(batchManager, tx, ["BatchCreated", "DataCertificationFailed"])
+        return outcome.args.batchId
+    }
+
+    /**
+     * Moves a batch to its next phase.
+     * @param {number|bigint} batchId ID of the batch.
+     * @param {object} changes `BatchInfo` fields to change, merged over the current on-chain info (see `mergeBatchInfo`).
+     * @param {string} hash hash of the updated batch metadata.
+     * @returns {Promise<bigint>} the batch ID.
+     */
+    async advanceBatch(batchId, changes, hash) {
+        const batchManager = await this.batchManager()
+        const batch = encodeBatchInfo(mergeBatchInfo(await readBatchInfo(batchManager, batchId), { ...changes, batchId }))
+        const tx = await this.supplyChain.updateBatchState(batch, hash)
+        const outcome = await this.waitForOutcome(batchManager, tx, ["BatchStatusUpdated", "DataCertificationFailed"])
+        return outcome.args.batchId
+    }
+
+    /**
+     * Moves a batch as the registered actor responsible for it, see `SupplyChain.submitBatchUpdate`.
+     * The runner must hold the actor ID or be one of its operators.
+     * @param {number|string} actorType type of the submitting actor, index or name.
+     * @param {number|bigint} actorId ID of the submitting actor.
+     * @param {number|bigint} batchId ID of the batch.
+     * @param {number|string} state state to move the batch to, index or name.
+     * @param {string} hash hash of the updated batch metadata.
+     * @returns {Promise<bigint>} the batch ID.
+     */
+    async submitBatchUpdate(actorType, actorId, batchId, state, hash) {
+        const batchManager = await this.batchManager()
+        const tx = await this.supplyChain.submitBatchUpdate(
+            parseEnum(ACTOR_TYPES, actorType, "actor type"),
+            actorId,
+            batchId,
+            parseEnum(BATCH_STATES, state, "batch state"),
+            hash
+        )
+        const outcome = await this.waitForOutcome(batchManager, tx, ["BatchStatusUpdated", "DataCertificationFailed"])
+        return outcome.args.batchId
+    }
+
+    /**
+     * @returns {Promise<object>} the current on-chain `BatchInfo`, with its token URI.
+     */
+    async getBatch(batchId) {
+        const batchManager = await this.batchManager()
+        return { ...(await readBatchInfo(batchManager, batchId)), uri: await batchManager.getBatchURI(batchId) }
+    }
+
+    /**
+     * Registers an actor, the runner requires the `AUTHORIZED_CONTRACT_ROLE`.
+     * @param {number|string} actorType type of the actor, index or name.
+     * @param {string} account account to receive the identification NFT.
+     * @param {string} hash hash of the actor metadata.
+     * @returns {Promise<bigint>} the minted actor ID.
+     */
+    async registerActor(actorType, account, hash) {
+        const tx = await this.actorsManager.registerActor(parseEnum(ACTOR_TYPES, actorType, "actor type"), account, hash)
+        const outcome = await this.waitForOutcome(this.actorsManager, tx, ["ActorRegistered", "ValidationFailed"])
+        return outcome.args.actorId
+    }
+
+    /**
+     * Updates the metadata of an actor, the runner requires the `AUTHORIZED_CONTRACT_ROLE`.
+     * @returns {Promise<bigint>} the actor ID.
+     */
+    async updateActor(actorType, actorId, hash) {
+        const tx = await this.actorsManager.updateActor(parseEnum(ACTOR_TYPES, actorType, "actor type"), actorId, hash)
+        const outcome = await this.waitForOutcome(this.actorsManager, tx, ["ActorUpdated", "ValidationFailed"])
+        return outcome.args.actorId
+    }
+
+    async waitForOutcome(manager, tx, outcomes) {
+        const { requestId, events } = await waitForFulfillment(manager, await tx.wait(), this.options)
+        // the answer to an expired request is ignored, the request awaiting its resubmission
+        if (events.some((event) => event.name === "ValidationRequestExpired")) throw new ValidationAbortedError(requestId, "expired")
+        const outcome = events.find((event) => outcomes.includes(event.name))
+        if (!outcome) throw new Error(`Validation request ${requestId} was fulfilled without any of ${outcomes.join(", ")}`)
+        if (outcome.name === "ValidationFailed" || outcome.name === "DataCertificationFailed") throw new ValidationError(outcome, requestId)
+        return outcome
+    }
+}
+
+module.exports = { SupplyChainClient, waitForFulfillment, loadAbi }
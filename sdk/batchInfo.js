@@ -0,0 +1,78 @@
+const BATCH_STATES = ["Harvested", "Processed", "Packaged", "AtDistributors", "AtRetailers", "ToCustomers", "InStorage", "InTransit", "InProcessing", "Collected", "SecondLife", "Recycled", "Disposed"]
+const ACTOR_TYPES = ["RawMaterialSupplier", "RawProcessorId", "BatteryManufacturer", "Distributor", "Retailer", "Consumer", "Collector", "Recycler"]
+
+/**
+ * Resolves an enum member given either by index or by (case insensitive) name.
+ * @param {string[]} members the enum members, in declaration order.
+ * @param {number|bigint|string} value index or name of the member.
+ * @param {string} label used in the error message.
+ * @returns {number} the member index.
+ */
+function parseEnum(members, value, label) {
+    const index = /^\d+$/.test(String(value)) ? Number(value) : members.findIndex((m) => m.toLowerCase() === String(value).toLowerCase())
+    if (!(index >= 0 && index < members.length)) throw new Error(`Invalid ${label} "${value}", expected one of: ${members.join(", ")}`)
+    return index
+}
+
+/**
+ * Normalizes a `BatchManager.BatchInfo` to the tuple layout expected by the contracts.
+ * `state` may be given by name, the actor counts default to the length of their ID arrays.
+ * @param {object} info a (complete) batch info.
+ * @returns {object} the ABI-ready struct.
+ */
+function encodeBatchInfo(info) {
+    const distributorIds = (info.distributorIds || []).map(BigInt)
+    const retailerIds = (info.retailerIds || []).map(BigInt)
+    return {
+        batchId: BigInt(info.batchId),
+        state: parseEnum(BATCH_STATES, info.state === undefined ? 0 : info.state, "batch state"),
+        isCertified: !!info.isCertified,
+        qualityControlApproved: !!info.qualityControlApproved,
+        rawMaterialSupplierId: BigInt(info.rawMaterialSupplierId || 0),
+        rawProcessorId: BigInt(info.rawProcessorId || 0),
+        batteryManufacturerId: BigInt(info.batteryManufacturerId || 0),
+        distributorsCount: BigInt(info.distributorsCount === undefined ? distributorIds.length : info.distributorsCount),
+        retailersCount: BigInt(info.retailersCount === undefined ? retailerIds.length : info.retailersCount),
+        distributorIds,
+        retailerIds,
+    }
+}
+
+/**
+ * Merges `BatchInfo` changes over a current batch info. The actor counts follow the ID arrays the changes set,
+ * unless the changes set the counts too.
+ * @param {object} current the current (on-chain) batch info.
+ * @param {object} changes the fields to change.
+ * @returns {object} the merged batch info.
+ */
+function mergeBatchInfo(current, changes) {
+    const merged = { ...current, ...changes }
+    if (changes.distributorIds !== undefined && changes.distributorsCount === undefined) merged.distributorsCount = changes.distributorIds.length
+    if (changes.retailerIds !== undefined && changes.retailersCount === undefined) merged.retailersCount = changes.retailerIds.length
+    return merged
+}
+
+/**
+ * Reads the full on-chain `BatchInfo`, the public `batchInfoForId` getter omits the actor ID arrays.
+ * @param {import("ethers").Contract} batchManager
+ * @param {number|bigint} batchId
+ */
+async function readBatchInfo(batchManager, batchId) {
+    const info = await batchManager.batchInfoForId(batchId)
+    const [, , , , , distributorIds, retailerIds] = await batchManager.getUpdatedBatchActors(batchId)
+    return {
+        batchId: BigInt(batchId),
+        state: Number(info.state),
+        isCertified: info.isCertified,
+        qualityControlApproved: info.qualityControlApproved,
+        rawMaterialSupplierId: info.rawMaterialSupplierId,
+        rawProcessorId: info.rawProcessorId,
+        batteryManufacturerId: info.batteryManufacturerId,
+        distributorsCount: info.distributorsCount,
+        retailersCount: info.retailersCount,
+        distributorIds: [...distributorIds],
+        retailerIds: [...retailerIds],
+    }
+}
+
+module.exports = { BATCH_STATES, ACTOR_TYPES, parseEnum, encodeBatchInfo, mergeBatchInfo, readBatchInfo }
@@ -0,0 +1,68 @@
+/**
+ * Thrown when the DON rejects the metadata, or fails to validate it.
+ */
+class ValidationError extends Error {
+    /**
+     * @param {object} event the `ValidationFailed` / `DataCertificationFailed` event.
+     * @param {string} requestId the validation request ID.
+     */
+    constructor(event, requestId) {
+        const raw = event.args.error
+        super(`Metadata validation failed for "${event.args.hash}": ${decodeReason(raw)}`)
+        this.name = "ValidationError"
+        this.requestId = requestId
+        this.hash = event.args.hash
+        this.reason = decodeReason(raw)
+        this.raw = raw
+        this.event = event
+    }
+}
+
+/**
+ * Thrown when no answer arrives for a validation request in time.
+ */
+class ValidationTimeoutError extends Error {
+    constructor(requestId, timeout) {
+        super(`Validation request ${requestId} was not fulfilled within ${timeout}ms`)
+        this.name = "ValidationTimeoutError"
+        this.requestId = requestId
+    }
+}
+
+/**
+ * Thrown when a validation request expired before its answer, or was cancelled.
+ */
+class ValidationAbortedError extends Error {
+    /**
+     * @param {string} requestId the validation request ID.
+     * @param {"expired"|"cancelled"} reason
+     */
+    constructor(requestId, reason) {
+        super(`Validation request ${requestId} ${reason}`)
+        this.name = "ValidationAbortedError"
+        this.requestId = requestId
+        this.reason = reason
+    }
+}
+
+/**
+ * Thrown when a battery passport does not match the schema.
+ */
+class PassportValidationError extends Error {
+    /**
+     * @param {string[]} errors the problems found.
+     */
+    constructor(errors) {
+        super(`Invalid battery passport: ${errors.join("; ")}`)
+        this.name = "PassportValidationError"
+        this.errors = errors
+    }
+}
+
+// The DON reports either the returned bytes ("false") or an error message, both UTF-8 encoded.
+function decodeReason(raw) {
+    const text = Buffer.from(raw.replace(/^0x/, ""), "hex").toString("utf8")
+    return /^[\x20-\x7e\s]*$/.test(text) ? text : raw
+}
+
+module.exports = { ValidationError, ValidationTimeoutError, ValidationAbortedError, PassportValidationError }
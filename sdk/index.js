@@ -0,0 +1,27 @@
+const { SupplyChainClient, waitForFulfillment, loadAbi } = require("./SupplyChainClient")
+const { ValidationError, ValidationTimeoutError, ValidationAbortedError, PassportValidationError } = require("./errors")
+const { BATCH_STATES, ACTOR_TYPES, encodeBatchInfo, mergeBatchInfo, readBatchInfo } = require("./batchInfo")
+const { CHEMISTRIES, CARBON_FOOTPRINT_CLASSES, BATTERY_CATEGORIES, PASSPORT_SCHEMA, validatePassport, buildPassport, passportTokenURI, encodePassport } = require("./passport")
+
+module.exports = {
+    SupplyChainClient,
+    ValidationError,
+    ValidationTimeoutError,
+    ValidationAbortedError,
+    PassportValidationError,
+    waitForFulfillment,
+    loadAbi,
+    encodeBatchInfo,
+    mergeBatchInfo,
+    readBatchInfo,
+    BATCH_STATES,
+    ACTOR_TYPES,
+    PASSPORT_SCHEMA,
+    CHEMISTRIES,
+    CARBON_FOOTPRINT_CLASSES,
+    BATTERY_CATEGORIES,
+    validatePassport,
+    buildPassport,
+    passportTokenURI,
+    encodePassport,
+}
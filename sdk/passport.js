@@ -0,0 +1,168 @@
+const { BATCH_STATES, parseEnum } = require("./batchInfo")
+const { PassportValidationError } = require("./errors")
+
+const PASSPORT_VERSION = "1.0"
+// in the order of `BatteryPassport.Chemistry` & `BatteryPassport.CarbonFootprintClass`
+const CHEMISTRIES = ["LFP", "NMC", "NCA", "LMO", "LTO", "NiMH", "LeadAcid", "SodiumIon", "Other"]
+const CARBON_FOOTPRINT_CLASSES = ["A", "B", "C", "D", "E"]
+const BATTERY_CATEGORIES = ["EV", "LMT", "Industrial", "SLI", "Portable"]
+
+const isString = (value) => typeof value === "string" && value.trim().length > 0
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value)
+const isId = (value) => /^\d+$/.test(String(value))
+
+/**
+ * The battery passport fields, as `path: [required, check, expectation]`.
+ * The required fields are the ones the EU Battery Regulation asks for, which are also recorded on-chain.
+ */
+const PASSPORT_SCHEMA = {
+    "version": [true, (v) => v === PASSPORT_VERSION, `"${PASSPORT_VERSION}"`],
+    "batchId": [true, isId, "an unsigned integer string"],
+    "batteryCategory": [true, (v) => BATTERY_CATEGORIES.includes(v), `one of: ${BATTERY_CATEGORIES.join(", ")}`],
+    "chemistry": [true, (v) => CHEMISTRIES.includes(v), `one of: ${CHEMISTRIES.join(", ")}`],
+    "ratedCapacity.value": [true, (v) => isNumber(v) && v > 0, "a positive number"],
+    "ratedCapacity.unit": [true, (v) => v === "Ah", '"Ah"'],
+    "nominalVoltage.value": [false, (v) => isNumber(v) && v > 0, "a positive number"],
+    "nominalVoltage.unit": [false, (v) => v === "V", '"V"'],
+    "carbonFootprint.class": [true, (v) => CARBON_FOOTPRINT_CLASSES.includes(v), `one of: ${CARBON_FOOTPRINT_CLASSES.join(", ")}`],
+    "carbonFootprint.value": [false, (v) => isNumber(v) && v >= 0, "a non-negative number"],
+    "carbonFootprint.unit": [false, (v) => v === "kgCO2e/kWh", '"kgCO2e/kWh"'],
+    "recycledContentShare": [true, (v) => isNumber(v) && v >= 0 && v <= 100, "a percentage in between 0 & 100"],
+    "manufacturer.actorId": [true, isId, "an unsigned integer string"],
+    "manufacturer.name": [true, isString, "a non-empty string"],
+    "manufacturer.registrationNumber": [true, isString, "a non-empty string"],
+    "manufacturer.country": [true, (v) => /^[A-Z]{2}$/.test(v), "an ISO 3166-1 alpha-2 code"],
+    "manufacturer.contact": [false, isString, "a non-empty string"],
+    "manufacturingDate": [false, (v) => isString(v) && !isNaN(Date.parse(v)), "an ISO 8601 date"],
+    "supplyChain.state": [true, (v) => BATCH_STATES.includes(v), `one of: ${BATCH_STATES.join(", ")}`],
+    "supplyChain.rawMaterialSupplierId": [true, isId, "an unsigned integer string"],
+    "supplyChain.rawProcessorId": [true, isId, "an unsigned integer string"],
+}
+
+const get = (object, path) => path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object)
+
+/**
+ * Checks a passport against `PASSPORT_SCHEMA`.
+ * @param {object} passport
+ * @returns {string[]} the problems found, empty if the passport is valid.
+ */
+function checkPassport(passport) {
+    const errors = []
+    for (const [path, [required, check, expectation]] of Object.entries(PASSPORT_SCHEMA)) {
+        const value = get(passport, path)
+        if (value === undefined || value === null) {
+            if (required) errors.push(`${path} is required`)
+        } else if (!check(value)) {
+            errors.push(`${path} must be ${expectation}`)
+        }
+    }
+    return errors
+}
+
+/**
+ * Throws a `PassportValidationError` listing every problem unless the passport matches `PASSPORT_SCHEMA`.
+ * @param {object} passport
+ * @returns {object} the passport.
+ */
+function validatePassport(passport) {
+    const errors = checkPassport(passport)
+    if (errors.length > 0) throw new PassportValidationError(errors)
+    return passport
+}
+
+/**
+ * Builds the passport of a packaged batch from its `BatchInfo`, the metadata of its battery manufacturer
+ * & the product characteristics.
+ * @param {object} batch the batch info, as returned by `readBatchInfo`.
+ * @param {object} manufacturer metadata of the battery manufacturer (`name`, `registrationNumber`, `country`, `contact`).
+ * @param {object} product the battery characteristics.
+ * @param {string} product.batteryCategory one of `BATTERY_CATEGORIES`.
+ * @param {string} product.chemistry one of `CHEMISTRIES`.
+ * @param {number} product.ratedCapacity rated capacity in Ah.
+ * @param {string} product.carbonFootprintClass one of `CARBON_FOOTPRINT_CLASSES`.
+ * @param {number} [product.carbonFootprint] carbon footprint in kgCO2e/kWh.
+ * @param {number} product.recycledContentShare share of recycled content in %.
+ * @param {number} [product.nominalVoltage] nominal voltage in V.
+ * @param {string} [product.manufacturingDate] ISO 8601 date.
+ * @returns {object} the validated passport.
+ */
+function buildPassport(batch, manufacturer, product) {
+    const passport = {
+        version: PASSPORT_VERSION,
+        batchId: String(batch.batchId),
+        batteryCategory: product.batteryCategory,
+        chemistry: product.chemistry,
+        ratedCapacity: { value: product.ratedCapacity, unit: "Ah" },
+        carbonFootprint: { class: product.carbonFootprintClass },
+        recycledContentShare: product.recycledContentShare,
+        manufacturer: {
+            actorId: String(batch.batteryManufacturerId),
+            name: manufacturer.name,
+            registrationNumber: manufacturer.registrationNumber,
+            country: manufacturer.country,
+        },
+        supplyChain: {
+            state: BATCH_STATES[parseEnum(BATCH_STATES, batch.state, "batch state")],
+            rawMaterialSupplierId: String(batch.rawMaterialSupplierId),
+            rawProcessorId: String(batch.rawProcessorId),
+        },
+    }
+    if (product.nominalVoltage !== undefined) passport.nominalVoltage = { value: product.nominalVoltage, unit: "V" }
+    if (product.carbonFootprint !== undefined) Object.assign(passport.carbonFootprint, { value: product.carbonFootprint, unit: "kgCO2e/kWh" })
+    if (manufacturer.contact !== undefined) passport.manufacturer.contact = manufacturer.contact
+    if (product.manufacturingDate !== undefined) passport.manufacturingDate = product.manufacturingDate
+    return validatePassport(passport)
+}
+
+/**
+ * Encodes a passport as a `data:` token URI, for the wallets & marketplaces reading the metadata inline.
+ * @param {object} passport a valid passport.
+ */
+function passportTokenURI(passport) {
+    validatePassport(passport)
+    const metadata = {
+        name: `Battery Passport #${passport.batchId}`,
+        description: `EU battery passport of batch ${passport.batchId}`,
+        attributes: [
+            { trait_type: "Battery Category", value: passport.batteryCategory },
+            { trait_type: "Chemistry", value: passport.chemistry },
+            { trait_type: "Rated Capacity (Ah)", value: passport.ratedCapacity.value },
+            { trait_type: "Carbon Footprint Class", value: passport.carbonFootprint.class },
+            { trait_type: "Recycled Content (%)", value: passport.recycledContentShare },
+            { trait_type: "Manufacturer", value: passport.manufacturer.name },
+        ],
+        passport,
+    }
+    return `data:application/json;base64,${Buffer.from(JSON.stringify(metadata)).toString("base64")}`
+}
+
+/**
+ * Converts a passport to the arguments of `BatteryPassport.setPassport`.
+ * @param {object} passport a valid passport.
+ * @param {string} hash hash of the passport document.
+ * @returns {Array} `[batchId, chemistry, carbonFootprintClass, ratedCapacity (mAh), recycledContentShare (bps), hash]`.
+ */
+function encodePassport(passport, hash) {
+    validatePassport(passport)
+    return [
+        BigInt(passport.batchId),
+        CHEMISTRIES.indexOf(passport.chemistry),
+        CARBON_FOOTPRINT_CLASSES.indexOf(passport.carbonFootprint.class),
+        BigInt(Math.round(passport.ratedCapacity.value * 1000)),
+        Math.round(passport.recycledContentShare * 100),
+        hash,
+    ]
+}
+
+module.exports = {
+    PASSPORT_VERSION,
+    PASSPORT_SCHEMA,
+    CHEMISTRIES,
+    CARBON_FOOTPRINT_CLASSES,
+    BATTERY_CATEGORIES,
+    checkPassport,
+    validatePassport,
+    buildPassport,
+    passportTokenURI,
+    encodePassport,
+}
@@ -0,0 +1,230 @@
+const vm = require("vm")
+const { decodeRequestData } = require("./cbor")
+
+const CODE_LOCATION_INLINE = 0
+const CODE_LANGUAGE_JAVASCRIPT = 0
+const SECRETS_LOCATION_DON_HOSTED = 2
+const MAX_UINT256 = (1n << 256n) - 1n
+const MAX_INT256 = (1n << 255n) - 1n
+const MIN_INT256 = -(1n << 255n)
+
+function toBigInt(value, name) {
+    if (typeof value === "bigint") return value
+    if (typeof value === "number" && Number.isSafeInteger(value)) return BigInt(value)
+    throw new Error(`${name} invalid input`)
+}
+
+function toBytes32(value) {
+    return Uint8Array.from(Buffer.from(value.toString(16).padStart(64, "0"), "hex"))
+}
+
+/**
+ * The `Functions` library exposed to the source code, mirroring the one available on the DON.
+ * @param {Function} fetch a fetch compatible function used to perform the HTTP requests.
+ */
+function createFunctionsLibrary(fetch) {
+    return {
+        async makeHttpRequest({ url, method = "GET", params, headers = {}, data, timeout = 3000, responseType = "json" }) {
+            try {
+                const target = new URL(url)
+                for (const [key, value] of Object.entries(params || {})) target.searchParams.append(key, value)
+                const res = await fetch(target, {
+                    method,
+                    headers,
+                    body: data === undefined || typeof data === "string" ? data : JSON.stringify(data),
+                    signal: AbortSignal.timeout(timeout),
+                })
+                const text = await res.text()
+                let body = text
+                if (responseType === "json") {
+                    try {
+                        body = JSON.parse(text)
+                    } catch (_) {
+                        // like axios, an unparsable body is handed over as is
+                    }
+                }
+                const response = { status: res.status, statusText: res.statusText, headers: Object.fromEntries(res.headers), data: body }
+                if (res.status < 200 || res.status > 299) {
+                    return { error: true, message: `Request failed with status code ${res.status}`, code: "ERR_BAD_RESPONSE", response }
+                }
+                return { error: false, ...response }
+            } catch (e) {
+                const timedOut = e.name === "TimeoutError" || e.name === "AbortError"
+                return { error: true, message: e.message, code: timedOut ? "ECONNABORTED" : "ERR_NETWORK" }
+            }
+        },
+        encodeUint256(value) {
+            const result = toBigInt(value, "encodeUint256")
+            if (result < 0n || result > MAX_UINT256) throw new Error("encodeUint256 invalid input")
+            return toBytes32(result)
+        },
+        encodeInt256(value) {
+            const result = toBigInt(value, "encodeInt256")
+            if (result < MIN_INT256 || result > MAX_INT256) throw new Error("encodeInt256 invalid input")
+            return toBytes32(result < 0n ? (1n << 256n) + result : result)
+        },
+        encodeString(value) {
+            if (typeof value !== "string") throw new Error("encodeString invalid input")
+            return new TextEncoder().encode(value)
+        },
+    }
+}
+
+/**
+ * Runs Chainlink Functions requests emitted by `FunctionsRouterMock` locally & delivers the results back on-chain.
+ *
+ * Usage:
+ *   const simulator = new FunctionsSimulator(router)
+ *   await supplyChain.addHarvestedBatch(0, hash)
+ *   const [result] = await simulator.fulfillPending()
+ */
+class FunctionsSimulator {
+    /**
+     * @param {import("ethers").Contract} router a `FunctionsRouterMock` instance connected to the signer acting as the DON.
+     * @param {object} [options]
+     * @param {object} [options.secrets] the DON-hosted secrets, exposed to the source code as `secrets` when the request references them.
+     * @param {Function} [options.fetch] fetch compatible function backing `Functions.makeHttpRequest`.
+     * @param {number} [options.timeoutMs] maximum execution time of the source code.
+     * @param {number} [options.maxResponseBytes] maximum size of the returned value.
+     */
+    constructor(router, { secrets = {}, fetch = globalThis.fetch, timeoutMs = 10000, maxResponseBytes = 256 } = {}) {
+        this.router = router
+        this.secrets = secrets
+        this.fetch = fetch
+        this.timeoutMs = timeoutMs
+        this.maxResponseBytes = maxResponseBytes
+        this.fromBlock = 0
+        this.listener = null
+        this.queue = Promise.resolve()
+    }
+
+    /**
+     * Decodes & executes the request data in a sandbox.
+     * @param {string|Uint8Array} data CBOR encoded request data.
+     * @returns {Promise<{ response: Uint8Array, error: Uint8Array }>} exactly one of both is non empty.
+     */
+    async execute(data) {
+        try {
+            const request = decodeRequestData(data)
+            if (request.codeLocation !== CODE_LOCATION_INLINE) throw new Error("only inline source code is supported")
+            if (request.language !== CODE_LANGUAGE_JAVASCRIPT) throw new Error("only JavaScript source code is supported")
+
+            if (request.secretsLocation !== undefined && request.secretsLocation !== SECRETS_LOCATION_DON_HOSTED)
+                throw new Error("only DON-hosted secrets are supported")
+            // the DON only decrypts the secrets referenced by the request
+            const secrets = request.secretsLocation === SECRETS_LOCATION_DON_HOSTED ? this.secrets : {}
+            const result = await this.runSource(request.source, request.args || [], request.bytesArgs || [], secrets)
+            if (!ArrayBuffer.isView(result) && Object.prototype.toString.call(result) !== "[object ArrayBuffer]")
+                throw new Error("returned value not an ArrayBuffer or Uint8Array")
+            const response = Uint8Array.from(ArrayBuffer.isView(result) ? result : new Uint8Array(result))
+            if (response.length > this.maxResponseBytes) throw new Error(`response >${this.maxResponseBytes} bytes`)
+            return { response, error: new Uint8Array() }
+        } catch (e) {
+            const message = e && e.message !== undefined ? e.message : String(e)
+            return { response: new Uint8Array(), error: new TextEncoder().encode(message || "Error") }
+        }
+    }
+
+    /**
+     * @dev Runs the source as the body of an async function, with `args`, `bytesArgs`, `secrets` & `Functions` in scope.
+     */
+    async runSource(source, args, bytesArgs, secrets = {}) {
+        const context = vm.createContext({
+            args,
+            bytesArgs: bytesArgs.map((arg) => "0x" + Buffer.from(arg).toString("hex")),
+            secrets: { ...secrets },
+            Functions: createFunctionsLibrary(this.fetch),
+            console: { log() {}, warn() {}, error() {} },
+            URL,
+            TextEncoder,
+            TextDecoder,
+        })
+        const script = new vm.Script(`(async () => {\n${source}\n})()`, { filename: "validationSource.js" })
+
+        let timer
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`execution time exceeded ${this.timeoutMs}ms`)), this.timeoutMs)
+        })
+        try {
+            return await Promise.race([script.runInContext(context, { timeout: this.timeoutMs }), timeout])
+        } finally {
+            clearTimeout(timer)
+        }
+    }
+
+    /**
+     * Executes a single pending request & fulfills it through the router.
+     * @param {object} event a `RequestStarted` event log.
+     * @returns {Promise<{ requestId: string, client: string, response: Uint8Array, error: Uint8Array, success: boolean, callbackReturnData: string }>}
+     */
+    async fulfill(event) {
+        const { requestId, requestingContract, data } = event.args
+        const { response, error } = await this.execute(data)
+        const tx = await this.router.fulfillRequest(requestId, response, error)
+        const receipt = await tx.wait()
+
+        const processed = receipt.logs
+            .map((log) => {
+                try {
+                    return this.router.interface.parseLog(log)
+                } catch (_) {
+                    return null
+                }
+            })
+            .find((log) => log && log.name === "RequestProcessed")
+        return {
+            requestId,
+            client: requestingContract,
+            response,
+            error,
+            success: processed.args.success,
+            callbackReturnData: processed.args.callbackReturnData,
+            receipt,
+        }
+    }
+
+    /**
+     * Fulfills every request emitted since the last call that is still awaiting a result.
+     * @returns {Promise<Array>} the results, in emission order.
+     */
+    async fulfillPending() {
+        const toBlock = await this.router.runner.provider.getBlockNumber()
+        const events = await this.router.queryFilter(this.router.filters.RequestStarted(), this.fromBlock, toBlock)
+        this.fromBlock = toBlock + 1
+
+        const results = []
+        for (const event of events) {
+            const { client } = await this.router.commitments(event.args.requestId)
+            if (client === "0x0000000000000000000000000000000000000000") continue
+            results.push(await this.fulfill(event))
+        }
+        return results
+    }
+
+    /**
+     * Keeps fulfilling requests as they are emitted, for long running local networks.
+     * @param {Function} [onResult] called with every fulfillment result.
+     */
+    async start(onResult = () => {}) {
+        if (this.listener) return
+        this.listener = (...params) => {
+            const event = params[params.length - 1].log
+            // fulfillments are sent one at a time to keep the DON signer nonces in order
+            this.queue = this.queue
+                .then(() => this.fulfill(event))
+                .then(onResult, (failure) => onResult({ requestId: event.args.requestId, failure }))
+        }
+        await this.router.on("RequestStarted", this.listener)
+    }
+
+    /**
+     * Stops listening for new requests.
+     */
+    async stop() {
+        if (!this.listener) return
+        await this.router.off("RequestStarted", this.listener)
+        this.listener = null
+    }
+}
+
+module.exports = { FunctionsSimulator, createFunctionsLibrary }
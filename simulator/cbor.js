@@ -0,0 +1,117 @@
+// A minimal CBOR (RFC 8949) decoder covering what `FunctionsRequest.encodeCBOR` produces: unsigned/negative integers,
+// bignum tags (`CBOR.writeUInt256` always emits one), byte & text strings, (indefinite) arrays & maps and simple values.
+
+const BREAK = Symbol("break")
+
+function decodeItem(bytes, state) {
+    const initial = bytes[state.offset++]
+    if (initial === undefined) throw new Error("CBOR: unexpected end of input")
+    if (initial === 0xff) return BREAK
+
+    const majorType = initial >> 5
+    const info = initial & 0x1f
+    const length = readLength(bytes, state, info)
+
+    switch (majorType) {
+        case 0:
+            return length
+        case 1:
+            return typeof length === "bigint" ? -1n - length : -1 - length
+        case 2:
+            return length === null ? readChunks(bytes, state, 2) : readBytes(bytes, state, length)
+        case 3:
+            return Buffer.from(length === null ? readChunks(bytes, state, 3) : readBytes(bytes, state, length)).toString("utf8")
+        case 4: {
+            const items = []
+            for (let i = 0; length === null || i < length; i++) {
+                const item = decodeItem(bytes, state)
+                if (item === BREAK) break
+                items.push(item)
+            }
+            return items
+        }
+        case 5: {
+            const map = {}
+            for (let i = 0; length === null || i < length; i++) {
+                const key = decodeItem(bytes, state)
+                if (key === BREAK) break
+                map[key] = decodeItem(bytes, state)
+            }
+            return map
+        }
+        case 6: {
+            const value = decodeItem(bytes, state)
+            if (length === 2 || length === 3) {
+                const magnitude = BigInt("0x" + (Buffer.from(value).toString("hex") || "0"))
+                return toNumberIfSafe(length === 2 ? magnitude : -1n - magnitude)
+            }
+            return value
+        }
+        case 7:
+            if (info === 20) return false
+            if (info === 21) return true
+            if (info === 22) return null
+            if (info === 23) return undefined
+            throw new Error(`CBOR: unsupported simple value ${info}`)
+    }
+}
+
+function readLength(bytes, state, info) {
+    if (info < 24) return info
+    if (info === 31) return null
+    const size = { 24: 1, 25: 2, 26: 4, 27: 8 }[info]
+    if (size === undefined) throw new Error(`CBOR: invalid additional information ${info}`)
+    let value = 0n
+    for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(readBytes(bytes, state, 1)[0])
+    return toNumberIfSafe(value)
+}
+
+function toNumberIfSafe(value) {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value
+}
+
+function readBytes(bytes, state, length) {
+    if (state.offset + Number(length) > bytes.length) throw new Error("CBOR: unexpected end of input")
+    const chunk = bytes.subarray(state.offset, state.offset + Number(length))
+    state.offset += Number(length)
+    return chunk
+}
+
+function readChunks(bytes, state, majorType) {
+    const chunks = []
+    for (;;) {
+        const chunk = decodeItem(bytes, state)
+        if (chunk === BREAK) break
+        chunks.push(majorType === 3 ? Buffer.from(chunk, "utf8") : chunk)
+    }
+    return Buffer.concat(chunks)
+}
+
+/**
+ * Decodes a sequence of top level CBOR items.
+ * @param {Uint8Array|string} data raw bytes or a 0x-prefixed hex string.
+ * @returns {Array} the decoded items, in order.
+ */
+function decodeSequence(data) {
+    const bytes = typeof data === "string" ? Buffer.from(data.replace(/^0x/, ""), "hex") : Buffer.from(data)
+    const state = { offset: 0 }
+    const items = []
+    while (state.offset < bytes.length) items.push(decodeItem(bytes, state))
+    return items
+}
+
+/**
+ * Decodes the request data of a Chainlink Functions request.
+ * `FunctionsRequest.encodeCBOR` writes the fields as a flat key/value sequence rather than a CBOR map.
+ * @param {Uint8Array|string} data the `data` emitted with the request.
+ * @returns {{ codeLocation: number, language: number, source: string, args?: string[], secretsLocation?: number, secrets?: Buffer, bytesArgs?: Buffer[] }}
+ */
+function decodeRequestData(data) {
+    const items = decodeSequence(data)
+    if (items.length % 2 !== 0) throw new Error("CBOR: request data is not a key/value sequence")
+    const request = {}
+    for (let i = 0; i < items.length; i += 2) request[items[i]] = items[i + 1]
+    return request
+}
+
+module.exports = { decodeSequence, decodeRequestData }
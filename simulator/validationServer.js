@@ -0,0 +1,118 @@
+const http = require("http")
+const fs = require("fs")
+const path = require("path")
+
+const DEFAULT_PORT = 8787
+const DEFAULT_FIXTURES = path.join(__dirname, "fixtures")
+const HASH_PATTERN = /^[A-Za-z0-9]+$/
+
+/**
+ * Reads the fixture metadata of an actor or a batch, `null` if there is none.
+ * @param {string} fixturesDir root of the fixtures, holding `actors/` & `batches/`.
+ * @param {"actors"|"batches"} kind collection to look into.
+ * @param {string} hash metadata hash, the fixture file name without the `.json` extension.
+ */
+function readFixture(fixturesDir, kind, hash) {
+    if (!hash || !HASH_PATTERN.test(hash)) return null
+    const file = path.join(fixturesDir, kind, `${hash}.json`)
+    if (!fs.existsSync(file)) return null
+    return JSON.parse(fs.readFileSync(file, "utf8"))
+}
+
+/**
+ * A fixture is valid unless it is missing, explicitly flagged `"isValid": false`,
+ * or (for actors) registered under another `actorType` than the one queried.
+ */
+function isValidActor(fixture, actorType) {
+    if (!fixture || fixture.isValid === false) return false
+    return fixture.actorType === undefined || String(fixture.actorType) === String(actorType)
+}
+
+function isValidBatch(fixture) {
+    return !!fixture && fixture.isValid !== false
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" })
+    res.end(typeof body === "string" ? body : JSON.stringify(body))
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = ""
+        req.on("data", (chunk) => (body += chunk))
+        req.on("end", () => resolve(body))
+        req.on("error", reject)
+    })
+}
+
+/**
+ * Creates a local stand-in for the `validate-actor-meta` & `validate-batch-meta` endpoints.
+ *
+ * The failure switches can be set upfront or changed at runtime with `server.setMode()`
+ * or through `POST /__control` with a JSON body e.g. `{ "delayMs": 12000 }`:
+ * - `delayMs`: delays every answer, to exceed the DON request timeout.
+ * - `fail`: answers with a 500 error.
+ * - `malformed`: answers with a body that is not valid JSON.
+ * - `apiKey`: answers with a 401 error unless the request carries it in its `x-api-key` header,
+ *   as sent by the validation source from the DON-hosted secrets.
+ * @param {object} [options]
+ * @param {string} [options.fixturesDir] root of the fixtures, holding `actors/` & `batches/`.
+ * @returns {http.Server} a server that is not listening yet.
+ */
+function createValidationServer({ fixturesDir = DEFAULT_FIXTURES, delayMs = 0, fail = false, malformed = false, apiKey = null } = {}) {
+    const mode = { delayMs, fail, malformed, apiKey }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, "http://localhost")
+        try {
+            if (url.pathname === "/__control") {
+                if (req.method === "POST") Object.assign(mode, JSON.parse((await readBody(req)) || "{}"))
+                return send(res, 200, mode)
+            }
+
+            if (mode.apiKey && req.headers["x-api-key"] !== mode.apiKey) return send(res, 401, { error: "Unauthorized" })
+
+            let isValid
+            if (url.pathname === "/api/validate-actor-meta") {
+                const hash = url.searchParams.get("hash")
+                isValid = isValidActor(readFixture(fixturesDir, "actors", hash), url.searchParams.get("type"))
+            } else if (url.pathname === "/api/validate-batch-meta") {
+                isValid = isValidBatch(readFixture(fixturesDir, "batches", url.searchParams.get("hash")))
+            } else {
+                return send(res, 404, { error: "Not Found" })
+            }
+
+            if (mode.delayMs > 0) await new Promise((resolve) => setTimeout(resolve, mode.delayMs))
+            if (mode.fail) return send(res, 500, { error: "Internal Server Error" })
+            if (mode.malformed) return send(res, 200, '{"isValid": tru')
+            send(res, 200, { hash: url.searchParams.get("hash"), isValid })
+        } catch (e) {
+            send(res, 500, { error: e.message })
+        }
+    })
+
+    server.setMode = (changes) => Object.assign(mode, changes)
+    server.getMode = () => ({ ...mode })
+    return server
+}
+
+module.exports = { createValidationServer, DEFAULT_PORT }
+
+if (require.main === module) {
+    const flags = Object.fromEntries(
+        process.argv.slice(2).map((arg) => {
+            const [key, value] = arg.replace(/^--/, "").split("=")
+            return [key, value === undefined ? true : value]
+        })
+    )
+    const port = Number(flags.port || process.env.VALIDATION_API_PORT || DEFAULT_PORT)
+    const server = createValidationServer({
+        fixturesDir: flags.fixtures ? path.resolve(flags.fixtures) : DEFAULT_FIXTURES,
+        delayMs: Number(flags.delay || 0),
+        fail: !!flags.fail,
+        malformed: !!flags.malformed,
+        apiKey: flags["api-key"] || process.env.VALIDATION_API_KEY || null,
+    })
+    server.listen(port, () => console.log(`Validation API listening on http://127.0.0.1:${port}/api`, server.getMode()))
+}
@@ -0,0 +1,253 @@
+const { task, types } = require("hardhat/config")
+const { ACTOR_TYPES, ACTOR_OUTCOMES, parseEnum, parseTimestamp, getDeployed, waitForValidation, reportOutcome } = require("./helpers")
+
+task("actor:register", "Registers an actor once its metadata is validated by the DON")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("account", "Account to receive the identification NFT")
+    .addParam("hash", "Hash of the actor metadata")
+    .addOptionalParam("timeout", "Seconds to wait for the validation", 300, types.int)
+    .addOptionalParam("poll", "Polling interval in milliseconds", 2000, types.int)
+    .setAction(async ({ type, account, hash, timeout, poll }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        const tx = await actorsManager.registerActor(actorType, account, hash)
+        return reportOutcome(hre, await waitForValidation(hre, actorsManager, tx, ACTOR_OUTCOMES, { timeout, pollInterval: poll }))
+    })
+
+task("actor:update", "Updates the metadata of an actor once it is validated by the DON")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .addParam("hash", "Hash of the new actor metadata")
+    .addOptionalParam("timeout", "Seconds to wait for the validation", 300, types.int)
+    .addOptionalParam("poll", "Polling interval in milliseconds", 2000, types.int)
+    .setAction(async ({ type, id, hash, timeout, poll }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        const tx = await actorsManager.updateActor(actorType, id, hash)
+        return reportOutcome(hre, await waitForValidation(hre, actorsManager, tx, ACTOR_OUTCOMES, { timeout, pollInterval: poll }))
+    })
+
+task("actor:certify", "Records a certificate held by an actor e.g. ISO14001")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .addParam("certificate", "Certificate type, at most 31 characters")
+    .addParam("hash", "Hash of the certificate document")
+    .addParam("validUntil", "End of the validity, date or unix seconds")
+    .addOptionalParam("validFrom", "Start of the validity, date or unix seconds, now by default")
+    .setAction(async ({ type, id, certificate, hash, validFrom, validUntil }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const from =
+            validFrom === undefined ? (await hre.ethers.provider.getBlock("latest")).timestamp : parseTimestamp(validFrom, "validity start")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        const tx = await actorsManager.addCertificate(
+            actorType,
+            id,
+            hre.ethers.encodeBytes32String(certificate),
+            hash,
+            from,
+            parseTimestamp(validUntil, "validity end")
+        )
+        const receipt = await tx.wait()
+        const event = receipt.logs.map((log) => actorsManager.interface.parseLog(log)).find((log) => log && log.name === "CertificateAdded")
+        console.log(
+            `[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id}: certificate ${event.args.certificateId} (${certificate} by ${event.args.issuer}) recorded`
+        )
+        return event.args.certificateId
+    })
+
+task("actor:revoke-certificate", "Revokes a certificate of an actor")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .addParam("certificateId", "Certificate ID", undefined, types.int)
+    .setAction(async ({ type, id, certificateId }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        await (await actorsManager.revokeCertificate(actorType, id, certificateId)).wait()
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id}: certificate ${certificateId} revoked`)
+    })
+
+task("actor:certificates", "Lists the certificates of an actor & whether it holds the required ones")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .setAction(async ({ type, id }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        const now = (await hre.ethers.provider.getBlock("latest")).timestamp
+        const certificates = (await actorsManager.getCertificates(actorType, id)).map((certificate, certificateId) => ({
+            certificateId,
+            certificateType: hre.ethers.decodeBytes32String(certificate.certificateType),
+            issuer: certificate.issuer,
+            hash: certificate.hash,
+            validFrom: Number(certificate.validFrom),
+            validUntil: Number(certificate.validUntil),
+            revoked: certificate.revoked,
+        }))
+        for (const certificate of certificates) {
+            const status = certificate.revoked
+                ? "revoked"
+                : now < certificate.validFrom
+                ? "not yet valid"
+                : now < certificate.validUntil
+                ? "valid"
+                : "expired"
+            console.log(
+                `[${hre.network.name}] ${certificate.certificateId}: ${certificate.certificateType} by ${certificate.issuer}, until ${new Date(
+                    certificate.validUntil * 1000
+                ).toISOString()} (${status})`
+            )
+        }
+        const certified = await actorsManager.isCertified(actorType, id)
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id} ${certified ? "holds" : "misses"} the required certificates`)
+        return { certificates, certified }
+    })
+
+task("actor:require-certificates", "Sets the certificate types an actor type must hold to be assigned a batch stage")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("certificates", "Comma separated certificate types, empty to require none")
+    .setAction(async ({ type, certificates }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const certificateTypes = certificates
+            .split(",")
+            .map((certificate) => certificate.trim())
+            .filter(Boolean)
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        await (await actorsManager.setRequiredCertificates(actorType, certificateTypes.map(hre.ethers.encodeBytes32String))).wait()
+        console.log(
+            `[${hre.network.name}] ${ACTOR_TYPES[actorType]}: ${
+                certificateTypes.length > 0 ? certificateTypes.join(", ") : "no certificate"
+            } required`
+        )
+        return certificateTypes
+    })
+
+const ACTOR_STATUSES = ["Active", "Suspended", "Deactivated"]
+
+task("actor:suspend", "Suspends an active actor, which is then not assigned any new batch stage")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .addParam("reason", "Reason of the suspension")
+    .setAction(async ({ type, id, reason }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        await (await actorsManager.suspendActor(actorType, id, reason)).wait()
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id} suspended: ${reason}`)
+    })
+
+task("actor:reinstate", "Reinstates a suspended actor")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .setAction(async ({ type, id }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        await (await actorsManager.reinstateActor(actorType, id)).wait()
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id} reinstated`)
+    })
+
+task("actor:deactivate", "Deactivates an actor permanently & burns its ID")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .addParam("reason", "Reason of the deactivation")
+    .setAction(async ({ type, id, reason }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        await (await actorsManager.deactivateActor(actorType, id, reason)).wait()
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id} deactivated: ${reason}`)
+    })
+
+task("actor:status", "Shows the status of an actor")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .setAction(async ({ type, id }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        const state = await actorsManager.getActorStatus(actorType, id)
+        const status = { status: ACTOR_STATUSES[Number(state.status)], reason: state.reason, timestamp: Number(state.timestamp) }
+        const since = status.timestamp > 0 ? ` since ${new Date(status.timestamp * 1000).toISOString()}` : ""
+        console.log(
+            `[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id}: ${status.status}${since}${status.reason ? ` (${status.reason})` : ""}`
+        )
+        return status
+    })
+
+task("actor:migrate", "Approves the move of an actor ID to a new account, to be accepted by that account")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .addParam("account", "New account of the actor")
+    .setAction(async ({ type, id, account }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        await (await actorsManager.proposeActorMigration(actorType, id, account)).wait()
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id}: migration to ${account} approved, awaiting its acceptance`)
+    })
+
+task("actor:accept-migration", "Accepts the move of an actor ID to the signing account")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .addOptionalParam("signer", "New account of the actor, one of the network accounts, the first by default")
+    .setAction(async ({ type, id, signer }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const account = signer === undefined ? (await hre.ethers.getSigners())[0] : await hre.ethers.getSigner(signer)
+        const actorsManager = (await getDeployed(hre, "ActorsManager")).connect(account)
+        const receipt = await (await actorsManager.acceptActorMigration(actorType, id)).wait()
+        const event = receipt.logs.map((log) => actorsManager.interface.parseLog(log)).find((log) => log && log.name === "ActorMigrated")
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id} moved from ${event.args.previousAccount} to ${event.args.newAccount}`)
+        return event.args.newAccount
+    })
+
+task("actor:cancel-migration", "Withdraws the pending migration of an actor ID")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .setAction(async ({ type, id }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        await (await actorsManager.cancelActorMigration(actorType, id)).wait()
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id}: migration cancelled`)
+    })
+
+task("actor:add-operator", "Adds an account acting on behalf of an actor, e.g. a staff member or an ERP system")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .addParam("account", "Operator account")
+    .setAction(async ({ type, id, account }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        await (await actorsManager.addOperator(actorType, id, account)).wait()
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id}: operator ${account} added`)
+    })
+
+task("actor:remove-operator", "Removes an operator of an actor")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .addParam("account", "Operator account")
+    .setAction(async ({ type, id, account }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        await (await actorsManager.removeOperator(actorType, id, account)).wait()
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id}: operator ${account} removed`)
+    })
+
+task("actor:operators", "Lists the operators of an actor")
+    .addParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addParam("id", "Actor ID", undefined, types.int)
+    .setAction(async ({ type, id }, hre) => {
+        const actorType = parseEnum(ACTOR_TYPES, type, "actor type")
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        const operators = [...(await actorsManager.getOperators(actorType, id))]
+        console.log(`[${hre.network.name}] ${ACTOR_TYPES[actorType]} ${id}: ${operators.length > 0 ? operators.join(", ") : "no operator"}`)
+        return operators
+    })
+
+task("actor:lookup", "Lists the actors an account acts on behalf of, as holder or operator")
+    .addParam("account", "Account to look up")
+    .setAction(async ({ account }, hre) => {
+        const actorsManager = await getDeployed(hre, "ActorsManager")
+        const actors = []
+        for (let actorType = 0; actorType < ACTOR_TYPES.length; actorType++) {
+            const [found, actorId] = await actorsManager.actorOf(account, actorType)
+            if (!found) continue
+            actors.push({ actorType: ACTOR_TYPES[actorType], actorId })
+            console.log(`[${hre.network.name}] ${account}: ${ACTOR_TYPES[actorType]} ${actorId}`)
+        }
+        if (actors.length === 0) console.log(`[${hre.network.name}] ${account}: no actor`)
+        return actors
+    })
@@ -0,0 +1,76 @@
+const fs = require("fs")
+const { task, types } = require("hardhat/config")
+const {
+    BATCH_STATES,
+    BATCH_OUTCOMES,
+    parseEnum,
+    getDeployed,
+    waitForValidation,
+    reportOutcome,
+    encodeBatchInfo,
+    mergeBatchInfo,
+    readBatchInfo,
+} = require("./helpers")
+
+task("batch:harvest", "Adds a newly harvested batch through `SupplyChain.addHarvestedBatch`")
+    .addParam("supplier", "Raw material supplier ID", undefined, types.int)
+    .addParam("hash", "Hash of the batch metadata")
+    .addOptionalParam("timeout", "Seconds to wait for the validation", 300, types.int)
+    .addOptionalParam("poll", "Polling interval in milliseconds", 2000, types.int)
+    .setAction(async ({ supplier, hash, timeout, poll }, hre) => {
+        const supplyChain = await getDeployed(hre, "SupplyChain")
+        const batchManager = await getDeployed(hre, "BatchManager")
+        const tx = await supplyChain.addHarvestedBatch(supplier, hash)
+        return reportOutcome(hre, await waitForValidation(hre, batchManager, tx, BATCH_OUTCOMES, { timeout, pollInterval: poll }))
+    })
+
+task("batch:update", "Moves a batch to its next phase through `SupplyChain.updateBatchState`")
+    .addParam("id", "Batch ID", undefined, types.int)
+    .addParam("hash", "Hash of the updated batch metadata")
+    .addOptionalParam("info", "BatchInfo fields to change as JSON, merged over the current on-chain info")
+    .addOptionalParam("file", "Path to a JSON file holding the BatchInfo fields to change")
+    .addOptionalParam("timeout", "Seconds to wait for the validation", 300, types.int)
+    .addOptionalParam("poll", "Polling interval in milliseconds", 2000, types.int)
+    .setAction(async ({ id, hash, info, file, timeout, poll }, hre) => {
+        if (!info && !file) throw new Error("Either --info or --file is required")
+        const changes = JSON.parse(info || fs.readFileSync(file, "utf8"))
+
+        const supplyChain = await getDeployed(hre, "SupplyChain")
+        const batchManager = await getDeployed(hre, "BatchManager")
+        const batch = encodeBatchInfo(mergeBatchInfo(await readBatchInfo(batchManager, id), { ...changes, batchId: id }))
+
+        const tx = await supplyChain.updateBatchState(batch, hash)
+        return reportOutcome(hre, await waitForValidation(hre, batchManager, tx, BATCH_OUTCOMES, { timeout, pollInterval: poll }))
+    })
+
+task("batch:show", "Prints the on-chain info of a batch")
+    .addParam("id", "Batch ID", undefined, types.int)
+    .setAction(async ({ id }, hre) => {
+        const batchManager = await getDeployed(hre, "BatchManager")
+        const info = await readBatchInfo(batchManager, id)
+        const uri = await batchManager.getBatchURI(id)
+        console.log(`[${hre.network.name}] Batch ${id}: ${uri}`)
+        console.log(
+            JSON.stringify({ ...info, state: BATCH_STATES[info.state] }, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2)
+        )
+        return { ...info, uri }
+    })
+
+task("batch:inspect", "Records the quality-control inspection of a batch at its current stage through `QualityControl.recordInspection`")
+    .addParam("id", "Batch ID", undefined, types.int)
+    .addParam("stage", `Inspected stage, index or name (${BATCH_STATES.join(", ")})`)
+    .addParam("report", "Hash of the inspection report")
+    .addFlag("failed", "Records a failed inspection")
+    .setAction(async ({ id, stage, report, failed }, hre) => {
+        const qualityControl = await getDeployed(hre, "QualityControl")
+        const stageIndex = parseEnum(BATCH_STATES, stage, "batch state")
+        await (await qualityControl.recordInspection(id, stageIndex, !failed, report)).wait()
+        const inspections = await qualityControl.getInspections(id, stageIndex)
+        const canLeave = await qualityControl.canLeave(id, stageIndex)
+        console.log(
+            `[${hre.network.name}] Batch ${id} ${failed ? "failed" : "passed"} the ${BATCH_STATES[stageIndex]} inspection (${
+                inspections.length
+            } recorded), ${canLeave ? "it may" : "it may not"} leave the stage`
+        )
+        return { inspections, canLeave }
+    })
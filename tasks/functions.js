@@ -0,0 +1,33 @@
+const { task } = require("hardhat/config")
+const { getDeployed } = require("./helpers")
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator")
+
+task("functions:simulate", "Fulfills the Chainlink Functions requests of a local network until interrupted")
+    .addOptionalParam("apiKey", "API key of the validation API, standing in for the DON-hosted secrets", process.env.VALIDATION_API_KEY)
+    .setAction(async ({ apiKey }, hre) => {
+        const [, don] = await hre.ethers.getSigners()
+        const router = await getDeployed(hre, "FunctionsRouterMock")
+        const simulator = new FunctionsSimulator(router.connect(don), { secrets: apiKey ? { apiKey } : {} })
+
+        for (const result of await simulator.fulfillPending()) report(hre, result)
+        await simulator.start((result) => report(hre, result))
+        console.log(`[${hre.network.name}] Simulating the DON for ${router.target}, press Ctrl+C to stop`)
+        await new Promise(() => {})
+    })
+
+task("functions:secrets", "Points the FunctionsValidator to the encrypted secrets uploaded to the DON")
+    .addParam("slotId", "Slot the secrets were uploaded to")
+    .addParam("secretsVersion", "Version returned by the upload, 0 to stop sending secrets")
+    .setAction(async ({ slotId, secretsVersion }, hre) => {
+        const validator = await getDeployed(hre, "FunctionsValidator")
+        await (await validator.setDonHostedSecrets(slotId, secretsVersion)).wait()
+        const secrets = { slotId: await validator.donHostedSecretsSlotId(), version: await validator.donHostedSecretsVersion() }
+        console.log(`[${hre.network.name}] DON-hosted secrets: slot ${secrets.slotId}, version ${secrets.version}`)
+        return secrets
+    })
+
+function report(hre, { requestId, client, response, error, success, failure }) {
+    if (failure) return console.log(`[${hre.network.name}] ${requestId}: fulfillment failed, ${failure.message}`)
+    const result = error.length > 0 ? `error "${hre.ethers.toUtf8String(error)}"` : `response "${hre.ethers.toUtf8String(response)}"`
+    console.log(`[${hre.network.name}] ${requestId} (${client}): ${result}${success ? "" : ", callback reverted"}`)
+}
@@ -0,0 +1,75 @@
+const { ACTOR_TYPES, BATCH_STATES, parseEnum, encodeBatchInfo, mergeBatchInfo, readBatchInfo } = require("../sdk/batchInfo")
+const { waitForFulfillment } = require("../sdk/SupplyChainClient")
+
+const ACTOR_OUTCOMES = ["ActorRegistered", "ActorUpdated", "ValidationFailed", "ValidationRequestExpired"]
+const BATCH_OUTCOMES = ["BatchCreated", "DataCertified", "BatchStatusUpdated", "DataCertificationFailed", "ValidationRequestExpired"]
+
+/**
+ * Parses unix seconds or any date `Date` parses e.g. 2025-01-31.
+ * @param {string} name what the timestamp stands for, in the error message.
+ */
+function parseTimestamp(value, name) {
+    const timestamp = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000)
+    if (Number.isNaN(timestamp)) throw new Error(`Invalid ${name} "${value}", expected a date or unix seconds`)
+    return timestamp
+}
+
+/**
+ * Loads a contract from the hardhat-deploy deployments of the current network.
+ */
+async function getDeployed(hre, name) {
+    const { address } = await hre.deployments.get(name)
+    return hre.ethers.getContractAt(name, address)
+}
+
+/**
+ * Waits for the DON to answer the validation request sent in `tx` & returns the resulting events.
+ * @param {object} manager `ActorsManager` or `BatchManager`, the contract that sent the request.
+ * @param {object} tx the transaction that sent the request.
+ * @param {string[]} outcomes names of the events to report.
+ * @param {object} [options] `timeout` in seconds & `pollInterval` in milliseconds.
+ */
+async function waitForValidation(hre, manager, tx, outcomes, { timeout = 300, pollInterval = 2000 } = {}) {
+    const receipt = await tx.wait()
+    const { events } = await waitForFulfillment(manager, receipt, {
+        timeout: timeout * 1000,
+        pollInterval,
+        onSent: (requestId) =>
+            console.log(`[${hre.network.name}] Validation request ${requestId} sent (tx: ${receipt.hash}), waiting for the DON...`),
+    })
+    return events.filter((event) => outcomes.includes(event.name))
+}
+
+/**
+ * Prints the outcome events & fails the task on a rejected validation.
+ */
+function reportOutcome(hre, events) {
+    let failed = false
+    for (const event of events) {
+        const args = event.fragment.inputs.map((input, i) => {
+            const value = event.args[i]
+            const shown = input.name === "error" ? `${value} (${hre.ethers.toUtf8String(value)})` : value.toString()
+            return `${input.name}=${shown}`
+        })
+        console.log(`[${hre.network.name}] ${event.name}: ${args.join(" ")}`)
+        if (event.name === "ValidationFailed" || event.name === "DataCertificationFailed") failed = true
+        if (event.name === "ValidationRequestExpired") throw new Error("Validation request expired, resubmit it with request:resubmit")
+    }
+    if (failed) throw new Error("Metadata validation failed")
+    return events
+}
+
+module.exports = {
+    ACTOR_TYPES,
+    BATCH_STATES,
+    ACTOR_OUTCOMES,
+    BATCH_OUTCOMES,
+    parseEnum,
+    parseTimestamp,
+    getDeployed,
+    waitForValidation,
+    reportOutcome,
+    encodeBatchInfo,
+    mergeBatchInfo,
+    readBatchInfo,
+}
@@ -0,0 +1,5 @@
+require("./actor")
+require("./batch")
+require("./role")
+require("./functions")
+require("./request")
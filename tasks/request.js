@@ -0,0 +1,67 @@
+const { task, types } = require("hardhat/config")
+const { ACTOR_TYPES, parseEnum, getDeployed } = require("./helpers")
+
+const MANAGERS = ["BatchManager", "ActorsManager"]
+
+function parseManager(manager) {
+    const name = MANAGERS.find((name) => name.toLowerCase().startsWith(manager.toLowerCase()))
+    if (!name) throw new Error(`Invalid manager "${manager}", expected one of: ${MANAGERS.join(", ")}`)
+    return name
+}
+
+task("request:pending", "Lists the pending validation requests of a batch, of an actor or of an account to register")
+    .addOptionalParam("batch", "Batch ID, the new batches if omitted", undefined, types.int)
+    .addOptionalParam("type", `Actor type, index or name (${ACTOR_TYPES.join(", ")})`)
+    .addOptionalParam("id", "Actor ID", undefined, types.int)
+    .addOptionalParam("account", "Account to register as an actor")
+    .setAction(async ({ batch, type, id, account }, hre) => {
+        let manager, requestIds
+        if (account !== undefined) {
+            manager = await getDeployed(hre, "ActorsManager")
+            requestIds = await manager.getPendingRegistrations(account)
+        } else if (type !== undefined) {
+            if (id === undefined) throw new Error("The actor ID is required along with its type")
+            manager = await getDeployed(hre, "ActorsManager")
+            requestIds = await manager.getPendingRequests(parseEnum(ACTOR_TYPES, type, "actor type"), id)
+        } else {
+            manager = await getDeployed(hre, "BatchManager")
+            requestIds = batch === undefined ? await manager.getPendingCreations() : await manager.getPendingRequests(batch)
+        }
+
+        const requests = []
+        for (const requestId of requestIds) {
+            const { registrar, sentAt } = await manager.getPendingRequest(requestId)
+            const expired = await manager.isExpired(requestId)
+            requests.push({ requestId, registrar, sentAt, expired })
+            console.log(
+                `[${hre.network.name}] ${requestId}: sent at ${new Date(Number(sentAt) * 1000).toISOString()} by ${registrar}${
+                    expired ? ", expired" : ""
+                }`
+            )
+        }
+        if (requests.length === 0) console.log(`[${hre.network.name}] No pending request`)
+        return requests
+    })
+
+// the company users manage their batch requests through the `SupplyChain`
+async function manageRequest(hre, action, { manager, id }) {
+    const name = parseManager(manager)
+    const contract = name === "BatchManager" ? await getDeployed(hre, "SupplyChain") : await getDeployed(hre, name)
+    const method = name === "BatchManager" ? `${action}ValidationRequest` : `${action}Request`
+    const receipt = await (await contract[method](id)).wait()
+    const events = await (await getDeployed(hre, name)).queryFilter("*", receipt.blockNumber, receipt.blockNumber)
+    for (const event of events.filter((event) => event.transactionHash === receipt.hash && event.fragment)) {
+        console.log(`[${hre.network.name}] ${event.fragment.name}: ${event.args.join(" ")}`)
+    }
+    return receipt
+}
+
+task("request:cancel", "Cancels a pending validation request")
+    .addParam("manager", `Manager of the request (${MANAGERS.join(", ")})`)
+    .addParam("id", "Request ID")
+    .setAction(async (args, hre) => manageRequest(hre, "cancel", args))
+
+task("request:resubmit", "Sends an expired validation request again")
+    .addParam("manager", `Manager of the request (${MANAGERS.join(", ")})`)
+    .addParam("id", "Request ID")
+    .setAction(async (args, hre) => manageRequest(hre, "resubmit", args))
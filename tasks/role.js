@@ -0,0 +1,80 @@
+const { task, types } = require("hardhat/config")
+const { getDeployed, parseTimestamp } = require("./helpers")
+
+const ROLES = {
+    ADMIN: { grant: "grantAdminRole", revoke: "revokeAdminRole" },
+    COMPANY_USER: { grant: "grantCompanyUserRole", revoke: "revokeCompanyUserRole" },
+    CONSUMER: { grant: "grantConsumerRole", revoke: "revokeConsumerRole" },
+    AUTHORIZED_CONTRACT: { grant: "grantAuthorizedContractRole", revoke: "revokeAuthorizedContractRole" },
+    QC_INSPECTOR: { grant: "grantQcInspectorRole", revoke: "revokeQcInspectorRole" },
+    CERTIFIER: { grant: "grantCertifierRole", revoke: "revokeCertifierRole" },
+}
+
+async function changeRole(hre, action, { role, account, until }) {
+    const name = role.toUpperCase().replace(/_ROLE$/, "")
+    if (!ROLES[name]) throw new Error(`Invalid role "${role}", expected one of: ${Object.keys(ROLES).join(", ")}`)
+
+    const accessManager = await getDeployed(hre, "AccessManager")
+    const tx =
+        until === undefined
+            ? await accessManager[ROLES[name][action]](account)
+            : await accessManager.grantTemporaryRole(await accessManager[`${name}_ROLE`](), account, parseTimestamp(until, "expiry"))
+    const receipt = await tx.wait()
+    for (const log of receipt.logs) {
+        const event = accessManager.interface.parseLog(log)
+        if (event) console.log(`[${hre.network.name}] ${event.name}: ${event.args.join(" ")}`)
+    }
+    const granted = await accessManager.hasRole(await accessManager[`${name}_ROLE`](), account)
+    console.log(`[${hre.network.name}] ${account} ${granted ? "holds" : "does not hold"} ${name}_ROLE`)
+    return granted
+}
+
+task("role:grant", "Grants a role through the AccessManager")
+    .addParam("role", `Role to grant (${Object.keys(ROLES).join(", ")})`)
+    .addParam("account", "Account to grant the role to")
+    .addOptionalParam("until", "End of a time-limited grant, date or unix seconds, permanent by default")
+    .setAction(async (args, hre) => changeRole(hre, "grant", args))
+
+task("role:revoke", "Revokes a role through the AccessManager")
+    .addParam("role", `Role to revoke (${Object.keys(ROLES).join(", ")})`)
+    .addParam("account", "Account to revoke the role from")
+    .setAction(async (args, hre) => changeRole(hre, "revoke", args))
+
+task("admin:transfer", "Proposes to hand the DEFAULT_ADMIN_ROLE over to an account, accepted after the transfer delay")
+    .addParam("account", "Account to become the Default (Super) Admin")
+    .setAction(async ({ account }, hre) => {
+        const accessManager = await getDeployed(hre, "AccessManager")
+        await (await accessManager.beginDefaultAdminTransfer(account)).wait()
+        const { acceptableAt } = await accessManager.getPendingDefaultAdminTransfer()
+        console.log(
+            `[${hre.network.name}] DEFAULT_ADMIN_ROLE transfer to ${account} proposed, acceptable from ${new Date(
+                Number(acceptableAt) * 1000
+            ).toISOString()}`
+        )
+        return acceptableAt
+    })
+
+task("admin:accept", "Accepts the DEFAULT_ADMIN_ROLE proposed to the signing account")
+    .addOptionalParam("signer", "Proposed account, one of the network accounts, the first by default")
+    .setAction(async ({ signer }, hre) => {
+        const account = signer === undefined ? (await hre.ethers.getSigners())[0] : await hre.ethers.getSigner(signer)
+        const accessManager = (await getDeployed(hre, "AccessManager")).connect(account)
+        await (await accessManager.acceptDefaultAdminTransfer()).wait()
+        const defaultAdmin = await accessManager.getCurrentDefaultAdmin()
+        console.log(`[${hre.network.name}] ${defaultAdmin} holds the DEFAULT_ADMIN_ROLE`)
+        return defaultAdmin
+    })
+
+task("admin:cancel", "Withdraws the pending DEFAULT_ADMIN_ROLE transfer").setAction(async (_, hre) => {
+    const accessManager = await getDeployed(hre, "AccessManager")
+    await (await accessManager.cancelDefaultAdminTransfer()).wait()
+    console.log(`[${hre.network.name}] DEFAULT_ADMIN_ROLE transfer cancelled`)
+})
+
+task("admin:transfer-delay", "Sets the delay between the proposal & the acceptance of a DEFAULT_ADMIN_ROLE transfer")
+    .addParam("delay", "Delay in seconds, from 1 hour to 30 days", undefined, types.int)
+    .setAction(async ({ delay }, hre) => {
+        const accessManager = await getDeployed(hre, "AccessManager")
+        await (await accessManager.setDefaultAdminTransferDelay(delay)).wait()
+        console.log(`[${hre.network.name}] DEFAULT_ADMIN_ROLE transfer delay set to ${delay}s`)
+    })
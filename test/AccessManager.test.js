@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployActorsManager } = require("./helpers/actors");
 
 describe("AccessManager", function () {
     let AccessManager, accessManager, owner, admin, companyUser, consumer, otherAccount, authorizedContract;
@@ -117,18 +118,275 @@ describe("AccessManager", function () {
         });
     });
 
+    describe("Attester Role Management", function () {
+        it("Should grant ATTESTER_ROLE by ADMIN_ROLE", async function () {
+            await accessManager.grantAdminRole(admin.address);
+            await expect(accessManager.connect(admin).grantAttesterRole(otherAccount.address))
+                .to.emit(accessManager, "AttesterRoleGranted")
+                .withArgs(otherAccount.address, anyValue);
+            expect(await accessManager.hasRole(await accessManager.ATTESTER_ROLE(), otherAccount.address)).to.be.true;
+        });
+
+        it("Should revoke ATTESTER_ROLE by ADMIN_ROLE", async function () {
+            await accessManager.grantAdminRole(admin.address);
+            await accessManager.connect(admin).grantAttesterRole(otherAccount.address);
+            await expect(accessManager.connect(admin).revokeAttesterRole(otherAccount.address))
+                .to.emit(accessManager, "AttesterRoleRevoked")
+                .withArgs(otherAccount.address, anyValue);
+            expect(await accessManager.hasRole(await accessManager.ATTESTER_ROLE(), otherAccount.address)).to.be.false;
+        });
+
+        it("Should restrict grantAttesterRole to onlyClearanceLevelA", async function () {
+            await expect(accessManager.connect(otherAccount).grantAttesterRole(otherAccount.address)).to.be.revertedWithCustomError(accessManager, "UnAuthorized");
+        });
+    });
+
+    describe("QC Inspector Role Management", function () {
+        it("Should grant QC_INSPECTOR_ROLE by ADMIN_ROLE", async function () {
+            await accessManager.grantAdminRole(admin.address);
+            await expect(accessManager.connect(admin).grantQcInspectorRole(otherAccount.address))
+                .to.emit(accessManager, "QcInspectorRoleGranted")
+                .withArgs(otherAccount.address, anyValue);
+            expect(await accessManager.hasRole(await accessManager.QC_INSPECTOR_ROLE(), otherAccount.address)).to.be.true;
+        });
+
+        it("Should revoke QC_INSPECTOR_ROLE by ADMIN_ROLE", async function () {
+            await accessManager.grantAdminRole(admin.address);
+            await accessManager.connect(admin).grantQcInspectorRole(otherAccount.address);
+            await expect(accessManager.connect(admin).revokeQcInspectorRole(otherAccount.address))
+                .to.emit(accessManager, "QcInspectorRoleRevoked")
+                .withArgs(otherAccount.address, anyValue);
+            expect(await accessManager.hasRole(await accessManager.QC_INSPECTOR_ROLE(), otherAccount.address)).to.be.false;
+        });
+
+        it("Should restrict grantQcInspectorRole to onlyClearanceLevelA", async function () {
+            await expect(accessManager.connect(otherAccount).grantQcInspectorRole(otherAccount.address)).to.be.revertedWithCustomError(accessManager, "UnAuthorized");
+        });
+    });
+
+    describe("Certifier Role Management", function () {
+        it("Should grant CERTIFIER_ROLE by ADMIN_ROLE", async function () {
+            await accessManager.grantAdminRole(admin.address);
+            await expect(accessManager.connect(admin).grantCertifierRole(otherAccount.address))
+                .to.emit(accessManager, "CertifierRoleGranted")
+                .withArgs(otherAccount.address, anyValue);
+            expect(await accessManager.hasRole(await accessManager.CERTIFIER_ROLE(), otherAccount.address)).to.be.true;
+        });
+
+        it("Should revoke CERTIFIER_ROLE by ADMIN_ROLE", async function () {
+            await accessManager.grantAdminRole(admin.address);
+            await accessManager.connect(admin).grantCertifierRole(otherAccount.address);
+            await expect(accessManager.connect(admin).revokeCertifierRole(otherAccount.address))
+                .to.emit(accessManager, "CertifierRoleRevoked")
+                .withArgs(otherAccount.address, anyValue);
+            expect(await accessManager.hasRole(await accessManager.CERTIFIER_ROLE(), otherAccount.address)).to.be.false;
+        });
+
+        it("Should restrict grantCertifierRole to onlyClearanceLevelA", async function () {
+            await expect(accessManager.connect(otherAccount).grantCertifierRole(otherAccount.address)).to.be.revertedWithCustomError(accessManager, "UnAuthorized");
+        });
+    });
+
     describe("Default Admin Role Transfer", function () {
+        const DELAY = 2 * 24 * 3600;
+
+        const elapse = async (seconds) => {
+            await ethers.provider.send("evm_increaseTime", [seconds]);
+            await ethers.provider.send("evm_mine", []);
+        };
+
         it("Should transfer DEFAULT_ADMIN_ROLE", async function () {
-            await accessManager.transferDefaultAdminRole(admin.address);
+            await accessManager.beginDefaultAdminTransfer(admin.address);
+            await elapse(DELAY);
+            await accessManager.connect(admin).acceptDefaultAdminTransfer();
             expect(await accessManager.hasRole(await accessManager.DEFAULT_ADMIN_ROLE(), admin.address)).to.be.true;
             expect(await accessManager.hasRole(await accessManager.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.false;
+            expect(await accessManager.getCurrentDefaultAdmin()).to.equal(admin.address);
+            expect((await accessManager.getPendingDefaultAdminTransfer()).newDefaultAdmin).to.equal(ethers.ZeroAddress);
         });
 
         it("Should emit DefaultAdminRoleTransferred event", async function () {
-            await expect(accessManager.transferDefaultAdminRole(admin.address))
+            await expect(accessManager.beginDefaultAdminTransfer(admin.address))
+                .to.emit(accessManager, "DefaultAdminTransferProposed")
+                .withArgs(admin.address, anyValue);
+            await elapse(DELAY);
+            await expect(accessManager.connect(admin).acceptDefaultAdminTransfer())
                 .to.emit(accessManager, "DefaultAdminRoleTransferred")
                 .withArgs(admin.address, owner.address, anyValue);
         });
+
+        it("Should only be accepted by the proposed account once the delay elapsed", async function () {
+            await expect(accessManager.connect(admin).acceptDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(accessManager, "DefaultAdminTransferNotFound");
+            await accessManager.beginDefaultAdminTransfer(admin.address);
+            const { acceptableAt } = await accessManager.getPendingDefaultAdminTransfer();
+            await expect(accessManager.connect(admin).acceptDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(accessManager, "DefaultAdminTransferDelayed")
+                .withArgs(acceptableAt);
+            await elapse(DELAY);
+            await expect(accessManager.connect(otherAccount).acceptDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(accessManager, "UnexpectedAgent")
+                .withArgs(otherAccount.address, admin.address);
+        });
+
+        it("Should refuse the zero address", async function () {
+            await expect(accessManager.beginDefaultAdminTransfer(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(accessManager, "InvalidDefaultAdmin")
+                .withArgs(ethers.ZeroAddress);
+        });
+
+        it("Should cancel the pending transfer", async function () {
+            await accessManager.beginDefaultAdminTransfer(admin.address);
+            await expect(accessManager.cancelDefaultAdminTransfer())
+                .to.emit(accessManager, "DefaultAdminTransferCancelled")
+                .withArgs(admin.address);
+            await elapse(DELAY);
+            await expect(accessManager.connect(admin).acceptDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(accessManager, "DefaultAdminTransferNotFound");
+            await expect(accessManager.cancelDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(accessManager, "DefaultAdminTransferNotFound");
+        });
+
+        it("Should apply the configured delay", async function () {
+            await expect(accessManager.setDefaultAdminTransferDelay(3600))
+                .to.emit(accessManager, "DefaultAdminTransferDelayUpdated")
+                .withArgs(3600);
+            await accessManager.beginDefaultAdminTransfer(admin.address);
+            await elapse(3600);
+            await accessManager.connect(admin).acceptDefaultAdminTransfer();
+            expect(await accessManager.getCurrentDefaultAdmin()).to.equal(admin.address);
+        });
+
+        it("Should restrict the transfer to the DEFAULT_ADMIN_ROLE", async function () {
+            await expect(accessManager.connect(admin).beginDefaultAdminTransfer(admin.address))
+                .to.be.revertedWithCustomError(accessManager, "AccessControlUnauthorizedAccount");
+            await expect(accessManager.connect(admin).setDefaultAdminTransferDelay(0))
+                .to.be.revertedWithCustomError(accessManager, "AccessControlUnauthorizedAccount");
+            await accessManager.beginDefaultAdminTransfer(admin.address);
+            await expect(accessManager.connect(admin).cancelDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(accessManager, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should bound the transfer delay", async function () {
+            const min = await accessManager.MIN_DEFAULT_ADMIN_TRANSFER_DELAY();
+            const max = await accessManager.MAX_DEFAULT_ADMIN_TRANSFER_DELAY();
+            await expect(accessManager.setDefaultAdminTransferDelay(0))
+                .to.be.revertedWithCustomError(accessManager, "InvalidDefaultAdminTransferDelay")
+                .withArgs(0, min, max);
+            await expect(accessManager.setDefaultAdminTransferDelay(max + 1n))
+                .to.be.revertedWithCustomError(accessManager, "InvalidDefaultAdminTransferDelay")
+                .withArgs(max + 1n, min, max);
+            await accessManager.setDefaultAdminTransferDelay(min);
+            expect(await accessManager.defaultAdminTransferDelay()).to.equal(min);
+        });
+
+        it("Should keep the DEFAULT_ADMIN_ROLE out of grantRole, revokeRole & renounceRole", async function () {
+            const DEFAULT_ADMIN_ROLE = await accessManager.DEFAULT_ADMIN_ROLE();
+            await expect(accessManager.grantRole(DEFAULT_ADMIN_ROLE, admin.address))
+                .to.be.revertedWithCustomError(accessManager, "DefaultAdminTransferRequired");
+            await expect(accessManager.revokeRole(DEFAULT_ADMIN_ROLE, owner.address))
+                .to.be.revertedWithCustomError(accessManager, "DefaultAdminTransferRequired");
+            await expect(accessManager.renounceRole(DEFAULT_ADMIN_ROLE, owner.address))
+                .to.be.revertedWithCustomError(accessManager, "DefaultAdminTransferRequired");
+            expect(await accessManager.getRoleMemberCount(DEFAULT_ADMIN_ROLE)).to.equal(1);
+            expect(await accessManager.getCurrentDefaultAdmin()).to.equal(owner.address);
+
+            await accessManager.grantRole(await accessManager.ADMIN_ROLE(), admin.address);
+            expect(await accessManager.hasRole(await accessManager.ADMIN_ROLE(), admin.address)).to.be.true;
+        });
+    });
+
+    describe("Time-limited Roles", function () {
+        const DAY = 24 * 3600;
+
+        const now = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+        it("Should grant a role until it expires", async function () {
+            const expiresAt = (await now()) + DAY;
+            const COMPANY_USER_ROLE = await accessManager.COMPANY_USER_ROLE();
+            await expect(accessManager.grantTemporaryRole(COMPANY_USER_ROLE, companyUser.address, expiresAt))
+                .to.emit(accessManager, "TemporaryRoleGranted")
+                .withArgs(COMPANY_USER_ROLE, companyUser.address, expiresAt, anyValue);
+            expect(await accessManager.hasRole(COMPANY_USER_ROLE, companyUser.address)).to.be.true;
+            expect(await accessManager.getRoleExpiry(COMPANY_USER_ROLE, companyUser.address)).to.equal(expiresAt);
+            await accessManager.connect(companyUser).grantConsumerRole(consumer.address);
+
+            await ethers.provider.send("evm_increaseTime", [DAY]);
+            await ethers.provider.send("evm_mine", []);
+            expect(await accessManager.hasRole(COMPANY_USER_ROLE, companyUser.address)).to.be.false;
+            await expect(accessManager.connect(companyUser).grantConsumerRole(consumer.address))
+                .to.be.revertedWithCustomError(accessManager, "UnAuthorized");
+        });
+
+        it("Should lift the expiry on a permanent grant & clear it on revocation", async function () {
+            const COMPANY_USER_ROLE = await accessManager.COMPANY_USER_ROLE();
+            await accessManager.grantTemporaryRole(COMPANY_USER_ROLE, companyUser.address, (await now()) + DAY);
+            await accessManager.grantCompanyUserRole(companyUser.address);
+            expect(await accessManager.getRoleExpiry(COMPANY_USER_ROLE, companyUser.address)).to.equal(0);
+
+            await accessManager.grantTemporaryRole(COMPANY_USER_ROLE, companyUser.address, (await now()) + DAY);
+            await ethers.provider.send("evm_increaseTime", [DAY]);
+            await accessManager.revokeCompanyUserRole(companyUser.address);
+            expect(await accessManager.getRoleExpiry(COMPANY_USER_ROLE, companyUser.address)).to.equal(0);
+            expect(await accessManager.getCurrentCompanyUsers(10)).to.not.include(companyUser.address);
+        });
+
+        it("Should leave the expired grants out of the role listings", async function () {
+            const expiresAt = (await now()) + DAY;
+            await accessManager.grantAdminRole(admin.address);
+            await accessManager.grantTemporaryRole(await accessManager.ADMIN_ROLE(), otherAccount.address, expiresAt);
+            await accessManager.grantTemporaryRole(await accessManager.AUTHORIZED_CONTRACT_ROLE(), authorizedContract.address, expiresAt);
+            await accessManager.grantTemporaryRole(await accessManager.COMPANY_USER_ROLE(), companyUser.address, expiresAt);
+            await accessManager.grantCompanyUserRole(consumer.address);
+            expect(await accessManager.getCurrentAdmins()).to.deep.equal([admin.address, otherAccount.address]);
+            expect(await accessManager.getCurrentCompanyUsers(1)).to.deep.equal([companyUser.address]);
+
+            await ethers.provider.send("evm_increaseTime", [DAY]);
+            await ethers.provider.send("evm_mine", []);
+            expect(await accessManager.getCurrentAdmins()).to.deep.equal([admin.address]);
+            expect(await accessManager.getCurrentContracts()).to.be.empty;
+            expect(await accessManager.getCurrentCompanyUsers(1)).to.deep.equal([consumer.address]);
+            expect(await accessManager.getCurrentCompanyUsers(10)).to.deep.equal([consumer.address]);
+            expect(await accessManager.getRoleMemberCount(await accessManager.COMPANY_USER_ROLE())).to.equal(2);
+        });
+
+        it("Should scope the grants to the granters of the role", async function () {
+            const expiresAt = (await now()) + DAY;
+            await accessManager.grantAdminRole(admin.address);
+            await expect(accessManager.connect(admin).grantTemporaryRole(await accessManager.ADMIN_ROLE(), otherAccount.address, expiresAt))
+                .to.be.revertedWithCustomError(accessManager, "AccessControlUnauthorizedAccount");
+            await expect(accessManager.connect(otherAccount).grantTemporaryRole(await accessManager.COMPANY_USER_ROLE(), otherAccount.address, expiresAt))
+                .to.be.revertedWithCustomError(accessManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            const DEFAULT_ADMIN_ROLE = await accessManager.DEFAULT_ADMIN_ROLE();
+            await expect(accessManager.grantTemporaryRole(DEFAULT_ADMIN_ROLE, otherAccount.address, expiresAt))
+                .to.be.revertedWithCustomError(accessManager, "RoleNotGrantable")
+                .withArgs(DEFAULT_ADMIN_ROLE);
+            await expect(accessManager.grantTemporaryRole(await accessManager.ADMIN_ROLE(), otherAccount.address, expiresAt - DAY))
+                .to.be.revertedWithCustomError(accessManager, "InvalidRoleExpiry");
+
+            await accessManager.connect(admin).grantTemporaryRole(await accessManager.QC_INSPECTOR_ROLE(), otherAccount.address, expiresAt);
+            expect(await accessManager.hasRole(await accessManager.QC_INSPECTOR_ROLE(), otherAccount.address)).to.be.true;
+        });
+
+        it("Should be respected by the guarded contracts", async function () {
+            await accessManager.grantAdminRole(owner.address);
+            await accessManager.grantAuthorizedContractRole(owner.address);
+            const allowlist = await (await ethers.getContractFactory("AllowlistValidator")).deploy(accessManager.target);
+            await allowlist.setAllowed("QmValidHash", true);
+            const actorsManager = await deployActorsManager(accessManager.target, allowlist.target);
+            const supplyChain = await (await ethers.getContractFactory("SupplyChain")).deploy(accessManager.target, actorsManager.target, allowlist.target);
+            for (const contract of [allowlist, actorsManager, supplyChain]) await accessManager.grantAuthorizedContractRole(contract.target);
+            await accessManager.grantAuthorizedContractRole(await supplyChain.batchManager());
+            await actorsManager.registerActor(0, otherAccount.address, "QmValidHash");
+
+            await accessManager.grantTemporaryRole(await accessManager.COMPANY_USER_ROLE(), companyUser.address, (await now()) + DAY);
+            await supplyChain.connect(companyUser).addHarvestedBatch(0, "QmValidHash");
+            await ethers.provider.send("evm_increaseTime", [DAY]);
+            await expect(supplyChain.connect(companyUser).addHarvestedBatch(0, "QmValidHash"))
+                .to.be.revertedWithCustomError(supplyChain, "UnAuthorized")
+                .withArgs("COMPANY_USER_ROLE");
+        });
     });
 
     describe("Clearance Level Modifiers", function () {
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("ActorMigration", function () {
+    let accessManager, actorsManager, supplyChain, batchManager, actor;
+    let owner, account, newAccount, other;
+    const VALID_HASH = "QmValidHash";
+    const PROCESSED = 1;
+    const PACKAGED = 2;
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: PROCESSED,
+        isCertified: true,
+        qualityControlApproved: false,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 0,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    beforeEach(async function () {
+        [owner, account, newAccount, other] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantAdminRole(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const AllowlistValidator = await ethers.getContractFactory("AllowlistValidator");
+        const allowlist = await AllowlistValidator.deploy(accessManager.target);
+        await allowlist.setAllowed(VALID_HASH, true);
+
+        actorsManager = await deployActorsManager(accessManager.target, allowlist.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+        await accessManager.grantAuthorizedContractRole(allowlist.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, allowlist.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        await actorsManager.registerActor(0, account.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, account.address, VALID_HASH); // rawProcessor
+        await actorsManager.registerActor(2, account.address, VALID_HASH); // batteryManufacturer
+        actor = await ethers.getContractAt("Actor", await actorsManager.actors(2));
+    });
+
+    describe("Migration", function () {
+        it("Should move the ID once approved & accepted", async function () {
+            await expect(actorsManager.proposeActorMigration(2, 0, newAccount.address))
+                .to.emit(actorsManager, "ActorMigrationProposed")
+                .withArgs(2, 0, newAccount.address, owner.address);
+            const migration = await actorsManager.getPendingMigration(2, 0);
+            expect(migration.newAccount).to.equal(newAccount.address);
+            expect(migration.approvedBy).to.equal(owner.address);
+            expect(await actor.ownerOf(0)).to.equal(account.address);
+
+            await expect(actorsManager.connect(newAccount).acceptActorMigration(2, 0))
+                .to.emit(actorsManager, "ActorMigrated")
+                .withArgs(2, 0, newAccount.address, account.address, owner.address, anyValue)
+                .and.to.emit(actor, "Transfer")
+                .withArgs(account.address, newAccount.address, 0);
+            expect(await actor.ownerOf(0)).to.equal(newAccount.address);
+            expect(await actor.balanceOf(account.address)).to.equal(0);
+            expect(await actor.tokenURI(0)).to.equal(`ipfs://${VALID_HASH}`);
+            expect((await actorsManager.getPendingMigration(2, 0)).newAccount).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should only be accepted by the new account", async function () {
+            await expect(actorsManager.connect(newAccount).acceptActorMigration(2, 0))
+                .to.be.revertedWithCustomError(actorsManager, "MigrationNotFound")
+                .withArgs(2, 0);
+            await actorsManager.proposeActorMigration(2, 0, newAccount.address);
+            await expect(actorsManager.connect(account).acceptActorMigration(2, 0))
+                .to.be.revertedWithCustomError(actorsManager, "UnexpectedAgent")
+                .withArgs(account.address, newAccount.address);
+        });
+
+        it("Should cancelActorMigration()", async function () {
+            await actorsManager.proposeActorMigration(2, 0, newAccount.address);
+            await expect(actorsManager.cancelActorMigration(2, 0))
+                .to.emit(actorsManager, "ActorMigrationCancelled")
+                .withArgs(2, 0, newAccount.address);
+            await expect(actorsManager.connect(newAccount).acceptActorMigration(2, 0))
+                .to.be.revertedWithCustomError(actorsManager, "MigrationNotFound");
+            await expect(actorsManager.cancelActorMigration(2, 0))
+                .to.be.revertedWithCustomError(actorsManager, "MigrationNotFound");
+        });
+
+        it("Should refuse an account already holding an ID of the type", async function () {
+            await expect(actorsManager.proposeActorMigration(2, 0, account.address))
+                .to.be.revertedWithCustomError(actorsManager, "DoubleRegistrationNotAllowed");
+            await expect(actorsManager.proposeActorMigration(2, 0, ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidMigrationAccount")
+                .withArgs(ethers.ZeroAddress);
+
+            await actorsManager.proposeActorMigration(2, 0, newAccount.address);
+            await actorsManager.registerActor(2, newAccount.address, VALID_HASH);
+            await expect(actorsManager.connect(newAccount).acceptActorMigration(2, 0))
+                .to.be.revertedWithCustomError(actorsManager, "DoubleRegistrationNotAllowed");
+        });
+
+        it("Should refuse to migrate a deactivated actor", async function () {
+            await actorsManager.proposeActorMigration(2, 0, newAccount.address);
+            await actorsManager.deactivateActor(2, 0, "Out of business");
+            await expect(actorsManager.connect(newAccount).acceptActorMigration(2, 0))
+                .to.be.revertedWithCustomError(actorsManager, "MigrationNotFound");
+            await expect(actorsManager.proposeActorMigration(2, 0, newAccount.address))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorStatus");
+        });
+
+        it("Should keep the soul-bound transfers disabled", async function () {
+            await expect(actor.connect(account).transferFrom(account.address, newAccount.address, 0))
+                .to.be.revertedWithCustomError(actor, "SoulBoundTransferNotAllowed");
+            await expect(actor.connect(other).migrateActor(0, newAccount.address))
+                .to.be.revertedWithCustomError(actor, "UnAuthorized")
+                .withArgs("AUTHORIZED_CONTRACT_ROLE");
+        });
+
+        it("Should revert if UnAuthorized", async function () {
+            await expect(actorsManager.connect(other).proposeActorMigration(2, 0, newAccount.address))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await actorsManager.proposeActorMigration(2, 0, newAccount.address);
+            await expect(actorsManager.connect(other).cancelActorMigration(2, 0))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+        });
+    });
+
+    describe("Batch Links", function () {
+        it("Should keep the batches of the actor & hand its submissions over", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await supplyChain.updateBatchState(batchInfo({}), VALID_HASH);
+            await actorsManager.proposeActorMigration(1, 0, newAccount.address);
+            await actorsManager.connect(newAccount).acceptActorMigration(1, 0);
+            expect(await supplyChain.getBatchesProcessed(0)).to.deep.equal([0n]);
+
+            await actorsManager.proposeActorMigration(2, 0, newAccount.address);
+            await actorsManager.connect(newAccount).acceptActorMigration(2, 0);
+            await expect(supplyChain.connect(account).submitBatchUpdate(2, 0, 0, PACKAGED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "UnexpectedAgent")
+                .withArgs(account.address, newAccount.address);
+            await supplyChain.connect(newAccount).submitBatchUpdate(2, 0, 0, PACKAGED, VALID_HASH);
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(PACKAGED);
+            expect(await supplyChain.getBatchesPackaged(0)).to.deep.equal([0n]);
+        });
+    });
+});
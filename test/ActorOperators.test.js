@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("ActorOperators", function () {
+    let accessManager, actorsManager, supplyChain, batchManager;
+    let owner, account, operator, other;
+    const VALID_HASH = "QmValidHash";
+    const PROCESSED = 1;
+    const PACKAGED = 2;
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: PROCESSED,
+        isCertified: true,
+        qualityControlApproved: false,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 0,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    beforeEach(async function () {
+        [owner, account, operator, other] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantAdminRole(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const AllowlistValidator = await ethers.getContractFactory("AllowlistValidator");
+        const allowlist = await AllowlistValidator.deploy(accessManager.target);
+        await allowlist.setAllowed(VALID_HASH, true);
+
+        actorsManager = await deployActorsManager(accessManager.target, allowlist.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+        await accessManager.grantAuthorizedContractRole(allowlist.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, allowlist.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        await actorsManager.registerActor(0, account.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, account.address, VALID_HASH); // rawProcessor
+        await actorsManager.registerActor(2, account.address, VALID_HASH); // batteryManufacturer
+        await actorsManager.registerActor(2, other.address, VALID_HASH); // batteryManufacturer
+    });
+
+    describe("Operators", function () {
+        it("Should let the holder addOperator() & removeOperator()", async function () {
+            await expect(actorsManager.connect(account).addOperator(2, 0, operator.address))
+                .to.emit(actorsManager, "OperatorAdded")
+                .withArgs(2, 0, operator.address, account.address);
+            expect(await actorsManager.getOperators(2, 0)).to.deep.equal([operator.address]);
+            expect(await actorsManager.isOperator(2, 0, operator.address)).to.be.true;
+            expect(await actorsManager.isOperator(2, 0, account.address)).to.be.true;
+            expect(await actorsManager.isOperator(2, 1, operator.address)).to.be.false;
+            expect(await actorsManager.isOperator(2, 99, account.address)).to.be.false;
+            await expect(actorsManager.isOperator(8, 0, account.address))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorType")
+                .withArgs(8, 8);
+
+            await expect(actorsManager.connect(account).removeOperator(2, 0, operator.address))
+                .to.emit(actorsManager, "OperatorRemoved")
+                .withArgs(2, 0, operator.address, account.address);
+            expect(await actorsManager.getOperators(2, 0)).to.deep.equal([]);
+            expect(await actorsManager.isOperator(2, 0, operator.address)).to.be.false;
+            await expect(actorsManager.connect(account).removeOperator(2, 0, operator.address))
+                .to.be.revertedWithCustomError(actorsManager, "OperatorNotFound")
+                .withArgs(2, 0, operator.address);
+        });
+
+        it("Should let an admin manage the operators", async function () {
+            await expect(actorsManager.addOperator(2, 0, operator.address))
+                .to.emit(actorsManager, "OperatorAdded")
+                .withArgs(2, 0, operator.address, owner.address);
+            await expect(actorsManager.removeOperator(2, 0, operator.address))
+                .to.emit(actorsManager, "OperatorRemoved")
+                .withArgs(2, 0, operator.address, owner.address);
+        });
+
+        it("Should only be managed by the holder or an admin", async function () {
+            await expect(actorsManager.connect(other).addOperator(2, 0, operator.address))
+                .to.be.revertedWithCustomError(actorsManager, "UnexpectedAgent")
+                .withArgs(other.address, account.address);
+            await actorsManager.connect(account).addOperator(2, 0, operator.address);
+            await expect(actorsManager.connect(operator).removeOperator(2, 0, operator.address))
+                .to.be.revertedWithCustomError(actorsManager, "UnexpectedAgent")
+                .withArgs(operator.address, account.address);
+        });
+
+        it("Should bind an account to at most one actor per type", async function () {
+            await actorsManager.connect(account).addOperator(2, 0, operator.address);
+            await expect(actorsManager.connect(other).addOperator(2, 1, operator.address))
+                .to.be.revertedWithCustomError(actorsManager, "DoubleRegistrationNotAllowed");
+            await expect(actorsManager.connect(account).addOperator(2, 0, other.address))
+                .to.be.revertedWithCustomError(actorsManager, "DoubleRegistrationNotAllowed");
+            await expect(actorsManager.registerActor(2, operator.address, VALID_HASH))
+                .to.be.revertedWithCustomError(actorsManager, "DoubleRegistrationNotAllowed");
+            await expect(actorsManager.proposeActorMigration(2, 1, operator.address))
+                .to.be.revertedWithCustomError(actorsManager, "DoubleRegistrationNotAllowed");
+            await expect(actorsManager.connect(account).addOperator(2, 0, ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidOperatorAccount")
+                .withArgs(ethers.ZeroAddress);
+
+            await actorsManager.connect(account).addOperator(1, 0, operator.address);
+            expect(await actorsManager.isOperator(1, 0, operator.address)).to.be.true;
+        });
+
+        it("Should look up the actor of an account", async function () {
+            await actorsManager.connect(account).addOperator(2, 0, operator.address);
+            expect(await actorsManager.actorOf(operator.address, 2)).to.deep.equal([true, 0n]);
+            expect(await actorsManager.actorOf(other.address, 2)).to.deep.equal([true, 1n]);
+            expect(await actorsManager.actorOf(operator.address, 1)).to.deep.equal([false, 0n]);
+        });
+
+        it("Should drop the operators of a deactivated actor", async function () {
+            await actorsManager.connect(account).addOperator(2, 0, operator.address);
+            await actorsManager.deactivateActor(2, 0, "Out of business");
+            expect(await actorsManager.getOperators(2, 0)).to.deep.equal([]);
+            expect(await actorsManager.isOperator(2, 0, account.address)).to.be.false;
+            expect(await actorsManager.actorOf(operator.address, 2)).to.deep.equal([false, 0n]);
+            await expect(actorsManager.addOperator(2, 0, operator.address))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorStatus");
+        });
+    });
+
+    describe("Batch Updates", function () {
+        it("Should accept the submissions of the operators", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await supplyChain.updateBatchState(batchInfo({}), VALID_HASH);
+
+            await expect(supplyChain.connect(operator).submitBatchUpdate(2, 0, 0, PACKAGED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "UnexpectedAgent")
+                .withArgs(operator.address, account.address);
+            await actorsManager.connect(account).addOperator(2, 0, operator.address);
+            await supplyChain.connect(operator).submitBatchUpdate(2, 0, 0, PACKAGED, VALID_HASH);
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(PACKAGED);
+        });
+
+        it("Should record the submitting accounts in the history", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await supplyChain.updateBatchState(batchInfo({}), VALID_HASH);
+            await actorsManager.connect(account).addOperator(2, 0, operator.address);
+            await supplyChain.connect(operator).submitBatchUpdate(2, 0, 0, PACKAGED, VALID_HASH);
+
+            const history = await batchManager.getBatchHistory(0, 0, 10);
+            expect(history.map((entry) => entry.registrar)).to.deep.equal([owner.address, owner.address, operator.address]);
+        });
+    });
+});
@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("ActorReplication", function () {
+    const HOME_CHAIN = 1, REPLICA_CHAIN = 2, LATE_CHAIN = 3;
+    const REGISTER = 0, UPDATE = 1, STATUS = 2;
+    const ACTIVE = 0, SUSPENDED = 1, DEACTIVATED = 2;
+    const VALID_HASH = "QmValidHash";
+    const UPDATED_HASH = "QmUpdatedHash";
+    const DON_ID = ethers.encodeBytes32String("donId");
+
+    let accessManager, actorsManager, broadcaster, replica, lateReplica, simulator;
+    let owner, don, account, other;
+
+    // wires the broadcaster to a replica through their endpoints
+    const connect = async (homeEndpoint, dstReplica, dstEndpoint, dstChainId) => {
+        await homeEndpoint.setDestLzEndpoint(dstReplica.target, dstEndpoint.target);
+        await broadcaster.setTrustedRemoteAddress(dstChainId, dstReplica.target);
+        await dstReplica.setTrustedRemoteAddress(HOME_CHAIN, broadcaster.target);
+        await broadcaster.setMinDstGas(dstChainId, REGISTER, 150000);
+        await broadcaster.setMinDstGas(dstChainId, UPDATE, 150000);
+        await broadcaster.setMinDstGas(dstChainId, STATUS, 150000);
+    };
+
+    beforeEach(async function () {
+        [owner, don, account, other] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantAdminRole(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        const router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        const validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const LZEndpointMock = await ethers.getContractFactory("LZEndpointMock");
+        const homeEndpoint = await LZEndpointMock.deploy(HOME_CHAIN);
+        const replicaEndpoint = await LZEndpointMock.deploy(REPLICA_CHAIN);
+        const lateEndpoint = await LZEndpointMock.deploy(LATE_CHAIN);
+
+        const ActorBroadcaster = await ethers.getContractFactory("ActorBroadcaster");
+        broadcaster = await ActorBroadcaster.deploy(accessManager.target, actorsManager.target, homeEndpoint.target);
+        const ActorReplica = await ethers.getContractFactory("ActorReplica");
+        replica = await ActorReplica.deploy(replicaEndpoint.target);
+        lateReplica = await ActorReplica.deploy(lateEndpoint.target);
+        await connect(homeEndpoint, replica, replicaEndpoint, REPLICA_CHAIN);
+        await connect(homeEndpoint, lateReplica, lateEndpoint, LATE_CHAIN);
+
+        await broadcaster.setReplicaChains([REPLICA_CHAIN]);
+        await actorsManager.setBroadcaster(broadcaster.target);
+
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: true }), { status: 200 })
+        });
+    });
+
+    describe("Broadcast", function () {
+        beforeEach(async function () {
+            await owner.sendTransaction({ to: broadcaster.target, value: ethers.parseEther("1") });
+        });
+
+        it("Should replicate a registration", async function () {
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            await simulator.fulfillPending();
+
+            expect(await replica.idExists(3, 0)).to.be.true;
+            expect(await replica.ownerOf(3, 0)).to.equal(account.address);
+            expect(await replica.tokenURI(3, 0)).to.equal(await actorsManager.getActorURI(3, 0));
+            expect(await replica.idExists(3, 1)).to.be.false;
+            expect(await replica.idExists(4, 0)).to.be.false;
+        });
+
+        it("Should replicate an update", async function () {
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            await simulator.fulfillPending();
+            await actorsManager.updateActor(3, 0, UPDATED_HASH);
+            await simulator.fulfillPending();
+
+            expect(await replica.tokenURI(3, 0)).to.equal(`ipfs://${UPDATED_HASH}`);
+        });
+
+        it("Should replicate the status changes", async function () {
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            await simulator.fulfillPending();
+            expect(await replica.getActorStatus(3, 0)).to.equal(ACTIVE);
+            expect(await replica.isActive(3, 0)).to.be.true;
+
+            await expect(actorsManager.suspendActor(3, 0, "Failed audit"))
+                .to.emit(replica, "ActorStatusReplicated")
+                .withArgs(HOME_CHAIN, 3, 0, SUSPENDED);
+            expect(await replica.isActive(3, 0)).to.be.false;
+
+            await actorsManager.reinstateActor(3, 0);
+            expect(await replica.getActorStatus(3, 0)).to.equal(ACTIVE);
+
+            await actorsManager.deactivateActor(3, 0, "Out of business");
+            expect(await replica.getActorStatus(3, 0)).to.equal(DEACTIVATED);
+            expect(await replica.isActive(3, 0)).to.be.false;
+            expect(await replica.ownerOf(3, 0)).to.equal(account.address);
+        });
+
+        it("Should catch up the status of a deactivated actor with replicateActor()", async function () {
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            await simulator.fulfillPending();
+            await broadcaster.setReplicaChains([]);
+            await actorsManager.suspendActor(3, 0, "Failed audit");
+            await broadcaster.setReplicaChains([REPLICA_CHAIN]);
+            expect(await replica.isActive(3, 0)).to.be.true;
+
+            const fee = await broadcaster.estimateReplicationFee(REPLICA_CHAIN, REGISTER, 3, 0);
+            await broadcaster.replicateActor(REPLICA_CHAIN, 3, 0, { value: fee });
+            expect(await replica.getActorStatus(3, 0)).to.equal(SUSPENDED);
+
+            await broadcaster.setReplicaChains([]);
+            await actorsManager.deactivateActor(3, 0, "Out of business");
+            const statusFee = await broadcaster.estimateReplicationFee(REPLICA_CHAIN, STATUS, 3, 0);
+            await expect(broadcaster.replicateActor(REPLICA_CHAIN, 3, 0, { value: statusFee }))
+                .to.emit(broadcaster, "ActorBroadcast")
+                .withArgs(REPLICA_CHAIN, STATUS, 3, 0);
+            expect(await replica.getActorStatus(3, 0)).to.equal(DEACTIVATED);
+        });
+
+        it("Should store an update received before the registration for retryMessage()", async function () {
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            await simulator.fulfillPending();
+            await broadcaster.setReplicaChains([REPLICA_CHAIN, LATE_CHAIN]);
+            await actorsManager.updateActor(3, 0, UPDATED_HASH);
+            await simulator.fulfillPending();
+
+            const [failed] = await lateReplica.queryFilter(lateReplica.filters.MessageFailed());
+            const [srcChainId, srcAddress, nonce, payload] = failed.args;
+            expect(await lateReplica.idExists(3, 0)).to.be.false;
+
+            const fee = await broadcaster.estimateReplicationFee(LATE_CHAIN, REGISTER, 3, 0);
+            await broadcaster.replicateActor(LATE_CHAIN, 3, 0, { value: fee });
+            expect(await lateReplica.idExists(3, 0)).to.be.true;
+
+            await expect(lateReplica.retryMessage(srcChainId, srcAddress, nonce, payload))
+                .to.emit(lateReplica, "RetryMessageSuccess");
+            expect(await lateReplica.tokenURI(3, 0)).to.equal(`ipfs://${UPDATED_HASH}`);
+        });
+    });
+
+    describe("Failures", function () {
+        it("Should keep the registration when the broadcast fails", async function () {
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            await simulator.fulfillPending();
+            const [failed] = await actorsManager.queryFilter(actorsManager.filters.BroadcastFailed());
+            expect(broadcaster.interface.parseError(failed.args.reason).name).to.equal("InsufficientFee");
+
+            expect(await actorsManager.getActorURI(3, 0)).to.equal(`ipfs://${VALID_HASH}`);
+            expect(await replica.idExists(3, 0)).to.be.false;
+
+            const fee = await broadcaster.estimateReplicationFee(REPLICA_CHAIN, REGISTER, 3, 0);
+            await broadcaster.replicateActor(REPLICA_CHAIN, 3, 0, { value: fee });
+            expect(await replica.ownerOf(3, 0)).to.equal(account.address);
+        });
+
+        it("Should reject messages from untrusted sources", async function () {
+            const path = ethers.solidityPacked(["address", "address"], [other.address, replica.target]);
+            await expect(replica.lzReceive(HOME_CHAIN, path, 1, "0x"))
+                .to.be.revertedWith("LzApp: invalid endpoint caller");
+            await replica.setTrustedRemoteAddress(HOME_CHAIN, other.address);
+            await owner.sendTransaction({ to: broadcaster.target, value: ethers.parseEther("1") });
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            await simulator.fulfillPending();
+            expect(await replica.idExists(3, 0)).to.be.false;
+        });
+
+        it("Should revert replicateActor() for an unknown actor", async function () {
+            await expect(broadcaster.replicateActor(REPLICA_CHAIN, 3, 0))
+                .to.be.revertedWithCustomError(broadcaster, "InvalidActorId")
+                .withArgs(3, 0);
+            await expect(broadcaster.replicateActor(REPLICA_CHAIN, 8, 0))
+                .to.be.revertedWithCustomError(broadcaster, "InvalidActorType")
+                .withArgs(8, 8);
+        });
+
+        it("Should revert if UnAuthorized", async function () {
+            await expect(broadcaster.connect(other).setReplicaChains([REPLICA_CHAIN]))
+                .to.be.revertedWithCustomError(broadcaster, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(broadcaster.connect(other).replicateActor(REPLICA_CHAIN, 3, 0))
+                .to.be.revertedWithCustomError(broadcaster, "UnAuthorized")
+                .withArgs("COMPANY_USER_ROLE");
+            await expect(broadcaster.connect(other).broadcast(REGISTER, 3, 0))
+                .to.be.revertedWithCustomError(broadcaster, "UnAuthorized")
+                .withArgs("AUTHORIZED_CONTRACT_ROLE");
+            await expect(actorsManager.connect(other).setBroadcaster(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+        });
+    });
+});
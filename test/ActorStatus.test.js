@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("ActorStatus", function () {
+    let accessManager, actorsManager, supplyChain, batchManager, simulator;
+    let owner, don, account, other;
+    const VALID_HASH = "QmValidHash";
+    const DON_ID = ethers.encodeBytes32String("donId");
+    const ACTIVE = 0;
+    const SUSPENDED = 1;
+    const DEACTIVATED = 2;
+    const PROCESSED = 1;
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: PROCESSED,
+        isCertified: true,
+        qualityControlApproved: false,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 0,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    beforeEach(async function () {
+        [owner, don, account, other] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantAdminRole(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        const router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        const validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: true }), { status: 200 })
+        });
+        await actorsManager.registerActor(0, account.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, account.address, VALID_HASH); // rawProcessor
+        await actorsManager.registerActor(1, other.address, VALID_HASH); // rawProcessor
+        await simulator.fulfillPending();
+    });
+
+    describe("Lifecycle", function () {
+        it("Should start active", async function () {
+            const state = await actorsManager.getActorStatus(1, 0);
+            expect(state.status).to.equal(ACTIVE);
+            expect(state.reason).to.equal("");
+            await expect(actorsManager.getActorStatus(1, 2))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorId")
+                .withArgs(1, 2);
+            await expect(actorsManager.getActorStatus(8, 0))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorType")
+                .withArgs(8, 8);
+        });
+
+        it("Should suspendActor() & reinstateActor()", async function () {
+            await expect(actorsManager.suspendActor(1, 0, "Failed audit"))
+                .to.emit(actorsManager, "ActorSuspended")
+                .withArgs(1, 0, "Failed audit", anyValue);
+            let state = await actorsManager.getActorStatus(1, 0);
+            expect(state.status).to.equal(SUSPENDED);
+            expect(state.reason).to.equal("Failed audit");
+
+            await expect(actorsManager.suspendActor(1, 0, "Failed audit"))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorStatus")
+                .withArgs(1, 0, SUSPENDED);
+
+            await expect(actorsManager.reinstateActor(1, 0))
+                .to.emit(actorsManager, "ActorReinstated")
+                .withArgs(1, 0, anyValue);
+            state = await actorsManager.getActorStatus(1, 0);
+            expect(state.status).to.equal(ACTIVE);
+            expect(state.reason).to.equal("");
+
+            await expect(actorsManager.reinstateActor(1, 0))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorStatus")
+                .withArgs(1, 0, ACTIVE);
+        });
+
+        it("Should deactivateActor() & burn its ID", async function () {
+            const actor = await ethers.getContractAt("Actor", await actorsManager.actors(1));
+            await actorsManager.suspendActor(1, 0, "Failed audit");
+            await expect(actorsManager.deactivateActor(1, 0, "Out of business"))
+                .to.emit(actorsManager, "ActorDeactivated")
+                .withArgs(1, 0, "Out of business", anyValue);
+            expect((await actorsManager.getActorStatus(1, 0)).status).to.equal(DEACTIVATED);
+            expect(await actor.balanceOf(account.address)).to.equal(0);
+            expect(await actor.idExists(0)).to.be.true;
+
+            await expect(actorsManager.deactivateActor(1, 0, "Out of business"))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorStatus")
+                .withArgs(1, 0, DEACTIVATED);
+            await expect(actorsManager.reinstateActor(1, 0))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorStatus")
+                .withArgs(1, 0, DEACTIVATED);
+            await expect(actorsManager.updateActor(1, 0, VALID_HASH))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorStatus")
+                .withArgs(1, 0, DEACTIVATED);
+        });
+
+        it("Should never issue a deactivated ID again", async function () {
+            await actorsManager.deactivateActor(1, 0, "Out of business");
+            await actorsManager.registerActor(1, account.address, VALID_HASH);
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt)
+                .to.emit(actorsManager, "ActorRegistered")
+                .withArgs(1, 2, account.address, VALID_HASH);
+            expect(await actorsManager.getActorsURIsInBatch(1, 0, 10)).to.deep.equal(["", `ipfs://${VALID_HASH}`, `ipfs://${VALID_HASH}`]);
+        });
+
+        it("Should drop the pending update of an actor deactivated meanwhile", async function () {
+            await actorsManager.updateActor(1, 0, "QmNewHash");
+            await actorsManager.deactivateActor(1, 0, "Out of business");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt)
+                .to.emit(actorsManager, "ValidationFailed")
+                .withArgs(1, 0, "QmNewHash", ethers.toUtf8Bytes("Actor deactivated"));
+        });
+
+        it("Should get the statuses of the actors of a type", async function () {
+            await actorsManager.suspendActor(1, 0, "Failed audit");
+            expect(await actorsManager.getActorStatusesInBatch(1, 0, 10)).to.deep.equal([SUSPENDED, ACTIVE]);
+            await actorsManager.deactivateActor(1, 1, "Out of business");
+            expect(await actorsManager.getActorStatusesInBatch(1, 1, 10)).to.deep.equal([DEACTIVATED]);
+            await expect(actorsManager.getActorStatusesInBatch(1, 2, 10))
+                .to.be.revertedWithCustomError(actorsManager, "OutOfBounds")
+                .withArgs(2, 2);
+        });
+
+        it("Should revert if UnAuthorized", async function () {
+            await expect(actorsManager.connect(other).suspendActor(1, 0, "Failed audit"))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(actorsManager.connect(other).reinstateActor(1, 0))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(actorsManager.connect(other).deactivateActor(1, 0, "Out of business"))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+        });
+    });
+
+    describe("Batch Stages", function () {
+        it("Should refuse to create a batch for a suspended supplier", async function () {
+            await actorsManager.suspendActor(0, 0, "Failed audit");
+            await expect(supplyChain.addHarvestedBatch(0, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "ActorNotActive")
+                .withArgs(0, 0);
+
+            await actorsManager.reinstateActor(0, 0);
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt).to.emit(batchManager, "BatchCreated");
+        });
+
+        it("Should refuse to assign a stage to a suspended or deactivated actor", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+
+            await actorsManager.suspendActor(1, 0, "Failed audit");
+            await expect(supplyChain.updateBatchState(batchInfo({}), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "ActorNotActive")
+                .withArgs(1, 0);
+            await actorsManager.deactivateActor(1, 0, "Out of business");
+            await expect(supplyChain.updateBatchState(batchInfo({}), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "ActorNotActive")
+                .withArgs(1, 0);
+
+            await supplyChain.updateBatchState(batchInfo({ rawProcessorId: 1 }), VALID_HASH);
+            await simulator.fulfillPending();
+            expect((await batchManager.getBatchInfo(0)).rawProcessorId).to.equal(1);
+        });
+
+        it("Should refuse the submissions of a suspended or deactivated actor", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+
+            await actorsManager.suspendActor(1, 0, "Failed audit");
+            await expect(supplyChain.connect(account).submitBatchUpdate(1, 0, 0, PROCESSED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "ActorNotActive")
+                .withArgs(1, 0);
+            await actorsManager.deactivateActor(1, 0, "Out of business");
+            await expect(supplyChain.connect(account).submitBatchUpdate(1, 0, 0, PROCESSED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "ActorNotActive")
+                .withArgs(1, 0);
+        });
+    });
+});
@@ -1,53 +1,79 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { ACTOR_COLLECTIONS, deployActorsManager } = require("./helpers/actors");
 
 describe("ActorsManager", function () {
-    let actorsManager, accessManager;
-    let owner, authorizedContract, otherAccount, otherAccountTwo, donRouter;
+    let actorsManager, accessManager, router, validator;
+    let owner, authorizedContract, otherAccount, otherAccountTwo;
     const VALID_HASH = "QmValidHash";
     const INVALID_HASH = "QmInvalidHash";
     const ACTOR_TYPE = 0;
-    const ACTOR_ID = 1;
+    const ACTOR_ID = 0;
+    const DON_ID = ethers.encodeBytes32String("donId");
+    const DON_SUBSCRIPTION_ID = 1;
+
+    // answers the validation request sent in a transaction through the mock router
+    const fulfill = async (tx, response, err = "") => {
+        const receipt = await tx.wait();
+        const [sent] = await validator.queryFilter(validator.filters.RequestSent(), receipt.blockNumber, receipt.blockNumber);
+        return router.fulfillRequest(sent.args.id, ethers.toUtf8Bytes(response), ethers.toUtf8Bytes(err));
+    };
 
     beforeEach(async function () {
-        [owner, authorizedContract, otherAccount, otherAccountTwo, donRouter] = await ethers.getSigners();
+        [owner, authorizedContract, otherAccount, otherAccountTwo] = await ethers.getSigners();
 
         const AccessManager = await ethers.getContractFactory("AccessManager");
         accessManager = await AccessManager.deploy(owner.address);
         await accessManager.grantAuthorizedContractRole(authorizedContract.address);
         await expect(await accessManager.hasRole(await accessManager.AUTHORIZED_CONTRACT_ROLE(), authorizedContract.address)).to.be.true;
 
-        const ActorsManager = await ethers.getContractFactory("ActorsManager");
-        actorsManager = await ActorsManager.deploy(accessManager.target, ethers.encodeBytes32String("donId"), donRouter.address, 1);
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, DON_SUBSCRIPTION_ID);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
 
         await accessManager.grantAuthorizedContractRole(actorsManager.target);
         await expect(await accessManager.hasRole(await accessManager.AUTHORIZED_CONTRACT_ROLE(), actorsManager.target)).to.be.true;
     });
 
+    describe("Deployment", function () {
+        it("Should deploy within the transaction gas cap of EIP-7825", async function () {
+            const receipt = await actorsManager.deploymentTransaction().wait();
+            expect(receipt.gasUsed).to.be.lessThan(16777216n);
+        });
+
+        it("Should hold the actor collection of each type", async function () {
+            for (const [actorType, [name, symbol]] of ACTOR_COLLECTIONS.entries()) {
+                const actor = await ethers.getContractAt("Actor", await actorsManager.actors(actorType));
+                expect(await actor.name()).to.equal(name);
+                expect(await actor.symbol()).to.equal(symbol);
+            }
+        });
+    });
+
     describe("Actor Registration", function () {
         it("Should registerActor()", async function () {
-            await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, VALID_HASH);
-            await expect(await actorsManager.connect(authorizedContract).fulfillRequest(await actorsManager.requestIdCounter(), ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, VALID_HASH), "true"))
                 .to.emit(actorsManager, "ActorRegistered")
                 .withArgs(ACTOR_TYPE, 0, otherAccount.address, VALID_HASH);
         });
 
         it("Should fail to registerActor() on don function compute error", async function () {
-            await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, VALID_HASH);
-            await expect(await actorsManager.connect(authorizedContract).fulfillRequest(await actorsManager.requestIdCounter(), ethers.toUtf8Bytes(''), ethers.toUtf8Bytes('invalid')))
+            await expect(fulfill(await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, VALID_HASH), "", "invalid"))
                 .to.emit(actorsManager, "ValidationFailed")
                 .withArgs(ACTOR_TYPE, 0, VALID_HASH, ethers.toUtf8Bytes('invalid'));
         });
 
         it("Should fail to registerActor() with an invalid metadata", async function () {
-            await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, INVALID_HASH);
-            await expect(await actorsManager.connect(authorizedContract).fulfillRequest(await actorsManager.requestIdCounter(), ethers.toUtf8Bytes('false'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, INVALID_HASH), "false"))
                 .to.emit(actorsManager, "ValidationFailed")
                 .withArgs(ACTOR_TYPE, 0, INVALID_HASH, ethers.toUtf8Bytes('false'));
         });
 
         it("Should fail to registerActor() with invalid actor type", async function () {
-            await expect(actorsManager.connect(authorizedContract).registerActor(7, otherAccount.address, VALID_HASH))
+            await expect(actorsManager.connect(authorizedContract).registerActor(8, otherAccount.address, VALID_HASH))
                 .to.be.revertedWithCustomError(actorsManager, "InvalidActorType");
         });
 
@@ -58,29 +84,30 @@ describe("ActorsManager", function () {
     });
 
     describe("Actor Update", function () {
+        beforeEach(async function () {
+            await fulfill(await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, VALID_HASH), "true");
+        });
+
         it("Should updateActor()", async function () {
-            await actorsManager.connect(authorizedContract).updateActor(ACTOR_TYPE, ACTOR_ID, VALID_HASH)
-            await expect(await actorsManager.connect(authorizedContract).fulfillRequest(await actorsManager.requestIdCounter(), ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await actorsManager.connect(authorizedContract).updateActor(ACTOR_TYPE, ACTOR_ID, VALID_HASH), "true"))
                 .to.emit(actorsManager, "ActorUpdated")
                 .withArgs(ACTOR_TYPE, ACTOR_ID, VALID_HASH);
         });
 
         it("Should fail to updateActor() on don function compute error", async function () {
-            await actorsManager.connect(authorizedContract).updateActor(ACTOR_TYPE, ACTOR_ID, VALID_HASH);
-            await expect(await actorsManager.connect(authorizedContract).fulfillRequest(await actorsManager.requestIdCounter(), ethers.toUtf8Bytes(''), ethers.toUtf8Bytes('invalid')))
+            await expect(fulfill(await actorsManager.connect(authorizedContract).updateActor(ACTOR_TYPE, ACTOR_ID, VALID_HASH), "", "invalid"))
                 .to.emit(actorsManager, "ValidationFailed")
                 .withArgs(ACTOR_TYPE, ACTOR_ID, VALID_HASH, ethers.toUtf8Bytes('invalid'));
         });
 
         it("Should fail to updateActor() with an invalid metadata", async function () {
-            await actorsManager.connect(authorizedContract).updateActor(ACTOR_TYPE, ACTOR_ID, INVALID_HASH);
-            await expect(await actorsManager.connect(authorizedContract).fulfillRequest(await actorsManager.requestIdCounter(), ethers.toUtf8Bytes('false'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await actorsManager.connect(authorizedContract).updateActor(ACTOR_TYPE, ACTOR_ID, INVALID_HASH), "false"))
                 .to.emit(actorsManager, "ValidationFailed")
                 .withArgs(ACTOR_TYPE, ACTOR_ID, INVALID_HASH, ethers.toUtf8Bytes('false'));
         });
 
         it("Should fail to updateActor() with invalid actor type", async function () {
-            await expect(actorsManager.connect(authorizedContract).updateActor(7, ACTOR_ID, VALID_HASH))
+            await expect(actorsManager.connect(authorizedContract).updateActor(8, ACTOR_ID, VALID_HASH))
                 .to.be.revertedWithCustomError(actorsManager, "InvalidActorType");
         });
 
@@ -92,8 +119,7 @@ describe("ActorsManager", function () {
 
     describe("Actor Info", function () {
         it("Should return URI using getActorURI()", async function () {
-            await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, VALID_HASH);
-            await expect(await actorsManager.connect(authorizedContract).fulfillRequest(await actorsManager.requestIdCounter(), ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, VALID_HASH), "true"))
                 .to.emit(actorsManager, "ActorRegistered")
                 .withArgs(ACTOR_TYPE, 0, otherAccount.address, VALID_HASH);
             const info = await actorsManager.getActorURI(ACTOR_TYPE, 0);
@@ -101,7 +127,7 @@ describe("ActorsManager", function () {
         });
 
         it("Should fail to call getActorURI() with invalid actor type", async function () {
-            await expect(actorsManager.getActorURI(7, ACTOR_ID))
+            await expect(actorsManager.getActorURI(8, ACTOR_ID))
                 .to.be.revertedWithCustomError(actorsManager, "InvalidActorType");
         });
     });
@@ -110,12 +136,10 @@ describe("ActorsManager", function () {
         it("Should return URIs with getActorsURIsInBatch()", async function () {
             const batchSize = 2;
 
-            await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, VALID_HASH);
-            await expect(await actorsManager.connect(authorizedContract).fulfillRequest(await actorsManager.requestIdCounter(), ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccount.address, VALID_HASH), "true"))
                 .to.emit(actorsManager, "ActorRegistered")
                 .withArgs(ACTOR_TYPE, 0, otherAccount.address, VALID_HASH);
-            await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccountTwo.address, VALID_HASH);
-            await expect(await actorsManager.connect(authorizedContract).fulfillRequest(await actorsManager.requestIdCounter(), ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await actorsManager.connect(authorizedContract).registerActor(ACTOR_TYPE, otherAccountTwo.address, VALID_HASH), "true"))
                 .to.emit(actorsManager, "ActorRegistered")
                 .withArgs(ACTOR_TYPE, 1, otherAccountTwo.address, VALID_HASH);
             const info = await actorsManager.connect(authorizedContract).getActorsURIsInBatch(ACTOR_TYPE, 0, 2);
@@ -123,7 +147,7 @@ describe("ActorsManager", function () {
         });
 
         it("Should fail to getActorsURIsInBatch() with invalid actor type", async function () {
-            await expect(actorsManager.getActorsURIsInBatch(7, 0, 2))
+            await expect(actorsManager.getActorsURIsInBatch(8, 0, 2))
                 .to.be.revertedWithCustomError(actorsManager, "InvalidActorType");
         });
 
@@ -140,7 +164,7 @@ describe("ActorsManager", function () {
 
     describe("Modifiers", function () {
         it("Should revert if actor type is invalid", async function () {
-            await expect(actorsManager.getActorURI(7, ACTOR_ID))
+            await expect(actorsManager.getActorURI(8, ACTOR_ID))
                 .to.be.revertedWithCustomError(actorsManager, "InvalidActorType");
         });
 
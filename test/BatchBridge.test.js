@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("BatchBridge", function () {
+    const HOME_CHAIN = 1, REMOTE_CHAIN = 2, OTHER_CHAIN = 3;
+    const VALID_HASH = "QmValidHash";
+    const PROCESSED_HASH = "QmProcessedHash";
+    const DON_ID = ethers.encodeBytes32String("donId");
+    const ADAPTER_PARAMS = ethers.solidityPacked(["uint16", "uint256"], [1, 600000]);
+
+    let accessManager, actorsManager, supplyChain, batchManager, simulator;
+    let bridge, remoteBatch, otherBatch;
+    let owner, don, account, partner, otherPartner;
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: 1,
+        isCertified: true,
+        qualityControlApproved: true,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 0,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    // sends from the home chain, paying the estimated fee
+    const send = async (signer, to, batchId, dstChainId = REMOTE_CHAIN) => {
+        const [fee] = await bridge.estimateSendFee(dstChainId, to, batchId, false, ADAPTER_PARAMS);
+        return bridge.connect(signer).sendFrom(signer.address, dstChainId, to, batchId, signer.address, ethers.ZeroAddress, ADAPTER_PARAMS, { value: fee });
+    };
+
+    const toPlain = (info) => ({
+        batchId: info.batchId,
+        state: info.state,
+        isCertified: info.isCertified,
+        qualityControlApproved: info.qualityControlApproved,
+        rawMaterialSupplierId: info.rawMaterialSupplierId,
+        rawProcessorId: info.rawProcessorId,
+        batteryManufacturerId: info.batteryManufacturerId,
+        distributorsCount: info.distributorsCount,
+        retailersCount: info.retailersCount,
+        distributorIds: [...info.distributorIds],
+        retailerIds: [...info.retailerIds],
+    });
+
+    // wires two ONFTs through their endpoints
+    const connect = async (a, endpointA, chainA, b, endpointB, chainB) => {
+        await endpointA.setDestLzEndpoint(b.target, endpointB.target);
+        await endpointB.setDestLzEndpoint(a.target, endpointA.target);
+        await a.setTrustedRemoteAddress(chainB, b.target);
+        await b.setTrustedRemoteAddress(chainA, a.target);
+        await a.setMinDstGas(chainB, 1, 150000);
+        await b.setMinDstGas(chainA, 1, 150000);
+    };
+
+    beforeEach(async function () {
+        [owner, don, account, partner, otherPartner] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        const router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        const validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        const LZEndpointMock = await ethers.getContractFactory("LZEndpointMock");
+        const homeEndpoint = await LZEndpointMock.deploy(HOME_CHAIN);
+        const remoteEndpoint = await LZEndpointMock.deploy(REMOTE_CHAIN);
+        const otherEndpoint = await LZEndpointMock.deploy(OTHER_CHAIN);
+
+        const BatchBridge = await ethers.getContractFactory("BatchBridge");
+        bridge = await BatchBridge.deploy(accessManager.target, batchManager.target, 100000, homeEndpoint.target);
+        const RemoteBatch = await ethers.getContractFactory("RemoteBatch");
+        remoteBatch = await RemoteBatch.deploy(100000, remoteEndpoint.target);
+        otherBatch = await RemoteBatch.deploy(100000, otherEndpoint.target);
+        await connect(bridge, homeEndpoint, HOME_CHAIN, remoteBatch, remoteEndpoint, REMOTE_CHAIN);
+        await connect(remoteBatch, remoteEndpoint, REMOTE_CHAIN, otherBatch, otherEndpoint, OTHER_CHAIN);
+
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: true }), { status: 200 })
+        });
+        await actorsManager.registerActor(0, account.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, account.address, VALID_HASH); // rawProcessor
+        await actorsManager.registerActor(3, account.address, VALID_HASH); // distributor
+        await simulator.fulfillPending();
+        await supplyChain.addHarvestedBatch(0, VALID_HASH);
+        await simulator.fulfillPending();
+    });
+
+    describe("Home to Remote", function () {
+        it("Should deliver the token URI & the full BatchInfo", async function () {
+            await supplyChain.updateBatchState(batchInfo({ distributorIds: [0] }), PROCESSED_HASH);
+            await simulator.fulfillPending();
+
+            await expect(send(owner, partner.address, 0))
+                .to.emit(remoteBatch, "BatchRecordReceived")
+                .withArgs(HOME_CHAIN, 0, 1, `ipfs://${PROCESSED_HASH}`);
+
+            expect(await remoteBatch.ownerOf(0)).to.equal(partner.address);
+            expect(await remoteBatch.tokenURI(0)).to.equal(await batchManager.getBatchURI(0));
+            expect(await remoteBatch.getSourceChain(0)).to.equal(HOME_CHAIN);
+            const home = { ...toPlain(await batchManager.getBatchInfo(0)), batchId: 0n };
+            expect(toPlain(await remoteBatch.getBatchInfo(0))).to.deep.equal(home);
+            expect(await (await ethers.getContractAt("Batch", await batchManager.batches())).ownerOf(0)).to.equal(supplyChain.target);
+        });
+
+        it("Should refresh the record of a batch sent again", async function () {
+            await send(owner, partner.address, 0);
+            await supplyChain.updateBatchState(batchInfo({}), PROCESSED_HASH);
+            await simulator.fulfillPending();
+            await send(owner, otherPartner.address, 0);
+
+            expect((await remoteBatch.getBatchInfo(0)).state).to.equal(1);
+            expect(await remoteBatch.tokenURI(0)).to.equal(`ipfs://${PROCESSED_HASH}`);
+            expect(await remoteBatch.ownerOf(0)).to.equal(otherPartner.address);
+        });
+
+        it("Should revert sendFrom() unless sent by a company user", async function () {
+            await expect(send(account, partner.address, 0))
+                .to.be.revertedWithCustomError(bridge, "UnAuthorized")
+                .withArgs("COMPANY_USER_ROLE");
+            await expect(bridge.sendFrom(account.address, REMOTE_CHAIN, partner.address, 0, owner.address, ethers.ZeroAddress, ADAPTER_PARAMS))
+                .to.be.revertedWithCustomError(bridge, "UnexpectedAgent");
+        });
+
+        it("Should revert sendFrom() with an unknown batch", async function () {
+            const [fee] = await bridge.estimateSendFee(REMOTE_CHAIN, partner.address, 0, false, ADAPTER_PARAMS);
+            await expect(bridge.sendFrom(owner.address, REMOTE_CHAIN, partner.address, 1, owner.address, ethers.ZeroAddress, ADAPTER_PARAMS, { value: fee }))
+                .to.be.revertedWithCustomError(bridge, "InvalidTokenId");
+        });
+    });
+
+    describe("Remote to Remote", function () {
+        beforeEach(async function () {
+            await send(owner, partner.address, 0);
+        });
+
+        it("Should pass a copy on to another chain with its record", async function () {
+            const [fee] = await remoteBatch.estimateSendFee(OTHER_CHAIN, otherPartner.address, 0, false, ADAPTER_PARAMS);
+            await remoteBatch.connect(partner).sendFrom(partner.address, OTHER_CHAIN, otherPartner.address, 0, partner.address, ethers.ZeroAddress, ADAPTER_PARAMS, { value: fee });
+
+            expect(await remoteBatch.ownerOf(0)).to.equal(remoteBatch.target);
+            expect(await otherBatch.ownerOf(0)).to.equal(otherPartner.address);
+            expect(await otherBatch.getSourceChain(0)).to.equal(REMOTE_CHAIN);
+            expect(toPlain(await otherBatch.getBatchInfo(0))).to.deep.equal(toPlain(await remoteBatch.getBatchInfo(0)));
+            expect(await otherBatch.tokenURI(0)).to.equal(`ipfs://${VALID_HASH}`);
+        });
+
+        it("Should revert sendFrom() by another account than the holder", async function () {
+            await expect(remoteBatch.connect(otherPartner).sendFrom(partner.address, OTHER_CHAIN, otherPartner.address, 0, partner.address, ethers.ZeroAddress, ADAPTER_PARAMS))
+                .to.be.revertedWithCustomError(remoteBatch, "ERC721InsufficientApproval");
+        });
+
+        it("Should revert transfers of the copies", async function () {
+            await expect(remoteBatch.connect(partner).transferFrom(partner.address, otherPartner.address, 0))
+                .to.be.revertedWithCustomError(remoteBatch, "SoulBoundTransferNotAllowed");
+        });
+
+        it("Should revert getBatchInfo() for an unknown batch", async function () {
+            await expect(remoteBatch.getBatchInfo(1))
+                .to.be.revertedWithCustomError(remoteBatch, "InvalidTokenId");
+        });
+    });
+});
@@ -3,7 +3,7 @@ const { ethers } = require("hardhat");
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("BatchManager", function () {
-    let batchManager, accessManager, batch, supplyChainContract;
+    let batchManager, accessManager, router, validator;
     let owner, authorizedContract, admin, otherAccount;
     const VALID_HASH = "QmValidHash";
     const INVALID_HASH = "QmInvalidHash";
@@ -11,31 +11,26 @@ describe("BatchManager", function () {
     const CALLBACK_FUNCTION = "0x12345678";
     const DON_ID = ethers.encodeBytes32String("donId");
     const DON_SUBSCRIPTION_ID = 1;
-    const batchInfo = {
-        batchId: 0,
-        state: 1,
-        isCertified: true,
-        qualityControlApproved: false,
-        farmerId: FARMER_ID,
-        processorId: 2,
-        packagerId: 3,
-        distributorsCount: 1,
-        retailersCount: 1,
-        distributorIds: [4],
-        retailerIds: [5]
-    };
-    const batchInfoTemp = {
+
+    const updatedInfo = (state) => ({
         batchId: 0,
-        state: 2,
+        state,
         isCertified: true,
         qualityControlApproved: true,
-        farmerId: FARMER_ID,
-        processorId: 2,
-        packagerId: 3,
-        distributorsCount: 1,
-        retailersCount: 1,
-        distributorIds: [4],
-        retailerIds: [5]
+        rawMaterialSupplierId: FARMER_ID,
+        rawProcessorId: 2,
+        batteryManufacturerId: 3,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: []
+    });
+
+    // validation requests are answered through the mock router
+    const fulfill = async (tx, response) => {
+        const receipt = await tx.wait();
+        const [sent] = await validator.queryFilter(validator.filters.RequestSent(), receipt.blockNumber, receipt.blockNumber);
+        return router.fulfillRequest(sent.args.id, ethers.toUtf8Bytes(response), "0x");
     };
 
     beforeEach(async function () {
@@ -47,100 +42,70 @@ describe("BatchManager", function () {
         await accessManager.grantAuthorizedContractRole(authorizedContract.address);
         await accessManager.grantAdminRole(admin.address);
 
-        const Batch = await ethers.getContractFactory("Batch");
-        batch = await Batch.deploy(accessManager.target, "Batch", "B");
+        // the EOA standing for `SupplyChain` accepts the callbacks
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, DON_SUBSCRIPTION_ID);
 
         const BatchManager = await ethers.getContractFactory("BatchManager");
-        batchManager = await BatchManager.deploy(accessManager.target, owner.address, DON_ID, ethers.ZeroAddress, DON_SUBSCRIPTION_ID);
-
+        batchManager = await BatchManager.deploy(accessManager.target, owner.address, validator.target);
         await accessManager.grantAuthorizedContractRole(batchManager.target);
     });
 
     describe("Batch Creation", function () {
         it("Should createBatch()", async function () {
-            await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION);
-            const requestId = await batchManager.requestIdCounter();
-            await expect(await batchManager.connect(authorizedContract).fulfillRequest(requestId, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true"))
                 .to.emit(batchManager, "BatchCreated")
-                .withArgs(requestId, VALID_HASH, anyValue);
+                .withArgs(0, VALID_HASH, anyValue);
         });
 
         it("Should fail to createBatch() with invalid metadata", async function () {
-            await batchManager.connect(authorizedContract).createBatch(FARMER_ID, INVALID_HASH, CALLBACK_FUNCTION);
-            const requestId = await batchManager.requestIdCounter();
-            await expect(await batchManager.connect(authorizedContract).fulfillRequest(requestId, ethers.toUtf8Bytes('false'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, INVALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "false"))
                 .to.emit(batchManager, "DataCertificationFailed")
                 .withArgs(0, INVALID_HASH, ethers.toUtf8Bytes('false'));
         });
 
         it("Should fail to createBatch() if UnAuthorized", async function () {
-            await expect(batchManager.connect(otherAccount).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION))
+            await expect(batchManager.connect(otherAccount).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address))
                 .to.be.revertedWithCustomError(batchManager, "UnAuthorized");
         });
     });
 
     describe("Batch Update", function () {
+        beforeEach(async function () {
+            await fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true");
+        });
+
         it("Should updateBatch()", async function () {
-            await batchManager.connect(authorizedContract).createBatch(0, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.connect(authorizedContract).fulfillRequest(0, ethers.toUtf8Bytes("true"), ethers.toUtf8Bytes(""));
-            await batchManager.connect(authorizedContract).updateBatch(batchInfo, VALID_HASH, CALLBACK_FUNCTION);
-            const requestId = await batchManager.requestIdCounter();
-            await expect(await batchManager.connect(authorizedContract).fulfillRequest(requestId, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await batchManager.connect(authorizedContract).updateBatch(updatedInfo(1), VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true"))
                 .to.emit(batchManager, "BatchStatusUpdated")
-                .withArgs(batchInfo.batchId, batchInfo.state, VALID_HASH, anyValue);
+                .withArgs(0, 1, VALID_HASH, anyValue);
         });
 
         it("Should fail to updateBatch() with invalid metadata", async function () {
-            await batchManager.connect(authorizedContract).createBatch(0, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.connect(authorizedContract).fulfillRequest(0, ethers.toUtf8Bytes("true"), ethers.toUtf8Bytes(""));
-            await batchManager.connect(authorizedContract).updateBatch(batchInfo, INVALID_HASH, CALLBACK_FUNCTION);
-            const requestId = await batchManager.requestIdCounter();
-            await expect(await batchManager.connect(authorizedContract).fulfillRequest(requestId, ethers.toUtf8Bytes('false'), ethers.toUtf8Bytes('')))
+            await expect(fulfill(await batchManager.connect(authorizedContract).updateBatch(updatedInfo(1), INVALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "false"))
                 .to.emit(batchManager, "DataCertificationFailed")
-                .withArgs(batchInfo.batchId, INVALID_HASH, ethers.toUtf8Bytes('false'));
+                .withArgs(0, INVALID_HASH, ethers.toUtf8Bytes('false'));
         });
 
         it("Should fail to updateBatch() if UnAuthorized", async function () {
-            await expect(batchManager.connect(otherAccount).updateBatch(batchInfo, VALID_HASH, CALLBACK_FUNCTION))
-                .to.be.revertedWithCustomError(batchManager, "UnAuthorized");
-        });
-
-        it("Should setBatch() information", async function () {
-            await batchManager.connect(authorizedContract).setBatch(1, batchInfo);
-            const result = await batchManager.getUpdatedBatchActors(1);
-            expect(result[0]).to.equal(batchInfo.state);
-            expect(result[1]).to.equal(batchInfo.processorId);
-            expect(result[2]).to.equal(batchInfo.packagerId);
-            expect(result[3]).to.equal(batchInfo.distributorsCount);
-            expect(result[4]).to.equal(batchInfo.retailersCount);
-            expect(result[5][0]).to.equal(batchInfo.distributorIds[0]);
-            expect(result[6][0]).to.equal(batchInfo.retailerIds[0]);
-        });
-
-        it("Should revert setBatch() if UnAuthorized", async function () {
-            await expect(batchManager.connect(otherAccount).setBatch(1, batchInfo))
+            await expect(batchManager.connect(otherAccount).updateBatch(updatedInfo(1), VALID_HASH, CALLBACK_FUNCTION, otherAccount.address))
                 .to.be.revertedWithCustomError(batchManager, "UnAuthorized");
         });
     });
 
     describe("Batch Info & URI", function () {
         it("Should getBatchURI()", async function () {
-            await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION);
-            const requestId = await batchManager.requestIdCounter();
-            await batchManager.connect(authorizedContract).fulfillRequest(requestId, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            const uri = await batchManager.getBatchURI(requestId);
+            await fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true");
+            const uri = await batchManager.getBatchURI(0);
             expect(uri).to.equal("ipfs://" + VALID_HASH);
         });
 
         it("Should getBatchURIsInBatch()", async function () {
             const batchSize = 2;
-            await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION);
-            let requestId = await batchManager.requestIdCounter();
-            await batchManager.connect(authorizedContract).fulfillRequest(requestId, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-
-            await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION);
-            requestId = await batchManager.requestIdCounter();
-            await batchManager.connect(authorizedContract).fulfillRequest(requestId, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
+            await fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true");
+            await fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true");
 
             const uris = await batchManager.getBatchURIsInBatch(0, batchSize);
             expect(uris.length).to.equal(batchSize);
@@ -157,21 +122,142 @@ describe("BatchManager", function () {
         });
 
         it("Should getUpdatedBatchActors()", async function () {
-            await batchManager.connect(authorizedContract).setBatch(1, batchInfo);
-            const result = await batchManager.getUpdatedBatchActors(1);
-            expect(result[0]).to.equal(batchInfo.state);
-            expect(result[1]).to.equal(batchInfo.processorId);
-            expect(result[2]).to.equal(batchInfo.packagerId);
-            expect(result[3]).to.equal(batchInfo.distributorsCount);
-            expect(result[4]).to.equal(batchInfo.retailersCount);
-            expect(result[5][0]).to.equal(batchInfo.distributorIds[0]);
-            expect(result[6][0]).to.equal(batchInfo.retailerIds[0]);
-        });
-
-        it("Should getBatchFarmerId()", async function () {
-            await batchManager.connect(authorizedContract).setBatch(1, batchInfoTemp);
-            const farmerId = await batchManager.getBatchFarmerId(1);
-            expect(farmerId).to.equal(FARMER_ID);
+            const processed = { ...updatedInfo(1), distributorsCount: 1, retailersCount: 1, distributorIds: [4], retailerIds: [5] };
+            await fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true");
+            await fulfill(await batchManager.connect(authorizedContract).updateBatch(processed, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true");
+            const result = await batchManager.getUpdatedBatchActors(0);
+            expect(result[0]).to.equal(processed.state);
+            expect(result[1]).to.equal(processed.rawProcessorId);
+            expect(result[2]).to.equal(processed.batteryManufacturerId);
+            expect(result[3]).to.equal(processed.distributorsCount);
+            expect(result[4]).to.equal(processed.retailersCount);
+            expect(result[5][0]).to.equal(processed.distributorIds[0]);
+            expect(result[6][0]).to.equal(processed.retailerIds[0]);
+        });
+
+        it("Should getBatchRawMaterialSupplierId()", async function () {
+            await fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true");
+            expect(await batchManager.getBatchRawMaterialSupplierId(0)).to.equal(FARMER_ID);
+        });
+    });
+
+    describe("Batch History", function () {
+        beforeEach(async function () {
+            await fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true");
+        });
+
+        it("Should record the creation", async function () {
+            expect(await batchManager.getBatchHistoryLength(0)).to.equal(1);
+            const entry = await batchManager.getBatchHistoryEntry(0, 0);
+            expect(entry.state).to.equal(0);
+            expect(entry.hash).to.equal(VALID_HASH);
+            expect(entry.registrar).to.equal(otherAccount.address);
+            expect(entry.timestamp).to.be.greaterThan(0);
+        });
+
+        it("Should append every accepted transition & skip the rejected ones", async function () {
+            await fulfill(await batchManager.connect(authorizedContract).updateBatch(updatedInfo(1), "QmProcessedHash", CALLBACK_FUNCTION, otherAccount.address), "true");
+            await fulfill(await batchManager.connect(authorizedContract).updateBatch(updatedInfo(2), INVALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "false");
+            await fulfill(await batchManager.connect(authorizedContract).updateBatch(updatedInfo(2), "QmPackagedHash", CALLBACK_FUNCTION, otherAccount.address), "true");
+
+            const history = await batchManager.getBatchHistory(0, 0, 10);
+            expect(history.map((entry) => entry.state)).to.deep.equal([0n, 1n, 2n]);
+            expect(history.map((entry) => entry.hash)).to.deep.equal([VALID_HASH, "QmProcessedHash", "QmPackagedHash"]);
+            expect(await batchManager.getBatchURI(0)).to.equal("ipfs://QmPackagedHash");
+        });
+
+        it("Should paginate getBatchHistory()", async function () {
+            await fulfill(await batchManager.connect(authorizedContract).updateBatch(updatedInfo(1), "QmProcessedHash", CALLBACK_FUNCTION, otherAccount.address), "true");
+            const page = await batchManager.getBatchHistory(0, 1, 1);
+            expect(page.length).to.equal(1);
+            expect(page[0].hash).to.equal("QmProcessedHash");
+        });
+
+        it("Should revert with OutOfBounds", async function () {
+            await expect(batchManager.getBatchHistoryEntry(0, 1))
+                .to.be.revertedWithCustomError(batchManager, "OutOfBounds")
+                .withArgs(1, 1);
+            await expect(batchManager.getBatchHistory(0, 1, 10))
+                .to.be.revertedWithCustomError(batchManager, "OutOfBounds");
+            await expect(batchManager.getBatchHistory(0, 0, 101))
+                .to.be.revertedWithCustomError(batchManager, "OutOfBounds")
+                .withArgs(101, 100);
+        });
+    });
+
+    describe("Batch Transitions", function () {
+        const update = (state, hash = VALID_HASH) => batchManager.connect(authorizedContract).updateBatch(updatedInfo(state), hash, CALLBACK_FUNCTION, otherAccount.address);
+
+        beforeEach(async function () {
+            await fulfill(await batchManager.connect(authorizedContract).createBatch(FARMER_ID, VALID_HASH, CALLBACK_FUNCTION, otherAccount.address), "true");
+        });
+
+        it("Should allow the next stage", async function () {
+            await expect(fulfill(await update(1), "true"))
+                .to.emit(batchManager, "BatchStatusUpdated")
+                .withArgs(0, 1, VALID_HASH, anyValue);
+        });
+
+        it("Should revert updateBatch() when skipping a stage", async function () {
+            await expect(update(4))
+                .to.be.revertedWithCustomError(batchManager, "InvalidBatchTransition")
+                .withArgs(0, 4);
+            expect(await batchManager.canTransition(0, 4)).to.be.false;
+        });
+
+        it("Should revert updateBatch() when moving back", async function () {
+            await fulfill(await update(1), "true");
+            await fulfill(await update(2), "true");
+            await expect(update(1))
+                .to.be.revertedWithCustomError(batchManager, "InvalidBatchTransition")
+                .withArgs(2, 1);
+        });
+
+        it("Should return from an intermediate state to the stage it came from", async function () {
+            await fulfill(await update(1), "true");
+            await fulfill(await update(7), "true"); // InTransit
+            await fulfill(await update(6), "true"); // InStorage
+            expect(await batchManager.returnStateForId(0)).to.equal(1);
+
+            await expect(update(2))
+                .to.be.revertedWithCustomError(batchManager, "InvalidBatchTransition")
+                .withArgs(6, 2);
+            await expect(fulfill(await update(1), "true"))
+                .to.emit(batchManager, "BatchStatusUpdated")
+                .withArgs(0, 1, VALID_HASH, anyValue);
+        });
+
+        it("Should fail the certification if the batch moved since the request", async function () {
+            const first = await update(1);
+            const second = await update(1);
+            await fulfill(first, "true");
+            await expect(fulfill(second, "true"))
+                .to.emit(batchManager, "DataCertificationFailed")
+                .withArgs(0, VALID_HASH, ethers.toUtf8Bytes("Invalid batch transition"));
+            expect(await batchManager.getBatchHistoryLength(0)).to.equal(2);
+        });
+
+        it("Should allow admin to setTransition()", async function () {
+            await expect(batchManager.connect(admin).setTransition(0, 4, true))
+                .to.emit(batchManager, "BatchTransitionUpdated")
+                .withArgs(0, 4, true);
+            await expect(fulfill(await update(4), "true"))
+                .to.emit(batchManager, "BatchStatusUpdated");
+
+            await batchManager.connect(admin).setTransition(4, 5, false);
+            await expect(update(5))
+                .to.be.revertedWithCustomError(batchManager, "InvalidBatchTransition");
+        });
+
+        it("Should revert setTransition() with InvalidBatchStatus", async function () {
+            await expect(batchManager.connect(admin).setTransition(0, 13, true))
+                .to.be.revertedWithCustomError(batchManager, "InvalidBatchStatus")
+                .withArgs(13, 13);
+        });
+
+        it("Should revert setTransition() if UnAuthorized", async function () {
+            await expect(batchManager.connect(otherAccount).setTransition(0, 4, true))
+                .to.be.revertedWithCustomError(batchManager, "UnAuthorized");
         });
     });
 
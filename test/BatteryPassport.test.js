@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { readBatchInfo, buildPassport, validatePassport, passportTokenURI, encodePassport, PassportValidationError } = require("../sdk");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("BatteryPassport", function () {
+    let accessManager, actorsManager, supplyChain, batchManager, batteryPassport, simulator;
+    let owner, don, account, manufacturer;
+    const VALID_HASH = "QmValidHash";
+    const PASSPORT_HASH = "QmPassportHash";
+    const DON_ID = ethers.encodeBytes32String("donId");
+
+    const MANUFACTURER = { name: "Trustify Test Actor", registrationNumber: "HRB-000001", country: "DE", contact: "compliance@example.com" };
+    const PRODUCT = { batteryCategory: "EV", chemistry: "NMC", ratedCapacity: 75.5, carbonFootprintClass: "B", carbonFootprint: 61.2, recycledContentShare: 12.5 };
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: 1,
+        isCertified: true,
+        qualityControlApproved: true,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 1,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    const advance = async (changes) => {
+        await supplyChain.updateBatchState(batchInfo(changes), VALID_HASH);
+        await simulator.fulfillPending();
+    };
+
+    beforeEach(async function () {
+        [owner, don, account, manufacturer] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        const router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        const validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        const BatteryPassport = await ethers.getContractFactory("BatteryPassport");
+        batteryPassport = await BatteryPassport.deploy(accessManager.target, batchManager.target);
+
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: true }), { status: 200 })
+        });
+        await actorsManager.registerActor(0, account.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, account.address, VALID_HASH); // rawProcessor
+        await actorsManager.registerActor(2, account.address, VALID_HASH); // batteryManufacturer 0
+        await actorsManager.registerActor(2, manufacturer.address, VALID_HASH); // batteryManufacturer 1
+        await simulator.fulfillPending();
+
+        await supplyChain.addHarvestedBatch(0, VALID_HASH);
+        await simulator.fulfillPending();
+        await advance({});
+    });
+
+    describe("Passport Record", function () {
+        it("Should record the passport of a packaged batch", async function () {
+            await advance({ state: 2 });
+            await expect(batteryPassport.setPassport(0, 1, 1, 75500, 1250, PASSPORT_HASH))
+                .to.emit(batteryPassport, "PassportRecorded")
+                .withArgs(0, 1, PASSPORT_HASH, anyValue);
+
+            const record = await batteryPassport.getPassport(0);
+            expect(record.chemistry).to.equal(1);
+            expect(record.carbonFootprintClass).to.equal(1);
+            expect(record.ratedCapacity).to.equal(75500);
+            expect(record.recycledContentShare).to.equal(1250);
+            expect(record.manufacturerId).to.equal(1);
+            expect(await batteryPassport.passportURI(0)).to.equal(`ipfs://${PASSPORT_HASH}`);
+        });
+
+        it("Should revert setPassport() unless the batch is packaged", async function () {
+            await expect(batteryPassport.setPassport(0, 1, 1, 75500, 1250, PASSPORT_HASH))
+                .to.be.revertedWithCustomError(batteryPassport, "BatchNotPackaged")
+                .withArgs(0);
+            await expect(batteryPassport.setPassport(1, 1, 1, 75500, 1250, PASSPORT_HASH))
+                .to.be.revertedWithCustomError(batteryPassport, "InvalidTokenId");
+
+            await advance({ state: 2 });
+            await advance({ state: 7 });
+            await expect(batteryPassport.setPassport(0, 1, 1, 75500, 1250, PASSPORT_HASH))
+                .to.be.revertedWithCustomError(batteryPassport, "BatchNotPackaged");
+        });
+
+        it("Should revert setPassport() with invalid fields", async function () {
+            await advance({ state: 2 });
+            await expect(batteryPassport.setPassport(0, 1, 1, 0, 1250, PASSPORT_HASH))
+                .to.be.revertedWithCustomError(batteryPassport, "InvalidPassportField")
+                .withArgs("ratedCapacity");
+            await expect(batteryPassport.setPassport(0, 1, 1, 75500, 10001, PASSPORT_HASH))
+                .to.be.revertedWithCustomError(batteryPassport, "OutOfBounds")
+                .withArgs(10001, 10000);
+            await expect(batteryPassport.setPassport(0, 1, 1, 75500, 1250, ""))
+                .to.be.revertedWithCustomError(batteryPassport, "InvalidPassportField")
+                .withArgs("hash");
+        });
+
+        it("Should revert getPassport() if none was recorded", async function () {
+            expect(await batteryPassport.hasPassport(0)).to.be.false;
+            await expect(batteryPassport.getPassport(0))
+                .to.be.revertedWithCustomError(batteryPassport, "PassportNotFound")
+                .withArgs(0);
+        });
+
+        it("Should revert setPassport() if UnAuthorized", async function () {
+            await advance({ state: 2 });
+            await expect(batteryPassport.connect(account).setPassport(0, 1, 1, 75500, 1250, PASSPORT_HASH))
+                .to.be.revertedWithCustomError(batteryPassport, "UnAuthorized")
+                .withArgs("COMPANY_USER_ROLE");
+        });
+    });
+
+    describe("Passport Builder", function () {
+        it("Should build a passport from the BatchInfo & record it", async function () {
+            await advance({ state: 2 });
+            const batch = await readBatchInfo(batchManager, 0);
+            const passport = buildPassport(batch, MANUFACTURER, PRODUCT);
+            expect(passport.manufacturer.actorId).to.equal("1");
+            expect(passport.supplyChain.state).to.equal("Packaged");
+            expect(passport.ratedCapacity).to.deep.equal({ value: 75.5, unit: "Ah" });
+
+            await batteryPassport.setPassport(...encodePassport(passport, PASSPORT_HASH));
+            const record = await batteryPassport.getPassport(0);
+            expect(record.ratedCapacity).to.equal(75500);
+            expect(record.recycledContentShare).to.equal(1250);
+        });
+
+        it("Should list every invalid field", async function () {
+            const batch = await readBatchInfo(batchManager, 0);
+            try {
+                buildPassport(batch, { name: "Trustify" }, { ...PRODUCT, chemistry: "Graphene", recycledContentShare: 120 });
+                expect.fail("buildPassport() did not throw");
+            } catch (e) {
+                expect(e).to.be.instanceOf(PassportValidationError);
+                expect(e.errors).to.have.members([
+                    "chemistry must be one of: LFP, NMC, NCA, LMO, LTO, NiMH, LeadAcid, SodiumIon, Other",
+                    "recycledContentShare must be a percentage in between 0 & 100",
+                    "manufacturer.registrationNumber is required",
+                    "manufacturer.country is required",
+                ]);
+            }
+        });
+
+        it("Should generate a data token URI", async function () {
+            const passport = buildPassport(await readBatchInfo(batchManager, 0), MANUFACTURER, PRODUCT);
+            const uri = passportTokenURI(passport);
+            expect(uri).to.match(/^data:application\/json;base64,/);
+            const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString("utf8"));
+            expect(metadata.name).to.equal("Battery Passport #0");
+            expect(validatePassport(metadata.passport)).to.deep.equal(passport);
+        });
+    });
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("BatteryUnit", function () {
+    let accessManager, actorsManager, supplyChain, batchManager, batteryUnit, simulator;
+    let owner, don, account, manufacturer, consumer;
+    const VALID_HASH = "QmValidHash";
+    const PACKAGED_HASH = "QmPackagedHash";
+    const DON_ID = ethers.encodeBytes32String("donId");
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: 1,
+        isCertified: true,
+        qualityControlApproved: true,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 0,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    const harvestAndPackage = async (batchId) => {
+        await supplyChain.addHarvestedBatch(0, VALID_HASH);
+        await simulator.fulfillPending();
+        await supplyChain.updateBatchState(batchInfo({ batchId }), VALID_HASH);
+        await simulator.fulfillPending();
+        await supplyChain.updateBatchState(batchInfo({ batchId, state: 2 }), PACKAGED_HASH);
+        await simulator.fulfillPending();
+    };
+
+    beforeEach(async function () {
+        [owner, don, account, manufacturer, consumer] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        const router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        const validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        const LZEndpointMock = await ethers.getContractFactory("LZEndpointMock");
+        const lzEndpoint = await LZEndpointMock.deploy(1);
+        const BatteryUnit = await ethers.getContractFactory("BatteryUnit");
+        batteryUnit = await BatteryUnit.deploy(accessManager.target, batchManager.target, 100000, lzEndpoint.target);
+
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: true }), { status: 200 })
+        });
+        await actorsManager.registerActor(0, account.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, account.address, VALID_HASH); // rawProcessor
+        await actorsManager.registerActor(2, manufacturer.address, VALID_HASH); // batteryManufacturer
+        await simulator.fulfillPending();
+        await harvestAndPackage(0);
+    });
+
+    describe("Serialization", function () {
+        it("Should mint the units of a packaged batch", async function () {
+            await expect(batteryUnit.mintUnits(0, manufacturer.address, 3))
+                .to.emit(batteryUnit, "UnitsMinted")
+                .withArgs(0, manufacturer.address, 0, 3);
+
+            expect(await batteryUnit.balanceOf(manufacturer.address)).to.equal(3);
+            expect(await batteryUnit.ownerOf(2)).to.equal(manufacturer.address);
+            expect(await batteryUnit.batchOfUnit(2)).to.equal(0);
+            expect(await batteryUnit.tokenURI(2)).to.equal(`ipfs://${PACKAGED_HASH}`);
+        });
+
+        it("Should link every unit to its batch across several mints", async function () {
+            await harvestAndPackage(1);
+            await batteryUnit.mintUnits(0, manufacturer.address, 3);
+            await batteryUnit.mintUnits(1, manufacturer.address, 2);
+            await batteryUnit.mintUnits(0, manufacturer.address, 1);
+
+            expect(await Promise.all([0, 2, 3, 4, 5].map((unitId) => batteryUnit.batchOfUnit(unitId))))
+                .to.deep.equal([0n, 0n, 1n, 1n, 0n]);
+            const [firstUnitIds, quantities] = await batteryUnit.getBatchUnits(0);
+            expect(firstUnitIds).to.deep.equal([0n, 5n]);
+            expect(quantities).to.deep.equal([3n, 1n]);
+            expect(await batteryUnit.getBatchUnitCount(0)).to.equal(4);
+            expect(await batteryUnit.getBatchUnitCount(1)).to.equal(2);
+        });
+
+        it("Should revert mintUnits() unless the batch is packaged", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+            await expect(batteryUnit.mintUnits(1, manufacturer.address, 1))
+                .to.be.revertedWithCustomError(batteryUnit, "BatchNotPackaged")
+                .withArgs(1);
+            await expect(batteryUnit.mintUnits(2, manufacturer.address, 1))
+                .to.be.revertedWithCustomError(batteryUnit, "InvalidTokenId");
+        });
+
+        it("Should revert mintUnits() with an invalid quantity", async function () {
+            await expect(batteryUnit.mintUnits(0, manufacturer.address, 0))
+                .to.be.revertedWithCustomError(batteryUnit, "OutOfBounds")
+                .withArgs(0, 100);
+            await expect(batteryUnit.mintUnits(0, manufacturer.address, 101))
+                .to.be.revertedWithCustomError(batteryUnit, "OutOfBounds")
+                .withArgs(101, 100);
+        });
+
+        it("Should revert mintUnits() if UnAuthorized", async function () {
+            await expect(batteryUnit.connect(account).mintUnits(0, account.address, 1))
+                .to.be.revertedWithCustomError(batteryUnit, "UnAuthorized")
+                .withArgs("COMPANY_USER_ROLE");
+        });
+
+        it("Should mint the planned units as the batch reaches Packaged", async function () {
+            await accessManager.grantAdminRole(owner.address);
+            await expect(batchManager.setBatteryUnit(batteryUnit.target))
+                .to.emit(batchManager, "BatteryUnitUpdated")
+                .withArgs(batteryUnit.target);
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+            await expect(batteryUnit.planUnits(1, manufacturer.address, 4))
+                .to.emit(batteryUnit, "UnitsPlanned")
+                .withArgs(1, manufacturer.address, 4);
+            expect(await batteryUnit.getPlannedUnits(1)).to.deep.equal([manufacturer.address, 4n]);
+
+            await supplyChain.updateBatchState(batchInfo({ batchId: 1 }), VALID_HASH);
+            await simulator.fulfillPending();
+            expect(await batteryUnit.getBatchUnitCount(1)).to.equal(0);
+            await supplyChain.updateBatchState(batchInfo({ batchId: 1, state: 2 }), PACKAGED_HASH);
+            await expect(simulator.fulfillPending().then(([result]) => result.receipt))
+                .to.emit(batteryUnit, "UnitsMinted")
+                .withArgs(1, manufacturer.address, 0, 4);
+
+            expect(await batteryUnit.balanceOf(manufacturer.address)).to.equal(4);
+            expect(await batteryUnit.batchOfUnit(3)).to.equal(1);
+            expect(await batteryUnit.getPlannedUnits(1)).to.deep.equal([ethers.ZeroAddress, 0n]);
+        });
+
+        it("Should mint a full plan within the callback gas", async function () {
+            await accessManager.grantAdminRole(owner.address);
+            await batchManager.setBatteryUnit(batteryUnit.target);
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+            await supplyChain.updateBatchState(batchInfo({ batchId: 1 }), VALID_HASH);
+            await simulator.fulfillPending();
+            await batteryUnit.planUnits(1, manufacturer.address, 100);
+
+            await supplyChain.updateBatchState(batchInfo({ batchId: 1, state: 2 }), PACKAGED_HASH);
+            await expect(simulator.fulfillPending().then(([result]) => result.receipt))
+                .to.emit(batteryUnit, "UnitsMinted")
+                .withArgs(1, manufacturer.address, 0, 100);
+            expect(await batteryUnit.getBatchUnitCount(1)).to.equal(100);
+        });
+
+        it("Should package the batch even if the planned units fail to mint", async function () {
+            await accessManager.grantAdminRole(owner.address);
+            // a collection bound to another BatchManager refuses to mint
+            const BatteryUnit = await ethers.getContractFactory("BatteryUnit");
+            const misconfigured = await BatteryUnit.deploy(accessManager.target, owner.address, 100000, await batteryUnit.lzEndpoint());
+            await batchManager.setBatteryUnit(misconfigured.target);
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+            await supplyChain.updateBatchState(batchInfo({ batchId: 1 }), VALID_HASH);
+            await simulator.fulfillPending();
+
+            await supplyChain.updateBatchState(batchInfo({ batchId: 1, state: 2 }), PACKAGED_HASH);
+            await expect(simulator.fulfillPending().then(([result]) => result.receipt))
+                .to.emit(batchManager, "PlannedUnitsMintFailed")
+                .withArgs(1, misconfigured.interface.encodeErrorResult("UnexpectedAgent", [batchManager.target, owner.address]));
+            expect((await batchManager.getBatchInfo(1)).state).to.equal(2);
+        });
+
+        it("Should revert planUnits() for the zero address or a packaged batch", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+            await expect(batteryUnit.planUnits(1, ethers.ZeroAddress, 1))
+                .to.be.revertedWithCustomError(batteryUnit, "InvalidUnitReceiver")
+                .withArgs(ethers.ZeroAddress);
+            await expect(batteryUnit.planUnits(0, manufacturer.address, 1))
+                .to.be.revertedWithCustomError(batteryUnit, "BatchAlreadyPackaged")
+                .withArgs(0);
+        });
+
+        it("Should revert planUnits() & mintPlannedUnits() for the wrong callers or quantities", async function () {
+            await expect(batteryUnit.planUnits(0, manufacturer.address, 101))
+                .to.be.revertedWithCustomError(batteryUnit, "OutOfBounds")
+                .withArgs(101, 100);
+            await expect(batteryUnit.planUnits(1, manufacturer.address, 1))
+                .to.be.revertedWithCustomError(batteryUnit, "InvalidTokenId");
+            await expect(batteryUnit.connect(account).planUnits(0, account.address, 1))
+                .to.be.revertedWithCustomError(batteryUnit, "UnAuthorized")
+                .withArgs("COMPANY_USER_ROLE");
+            await expect(batteryUnit.mintPlannedUnits(0))
+                .to.be.revertedWithCustomError(batteryUnit, "UnexpectedAgent")
+                .withArgs(owner.address, batchManager.target);
+        });
+
+        it("Should revert batchOfUnit() for an unknown unit", async function () {
+            await expect(batteryUnit.batchOfUnit(0))
+                .to.be.revertedWithCustomError(batteryUnit, "InvalidTokenId");
+        });
+    });
+
+    describe("Ownership", function () {
+        it("Should transfer a unit to an end consumer", async function () {
+            await batteryUnit.mintUnits(0, manufacturer.address, 2);
+            await batteryUnit.connect(manufacturer).transferFrom(manufacturer.address, consumer.address, 1);
+            expect(await batteryUnit.ownerOf(1)).to.equal(consumer.address);
+            expect(await batteryUnit.ownerOf(0)).to.equal(manufacturer.address);
+            expect(await batteryUnit.batchOfUnit(1)).to.equal(0);
+        });
+    });
+});
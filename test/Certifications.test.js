@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("Certifications", function () {
+    let accessManager, actorsManager, supplyChain, batchManager;
+    let owner, account, other;
+    const VALID_HASH = "QmValidHash";
+    const CERTIFICATE_HASH = "QmCertificateHash";
+    const ISO14001 = ethers.encodeBytes32String("ISO14001");
+    const OECD = ethers.encodeBytes32String("OECD");
+    const DAY = 24 * 3600;
+    const PROCESSED = 1;
+    const PACKAGED = 2;
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: PROCESSED,
+        isCertified: true,
+        qualityControlApproved: false,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 0,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    const now = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+    const certify = async (actorType, actorId, certificateType = ISO14001, validFor = 365 * DAY) => {
+        const validFrom = await now();
+        return actorsManager.addCertificate(actorType, actorId, certificateType, CERTIFICATE_HASH, validFrom, validFrom + validFor);
+    };
+
+    beforeEach(async function () {
+        [owner, account, other] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantAdminRole(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+        await accessManager.grantCertifierRole(owner.address);
+
+        const AllowlistValidator = await ethers.getContractFactory("AllowlistValidator");
+        const allowlist = await AllowlistValidator.deploy(accessManager.target);
+        await allowlist.setAllowed(VALID_HASH, true);
+
+        actorsManager = await deployActorsManager(accessManager.target, allowlist.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+        await accessManager.grantAuthorizedContractRole(allowlist.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, allowlist.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        await actorsManager.registerActor(0, account.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, account.address, VALID_HASH); // rawProcessor
+        await actorsManager.registerActor(2, account.address, VALID_HASH); // batteryManufacturer
+    });
+
+    describe("Registry", function () {
+        it("Should addCertificate() to an actor", async function () {
+            const validFrom = await now();
+            await expect(actorsManager.addCertificate(1, 0, ISO14001, CERTIFICATE_HASH, validFrom, validFrom + DAY))
+                .to.emit(actorsManager, "CertificateAdded")
+                .withArgs(1, 0, 0, ISO14001, owner.address, CERTIFICATE_HASH, validFrom, validFrom + DAY);
+
+            const [certificate] = await actorsManager.getCertificates(1, 0);
+            expect(certificate.certificateType).to.equal(ISO14001);
+            expect(certificate.issuer).to.equal(owner.address);
+            expect(certificate.hash).to.equal(CERTIFICATE_HASH);
+            expect(certificate.revoked).to.be.false;
+            expect(await actorsManager.hasValidCertificate(1, 0, ISO14001)).to.be.true;
+            expect(await actorsManager.hasValidCertificate(1, 0, OECD)).to.be.false;
+        });
+
+        it("Should only hold certificates within their validity period", async function () {
+            const start = await now();
+            await actorsManager.addCertificate(1, 0, ISO14001, CERTIFICATE_HASH, start + DAY, start + 2 * DAY);
+            expect(await actorsManager.hasValidCertificate(1, 0, ISO14001)).to.be.false;
+
+            await ethers.provider.send("evm_increaseTime", [DAY]);
+            await ethers.provider.send("evm_mine", []);
+            expect(await actorsManager.hasValidCertificate(1, 0, ISO14001)).to.be.true;
+
+            await ethers.provider.send("evm_increaseTime", [DAY]);
+            await ethers.provider.send("evm_mine", []);
+            expect(await actorsManager.hasValidCertificate(1, 0, ISO14001)).to.be.false;
+        });
+
+        it("Should revokeCertificate()", async function () {
+            await certify(1, 0);
+            await expect(actorsManager.revokeCertificate(1, 0, 0))
+                .to.emit(actorsManager, "CertificateRevoked")
+                .withArgs(1, 0, 0);
+            expect((await actorsManager.getCertificates(1, 0))[0].revoked).to.be.true;
+            expect(await actorsManager.hasValidCertificate(1, 0, ISO14001)).to.be.false;
+
+            await expect(actorsManager.revokeCertificate(1, 0, 0))
+                .to.be.revertedWithCustomError(actorsManager, "CertificateAlreadyRevoked")
+                .withArgs(1, 0, 0);
+            await expect(actorsManager.revokeCertificate(1, 0, 1))
+                .to.be.revertedWithCustomError(actorsManager, "CertificateNotFound")
+                .withArgs(1, 0, 1);
+        });
+
+        it("Should revert addCertificate() with an invalid actor or validity period", async function () {
+            const validFrom = await now();
+            await expect(actorsManager.addCertificate(1, 1, ISO14001, CERTIFICATE_HASH, validFrom, validFrom + DAY))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorId")
+                .withArgs(1, 1);
+            await expect(actorsManager.addCertificate(1, 0, ISO14001, CERTIFICATE_HASH, validFrom, validFrom))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidValidityPeriod")
+                .withArgs(validFrom, validFrom);
+            await expect(actorsManager.addCertificate(8, 0, ISO14001, CERTIFICATE_HASH, validFrom, validFrom + DAY))
+                .to.be.revertedWithCustomError(actorsManager, "InvalidActorType");
+        });
+
+        it("Should require every certificate type set for the actor type", async function () {
+            expect(await actorsManager.isCertified(1, 0)).to.be.true;
+            await expect(actorsManager.setRequiredCertificates(1, [ISO14001, OECD]))
+                .to.emit(actorsManager, "RequiredCertificatesUpdated")
+                .withArgs(1, [ISO14001, OECD]);
+            expect(await actorsManager.getRequiredCertificates(1)).to.deep.equal([ISO14001, OECD]);
+
+            await certify(1, 0, ISO14001);
+            expect(await actorsManager.isCertified(1, 0)).to.be.false;
+            await certify(1, 0, OECD);
+            expect(await actorsManager.isCertified(1, 0)).to.be.true;
+            expect(await actorsManager.isCertified(2, 0)).to.be.true;
+        });
+
+        it("Should revert if UnAuthorized", async function () {
+            const validFrom = await now();
+            await expect(actorsManager.connect(other).addCertificate(1, 0, ISO14001, CERTIFICATE_HASH, validFrom, validFrom + DAY))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("CERTIFIER_ROLE");
+            await expect(actorsManager.connect(other).revokeCertificate(1, 0, 0))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("CERTIFIER_ROLE");
+            await expect(actorsManager.connect(other).setRequiredCertificates(1, [ISO14001]))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+        });
+    });
+
+    describe("Batch Stages", function () {
+        it("Should refuse to create a batch for a supplier missing a required certificate", async function () {
+            await actorsManager.setRequiredCertificates(0, [ISO14001]);
+            await expect(supplyChain.addHarvestedBatch(0, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "ActorNotCertified")
+                .withArgs(0, 0);
+
+            await certify(0, 0);
+            await expect(supplyChain.addHarvestedBatch(0, VALID_HASH))
+                .to.emit(batchManager, "BatchCreated");
+        });
+
+        it("Should refuse to assign a stage to an actor missing a required certificate", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await actorsManager.setRequiredCertificates(1, [ISO14001]);
+            await expect(supplyChain.updateBatchState(batchInfo({}), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "ActorNotCertified")
+                .withArgs(1, 0);
+
+            await certify(1, 0);
+            await supplyChain.updateBatchState(batchInfo({}), VALID_HASH);
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(PROCESSED);
+        });
+
+        it("Should refuse the submission of an actor whose certificate was revoked or expired", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await supplyChain.updateBatchState(batchInfo({}), VALID_HASH);
+            await actorsManager.setRequiredCertificates(2, [ISO14001]);
+            await certify(2, 0, ISO14001, DAY);
+            await actorsManager.revokeCertificate(2, 0, 0);
+            await expect(supplyChain.connect(account).submitBatchUpdate(2, 0, 0, PACKAGED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "ActorNotCertified")
+                .withArgs(2, 0);
+
+            await certify(2, 0, ISO14001, DAY);
+            await ethers.provider.send("evm_increaseTime", [DAY]);
+            await expect(supplyChain.connect(account).submitBatchUpdate(2, 0, 0, PACKAGED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "ActorNotCertified");
+
+            await certify(2, 0);
+            await supplyChain.connect(account).submitBatchUpdate(2, 0, 0, PACKAGED, VALID_HASH);
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(PACKAGED);
+        });
+    });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("FunctionsSimulator", function () {
+    let accessManager, router, validator, actorsManager, supplyChain, batchManager, simulator;
+    let owner, don, otherAccount;
+    let requestedUrls, validity, status;
+    const VALID_HASH = "QmValidHash";
+    const INVALID_HASH = "QmInvalidHash";
+    const DON_ID = ethers.encodeBytes32String("donId");
+
+    const fakeFetch = async (url) => {
+        requestedUrls.push(url.toString());
+        return new Response(JSON.stringify({ isValid: validity }), { status });
+    };
+
+    beforeEach(async function () {
+        [owner, don, otherAccount] = await ethers.getSigners();
+        requestedUrls = [];
+        validity = true;
+        status = 200;
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        simulator = new FunctionsSimulator(router.connect(don), { fetch: fakeFetch });
+    });
+
+    describe("Request Decoding & Execution", function () {
+        it("Should run the validationSource with the request args", async function () {
+            await actorsManager.registerActor(3, otherAccount.address, VALID_HASH);
+            const [event] = await router.queryFilter(router.filters.RequestStarted());
+            const { response, error } = await simulator.execute(event.args.data);
+            expect(ethers.toUtf8String(response)).to.equal("true");
+            expect(error.length).to.equal(0);
+            expect(requestedUrls[0]).to.equal(`https://trustifyscm.com/api/validate-actor-meta?type=3&hash=${VALID_HASH}`);
+        });
+
+        it("Should report a thrown error as the request error", async function () {
+            status = 500;
+            await actorsManager.registerActor(0, otherAccount.address, VALID_HASH);
+            const [event] = await router.queryFilter(router.filters.RequestStarted());
+            const { response, error } = await simulator.execute(event.args.data);
+            expect(response.length).to.equal(0);
+            expect(ethers.toUtf8String(error)).to.equal("Request Failed");
+        });
+
+        it("Should report a timeout as the request error", async function () {
+            simulator = new FunctionsSimulator(router.connect(don), { fetch: () => new Promise(() => {}), timeoutMs: 50 });
+            await actorsManager.registerActor(0, otherAccount.address, VALID_HASH);
+            const [event] = await router.queryFilter(router.filters.RequestStarted());
+            const { error } = await simulator.execute(event.args.data);
+            expect(ethers.toUtf8String(error)).to.equal("execution time exceeded 50ms");
+        });
+    });
+
+    describe("Actor Certification", function () {
+        it("Should register the actor upon a successful validation", async function () {
+            await actorsManager.registerActor(0, otherAccount.address, VALID_HASH);
+            const [result] = await simulator.fulfillPending();
+            expect(result.success).to.be.true;
+            await expect(result.receipt).to.emit(actorsManager, "ActorRegistered").withArgs(0, 0, otherAccount.address, VALID_HASH);
+            expect(await actorsManager.getActorURI(0, 0)).to.equal("ipfs://" + VALID_HASH);
+        });
+
+        it("Should emit ValidationFailed upon an invalid metadata", async function () {
+            validity = false;
+            await actorsManager.registerActor(0, otherAccount.address, INVALID_HASH);
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt)
+                .to.emit(actorsManager, "ValidationFailed")
+                .withArgs(0, 0, INVALID_HASH, ethers.hexlify(ethers.toUtf8Bytes("false")));
+            const actor = await ethers.getContractAt("Actor", await actorsManager.actors(0));
+            expect(await actor.totalSupply()).to.equal(0);
+        });
+
+        it("Should emit ValidationFailed upon a failed request", async function () {
+            status = 500;
+            await actorsManager.registerActor(0, otherAccount.address, VALID_HASH);
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt)
+                .to.emit(actorsManager, "ValidationFailed")
+                .withArgs(0, 0, VALID_HASH, ethers.hexlify(ethers.toUtf8Bytes("Request Failed")));
+        });
+    });
+
+    describe("Batch Certification", function () {
+        beforeEach(async function () {
+            // batches may only reference registered actors
+            await actorsManager.registerActor(0, otherAccount.address, VALID_HASH);
+            await actorsManager.registerActor(1, otherAccount.address, VALID_HASH);
+            await simulator.fulfillPending();
+            requestedUrls = [];
+        });
+
+        it("Should create the batch upon a successful validation", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            const [result] = await simulator.fulfillPending();
+            expect(result.success).to.be.true;
+            await expect(result.receipt).to.emit(batchManager, "BatchCreated").withArgs(0, VALID_HASH, anyValue);
+            expect(requestedUrls[0]).to.equal(`https://trustifyscm.com/api/validate-batch-meta?hash=${VALID_HASH}`);
+            expect(await supplyChain.getBatchesHarvested(0)).to.deep.equal([0n]);
+            expect(await batchManager.getBatchURI(0)).to.equal("ipfs://" + VALID_HASH);
+        });
+
+        it("Should update the batch upon a successful validation", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+            await supplyChain.updateBatchState({
+                batchId: 0,
+                state: 1,
+                isCertified: true,
+                qualityControlApproved: true,
+                rawMaterialSupplierId: 0,
+                rawProcessorId: 0,
+                batteryManufacturerId: 0,
+                distributorsCount: 0,
+                retailersCount: 0,
+                distributorIds: [],
+                retailerIds: []
+            }, "QmProcessedHash");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt).to.emit(batchManager, "BatchStatusUpdated").withArgs(0, 1, "QmProcessedHash", anyValue);
+            expect(await supplyChain.getBatchesProcessed(0)).to.deep.equal([0n]);
+        });
+
+        it("Should emit DataCertificationFailed upon an invalid metadata", async function () {
+            validity = false;
+            await supplyChain.addHarvestedBatch(0, INVALID_HASH);
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt)
+                .to.emit(batchManager, "DataCertificationFailed")
+                .withArgs(0, INVALID_HASH, ethers.hexlify(ethers.toUtf8Bytes("false")));
+            expect(await supplyChain.getBatchesHarvested(0)).to.deep.equal([]);
+        });
+
+        it("Should only fulfill pending requests once", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            expect((await simulator.fulfillPending()).length).to.equal(2);
+            expect((await simulator.fulfillPending()).length).to.equal(0);
+        });
+    });
+
+    describe("Router", function () {
+        it("Should revert fulfillRequest() with an unknown request ID", async function () {
+            await expect(router.fulfillRequest(ethers.ZeroHash, "0x", "0x"))
+                .to.be.revertedWithCustomError(router, "UnexpectedRequestID");
+        });
+
+        it("Should revert handleOracleFulfillment() if not called by the router", async function () {
+            await expect(validator.handleOracleFulfillment(ethers.ZeroHash, "0x", "0x"))
+                .to.be.revertedWithCustomError(validator, "OnlyRouterCanFulfill");
+        });
+    });
+});
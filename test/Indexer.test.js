@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { takeSnapshot, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { SupplyChainClient } = require("../sdk");
+const { openDatabase, Indexer, createApiServer } = require("../indexer");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("Indexer", function () {
+    let accessManager, router, validator, actorsManager, supplyChain, batchManager, simulator, client, db, indexer, server, baseUrl;
+    let addresses, startBlock;
+    let owner, don, otherAccount, newAccount;
+    let validity;
+    const DON_ID = ethers.encodeBytes32String("donId");
+
+    const withDon = async (promise) => {
+        let settled = false;
+        promise.then(() => (settled = true), () => (settled = true));
+        for (let i = 0; i < 200 && !settled; i++) await simulator.fulfillPending();
+        return promise;
+    };
+
+    const get = async (path) => {
+        const res = await fetch(baseUrl + path);
+        return { status: res.status, body: await res.json() };
+    };
+
+    beforeEach(async function () {
+        [owner, don, otherAccount, newAccount] = await ethers.getSigners();
+        validity = true;
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        startBlock = await ethers.provider.getBlockNumber();
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: validity }), { status: 200 })
+        });
+        client = new SupplyChainClient(owner, { supplyChain: supplyChain.target, actorsManager: actorsManager.target }, { pollInterval: 10 });
+        await withDon(client.registerActor("RawMaterialSupplier", otherAccount.address, "QmValidHash"));
+        await withDon(client.registerActor("RawProcessorId", otherAccount.address, "QmValidHash"));
+
+        db = openDatabase();
+        addresses = { accessManager: accessManager.target, actorsManager: actorsManager.target, batchManager: batchManager.target };
+        indexer = new Indexer(db, ethers.provider, addresses, { startBlock });
+        server = createApiServer(db);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+        await new Promise((resolve) => server.close(resolve));
+        db.close();
+    });
+
+    describe("Batch Timeline", function () {
+        it("Should list the stages of a batch", async function () {
+            const batchId = await withDon(client.createBatch(0, "QmValidHash"));
+            await withDon(client.advanceBatch(batchId, { state: "Processed", rawProcessorId: 0 }, "QmProcessedHash"));
+            await indexer.sync();
+
+            const { status, body } = await get("/batches/0");
+            expect(status).to.equal(200);
+            expect(body.timeline.map((event) => event.event)).to.deep.equal(["DataCertified", "BatchCreated", "BatchStatusUpdated"]);
+            const updated = body.timeline[2];
+            expect(updated.state).to.equal("Processed");
+            expect(updated.hash).to.equal("QmProcessedHash");
+            expect(updated.timestamp).to.be.a("number");
+        });
+
+        it("Should record a failed certification", async function () {
+            await withDon(client.createBatch(0, "QmValidHash"));
+            validity = false;
+            await withDon(client.advanceBatch(0, { state: "Processed" }, "QmInvalidHash")).catch(() => {});
+            await indexer.sync();
+
+            const { body } = await get("/batches/0");
+            const failed = body.timeline.find((event) => event.event === "DataCertificationFailed");
+            expect(failed.hash).to.equal("QmInvalidHash");
+            expect(failed.error).to.equal(ethers.hexlify(ethers.toUtf8Bytes("false")));
+        });
+
+        it("Should record the parents of a derived batch", async function () {
+            await withDon(client.createBatch(0, "QmValidHash"));
+            await supplyChain.splitBatch(0, ["QmChildHash"]);
+            await simulator.fulfillPending();
+            await indexer.sync();
+
+            const { body } = await get("/batches/1");
+            const derived = body.timeline.find((event) => event.event === "BatchDerived");
+            expect(derived.parentIds).to.deep.equal([0]);
+            expect(body.timeline.map((event) => event.event)).to.include("BatchCreated");
+        });
+
+        it("Should answer 404 for an unknown batch", async function () {
+            await indexer.sync();
+            expect((await get("/batches/7")).status).to.equal(404);
+        });
+    });
+
+    describe("Actor Activity & Role Changes", function () {
+        it("Should list the activity of an actor", async function () {
+            await withDon(client.registerActor("Distributor", otherAccount.address, "QmDistributorHash"));
+            await withDon(client.updateActor("Distributor", 0, "QmValidHash"));
+            await indexer.sync();
+
+            const { body } = await get("/actors/Distributor/0");
+            expect(body.activity.map((event) => event.event)).to.deep.equal(["ActorRegistered", "ActorUpdated"]);
+            expect(body.activity[0].account).to.equal(otherAccount.address);
+            expect((await get("/actors/3/0")).body).to.deep.equal(body);
+            expect((await get("/actors/Miner/0")).status).to.equal(400);
+        });
+
+        it("Should follow the migrations, status changes & operators of an actor", async function () {
+            await accessManager.grantAdminRole(owner.address);
+            await withDon(client.registerActor("Distributor", otherAccount.address, "QmDistributorHash"));
+            await actorsManager.addOperator(3, 0, owner.address);
+            await actorsManager.removeOperator(3, 0, owner.address);
+            await actorsManager.suspendActor(3, 0, "Failed audit");
+            await actorsManager.proposeActorMigration(3, 0, newAccount.address);
+            await actorsManager.connect(newAccount).acceptActorMigration(3, 0);
+            await indexer.sync();
+
+            let { body } = await get("/actors/Distributor/0");
+            expect(body.activity.map((event) => event.event)).to.deep.equal([
+                "ActorRegistered", "OperatorAdded", "OperatorRemoved", "ActorSuspended", "ActorMigrated"
+            ]);
+            expect(body.activity[1].account).to.equal(owner.address);
+            expect(body.activity[3].reason).to.equal("Failed audit");
+            expect(body.account).to.equal(newAccount.address);
+            expect(body.status).to.equal("Suspended");
+
+            await actorsManager.reinstateActor(3, 0);
+            await indexer.sync();
+            expect((await get("/actors/Distributor/0")).body.status).to.equal("Active");
+
+            await actorsManager.deactivateActor(3, 0, "Out of business");
+            await indexer.sync();
+            ({ body } = await get("/actors/Distributor/0"));
+            expect(body.status).to.equal("Deactivated");
+            expect(body.activity.pop().reason).to.equal("Out of business");
+        });
+
+        it("Should name the roles of the inspectors, attesters & certifiers", async function () {
+            await accessManager.grantQcInspectorRole(otherAccount.address);
+            await accessManager.grantAttesterRole(otherAccount.address);
+            await accessManager.grantCertifierRole(otherAccount.address);
+            await indexer.sync();
+
+            const { body } = await get(`/roles?account=${otherAccount.address}`);
+            expect(body.changes.map((change) => change.role)).to.deep.equal(["QC_INSPECTOR_ROLE", "ATTESTER_ROLE", "CERTIFIER_ROLE"]);
+            expect((await get("/roles?role=CERTIFIER")).body.changes.length).to.equal(1);
+        });
+
+        it("Should list & filter the role changes", async function () {
+            await accessManager.revokeCompanyUserRole(owner.address);
+            await indexer.sync();
+
+            const { body } = await get(`/roles?account=${owner.address}&role=COMPANY_USER`);
+            expect(body.changes.map((change) => change.event)).to.deep.equal(["RoleGranted", "RoleRevoked"]);
+            expect(body.changes[0].role).to.equal("COMPANY_USER_ROLE");
+            expect((await get("/roles?role=AUTHORIZED_CONTRACT")).body.changes.length).to.equal(4);
+        });
+    });
+
+    describe("Checkpoint & Reorgs", function () {
+        it("Should resume from the checkpoint", async function () {
+            const first = await indexer.sync();
+            expect((await get("/status")).body.checkpoint).to.equal(first.checkpoint);
+
+            await withDon(client.createBatch(0, "QmValidHash"));
+            const restarted = new Indexer(db, ethers.provider, addresses, { startBlock });
+            const second = await restarted.sync();
+            expect(second.events).to.equal(2);
+            expect((await restarted.sync()).events).to.equal(0);
+        });
+
+        it("Should drop the events of orphaned blocks", async function () {
+            await indexer.sync();
+            const snapshot = await takeSnapshot();
+            await withDon(client.createBatch(0, "QmValidHash"));
+            await indexer.sync();
+            expect((await get("/batches/0")).status).to.equal(200);
+
+            await snapshot.restore();
+            await mine(10);
+            const { reorged } = await indexer.sync();
+            expect(reorged).to.be.true;
+            expect((await get("/batches/0")).status).to.equal(404);
+            expect((await get("/status")).body.checkpoint).to.equal(await ethers.provider.getBlockNumber());
+        });
+    });
+});
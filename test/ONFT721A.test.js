@@ -1,14 +1,12 @@
 const { expect } = require("chai")
 const { ethers } = require("hardhat")
-const Web3 = require("web3")
-const web3 = new Web3()
 
 describe("ONFT721A: ", function () {
     const chainId_A = 1
     const chainId_B = 2
     const name = "OmnichainNonFungibleToken"
     const symbol = "ONFT721A"
-    const defaultAdapterParams = ethers.utils.solidityPack(["uint16", "uint256"], [1, 250000])
+    const defaultAdapterParams = ethers.solidityPacked(["uint16", "uint256"], [1, 250000])
     const batchSizeLimit = 300
 
     let owner, warlock, lzEndpointMockA, lzEndpointMockB, LZEndpointMock, ONFT721A, ONFT721, onft721a_A, onft721_B
@@ -25,16 +23,16 @@ describe("ONFT721A: ", function () {
         lzEndpointMockA = await LZEndpointMock.deploy(chainId_A)
         lzEndpointMockB = await LZEndpointMock.deploy(chainId_B)
 
-        onft721a_A = await ONFT721A.deploy(name, symbol, 150000, lzEndpointMockA.address)
-        onft721_B = await ONFT721.deploy(name, symbol, 150000, lzEndpointMockB.address)
+        onft721a_A = await ONFT721A.deploy(name, symbol, 150000, lzEndpointMockA.target)
+        onft721_B = await ONFT721.deploy(name, symbol, 150000, lzEndpointMockB.target)
 
         // wire the lz endpoints to guide msgs back and forth
-        await lzEndpointMockA.setDestLzEndpoint(onft721_B.address, lzEndpointMockB.address)
-        await lzEndpointMockB.setDestLzEndpoint(onft721a_A.address, lzEndpointMockA.address)
+        await lzEndpointMockA.setDestLzEndpoint(onft721_B.target, lzEndpointMockB.target)
+        await lzEndpointMockB.setDestLzEndpoint(onft721a_A.target, lzEndpointMockA.target)
 
         // set each contracts source address so it can send to each other
-        await onft721a_A.setTrustedRemoteAddress(chainId_B, onft721_B.address)
-        await onft721_B.setTrustedRemoteAddress(chainId_A, onft721a_A.address)
+        await onft721a_A.setTrustedRemoteAddress(chainId_B, onft721_B.target)
+        await onft721_B.setTrustedRemoteAddress(chainId_A, onft721a_A.target)
 
         await onft721a_A.setMinDstGas(chainId_B, 1, 150000)
         await onft721_B.setMinDstGas(chainId_A, 1, 150000)
@@ -49,14 +47,14 @@ describe("ONFT721A: ", function () {
         expect(await onft721a_A.ownerOf(1)).to.be.equal(owner.address)
 
         // token doesn't exist on other chain
-        await expect(onft721_B.ownerOf(tokenId)).to.be.revertedWith("ERC721: invalid token ID")
+        await expect(onft721_B.ownerOf(tokenId)).to.be.revertedWithCustomError(onft721_B, "ERC721NonexistentToken").withArgs(tokenId)
 
         // can transfer token on srcChain as regular erC721
         await onft721a_A.transferFrom(owner.address, warlock.address, tokenId)
         expect(await onft721a_A.ownerOf(tokenId)).to.be.equal(warlock.address)
 
         // approve the contract to swap your token
-        await onft721a_A.connect(warlock).approve(onft721a_A.address, tokenId)
+        await onft721a_A.connect(warlock).approve(onft721a_A.target, tokenId)
 
         // estimate nativeFees
         let nativeFee = (await onft721a_A.estimateSendFee(chainId_B, owner.address, tokenId, false, defaultAdapterParams)).nativeFee
@@ -70,14 +68,14 @@ describe("ONFT721A: ", function () {
                 warlock.address,
                 tokenId,
                 warlock.address,
-                ethers.constants.AddressZero,
+                ethers.ZeroAddress,
                 defaultAdapterParams,
                 { value: nativeFee }
             )
 
         // token is burnt
         expect(await onft721a_A.ownerOf(0)).to.be.equal(owner.address)
-        expect(await onft721a_A.ownerOf(tokenId)).to.be.equal(onft721a_A.address)
+        expect(await onft721a_A.ownerOf(tokenId)).to.be.equal(onft721a_A.target)
 
         // token received on the dst chain
         expect(await onft721_B.ownerOf(tokenId)).to.be.equal(warlock.address)
@@ -85,13 +83,13 @@ describe("ONFT721A: ", function () {
         // can send to other onft contract eg. not the original nft contract chain
         await onft721_B
             .connect(warlock)
-            .sendFrom(warlock.address, chainId_A, owner.address, tokenId, warlock.address, ethers.constants.AddressZero, defaultAdapterParams, {
+            .sendFrom(warlock.address, chainId_A, owner.address, tokenId, warlock.address, ethers.ZeroAddress, defaultAdapterParams, {
                 value: nativeFee,
             })
 
         // token is burned on the sending chain
         expect(await onft721a_A.ownerOf(tokenId)).to.be.equal(owner.address)
-        expect(await onft721_B.ownerOf(tokenId)).to.be.equal(onft721_B.address)
+        expect(await onft721_B.ownerOf(tokenId)).to.be.equal(onft721_B.target)
     })
 
     it("sendFrom() - reverts if not owner", async function () {
@@ -99,7 +97,7 @@ describe("ONFT721A: ", function () {
         await onft721a_A.mint(1)
 
         // approve the contract to swap your token
-        await onft721a_A.approve(onft721a_A.address, tokenId)
+        await onft721a_A.approve(onft721a_A.target, tokenId)
 
         // estimate nativeFees
         let nativeFee = (await onft721_B.estimateSendFee(chainId_B, owner.address, tokenId, false, defaultAdapterParams)).nativeFee
@@ -111,7 +109,7 @@ describe("ONFT721A: ", function () {
             owner.address,
             tokenId,
             owner.address,
-            ethers.constants.AddressZero,
+            ethers.ZeroAddress,
             defaultAdapterParams,
             { value: nativeFee }
         )
@@ -129,7 +127,7 @@ describe("ONFT721A: ", function () {
                     warlock.address,
                     tokenId,
                     warlock.address,
-                    ethers.constants.AddressZero,
+                    ethers.ZeroAddress,
                     defaultAdapterParams,
                     { value: nativeFee }
                 )
@@ -141,7 +139,7 @@ describe("ONFT721A: ", function () {
         await onft721a_A.mint(1)
 
         // approve the contract to swap your token
-        await onft721a_A.approve(onft721a_A.address, tokenId)
+        await onft721a_A.approve(onft721a_A.target, tokenId)
 
         // estimate nativeFees
         let nativeFee = (await onft721_B.estimateSendFee(chainId_B, owner.address, tokenId, false, defaultAdapterParams)).nativeFee
@@ -153,7 +151,7 @@ describe("ONFT721A: ", function () {
             owner.address,
             tokenId,
             owner.address,
-            ethers.constants.AddressZero,
+            ethers.ZeroAddress,
             defaultAdapterParams,
             { value: nativeFee }
         )
@@ -167,7 +165,7 @@ describe("ONFT721A: ", function () {
         // sends across
         await onft721_B
             .connect(warlock)
-            .sendFrom(owner.address, chainId_A, warlock.address, tokenId, warlock.address, ethers.constants.AddressZero, defaultAdapterParams, {
+            .sendFrom(owner.address, chainId_A, warlock.address, tokenId, warlock.address, ethers.ZeroAddress, defaultAdapterParams, {
                 value: nativeFee,
             })
 
@@ -180,7 +178,7 @@ describe("ONFT721A: ", function () {
         await onft721a_A.mint(1)
 
         // approve the contract to swap your token
-        await onft721a_A.approve(onft721a_A.address, tokenId)
+        await onft721a_A.approve(onft721a_A.target, tokenId)
 
         // estimate nativeFees
         let nativeFee = (await onft721_B.estimateSendFee(chainId_B, owner.address, tokenId, false, defaultAdapterParams)).nativeFee
@@ -192,7 +190,7 @@ describe("ONFT721A: ", function () {
             owner.address,
             tokenId,
             owner.address,
-            ethers.constants.AddressZero,
+            ethers.ZeroAddress,
             defaultAdapterParams,
             { value: nativeFee }
         )
@@ -201,7 +199,7 @@ describe("ONFT721A: ", function () {
         expect(await onft721_B.ownerOf(tokenId)).to.be.equal(owner.address)
 
         // approve the contract to swap your token
-        await onft721_B.approve(onft721_B.address, tokenId)
+        await onft721_B.approve(onft721_B.target, tokenId)
 
         // reverts because contract is approved, not the user
         await expect(
@@ -213,7 +211,7 @@ describe("ONFT721A: ", function () {
                     warlock.address,
                     tokenId,
                     warlock.address,
-                    ethers.constants.AddressZero,
+                    ethers.ZeroAddress,
                     defaultAdapterParams,
                     { value: nativeFee }
                 )
@@ -225,7 +223,7 @@ describe("ONFT721A: ", function () {
         await onft721a_A.mint(1)
 
         // approve the contract to swap your token
-        await onft721a_A.approve(onft721a_A.address, tokenId)
+        await onft721a_A.approve(onft721a_A.target, tokenId)
 
         // estimate nativeFees
         let nativeFee = (await onft721_B.estimateSendFee(chainId_B, owner.address, tokenId, false, defaultAdapterParams)).nativeFee
@@ -237,7 +235,7 @@ describe("ONFT721A: ", function () {
             owner.address,
             tokenId,
             owner.address,
-            ethers.constants.AddressZero,
+            ethers.ZeroAddress,
             defaultAdapterParams,
             { value: nativeFee }
         )
@@ -255,7 +253,7 @@ describe("ONFT721A: ", function () {
                     warlock.address,
                     tokenId,
                     warlock.address,
-                    ethers.constants.AddressZero,
+                    ethers.ZeroAddress,
                     defaultAdapterParams,
                     { value: nativeFee }
                 )
@@ -267,7 +265,7 @@ describe("ONFT721A: ", function () {
         await onft721a_A.mint(1)
 
         // approve owner.address to transfer, but not the other
-        await onft721a_A.setApprovalForAll(onft721a_A.address, true)
+        await onft721a_A.setApprovalForAll(onft721a_A.target, true)
 
         // estimate nativeFees
         let nativeFee = (await onft721a_A.estimateSendFee(chainId_B, owner.address, tokenIdA, false, defaultAdapterParams)).nativeFee
@@ -281,11 +279,11 @@ describe("ONFT721A: ", function () {
                     warlock.address,
                     tokenIdA,
                     warlock.address,
-                    ethers.constants.AddressZero,
+                    ethers.ZeroAddress,
                     defaultAdapterParams,
                     { value: nativeFee }
                 )
-        ).to.be.revertedWith("TransferFromIncorrectOwner()")
+        ).to.be.revertedWithCustomError(onft721a_A, "TransferFromIncorrectOwner")
 
         await expect(
             onft721a_A
@@ -296,11 +294,11 @@ describe("ONFT721A: ", function () {
                     owner.address,
                     tokenIdA,
                     owner.address,
-                    ethers.constants.AddressZero,
+                    ethers.ZeroAddress,
                     defaultAdapterParams,
                     { value: nativeFee }
                 )
-        ).to.be.revertedWith("TransferFromIncorrectOwner()")
+        ).to.be.revertedWithCustomError(onft721a_A, "TransferFromIncorrectOwner")
     })
 
     it("sendBatchFrom()", async function () {
@@ -313,13 +311,13 @@ describe("ONFT721A: ", function () {
         await onft721a_A.connect(warlock).mint(10)
 
         // approve owner.address to transfer
-        await onft721a_A.connect(warlock).setApprovalForAll(onft721a_A.address, true)
+        await onft721a_A.connect(warlock).setApprovalForAll(onft721a_A.target, true)
 
         // expected event params
-        const payload = ethers.utils.defaultAbiCoder.encode(["bytes", "uint[]"], [warlock.address, tokenIds])
-        const hashedPayload = web3.utils.keccak256(payload)
+        const payload = ethers.AbiCoder.defaultAbiCoder().encode(["bytes", "uint[]"], [warlock.address, tokenIds])
+        const hashedPayload = ethers.keccak256(payload)
 
-        let adapterParams = ethers.utils.solidityPack(["uint16", "uint256"], [1, 200000])
+        let adapterParams = ethers.solidityPacked(["uint16", "uint256"], [1, 200000])
 
         // estimate nativeFees
         let nativeFee = (await onft721a_A.estimateSendBatchFee(chainId_B, warlock.address, tokenIds, false, defaultAdapterParams)).nativeFee
@@ -332,7 +330,7 @@ describe("ONFT721A: ", function () {
                 warlock.address,
                 tokenIds,
                 warlock.address,
-                ethers.constants.AddressZero,
+                ethers.ZeroAddress,
                 adapterParams, // TODO might need to change this
                 { value: nativeFee }
             )
@@ -344,7 +342,7 @@ describe("ONFT721A: ", function () {
         let creditedIdsA = []
         for (let tokenId of tokenIds) {
             let owner = await onft721_B.rawOwnerOf(tokenId)
-            if (owner == ethers.constants.AddressZero) {
+            if (owner == ethers.ZeroAddress) {
                 creditedIdsA.push(tokenId)
             } else {
                 expect(owner).to.be.equal(warlock.address)
@@ -357,7 +355,7 @@ describe("ONFT721A: ", function () {
         let creditedIdsB = []
         for (let tokenId of creditedIdsA) {
             let owner = await onft721_B.rawOwnerOf(tokenId)
-            if (owner == ethers.constants.AddressZero) {
+            if (owner == ethers.ZeroAddress) {
                 creditedIdsB.push(tokenId)
             } else {
                 expect(owner).to.be.equal(warlock.address)
@@ -389,13 +387,13 @@ describe("ONFT721A: ", function () {
         }
 
         // approve owner.address to transfer
-        await onft721a_A.connect(warlock).setApprovalForAll(onft721a_A.address, true)
+        await onft721a_A.connect(warlock).setApprovalForAll(onft721a_A.target, true)
 
         // expected event params
-        const payload = ethers.utils.defaultAbiCoder.encode(["bytes", "uint[]"], [warlock.address, tokenIds])
-        const hashedPayload = web3.utils.keccak256(payload)
+        const payload = ethers.AbiCoder.defaultAbiCoder().encode(["bytes", "uint[]"], [warlock.address, tokenIds])
+        const hashedPayload = ethers.keccak256(payload)
 
-        let adapterParams = ethers.utils.solidityPack(["uint16", "uint256"], [1, 400000])
+        let adapterParams = ethers.solidityPacked(["uint16", "uint256"], [1, 400000])
 
         // estimate nativeFees
         let nativeFee = (await onft721a_A.estimateSendBatchFee(chainId_B, warlock.address, tokenIds, false, adapterParams)).nativeFee
@@ -408,7 +406,7 @@ describe("ONFT721A: ", function () {
                 warlock.address,
                 tokenIds,
                 warlock.address,
-                ethers.constants.AddressZero,
+                ethers.ZeroAddress,
                 adapterParams, // TODO might need to change this
                 { value: nativeFee }
             )
@@ -420,7 +418,7 @@ describe("ONFT721A: ", function () {
         let creditedIdsA = []
         for (let tokenId of tokenIds) {
             let owner = await onft721_B.rawOwnerOf(tokenId)
-            if (owner == ethers.constants.AddressZero) {
+            if (owner == ethers.ZeroAddress) {
                 creditedIdsA.push(tokenId)
             } else {
                 expect(owner).to.be.equal(warlock.address)
@@ -437,7 +435,7 @@ describe("ONFT721A: ", function () {
         let creditedIdsB = []
         for (let tokenId of creditedIdsA) {
             let owner = await onft721_B.rawOwnerOf(tokenId)
-            if (owner == ethers.constants.AddressZero) {
+            if (owner == ethers.ZeroAddress) {
                 creditedIdsB.push(tokenId)
             } else {
                 expect(owner).to.be.equal(warlock.address)
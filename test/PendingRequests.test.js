@@ -0,0 +1,262 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("PendingRequests", function () {
+    const VALID_HASH = "QmValidHash";
+    const TIMEOUT = 3600;
+    const ATTESTATION_TYPES = {
+        Attestation: [
+            { name: "consumer", type: "address" },
+            { name: "requestId", type: "bytes32" },
+            { name: "hash", type: "string" },
+            { name: "valid", type: "bool" },
+        ]
+    };
+
+    let accessManager, attestation, actorsManager, supplyChain, batchManager;
+    let owner, attester, account, other;
+
+    beforeEach(async function () {
+        [owner, attester, account, other] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantAdminRole(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantCompanyUserRole(account.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(account.address);
+        await accessManager.grantAttesterRole(attester.address);
+
+        const AttestationValidator = await ethers.getContractFactory("AttestationValidator");
+        attestation = await AttestationValidator.deploy(accessManager.target);
+
+        actorsManager = await deployActorsManager(accessManager.target, attestation.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+        await actorsManager.setRequestTimeout(TIMEOUT);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, attestation.target);
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+        await batchManager.setRequestTimeout(TIMEOUT);
+    });
+
+    // answers a request on behalf of the attester
+    const attest = async (consumer, requestId, hash, valid = true) => {
+        const domain = {
+            name: "AttestationValidator",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: attestation.target,
+        };
+        const signature = await attester.signTypedData(domain, ATTESTATION_TYPES, { consumer: consumer.target, requestId, hash, valid });
+        return attestation.attest(consumer.target, requestId, valid, signature);
+    };
+
+    const requestIdOf = async (consumer, tx) => {
+        const [requested] = await consumer.queryFilter(consumer.filters.ValidationRequested(), (await tx).blockNumber);
+        return requested.args.requestId;
+    };
+
+    const expire = async () => {
+        await ethers.provider.send("evm_increaseTime", [TIMEOUT + 1]);
+        await ethers.provider.send("evm_mine", []);
+    };
+
+    describe("ActorsManager", function () {
+        it("Should emit ValidationRequested with the request ID", async function () {
+            await expect(actorsManager.connect(account).registerActor(3, other.address, VALID_HASH))
+                .to.emit(actorsManager, "ValidationRequested")
+                .withArgs(ethers.toBeHex(1, 32), 3, 0, other.address, VALID_HASH);
+        });
+
+        it("Should list the pending registrations of an account until fulfilled", async function () {
+            const requestId = await requestIdOf(actorsManager, actorsManager.connect(account).registerActor(3, other.address, VALID_HASH));
+            expect(await actorsManager.getPendingRegistrations(other.address)).to.deep.equal([requestId]);
+            const pending = await actorsManager.getPendingRequest(requestId);
+            expect(pending.registrar).to.equal(account.address);
+            expect(pending.sentAt).to.be.greaterThan(0);
+
+            await expect(attest(actorsManager, requestId, VALID_HASH)).to.emit(actorsManager, "ActorRegistered");
+            expect(await actorsManager.getPendingRegistrations(other.address)).to.be.empty;
+            expect((await actorsManager.getPendingRequest(requestId)).sentAt).to.equal(0);
+        });
+
+        it("Should list the pending updates of an actor", async function () {
+            await attest(actorsManager, await requestIdOf(actorsManager, actorsManager.registerActor(3, other.address, VALID_HASH)), VALID_HASH);
+            const requestId = await requestIdOf(actorsManager, actorsManager.updateActor(3, 0, "QmNewHash"));
+            expect(await actorsManager.getPendingRequests(3, 0)).to.deep.equal([requestId]);
+            expect(await actorsManager.getPendingRequests(3, 1)).to.be.empty;
+        });
+
+        it("Should ignore the answer to an expired request", async function () {
+            const requestId = await requestIdOf(actorsManager, actorsManager.registerActor(3, other.address, VALID_HASH));
+            expect(await actorsManager.isExpired(requestId)).to.be.false;
+            await expire();
+            expect(await actorsManager.isExpired(requestId)).to.be.true;
+
+            await expect(attest(actorsManager, requestId, VALID_HASH))
+                .to.emit(actorsManager, "ValidationRequestExpired")
+                .withArgs(requestId)
+                .and.not.to.emit(actorsManager, "ActorRegistered");
+            expect(await actorsManager.getPendingRegistrations(other.address)).to.deep.equal([requestId]);
+        });
+
+        it("Should resubmit an expired request under a new ID", async function () {
+            const requestId = await requestIdOf(actorsManager, actorsManager.connect(account).registerActor(3, other.address, VALID_HASH));
+            await expect(actorsManager.connect(account).resubmitRequest(requestId))
+                .to.be.revertedWithCustomError(actorsManager, "RequestNotExpired")
+                .withArgs(requestId);
+            await expire();
+
+            const tx = actorsManager.connect(account).resubmitRequest(requestId);
+            const newRequestId = await requestIdOf(actorsManager, tx);
+            await expect(tx)
+                .to.emit(actorsManager, "ValidationRequestResubmitted")
+                .withArgs(requestId, newRequestId)
+                .and.to.emit(actorsManager, "ValidationRequested")
+                .withArgs(newRequestId, 3, 0, other.address, VALID_HASH);
+            expect(await actorsManager.getPendingRegistrations(other.address)).to.deep.equal([newRequestId]);
+            expect((await actorsManager.getPendingRequest(newRequestId)).registrar).to.equal(account.address);
+
+            await expect(attest(actorsManager, requestId, VALID_HASH))
+                .to.be.revertedWithCustomError(actorsManager, "UnexpectedRequestID");
+            await expect(attest(actorsManager, newRequestId, VALID_HASH))
+                .to.emit(actorsManager, "ActorRegistered")
+                .withArgs(3, 0, other.address, VALID_HASH);
+        });
+
+        it("Should cancel a request as its registrar or an admin", async function () {
+            const first = await requestIdOf(actorsManager, actorsManager.connect(account).registerActor(3, other.address, VALID_HASH));
+            const second = await requestIdOf(actorsManager, actorsManager.connect(account).registerActor(3, other.address, VALID_HASH));
+
+            await expect(actorsManager.connect(account).cancelRequest(first))
+                .to.emit(actorsManager, "ValidationRequestCancelled")
+                .withArgs(first, account.address);
+            await expect(actorsManager.cancelRequest(second))
+                .to.emit(actorsManager, "ValidationRequestCancelled")
+                .withArgs(second, owner.address);
+            expect(await actorsManager.getPendingRegistrations(other.address)).to.be.empty;
+
+            await expect(attest(actorsManager, first, VALID_HASH))
+                .to.be.revertedWithCustomError(actorsManager, "UnexpectedRequestID");
+            await expect(actorsManager.cancelRequest(first))
+                .to.be.revertedWithCustomError(actorsManager, "UnexpectedRequestID")
+                .withArgs(first);
+        });
+
+        it("Should revert if UnAuthorized", async function () {
+            const requestId = await requestIdOf(actorsManager, actorsManager.connect(account).registerActor(3, other.address, VALID_HASH));
+            await expire();
+            await expect(actorsManager.connect(other).cancelRequest(requestId))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(actorsManager.connect(other).resubmitRequest(requestId))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(actorsManager.connect(account).setRequestTimeout(0))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+        });
+
+        it("Should setRequestTimeout()", async function () {
+            await expect(actorsManager.setRequestTimeout(60))
+                .to.emit(actorsManager, "RequestTimeoutUpdated")
+                .withArgs(60);
+            expect(await actorsManager.requestTimeout()).to.equal(60);
+        });
+    });
+
+    describe("BatchManager", function () {
+        beforeEach(async function () {
+            await attest(actorsManager, await requestIdOf(actorsManager, actorsManager.registerActor(0, other.address, VALID_HASH)), VALID_HASH);
+        });
+
+        it("Should list the pending creations", async function () {
+            const tx = supplyChain.addHarvestedBatch(0, VALID_HASH);
+            const requestId = await requestIdOf(batchManager, tx);
+            await expect(tx)
+                .to.emit(batchManager, "ValidationRequested")
+                .withArgs(requestId, 0, true, VALID_HASH);
+            expect(await batchManager.getPendingCreations()).to.deep.equal([requestId]);
+            expect((await batchManager.getPendingRequest(requestId)).registrar).to.equal(owner.address);
+
+            await expect(attest(batchManager, requestId, VALID_HASH)).to.emit(batchManager, "BatchCreated");
+            expect(await batchManager.getPendingCreations()).to.be.empty;
+            expect(await batchManager.getPendingRequests(0)).to.be.empty;
+        });
+
+        it("Should cancel & resubmit through the SupplyChain", async function () {
+            const first = await requestIdOf(batchManager, supplyChain.connect(account).addHarvestedBatch(0, VALID_HASH));
+            const second = await requestIdOf(batchManager, supplyChain.connect(account).addHarvestedBatch(0, VALID_HASH));
+
+            await expect(supplyChain.connect(account).cancelValidationRequest(first))
+                .to.emit(batchManager, "ValidationRequestCancelled")
+                .withArgs(first, account.address);
+            expect(await attestation.isPending(batchManager.target, first)).to.be.false;
+            await expect(attest(batchManager, first, VALID_HASH))
+                .to.be.revertedWithCustomError(attestation, "UnexpectedRequestID");
+
+            await expire();
+            const tx = supplyChain.connect(account).resubmitValidationRequest(second);
+            const newRequestId = await requestIdOf(batchManager, tx);
+            await expect(tx)
+                .to.emit(batchManager, "ValidationRequestResubmitted")
+                .withArgs(second, newRequestId);
+            expect(await batchManager.getPendingCreations()).to.deep.equal([newRequestId]);
+
+            await expect(attest(batchManager, newRequestId, VALID_HASH)).to.emit(batchManager, "BatchCreated");
+            expect(await supplyChain.getBatchesHarvested(0)).to.deep.equal([0n]);
+        });
+
+        it("Should only let the submitter or an admin cancel & resubmit", async function () {
+            const requestId = await requestIdOf(batchManager, supplyChain.addHarvestedBatch(0, VALID_HASH));
+            await expire();
+            await expect(supplyChain.connect(account).cancelValidationRequest(requestId))
+                .to.be.revertedWithCustomError(batchManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(supplyChain.connect(account).resubmitValidationRequest(requestId))
+                .to.be.revertedWithCustomError(batchManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+
+            const accountRequest = await requestIdOf(batchManager, supplyChain.connect(account).addHarvestedBatch(0, VALID_HASH));
+            await expect(supplyChain.cancelValidationRequest(accountRequest))
+                .to.emit(batchManager, "ValidationRequestCancelled")
+                .withArgs(accountRequest, owner.address);
+        });
+
+        it("Should let an actor cancel & resubmit the update it submitted", async function () {
+            await attest(batchManager, await requestIdOf(batchManager, supplyChain.addHarvestedBatch(0, VALID_HASH)), VALID_HASH);
+            const IN_STORAGE = 6;
+            const requestId = await requestIdOf(batchManager, supplyChain.connect(other).submitBatchUpdate(0, 0, 0, IN_STORAGE, VALID_HASH));
+            expect((await batchManager.getPendingRequest(requestId)).registrar).to.equal(other.address);
+
+            await expire();
+            const tx = supplyChain.connect(other).resubmitValidationRequest(requestId);
+            const newRequestId = await requestIdOf(batchManager, tx);
+            await expect(tx)
+                .to.emit(batchManager, "ValidationRequestResubmitted")
+                .withArgs(requestId, newRequestId);
+            await expect(supplyChain.connect(other).cancelValidationRequest(newRequestId))
+                .to.emit(batchManager, "ValidationRequestCancelled")
+                .withArgs(newRequestId, other.address);
+            expect(await batchManager.getPendingRequests(0)).to.be.empty;
+        });
+
+        it("Should revert if UnAuthorized", async function () {
+            const requestId = await requestIdOf(batchManager, supplyChain.addHarvestedBatch(0, VALID_HASH));
+            await expect(supplyChain.connect(other).cancelValidationRequest(requestId))
+                .to.be.revertedWithCustomError(batchManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(batchManager.connect(account).cancelRequest(requestId))
+                .to.be.revertedWithCustomError(batchManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(batchManager.cancelRequestFor(requestId, owner.address))
+                .to.be.revertedWithCustomError(batchManager, "UnexpectedAgent")
+                .withArgs(owner.address, supplyChain.target);
+        });
+    });
+});
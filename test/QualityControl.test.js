@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("QualityControl", function () {
+    let accessManager, supplyChain, batchManager, qualityControl, simulator;
+    let owner, don, account, inspector;
+    const VALID_HASH = "QmValidHash";
+    const REPORT_HASH = "QmReportHash";
+    const DON_ID = ethers.encodeBytes32String("donId");
+    const PROCESSED = 1;
+    const PACKAGED = 2;
+    const AT_DISTRIBUTORS = 3;
+    const IN_STORAGE = 6;
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: PROCESSED,
+        isCertified: true,
+        qualityControlApproved: false,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 0,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    const advance = async (changes) => {
+        await supplyChain.updateBatchState(batchInfo(changes), VALID_HASH);
+        return simulator.fulfillPending();
+    };
+
+    beforeEach(async function () {
+        [owner, don, account, inspector] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantAdminRole(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+        await accessManager.grantQcInspectorRole(inspector.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        const router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        const validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        const actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        const QualityControl = await ethers.getContractFactory("QualityControl");
+        qualityControl = await QualityControl.deploy(accessManager.target, batchManager.target);
+        await batchManager.setQualityControl(qualityControl.target);
+
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: true }), { status: 200 })
+        });
+        await actorsManager.registerActor(0, account.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, account.address, VALID_HASH); // rawProcessor
+        await actorsManager.registerActor(2, account.address, VALID_HASH); // batteryManufacturer
+        await actorsManager.registerActor(3, account.address, VALID_HASH); // distributor
+        await simulator.fulfillPending();
+
+        await supplyChain.addHarvestedBatch(0, VALID_HASH);
+        await simulator.fulfillPending();
+        await advance({});
+    });
+
+    describe("Inspections", function () {
+        it("Should require the inspections of Processed & Packaged by default", async function () {
+            expect(await qualityControl.inspectionRequired(PROCESSED)).to.be.true;
+            expect(await qualityControl.inspectionRequired(PACKAGED)).to.be.true;
+            expect(await qualityControl.inspectionRequired(0)).to.be.false;
+        });
+
+        it("Should record an inspection & mirror it in the batch info", async function () {
+            await expect(qualityControl.connect(inspector).recordInspection(0, PROCESSED, true, REPORT_HASH))
+                .to.emit(qualityControl, "InspectionRecorded")
+                .withArgs(0, PROCESSED, true, REPORT_HASH, inspector.address, anyValue);
+
+            const [inspection] = await qualityControl.getInspections(0, PROCESSED);
+            expect(inspection.passed).to.be.true;
+            expect(inspection.reportHash).to.equal(REPORT_HASH);
+            expect(inspection.inspector).to.equal(inspector.address);
+            expect(await qualityControl.hasPassed(0, PROCESSED)).to.be.true;
+            expect((await batchManager.getBatchInfo(0)).qualityControlApproved).to.be.true;
+        });
+
+        it("Should let the latest inspection prevail", async function () {
+            await qualityControl.connect(inspector).recordInspection(0, PROCESSED, true, REPORT_HASH);
+            await qualityControl.connect(inspector).recordInspection(0, PROCESSED, false, "QmFailedReportHash");
+            expect(await qualityControl.getInspections(0, PROCESSED)).to.have.lengthOf(2);
+            expect(await qualityControl.hasPassed(0, PROCESSED)).to.be.false;
+            expect(await qualityControl.canLeave(0, PROCESSED)).to.be.false;
+            expect((await batchManager.getBatchInfo(0)).qualityControlApproved).to.be.false;
+        });
+
+        it("Should only inspect the current stage of a batch", async function () {
+            await expect(qualityControl.connect(inspector).recordInspection(0, PACKAGED, true, REPORT_HASH))
+                .to.be.revertedWithCustomError(qualityControl, "InvalidInspectionStage")
+                .withArgs(0, PACKAGED);
+            await expect(qualityControl.connect(inspector).recordInspection(1, PROCESSED, true, REPORT_HASH))
+                .to.be.revertedWithCustomError(qualityControl, "InvalidTokenId");
+
+            await advance({ state: IN_STORAGE });
+            await expect(qualityControl.connect(inspector).recordInspection(0, PROCESSED, true, REPORT_HASH))
+                .to.emit(qualityControl, "InspectionRecorded");
+        });
+
+        it("Should revert if UnAuthorized", async function () {
+            await expect(qualityControl.connect(account).recordInspection(0, PROCESSED, true, REPORT_HASH))
+                .to.be.revertedWithCustomError(qualityControl, "UnAuthorized")
+                .withArgs("QC_INSPECTOR_ROLE");
+            await expect(qualityControl.connect(inspector).setInspectionRequired(PROCESSED, false))
+                .to.be.revertedWithCustomError(qualityControl, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(batchManager.connect(inspector).setQualityControl(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(batchManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(batchManager.setQualityControlApproved(0, true))
+                .to.be.revertedWithCustomError(batchManager, "UnexpectedAgent")
+                .withArgs(owner.address, qualityControl.target);
+        });
+    });
+
+    describe("Batch Progression", function () {
+        it("Should refuse to move past Processed without a passed inspection", async function () {
+            await expect(supplyChain.updateBatchState(batchInfo({ state: PACKAGED }), VALID_HASH))
+                .to.be.revertedWithCustomError(batchManager, "InspectionRequired")
+                .withArgs(0, PROCESSED);
+
+            await qualityControl.connect(inspector).recordInspection(0, PROCESSED, false, REPORT_HASH);
+            await expect(supplyChain.updateBatchState(batchInfo({ state: PACKAGED }), VALID_HASH))
+                .to.be.revertedWithCustomError(batchManager, "InspectionRequired");
+
+            await qualityControl.connect(inspector).recordInspection(0, PROCESSED, true, REPORT_HASH);
+            await advance({ state: PACKAGED });
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(PACKAGED);
+        });
+
+        it("Should refuse to move past Packaged without a passed inspection", async function () {
+            await qualityControl.connect(inspector).recordInspection(0, PROCESSED, true, REPORT_HASH);
+            await advance({ state: PACKAGED });
+            expect((await batchManager.getBatchInfo(0)).qualityControlApproved).to.be.false;
+
+            const toDistributor = { state: AT_DISTRIBUTORS, distributorsCount: 1, distributorIds: [0] };
+            await expect(supplyChain.updateBatchState(batchInfo(toDistributor), VALID_HASH))
+                .to.be.revertedWithCustomError(batchManager, "InspectionRequired")
+                .withArgs(0, PACKAGED);
+            await qualityControl.connect(inspector).recordInspection(0, PACKAGED, true, REPORT_HASH);
+            await advance(toDistributor);
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(AT_DISTRIBUTORS);
+        });
+
+        it("Should allow storage, transit & processing within a stage", async function () {
+            expect(await batchManager.isInspected(0, IN_STORAGE)).to.be.true;
+            await advance({ state: IN_STORAGE });
+            expect(await batchManager.stageOf(0)).to.equal(PROCESSED);
+            expect(await batchManager.isInspected(0, PACKAGED)).to.be.false;
+            expect(await batchManager.isInspected(0, PROCESSED)).to.be.true;
+
+            await qualityControl.connect(inspector).recordInspection(0, PROCESSED, true, REPORT_HASH);
+            await advance({ state: PROCESSED });
+            expect((await batchManager.getBatchInfo(0)).qualityControlApproved).to.be.true;
+        });
+
+        it("Should ignore the quality-control flag set by the caller", async function () {
+            await advance({ state: IN_STORAGE, qualityControlApproved: true, isCertified: false });
+            const batch = await batchManager.getBatchInfo(0);
+            expect(batch.qualityControlApproved).to.be.false;
+            expect(batch.isCertified).to.be.true;
+        });
+
+        it("Should fail the certification if the inspection is revoked in the meantime", async function () {
+            await qualityControl.connect(inspector).recordInspection(0, PROCESSED, true, REPORT_HASH);
+            await supplyChain.updateBatchState(batchInfo({ state: PACKAGED }), VALID_HASH);
+            await qualityControl.connect(inspector).recordInspection(0, PROCESSED, false, REPORT_HASH);
+
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt)
+                .to.emit(batchManager, "DataCertificationFailed")
+                .withArgs(0, VALID_HASH, ethers.toUtf8Bytes("Inspection required"));
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(PROCESSED);
+        });
+
+        it("Should lift the requirement of a stage", async function () {
+            await expect(qualityControl.setInspectionRequired(PROCESSED, false))
+                .to.emit(qualityControl, "InspectionRequirementUpdated")
+                .withArgs(PROCESSED, false);
+            await advance({ state: PACKAGED });
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(PACKAGED);
+
+            await expect(qualityControl.setInspectionRequired(13, true))
+                .to.be.revertedWithCustomError(qualityControl, "InvalidBatchStatus")
+                .withArgs(13, 13);
+        });
+
+        it("Should not require any inspection without a QualityControl", async function () {
+            await expect(batchManager.setQualityControl(ethers.ZeroAddress))
+                .to.emit(batchManager, "QualityControlUpdated")
+                .withArgs(ethers.ZeroAddress);
+            await advance({ state: PACKAGED });
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(PACKAGED);
+        });
+    });
+});
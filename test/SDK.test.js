@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { SupplyChainClient, ValidationError, ValidationTimeoutError, ValidationAbortedError } = require("../sdk");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("SDK", function () {
+    let accessManager, router, validator, actorsManager, supplyChain, simulator, client;
+    let owner, don, otherAccount;
+    let validity;
+    const DON_ID = ethers.encodeBytes32String("donId");
+
+    // answers the validation requests until the SDK call settles
+    const withDon = async (promise) => {
+        let settled = false;
+        promise.then(() => (settled = true), () => (settled = true));
+        for (let i = 0; i < 200 && !settled; i++) await simulator.fulfillPending();
+        return promise;
+    };
+
+    beforeEach(async function () {
+        [owner, don, otherAccount] = await ethers.getSigners();
+        validity = true;
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(await supplyChain.batchManager());
+
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: validity }), { status: 200 })
+        });
+        client = new SupplyChainClient(owner, { supplyChain: supplyChain.target, actorsManager: actorsManager.target }, { pollInterval: 10, timeout: 5000 });
+    });
+
+    describe("Actors", function () {
+        it("Should resolve registerActor() to the minted actor ID", async function () {
+            expect(await withDon(client.registerActor("Distributor", otherAccount.address, "QmValidHash"))).to.equal(0n);
+            expect(await withDon(client.registerActor(3, owner.address, "QmValidHash"))).to.equal(1n);
+            expect(await actorsManager.getActorURI(3, 1)).to.equal("ipfs://QmValidHash");
+        });
+
+        it("Should reject with a ValidationError", async function () {
+            validity = false;
+            const error = await withDon(client.registerActor(0, otherAccount.address, "QmInvalidHash")).catch((e) => e);
+            expect(error).to.be.instanceOf(ValidationError);
+            expect(error.hash).to.equal("QmInvalidHash");
+            expect(error.reason).to.equal("false");
+            expect(error.requestId).to.match(/^0x[0-9a-f]{64}$/);
+        });
+
+        it("Should reject with a ValidationAbortedError once the request expired", async function () {
+            await accessManager.grantAdminRole(owner.address);
+            await actorsManager.setRequestTimeout(0);
+            const error = await withDon(client.registerActor(0, otherAccount.address, "QmValidHash")).catch((e) => e);
+            expect(error).to.be.instanceOf(ValidationAbortedError);
+            expect(error.reason).to.equal("expired");
+            expect(await actorsManager.getPendingRegistrations(otherAccount.address)).to.deep.equal([error.requestId]);
+        });
+
+        it("Should reject with a ValidationAbortedError once the request is cancelled", async function () {
+            const promise = client.registerActor(0, otherAccount.address, "QmValidHash").catch((e) => e);
+            let requestIds = [];
+            while (requestIds.length === 0) requestIds = await actorsManager.getPendingRegistrations(otherAccount.address);
+            await actorsManager.cancelRequest(requestIds[0]);
+            const error = await promise;
+            expect(error).to.be.instanceOf(ValidationAbortedError);
+            expect(error.reason).to.equal("cancelled");
+            expect(error.requestId).to.equal(requestIds[0]);
+        });
+    });
+
+    describe("Batches", function () {
+        beforeEach(async function () {
+            await withDon(client.registerActor("RawMaterialSupplier", otherAccount.address, "QmValidHash"));
+            await withDon(client.registerActor("RawProcessorId", otherAccount.address, "QmValidHash"));
+            await withDon(client.registerActor("RawProcessorId", owner.address, "QmValidHash"));
+        });
+
+        it("Should create & advance a batch", async function () {
+            const batchId = await withDon(client.createBatch(0, "QmValidHash"));
+            expect(batchId).to.equal(0n);
+
+            await withDon(client.advanceBatch(batchId, { state: "Processed", rawProcessorId: 1 }, "QmProcessedHash"));
+            const batch = await client.getBatch(batchId);
+            expect(batch.state).to.equal(1);
+            expect(batch.rawProcessorId).to.equal(1n);
+            expect(batch.uri).to.equal("ipfs://QmProcessedHash");
+        });
+
+        it("Should submitBatchUpdate() as the responsible actor", async function () {
+            const batchId = await withDon(client.createBatch(0, "QmValidHash"));
+            await withDon(client.advanceBatch(batchId, { state: "Processed", rawProcessorId: 1 }, "QmProcessedHash"));
+            await withDon(client.registerActor("BatteryManufacturer", owner.address, "QmValidHash"));
+
+            expect(await withDon(client.submitBatchUpdate("BatteryManufacturer", 0, batchId, "Packaged", "QmValidHash"))).to.equal(batchId);
+            expect((await client.getBatch(batchId)).state).to.equal(2);
+        });
+
+        it("Should count the actors of the ID arrays changed by advanceBatch()", async function () {
+            await withDon(client.registerActor("BatteryManufacturer", owner.address, "QmValidHash"));
+            await withDon(client.registerActor("Distributor", otherAccount.address, "QmValidHash"));
+            const batchId = await withDon(client.createBatch(0, "QmValidHash"));
+            await withDon(client.advanceBatch(batchId, { state: "Processed", rawProcessorId: 1 }, "QmProcessedHash"));
+            await withDon(client.advanceBatch(batchId, { state: "Packaged" }, "QmPackagedHash"));
+
+            await withDon(client.advanceBatch(batchId, { state: "AtDistributors", distributorIds: [0] }, "QmDistributedHash"));
+            const batch = await client.getBatch(batchId);
+            expect(batch.state).to.equal(3);
+            expect(batch.distributorsCount).to.equal(1n);
+            expect(batch.distributorIds).to.deep.equal([0n]);
+        });
+
+        it("Should resolve concurrent requests to their own IDs", async function () {
+            const ids = await withDon(Promise.all([client.createBatch(0, "QmValidHash"), client.createBatch(0, "QmValidHash")]));
+            expect(ids).to.have.members([0n, 1n]);
+        });
+
+        it("Should reject with a ValidationTimeoutError", async function () {
+            client.options.timeout = 50;
+            await expect(client.createBatch(0, "QmValidHash")).to.be.rejectedWith(ValidationTimeoutError);
+        });
+    });
+});
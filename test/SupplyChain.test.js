@@ -1,17 +1,45 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { deployActorsManager } = require("./helpers/actors");
 
 describe("SupplyChain", function () {
-    let SupplyChain, supplyChain, AccessManager, accessManager, BatchManager, batchManager;
-    let ActorsManager, actorsManager, owner, addr1;
+    let SupplyChain, supplyChain, AccessManager, accessManager, batchManager;
+    let actorsManager, owner, addr1;
     let rawMaterialSupplier, rawProcessor, batteryManufacturer, distributor, retailer;
     const VALID_HASH = "QmValidHash";
-    const CALLBACK_FUNCTION = "0x12345678";
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: 1,
+        isCertified: true,
+        qualityControlApproved: true,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 0,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    // moves the batch 0 through the stages up to `state`, the allowlist validating each update right away
+    const advanceTo = async (state) => {
+        const stages = [
+            batchInfo({ state: 1 }), // Processed
+            batchInfo({ state: 2 }), // Packaged
+            batchInfo({ state: 3, distributorsCount: 1, distributorIds: [0] }), // AtDistributors
+            batchInfo({ state: 4, distributorsCount: 1, retailersCount: 1, distributorIds: [0], retailerIds: [0] }), // AtRetailers
+        ];
+        for (const batch of stages.slice(0, state)) {
+            await supplyChain.updateBatchState(batch, VALID_HASH);
+        }
+    };
 
     beforeEach(async function () {
-        [owner, addr1, donRouter, supplyChainStub,
-            rawMaterialSupplier, rawProcessor, batteryManufacturer, distributor, retailer
-        ] = await ethers.getSigners();
+        [owner, addr1, rawMaterialSupplier, rawProcessor, batteryManufacturer, distributor, retailer] = await ethers.getSigners();
 
         AccessManager = await ethers.getContractFactory("AccessManager");
         accessManager = await AccessManager.deploy(owner.address);
@@ -20,17 +48,24 @@ describe("SupplyChain", function () {
         await accessManager.grantAdminRole(owner.address);
         await accessManager.grantAuthorizedContractRole(owner.address);
 
-        ActorsManager = await ethers.getContractFactory("ActorsManager");
-        actorsManager = await ActorsManager.deploy(accessManager.target, ethers.encodeBytes32String("donId"), donRouter.address, 1);
+        const AllowlistValidator = await ethers.getContractFactory("AllowlistValidator");
+        const allowlist = await AllowlistValidator.deploy(accessManager.target);
+        await allowlist.setAllowed(VALID_HASH, true);
 
-        BatchManager = await ethers.getContractFactory("BatchManager");
-        batchManager = await BatchManager.deploy(accessManager.target, supplyChainStub.address, ethers.encodeBytes32String("donId"), donRouter.address, 1);
-        await accessManager.grantAuthorizedContractRole(batchManager.target);
+        actorsManager = await deployActorsManager(accessManager.target, allowlist.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
 
         SupplyChain = await ethers.getContractFactory("SupplyChain");
-        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, batchManager.target);
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, allowlist.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
         await accessManager.grantAuthorizedContractRole(supplyChain.target);
-        await batchManager.setSupplyChainAddress(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        await actorsManager.registerActor(0, rawMaterialSupplier.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, rawProcessor.address, VALID_HASH); // rawProcessor
+        await actorsManager.registerActor(2, batteryManufacturer.address, VALID_HASH); // batteryManufacturer
+        await actorsManager.registerActor(3, distributor.address, VALID_HASH); // distributor
+        await actorsManager.registerActor(4, retailer.address, VALID_HASH); // retailer
     });
 
     describe("Deployment", function () {
@@ -40,6 +75,7 @@ describe("SupplyChain", function () {
 
         it("Should deploy the BatchManager contract", async function () {
             expect(await supplyChain.batchManager()).to.be.properAddress;
+            expect(await batchManager.supplyChainContract()).to.equal(supplyChain.target);
         });
 
         it("Should set the correct ActorsManager address", async function () {
@@ -49,38 +85,24 @@ describe("SupplyChain", function () {
 
     describe("Addition & Update", function () {
         it("Should performBatchCreation()", async function () {
-            await actorsManager.registerActor(0, rawMaterialSupplier.address, VALID_HASH);
-            await batchManager.createBatch(0, VALID_HASH, CALLBACK_FUNCTION);
-            await supplyChain.performBatchCreation(0);
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
             const batches = await supplyChain.getBatchesHarvested(0);
             expect(batches.length).to.equal(1);
             expect(batches[0]).to.equal(0); // batchId
         });
 
-        it("Should performBatchUpdate() for Processed state", async function () {
-            const batch = {
-                batchId: 0,
-                state: 1, // Processed
-                isCertified: true,
-                qualityControlApproved: true,
-                rawMaterialSupplierId: 0,
-                rawProcessorId: 0,
-                batteryManufacturerId: 0,
-                distributorsCount: 0,
-                retailersCount: 0,
-                distributorIds: [0],
-                retailerIds: [0]
-            };
-            await actorsManager.registerActor(0, rawMaterialSupplier.address, VALID_HASH); // rawMaterialSupplier
-            await actorsManager.registerActor(1, rawProcessor.address, VALID_HASH); // rawProcessor
+        it("Should only let the BatchManager call performBatchCreation() & performBatchUpdate()", async function () {
+            await expect(supplyChain.performBatchCreation(0))
+                .to.be.revertedWithCustomError(supplyChain, "UnexpectedAgent")
+                .withArgs(owner.address, batchManager.target);
+            await expect(supplyChain.performBatchUpdate(0))
+                .to.be.revertedWithCustomError(supplyChain, "UnexpectedAgent")
+                .withArgs(owner.address, batchManager.target);
+        });
 
+        it("Should performBatchUpdate() for Processed state", async function () {
             await supplyChain.addHarvestedBatch(0, VALID_HASH);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchCreation(0);
-
-            await batchManager.updateBatch(batch, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchUpdate(0);
+            await advanceTo(1);
 
             const batches = await supplyChain.getBatchesProcessed(0);
             expect(batches.length).to.equal(1);
@@ -88,31 +110,8 @@ describe("SupplyChain", function () {
         });
 
         it("Should performBatchUpdate() for Packaged state", async function () {
-            const batch = {
-                batchId: 0,
-                state: 2, // Packaged
-                isCertified: true,
-                qualityControlApproved: true,
-                rawMaterialSupplierId: 0,
-                rawProcessorId: 0,
-                batteryManufacturerId: 0,
-                distributorsCount: 0,
-                retailersCount: 0,
-                distributorIds: [0],
-                retailerIds: [0]
-            };
-
-            await actorsManager.registerActor(0, rawMaterialSupplier.address, VALID_HASH); // rawMaterialSupplier
-            await actorsManager.registerActor(1, rawProcessor.address, VALID_HASH); // rawProcessor
-            await actorsManager.registerActor(2, batteryManufacturer.address, VALID_HASH); // batteryManufacturer
-
             await supplyChain.addHarvestedBatch(0, VALID_HASH);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchCreation(0);
-
-            await batchManager.updateBatch(batch, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchUpdate(0);
+            await advanceTo(2);
 
             const batches = await supplyChain.getBatchesPackaged(0);
             expect(batches.length).to.equal(1);
@@ -120,32 +119,8 @@ describe("SupplyChain", function () {
         });
 
         it("Should performBatchUpdate() for AtDistributors state", async function () {
-            const batch = {
-                batchId: 0,
-                state: 3, // Distributed
-                isCertified: true,
-                qualityControlApproved: true,
-                rawMaterialSupplierId: 0,
-                rawProcessorId: 0,
-                batteryManufacturerId: 0,
-                distributorsCount: 1, // Distributor Added
-                retailersCount: 0,
-                distributorIds: [0],
-                retailerIds: [0]
-            };
-
-            await actorsManager.registerActor(0, rawMaterialSupplier.address, VALID_HASH); // rawMaterialSupplier
-            await actorsManager.registerActor(1, rawProcessor.address, VALID_HASH); // rawProcessor
-            await actorsManager.registerActor(2, batteryManufacturer.address, VALID_HASH); // batteryManufacturer
-            await actorsManager.registerActor(3, distributor.address, VALID_HASH); // distributor
-
             await supplyChain.addHarvestedBatch(0, VALID_HASH);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchCreation(0);
-
-            await batchManager.updateBatch(batch, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchUpdate(0);
+            await advanceTo(3);
 
             const batches = await supplyChain.getBatchesDistributed(0);
             expect(batches.length).to.equal(1);
@@ -153,33 +128,8 @@ describe("SupplyChain", function () {
         });
 
         it("Should performBatchUpdate() for AtRetailers state", async function () {
-            const batch = {
-                batchId: 0,
-                state: 4, // Distributed
-                isCertified: true,
-                qualityControlApproved: true,
-                rawMaterialSupplierId: 0,
-                rawProcessorId: 0,
-                batteryManufacturerId: 0,
-                distributorsCount: 1,
-                retailersCount: 1, // Now a Retailer Added
-                distributorIds: [0],
-                retailerIds: [0]
-            };
-
-            await actorsManager.registerActor(0, rawMaterialSupplier.address, VALID_HASH); // rawMaterialSupplier
-            await actorsManager.registerActor(1, rawProcessor.address, VALID_HASH); // rawProcessor
-            await actorsManager.registerActor(2, batteryManufacturer.address, VALID_HASH); // batteryManufacturer
-            await actorsManager.registerActor(3, distributor.address, VALID_HASH); // distributor
-            await actorsManager.registerActor(4, retailer.address, VALID_HASH); // retailer
-
             await supplyChain.addHarvestedBatch(0, VALID_HASH);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchCreation(0);
-
-            await batchManager.updateBatch(batch, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchUpdate(0);
+            await advanceTo(4);
 
             const batches = await supplyChain.getBatchesRetailed(0);
             expect(batches.length).to.equal(1);
@@ -187,13 +137,10 @@ describe("SupplyChain", function () {
         });
 
         it("Should addHarvestedBatch()", async function () {
-            await actorsManager.registerActor(0, rawMaterialSupplier.address, VALID_HASH);
-            await supplyChain.addHarvestedBatch(0, VALID_HASH);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes("true"), ethers.toUtf8Bytes(""));
-            await supplyChain.performBatchCreation(0);
-            const batches = await supplyChain.getBatchesHarvested(0);
-            expect(batches.length).to.equal(1);
-            expect(batches[0]).to.equal(0);
+            await expect(supplyChain.addHarvestedBatch(0, VALID_HASH))
+                .to.emit(batchManager, "BatchCreated")
+                .withArgs(0, VALID_HASH, anyValue);
+            expect(await batchManager.getBatchRawMaterialSupplierId(0)).to.equal(0);
         });
 
         it("Should revert addHarvestedBatch() if UnAuthorized", async function () {
@@ -202,98 +149,23 @@ describe("SupplyChain", function () {
         });
 
         it("Should updateBatchState()", async function () {
-            const batch = {
-                batchId: 0,
-                state: 1,
-                isCertified: true,
-                qualityControlApproved: true,
-                rawMaterialSupplierId: 1,
-                rawProcessorId: 0,
-                batteryManufacturerId: 3,
-                distributorsCount: 1,
-                retailersCount: 1,
-                distributorIds: [4],
-                retailerIds: [5]
-            };
-            await actorsManager.registerActor(0, rawMaterialSupplier.address, VALID_HASH);
-            await batchManager.createBatch(0, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.updateBatchState(batch, VALID_HASH);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes("true"), ethers.toUtf8Bytes(""));
-            await supplyChain.performBatchUpdate(batch.batchId);
-            const batches = await supplyChain.getBatchesProcessed(0);
-            expect(batches.length).to.equal(1);
-            expect(batches[0]).to.equal(0);
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await expect(supplyChain.updateBatchState(batchInfo({}), VALID_HASH))
+                .to.emit(batchManager, "BatchStatusUpdated")
+                .withArgs(0, 1, VALID_HASH, anyValue);
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(1);
         });
 
         it("Should revert updateBatchState() if UnAuthorized", async function () {
-            const batch = {
-                batchId: 0,
-                state: 1,
-                isCertified: true,
-                qualityControlApproved: true,
-                rawMaterialSupplierId: 1,
-                rawProcessorId: 2,
-                batteryManufacturerId: 3,
-                distributorsCount: 1,
-                retailersCount: 1,
-                distributorIds: [4],
-                retailerIds: [5]
-            };
-            await expect(supplyChain.connect(addr1).updateBatchState(batch, VALID_HASH))
+            await expect(supplyChain.connect(addr1).updateBatchState(batchInfo({}), VALID_HASH))
                 .to.be.revertedWithCustomError(supplyChain, "UnAuthorized");
         });
     });
 
     describe("Batch retrieval", function () {
         beforeEach(async function () {
-            let batch = {
-                batchId: 0,
-                state: 0, // Distributed
-                isCertified: true,
-                qualityControlApproved: true,
-                rawMaterialSupplierId: 0,
-                rawProcessorId: 0,
-                batteryManufacturerId: 0,
-                distributorsCount: 1,
-                retailersCount: 1, // Now a Retailer Added
-                distributorIds: [0],
-                retailerIds: [0]
-            };
-
-            await actorsManager.registerActor(0, rawMaterialSupplier.address, VALID_HASH); // rawMaterialSupplier
-            await actorsManager.registerActor(1, rawProcessor.address, VALID_HASH); // rawProcessor
-            await actorsManager.registerActor(2, batteryManufacturer.address, VALID_HASH); // batteryManufacturer
-            await actorsManager.registerActor(3, distributor.address, VALID_HASH); // distributor
-            await actorsManager.registerActor(4, retailer.address, VALID_HASH); // retailer
-
             await supplyChain.addHarvestedBatch(0, VALID_HASH);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchCreation(0);
-
-            // Update on Processed Stage
-            batch.state++;
-            await batchManager.updateBatch(batch, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchUpdate(0);
-
-            // Update on Packaged Stage
-            batch.state++;
-            await batchManager.updateBatch(batch, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchUpdate(0);
-
-            // Update on Distributed Stage
-            batch.state++;
-            await batchManager.updateBatch(batch, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchUpdate(0);
-
-            // Update on Retailed Stage
-            batch.state++;
-            await batchManager.updateBatch(batch, VALID_HASH, CALLBACK_FUNCTION);
-            await batchManager.fulfillRequest(0, ethers.toUtf8Bytes('true'), ethers.toUtf8Bytes(''));
-            await supplyChain.performBatchUpdate(0);
+            await advanceTo(4);
         });
 
         it("Should getBatchesHarvested(rawMaterialSupplierId)", async function () {
@@ -322,3 +194,359 @@ describe("SupplyChain", function () {
         });
     });
 });
+
+// Deployed with the mock router, the validation requests being answered by the simulator.
+describe("SupplyChain Actors", function () {
+    let accessManager, actorsManager, supplyChain, batchManager, simulator;
+    let owner, don, account, manufacturer, distributor1, distributor2;
+    const VALID_HASH = "QmValidHash";
+    const INVALID_HASH = "QmInvalidHash";
+    const DON_ID = ethers.encodeBytes32String("donId");
+
+    const batchInfo = (changes) => ({
+        batchId: 0,
+        state: 1,
+        isCertified: true,
+        qualityControlApproved: true,
+        rawMaterialSupplierId: 0,
+        rawProcessorId: 0,
+        batteryManufacturerId: 0,
+        distributorsCount: 0,
+        retailersCount: 0,
+        distributorIds: [],
+        retailerIds: [],
+        ...changes
+    });
+
+    beforeEach(async function () {
+        [owner, don, account, manufacturer, distributor1, distributor2] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        const router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        const validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+        actorsManager = await deployActorsManager(accessManager.target, validator.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+        const SupplyChain = await ethers.getContractFactory("SupplyChain");
+        supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+        batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+        await accessManager.grantAuthorizedContractRole(supplyChain.target);
+        await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: true }), { status: 200 })
+        });
+        await actorsManager.registerActor(0, account.address, VALID_HASH); // rawMaterialSupplier
+        await actorsManager.registerActor(1, account.address, VALID_HASH); // rawProcessor
+        await simulator.fulfillPending();
+    });
+
+    it("Should revert addHarvestedBatch() with an unknown supplier", async function () {
+        await expect(supplyChain.addHarvestedBatch(1, VALID_HASH))
+            .to.be.revertedWithCustomError(supplyChain, "InvalidActorId")
+            .withArgs(0, 1);
+    });
+
+    describe("Batch Update", function () {
+        beforeEach(async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+        });
+
+        it("Should updateBatchState() with registered actors", async function () {
+            await supplyChain.updateBatchState(batchInfo({ rawProcessorId: 0 }), VALID_HASH);
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt).to.emit(batchManager, "BatchStatusUpdated");
+        });
+
+        it("Should revert updateBatchState() with an unknown processor", async function () {
+            await expect(supplyChain.updateBatchState(batchInfo({ rawProcessorId: 5 }), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorId")
+                .withArgs(1, 5);
+        });
+
+        it("Should check the actor of the stage even if left to 0", async function () {
+            await supplyChain.updateBatchState(batchInfo({}), VALID_HASH);
+            await simulator.fulfillPending();
+            await expect(supplyChain.updateBatchState(batchInfo({ state: 2 }), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorId")
+                .withArgs(2, 0);
+        });
+
+        it("Should revert updateBatchState() with an unknown distributor or retailer", async function () {
+            await expect(supplyChain.updateBatchState(batchInfo({ distributorIds: [3] }), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorId")
+                .withArgs(3, 3);
+            await expect(supplyChain.updateBatchState(batchInfo({ retailerIds: [0] }), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorId")
+                .withArgs(4, 0);
+        });
+
+        it("Should revert updateBatchState() with an actors count not matching the IDs", async function () {
+            await expect(supplyChain.updateBatchState(batchInfo({ state: 3 }), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorsCount")
+                .withArgs(3, 0, 0);
+            await expect(supplyChain.updateBatchState(batchInfo({ distributorsCount: 2, distributorIds: [0] }), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorsCount")
+                .withArgs(3, 2, 1);
+            await expect(supplyChain.updateBatchState(batchInfo({ state: 4, retailerIds: [0] }), VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorsCount")
+                .withArgs(4, 0, 1);
+        });
+    });
+
+    describe("Actor Submissions", function () {
+        const PACKAGED = 2, AT_DISTRIBUTORS = 3, TO_CUSTOMERS = 5, IN_TRANSIT = 7;
+
+        const submit = async (signer, actorType, actorId, state) => {
+            await supplyChain.connect(signer).submitBatchUpdate(actorType, actorId, 0, state, VALID_HASH);
+            const [result] = await simulator.fulfillPending();
+            return result.receipt;
+        };
+
+        beforeEach(async function () {
+            await actorsManager.registerActor(2, manufacturer.address, VALID_HASH);
+            await actorsManager.registerActor(3, distributor1.address, VALID_HASH);
+            await actorsManager.registerActor(3, distributor2.address, VALID_HASH);
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+
+            // the company users assign the actors of the next stages
+            await supplyChain.updateBatchState(batchInfo({ distributorIds: [0, 1] }), VALID_HASH);
+            await simulator.fulfillPending();
+        });
+
+        it("Should let the assigned manufacturer mark the batch Packaged", async function () {
+            await expect(submit(manufacturer, 2, 0, PACKAGED))
+                .to.emit(batchManager, "BatchStatusUpdated");
+            expect(await supplyChain.getBatchesPackaged(0)).to.deep.equal([0n]);
+        });
+
+        it("Should let the listed distributors record their receipt in turn", async function () {
+            await submit(manufacturer, 2, 0, PACKAGED);
+            await expect(supplyChain.connect(distributor2).submitBatchUpdate(3, 1, 0, AT_DISTRIBUTORS, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "NotResponsibleActor")
+                .withArgs(3, 1, 0);
+
+            await submit(distributor1, 3, 0, AT_DISTRIBUTORS);
+            await submit(distributor2, 3, 1, AT_DISTRIBUTORS);
+            expect(await supplyChain.getBatchesDistributed(0)).to.deep.equal([0n]);
+            expect(await supplyChain.getBatchesDistributed(1)).to.deep.equal([0n]);
+            expect((await batchManager.getBatchInfo(0)).distributorsCount).to.equal(2);
+        });
+
+        it("Should let the actor holding the batch move it to & back from transit", async function () {
+            await submit(manufacturer, 2, 0, PACKAGED);
+            await expect(supplyChain.connect(account).submitBatchUpdate(1, 0, 0, IN_TRANSIT, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "NotResponsibleActor");
+
+            await submit(manufacturer, 2, 0, IN_TRANSIT);
+            await expect(submit(manufacturer, 2, 0, PACKAGED))
+                .to.emit(batchManager, "BatchStatusUpdated")
+                .withArgs(0, PACKAGED, VALID_HASH, anyValue);
+        });
+
+        it("Should still enforce the transition graph", async function () {
+            await submit(manufacturer, 2, 0, PACKAGED);
+            await expect(supplyChain.connect(manufacturer).submitBatchUpdate(2, 0, 0, TO_CUSTOMERS, VALID_HASH))
+                .to.be.revertedWithCustomError(batchManager, "InvalidBatchTransition")
+                .withArgs(PACKAGED, TO_CUSTOMERS);
+        });
+
+        it("Should revert submitBatchUpdate() if the caller does not hold the actor ID", async function () {
+            await expect(supplyChain.connect(distributor1).submitBatchUpdate(2, 0, 0, PACKAGED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "UnexpectedAgent")
+                .withArgs(distributor1.address, manufacturer.address);
+        });
+
+        it("Should revert submitBatchUpdate() with an unknown actor", async function () {
+            await expect(supplyChain.connect(manufacturer).submitBatchUpdate(8, 0, 0, PACKAGED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorType")
+                .withArgs(8, 8);
+            await expect(supplyChain.connect(manufacturer).submitBatchUpdate(2, 1, 0, PACKAGED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorId")
+                .withArgs(2, 1);
+        });
+    });
+
+    describe("Split & Merge", function () {
+        // 0 & 1 harvested by two suppliers, processed by the same processor
+        beforeEach(async function () {
+            await actorsManager.registerActor(0, manufacturer.address, VALID_HASH);
+            await simulator.fulfillPending();
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await supplyChain.addHarvestedBatch(1, VALID_HASH);
+            await simulator.fulfillPending();
+            await supplyChain.updateBatchState(batchInfo({ batchId: 0 }), VALID_HASH);
+            await supplyChain.updateBatchState(batchInfo({ batchId: 1, rawMaterialSupplierId: 1 }), VALID_HASH);
+            await simulator.fulfillPending();
+        });
+
+        it("Should split a batch into children starting from its info", async function () {
+            await supplyChain.splitBatch(0, ["QmChildHash1", "QmChildHash2"]);
+            const results = await simulator.fulfillPending();
+            await expect(results[0].receipt).to.emit(batchManager, "BatchDerived").withArgs(2, [0], anyValue);
+            await expect(results[1].receipt).to.emit(batchManager, "BatchDerived").withArgs(3, [0], anyValue);
+
+            expect(await batchManager.getChildBatches(0)).to.deep.equal([2n, 3n]);
+            expect(await batchManager.getParentBatches(3)).to.deep.equal([0n]);
+            expect((await batchManager.getBatchInfo(3)).state).to.equal(1);
+            expect(await batchManager.getBatchURI(3)).to.equal("ipfs://QmChildHash2");
+            expect(await supplyChain.getBatchesProcessed(0)).to.deep.equal([0n, 1n, 2n, 3n]);
+        });
+
+        it("Should log the children of a harvested batch to its supplier", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+            await supplyChain.splitBatch(2, ["QmChildHash1"]);
+            await simulator.fulfillPending();
+
+            expect(await batchManager.getParentBatches(3)).to.deep.equal([2n]);
+            expect(await supplyChain.getBatchesHarvested(0)).to.deep.equal([0n, 2n, 3n]);
+        });
+
+        it("Should trace a merged batch back to every raw material supplier", async function () {
+            await supplyChain.splitBatch(0, ["QmChildHash1"]);
+            await simulator.fulfillPending();
+            await supplyChain.mergeBatches([2, 1], "QmPackHash");
+            await simulator.fulfillPending();
+
+            expect(await batchManager.getParentBatches(3)).to.deep.equal([2n, 1n]);
+            expect(await batchManager.getAncestors(3)).to.deep.equal([2n, 1n, 0n]);
+            expect(await batchManager.getDescendants(0)).to.deep.equal([2n, 3n]);
+            expect(await supplyChain.getRawMaterialSuppliers(3)).to.deep.equal([0n, 1n]);
+            expect(await supplyChain.getRawMaterialSuppliers(0)).to.deep.equal([0n]);
+        });
+
+        it("Should list a lineage outgrowing the initial queue", async function () {
+            const hashes = Array.from({ length: 25 }, (_, i) => `QmChildHash${i}`);
+            await supplyChain.splitBatch(0, hashes);
+            await simulator.fulfillPending();
+            await supplyChain.mergeBatches([2, 26], "QmPackHash");
+            await simulator.fulfillPending();
+
+            const children = hashes.map((_, i) => BigInt(i + 2));
+            expect(await batchManager.getDescendants(0)).to.deep.equal([...children, 27n]);
+            expect(await batchManager.getAncestors(27)).to.deep.equal([2n, 26n, 0n]);
+        });
+
+        it("Should leave the lineage untouched upon a failed validation", async function () {
+            simulator.fetch = async () => new Response(JSON.stringify({ isValid: false }), { status: 200 });
+            await supplyChain.mergeBatches([0, 1], INVALID_HASH);
+            await simulator.fulfillPending();
+            expect(await batchManager.getChildBatches(0)).to.deep.equal([]);
+        });
+
+        it("Should revert mergeBatches() with mismatching or duplicate parents", async function () {
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+            await expect(supplyChain.mergeBatches([0, 2], VALID_HASH))
+                .to.be.revertedWithCustomError(batchManager, "InvalidParentBatch")
+                .withArgs(2);
+            await expect(supplyChain.mergeBatches([0, 0], VALID_HASH))
+                .to.be.revertedWithCustomError(batchManager, "InvalidParentBatch")
+                .withArgs(0);
+            await expect(supplyChain.mergeBatches([0, 7], VALID_HASH))
+                .to.be.revertedWithCustomError(batchManager, "InvalidTokenId");
+        });
+
+        it("Should revert splitBatch() & mergeBatches() if UnAuthorized", async function () {
+            await expect(supplyChain.connect(account).splitBatch(0, [VALID_HASH]))
+                .to.be.revertedWithCustomError(supplyChain, "UnAuthorized");
+            await expect(supplyChain.connect(account).mergeBatches([0, 1], VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "UnAuthorized");
+        });
+    });
+
+    describe("End of Life", function () {
+        const COLLECTED = 9, SECOND_LIFE = 10, RECYCLED = 11;
+        const sold = { batteryManufacturerId: 0, distributorsCount: 1, retailersCount: 1, distributorIds: [0], retailerIds: [0] };
+
+        const moveTo = async (state) => {
+            await supplyChain.updateBatchState(batchInfo({ ...sold, state }), VALID_HASH);
+            await simulator.fulfillPending();
+        };
+
+        // batch 0 sold to customers, collector 0 & recycler 0 assigned
+        beforeEach(async function () {
+            await actorsManager.registerActor(2, manufacturer.address, VALID_HASH);
+            await actorsManager.registerActor(3, distributor1.address, VALID_HASH);
+            await actorsManager.registerActor(4, distributor2.address, VALID_HASH);
+            await actorsManager.registerActor(6, distributor1.address, VALID_HASH);
+            await actorsManager.registerActor(7, distributor2.address, VALID_HASH);
+            await simulator.fulfillPending();
+            await supplyChain.addHarvestedBatch(0, VALID_HASH);
+            await simulator.fulfillPending();
+            await supplyChain.updateBatchState(batchInfo({}), VALID_HASH);
+            await simulator.fulfillPending();
+            for (const state of [2, 3, 4, 5]) await moveTo(state);
+
+            await supplyChain.assignEndOfLifeActor(0, 6, 0);
+            await supplyChain.assignEndOfLifeActor(0, 7, 0);
+        });
+
+        it("Should collect & recycle a batch", async function () {
+            await moveTo(COLLECTED);
+            await moveTo(RECYCLED);
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(RECYCLED);
+            expect(await supplyChain.getBatchesCollected(0)).to.deep.equal([0n]);
+            expect(await supplyChain.getBatchesRecycled(0)).to.deep.equal([0n]);
+        });
+
+        it("Should let the collector give a batch a second life", async function () {
+            await supplyChain.connect(distributor1).submitBatchUpdate(6, 0, 0, COLLECTED, VALID_HASH);
+            await simulator.fulfillPending();
+            await supplyChain.connect(distributor1).submitBatchUpdate(6, 0, 0, SECOND_LIFE, VALID_HASH);
+            await simulator.fulfillPending();
+            expect((await batchManager.getBatchInfo(0)).state).to.equal(SECOND_LIFE);
+
+            await expect(supplyChain.updateBatchState(batchInfo({ ...sold, state: RECYCLED }), VALID_HASH))
+                .to.be.revertedWithCustomError(batchManager, "InvalidBatchTransition")
+                .withArgs(SECOND_LIFE, RECYCLED);
+            await expect(supplyChain.connect(distributor2).submitBatchUpdate(7, 0, 0, COLLECTED, VALID_HASH))
+                .to.be.revertedWithCustomError(supplyChain, "NotResponsibleActor")
+                .withArgs(7, 0, 0);
+        });
+
+        it("Should revert assignEndOfLifeActor() with an invalid actor", async function () {
+            await expect(supplyChain.assignEndOfLifeActor(0, 6, 1))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorId")
+                .withArgs(6, 1);
+            await expect(supplyChain.assignEndOfLifeActor(0, 3, 0))
+                .to.be.revertedWithCustomError(supplyChain, "InvalidActorType")
+                .withArgs(3, 8);
+            await expect(supplyChain.connect(account).assignEndOfLifeActor(0, 6, 0))
+                .to.be.revertedWithCustomError(supplyChain, "UnAuthorized");
+        });
+
+        it("Should trace the recycled content of a harvested batch", async function () {
+            await moveTo(COLLECTED);
+            await moveTo(RECYCLED);
+            await supplyChain.addRecycledBatch(0, [0], "QmRecoveredHash");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt).to.emit(batchManager, "BatchDerived").withArgs(1, [0], anyValue);
+
+            const batch = await batchManager.getBatchInfo(1);
+            expect(batch.state).to.equal(0);
+            expect(batch.rawProcessorId).to.equal(0);
+            expect(await batchManager.getParentBatches(1)).to.deep.equal([0n]);
+            expect(await supplyChain.getBatchesHarvested(0)).to.deep.equal([0n, 1n]);
+        });
+
+        it("Should revert addRecycledBatch() unless the batches are recycled", async function () {
+            await moveTo(COLLECTED);
+            await expect(supplyChain.addRecycledBatch(0, [0], "QmRecoveredHash"))
+                .to.be.revertedWithCustomError(batchManager, "InvalidParentBatch")
+                .withArgs(0);
+            await expect(supplyChain.addRecycledBatch(0, [], "QmRecoveredHash"))
+                .to.be.revertedWithCustomError(batchManager, "OutOfBounds");
+        });
+    });
+});
@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+
+describe("Tasks", function () {
+    const { ethers, deployments } = hre;
+    let owner, don, otherAccount, accessManager, simulator, validity;
+
+    // runs a task while answering its validation request as soon as it is sent
+    const runWithDon = async (name, args) => {
+        const running = hre.run(name, { timeout: 30, poll: 10, ...args });
+        running.catch(() => {}); // rejections are asserted by the caller
+        let results = [];
+        for (let i = 0; i < 100 && results.length === 0; i++) results = await simulator.fulfillPending();
+        return running;
+    };
+
+    beforeEach(async function () {
+        [owner, don, otherAccount] = await ethers.getSigners();
+        await deployments.fixture(["SupplyChainStack"]);
+        accessManager = await ethers.getContractAt("AccessManager", (await deployments.get("AccessManager")).address);
+        await accessManager.grantAdminRole(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+
+        validity = true;
+        const router = await ethers.getContractAt("FunctionsRouterMock", (await deployments.get("FunctionsRouterMock")).address);
+        simulator = new FunctionsSimulator(router.connect(don), {
+            fetch: async () => new Response(JSON.stringify({ isValid: validity }), { status: 200 })
+        });
+    });
+
+    describe("Deployment", function () {
+        it("Should revoke the ADMIN_ROLE granted to the deployer for the setters", async function () {
+            await deployments.fixture(["SupplyChainStack"]);
+            const adminRole = await accessManager.ADMIN_ROLE();
+            expect(await accessManager.hasRole(adminRole, owner.address)).to.be.false;
+            const batchManager = await ethers.getContractAt("BatchManager", (await deployments.get("BatchManager")).address);
+            expect(await batchManager.qualityControl()).to.equal((await deployments.get("QualityControl")).address);
+        });
+    });
+
+    describe("Actors", function () {
+        it("Should report ActorRegistered on actor:register", async function () {
+            const [event] = await runWithDon("actor:register", { type: "Distributor", account: otherAccount.address, hash: "QmValidHash" });
+            expect(event.name).to.equal("ActorRegistered");
+            expect(event.args.actorType).to.equal(3);
+        });
+
+        it("Should fail actor:register on ValidationFailed", async function () {
+            validity = false;
+            await expect(runWithDon("actor:register", { type: "0", account: otherAccount.address, hash: "QmInvalidHash" }))
+                .to.be.rejectedWith("Metadata validation failed");
+        });
+
+        it("Should actor:certify, list & revoke the certificates of an actor", async function () {
+            await runWithDon("actor:register", { type: "Distributor", account: otherAccount.address, hash: "QmValidHash" });
+            await hre.run("role:grant", { role: "CERTIFIER", account: owner.address });
+            const certificateId = await hre.run("actor:certify", { type: "Distributor", id: 0, certificate: "ISO14001", hash: "QmCertificateHash", validUntil: "2999-01-01" });
+            expect(certificateId).to.equal(0n);
+
+            expect(await hre.run("actor:require-certificates", { type: "Distributor", certificates: "ISO14001, OECD" })).to.deep.equal(["ISO14001", "OECD"]);
+            let { certificates, certified } = await hre.run("actor:certificates", { type: "Distributor", id: 0 });
+            expect(certificates[0].certificateType).to.equal("ISO14001");
+            expect(certified).to.be.false;
+
+            await hre.run("actor:require-certificates", { type: "Distributor", certificates: "ISO14001" });
+            await hre.run("actor:revoke-certificate", { type: "Distributor", id: 0, certificateId: 0 });
+            ({ certificates, certified } = await hre.run("actor:certificates", { type: "Distributor", id: 0 }));
+            expect(certificates[0].revoked).to.be.true;
+            expect(certified).to.be.false;
+        });
+
+        it("Should actor:suspend, reinstate & deactivate an actor", async function () {
+            await runWithDon("actor:register", { type: "Distributor", account: otherAccount.address, hash: "QmValidHash" });
+            expect((await hre.run("actor:status", { type: "Distributor", id: 0 })).status).to.equal("Active");
+
+            await hre.run("actor:suspend", { type: "Distributor", id: 0, reason: "Failed audit" });
+            let status = await hre.run("actor:status", { type: "Distributor", id: 0 });
+            expect(status.status).to.equal("Suspended");
+            expect(status.reason).to.equal("Failed audit");
+
+            await hre.run("actor:reinstate", { type: "Distributor", id: 0 });
+            expect((await hre.run("actor:status", { type: "Distributor", id: 0 })).status).to.equal("Active");
+
+            await hre.run("actor:deactivate", { type: "Distributor", id: 0, reason: "Out of business" });
+            status = await hre.run("actor:status", { type: "Distributor", id: 0 });
+            expect(status.status).to.equal("Deactivated");
+            expect(status.reason).to.equal("Out of business");
+        });
+
+        it("Should actor:migrate an actor to a new account", async function () {
+            const [, , , newAccount] = await ethers.getSigners();
+            await runWithDon("actor:register", { type: "Distributor", account: otherAccount.address, hash: "QmValidHash" });
+            await hre.run("actor:migrate", { type: "Distributor", id: 0, account: newAccount.address });
+            expect(await hre.run("actor:accept-migration", { type: "Distributor", id: 0, signer: newAccount.address })).to.equal(newAccount.address);
+
+            const actorsManager = await ethers.getContractAt("ActorsManager", (await deployments.get("ActorsManager")).address);
+            const actor = await ethers.getContractAt("Actor", await actorsManager.actors(3));
+            expect(await actor.ownerOf(0)).to.equal(newAccount.address);
+            await expect(hre.run("actor:cancel-migration", { type: "Distributor", id: 0 }))
+                .to.be.rejectedWith("MigrationNotFound");
+        });
+
+        it("Should actor:add-operator, list, look up & remove the operators of an actor", async function () {
+            const [, , , operator] = await ethers.getSigners();
+            await runWithDon("actor:register", { type: "Distributor", account: otherAccount.address, hash: "QmValidHash" });
+            await hre.run("actor:add-operator", { type: "Distributor", id: 0, account: operator.address });
+            expect(await hre.run("actor:operators", { type: "Distributor", id: 0 })).to.deep.equal([operator.address]);
+            expect(await hre.run("actor:lookup", { account: operator.address })).to.deep.equal([{ actorType: "Distributor", actorId: 0n }]);
+
+            await hre.run("actor:remove-operator", { type: "Distributor", id: 0, account: operator.address });
+            expect(await hre.run("actor:operators", { type: "Distributor", id: 0 })).to.deep.equal([]);
+            expect(await hre.run("actor:lookup", { account: operator.address })).to.deep.equal([]);
+        });
+
+        it("Should reject an unknown actor type", async function () {
+            await expect(hre.run("actor:register", { type: "Miner", account: otherAccount.address, hash: "QmValidHash" }))
+                .to.be.rejectedWith('Invalid actor type "Miner"');
+        });
+    });
+
+    describe("Batches", function () {
+        beforeEach(async function () {
+            await runWithDon("actor:register", { type: "RawMaterialSupplier", account: otherAccount.address, hash: "QmValidHash" });
+            await runWithDon("actor:register", { type: "RawProcessorId", account: otherAccount.address, hash: "QmValidHash" });
+        });
+
+        it("Should report BatchCreated & DataCertified on batch:harvest", async function () {
+            const events = await runWithDon("batch:harvest", { supplier: 0, hash: "QmValidHash" });
+            expect(events.map((event) => event.name)).to.have.members(["DataCertified", "BatchCreated"]);
+        });
+
+        it("Should update & show a batch", async function () {
+            await runWithDon("batch:harvest", { supplier: 0, hash: "QmValidHash" });
+            const [event] = await runWithDon("batch:update", { id: 0, hash: "QmProcessedHash", info: '{ "state": "Processed", "rawProcessorId": 0 }' });
+            expect(event.name).to.equal("BatchStatusUpdated");
+
+            const batch = await hre.run("batch:show", { id: 0 });
+            expect(batch.state).to.equal(1);
+            expect(batch.rawProcessorId).to.equal(0n);
+            expect(batch.uri).to.equal("ipfs://QmProcessedHash");
+        });
+
+        it("Should record an inspection on batch:inspect", async function () {
+            await runWithDon("batch:harvest", { supplier: 0, hash: "QmValidHash" });
+            await runWithDon("batch:update", { id: 0, hash: "QmProcessedHash", info: '{ "state": "Processed", "rawProcessorId": 0 }' });
+            await hre.run("role:grant", { role: "QC_INSPECTOR", account: owner.address });
+
+            const { inspections, canLeave } = await hre.run("batch:inspect", { id: 0, stage: "Processed", report: "QmReportHash", failed: false });
+            expect(inspections).to.have.lengthOf(1);
+            expect(inspections[0].reportHash).to.equal("QmReportHash");
+            expect(canLeave).to.be.true;
+            expect((await hre.run("batch:show", { id: 0 })).qualityControlApproved).to.be.true;
+        });
+
+        it("Should count the distributors listed on batch:update", async function () {
+            await runWithDon("actor:register", { type: "BatteryManufacturer", account: otherAccount.address, hash: "QmValidHash" });
+            await runWithDon("actor:register", { type: "Distributor", account: otherAccount.address, hash: "QmValidHash" });
+            await hre.run("role:grant", { role: "QC_INSPECTOR", account: owner.address });
+            await runWithDon("batch:harvest", { supplier: 0, hash: "QmValidHash" });
+            await runWithDon("batch:update", { id: 0, hash: "QmProcessedHash", info: '{ "state": "Processed", "rawProcessorId": 0 }' });
+            await hre.run("batch:inspect", { id: 0, stage: "Processed", report: "QmReportHash", failed: false });
+            await runWithDon("batch:update", { id: 0, hash: "QmPackagedHash", info: '{ "state": "Packaged" }' });
+            await hre.run("batch:inspect", { id: 0, stage: "Packaged", report: "QmReportHash", failed: false });
+
+            const [event] = await runWithDon("batch:update", { id: 0, hash: "QmDistributedHash", info: '{ "state": "AtDistributors", "distributorIds": [0] }' });
+            expect(event.name).to.equal("BatchStatusUpdated");
+            const batch = await hre.run("batch:show", { id: 0 });
+            expect(batch.state).to.equal(3);
+            expect(batch.distributorsCount).to.equal(1n);
+        });
+    });
+
+    describe("Functions", function () {
+        it("Should reference the DON-hosted secrets on functions:secrets", async function () {
+            const secrets = await hre.run("functions:secrets", { slotId: "1", secretsVersion: "1718000000" });
+            expect(secrets).to.deep.equal({ slotId: 1n, version: 1718000000n });
+        });
+    });
+
+    describe("Requests", function () {
+        it("Should list & cancel the pending requests", async function () {
+            const actorsManager = await ethers.getContractAt("ActorsManager", (await deployments.get("ActorsManager")).address);
+            await actorsManager.registerActor(3, otherAccount.address, "QmValidHash");
+
+            const [request] = await hre.run("request:pending", { account: otherAccount.address });
+            expect(request.registrar).to.equal(owner.address);
+            expect(request.expired).to.be.false;
+
+            await hre.run("request:cancel", { manager: "actors", id: request.requestId });
+            expect(await hre.run("request:pending", { account: otherAccount.address })).to.be.empty;
+        });
+
+        it("Should reject an unknown manager", async function () {
+            await expect(hre.run("request:cancel", { manager: "Indexer", id: ethers.ZeroHash }))
+                .to.be.rejectedWith('Invalid manager "Indexer"');
+        });
+    });
+
+    describe("Roles", function () {
+        it("Should role:grant & role:revoke", async function () {
+            expect(await hre.run("role:grant", { role: "COMPANY_USER", account: otherAccount.address })).to.be.true;
+            expect(await hre.run("role:revoke", { role: "COMPANY_USER_ROLE", account: otherAccount.address })).to.be.false;
+        });
+
+        it("Should role:grant a role until it expires", async function () {
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            expect(await hre.run("role:grant", { role: "COMPANY_USER", account: otherAccount.address, until: String(timestamp + 3600) })).to.be.true;
+            expect(await accessManager.getRoleExpiry(await accessManager.COMPANY_USER_ROLE(), otherAccount.address)).to.equal(timestamp + 3600);
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine", []);
+            expect(await accessManager.hasRole(await accessManager.COMPANY_USER_ROLE(), otherAccount.address)).to.be.false;
+        });
+
+        it("Should admin:transfer & admin:accept the DEFAULT_ADMIN_ROLE", async function () {
+            await hre.run("admin:transfer-delay", { delay: 3600 });
+            await hre.run("admin:transfer", { account: otherAccount.address });
+            await hre.run("admin:cancel");
+            await hre.run("admin:transfer", { account: otherAccount.address });
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            expect(await hre.run("admin:accept", { signer: otherAccount.address })).to.equal(otherAccount.address);
+        });
+    });
+});
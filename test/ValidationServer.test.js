@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { createValidationServer } = require("../simulator/validationServer");
+const { FunctionsSimulator } = require("../simulator/FunctionsSimulator");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("ValidationServer", function () {
+    let server, baseUrl;
+
+    const get = async (path) => {
+        const res = await fetch(baseUrl + path);
+        return { status: res.status, text: await res.text() };
+    };
+
+    beforeEach(async function () {
+        server = createValidationServer();
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterEach(async function () {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    describe("Endpoints", function () {
+        it("Should validate an actor fixture", async function () {
+            const { status, text } = await get("/validate-actor-meta?type=0&hash=QmValidHash");
+            expect(status).to.equal(200);
+            expect(JSON.parse(text).isValid).to.be.true;
+        });
+
+        it("Should reject an actor fixture registered under another type", async function () {
+            expect(JSON.parse((await get("/validate-actor-meta?type=3&hash=QmDistributorHash")).text).isValid).to.be.true;
+            expect(JSON.parse((await get("/validate-actor-meta?type=4&hash=QmDistributorHash")).text).isValid).to.be.false;
+        });
+
+        it("Should reject flagged & unknown fixtures", async function () {
+            expect(JSON.parse((await get("/validate-actor-meta?type=0&hash=QmInvalidHash")).text).isValid).to.be.false;
+            expect(JSON.parse((await get("/validate-batch-meta?hash=QmInvalidHash")).text).isValid).to.be.false;
+            expect(JSON.parse((await get("/validate-batch-meta?hash=QmUnknownHash")).text).isValid).to.be.false;
+            expect(JSON.parse((await get("/validate-batch-meta?hash=..%2Factors%2FQmValidHash")).text).isValid).to.be.false;
+        });
+
+        it("Should validate a batch fixture", async function () {
+            expect(JSON.parse((await get("/validate-batch-meta?hash=QmValidHash")).text).isValid).to.be.true;
+        });
+    });
+
+    describe("Failure Switches", function () {
+        it("Should answer with a 500 error", async function () {
+            server.setMode({ fail: true });
+            expect((await get("/validate-batch-meta?hash=QmValidHash")).status).to.equal(500);
+        });
+
+        it("Should answer with a malformed body", async function () {
+            server.setMode({ malformed: true });
+            const { status, text } = await get("/validate-batch-meta?hash=QmValidHash");
+            expect(status).to.equal(200);
+            expect(() => JSON.parse(text)).to.throw();
+        });
+
+        it("Should answer with a 401 error without the API key", async function () {
+            server.setMode({ apiKey: "secret-key" });
+            expect((await get("/validate-batch-meta?hash=QmValidHash")).status).to.equal(401);
+            const res = await fetch(baseUrl + "/validate-batch-meta?hash=QmValidHash", { headers: { "x-api-key": "secret-key" } });
+            expect(res.status).to.equal(200);
+        });
+
+        it("Should toggle the switches through /__control", async function () {
+            await fetch(baseUrl.replace("/api", "/__control"), { method: "POST", body: JSON.stringify({ delayMs: 25 }) });
+            expect(server.getMode().delayMs).to.equal(25);
+        });
+    });
+
+    describe("Validation Source", function () {
+        let accessManager, router, validator, actorsManager, supplyChain, batchManager, simulator;
+        let owner, don, otherAccount;
+        const DON_ID = ethers.encodeBytes32String("donId");
+
+        // batches may only reference registered actors
+        const registerSupplier = async () => {
+            await actorsManager.registerActor(0, otherAccount.address, "QmValidHash");
+            await simulator.fulfillPending();
+        };
+
+        beforeEach(async function () {
+            [owner, don, otherAccount] = await ethers.getSigners();
+
+            const AccessManager = await ethers.getContractFactory("AccessManager");
+            accessManager = await AccessManager.deploy(owner.address);
+            await accessManager.grantAdminRole(owner.address);
+            await accessManager.grantCompanyUserRole(owner.address);
+            await accessManager.grantAuthorizedContractRole(owner.address);
+
+            const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+            router = await FunctionsRouterMock.deploy();
+            const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+            validator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+
+            actorsManager = await deployActorsManager(accessManager.target, validator.target);
+            await accessManager.grantAuthorizedContractRole(actorsManager.target);
+
+            const SupplyChain = await ethers.getContractFactory("SupplyChain");
+            supplyChain = await SupplyChain.deploy(accessManager.target, actorsManager.target, validator.target);
+            batchManager = await ethers.getContractAt("BatchManager", await supplyChain.batchManager());
+            await accessManager.grantAuthorizedContractRole(supplyChain.target);
+            await accessManager.grantAuthorizedContractRole(batchManager.target);
+
+            await actorsManager.setValidationBaseUrl(baseUrl);
+            await batchManager.setValidationBaseUrl(baseUrl);
+            simulator = new FunctionsSimulator(router.connect(don), { timeoutMs: 2000 });
+        });
+
+        it("Should emit ValidationBaseUrlUpdated", async function () {
+            await expect(actorsManager.setValidationBaseUrl(baseUrl))
+                .to.emit(actorsManager, "ValidationBaseUrlUpdated")
+                .withArgs(baseUrl);
+            expect(await batchManager.validationBaseUrl()).to.equal(baseUrl);
+        });
+
+        it("Should revert setValidationBaseUrl() if UnAuthorized", async function () {
+            await expect(actorsManager.connect(otherAccount).setValidationBaseUrl(baseUrl))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized");
+            await expect(batchManager.connect(otherAccount).setValidationBaseUrl(baseUrl))
+                .to.be.revertedWithCustomError(batchManager, "UnAuthorized");
+        });
+
+        it("Should emit ValidationSourceUpdated & CallbackGasLimitUpdated", async function () {
+            const source = "return Functions.encodeString('true');";
+            await expect(batchManager.setValidationSource(source))
+                .to.emit(batchManager, "ValidationSourceUpdated")
+                .withArgs(source);
+            await expect(actorsManager.setCallbackGasLimit(400000))
+                .to.emit(actorsManager, "CallbackGasLimitUpdated")
+                .withArgs(400000);
+            expect(await batchManager.validationSource()).to.equal(source);
+            expect(await actorsManager.callbackGasLimit()).to.equal(400000);
+        });
+
+        it("Should run the updated validation source", async function () {
+            await actorsManager.setValidationSource("return Functions.encodeString(String(args[1] === 'QmUnknownHash'));");
+            await actorsManager.registerActor(0, otherAccount.address, "QmUnknownHash");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt).to.emit(actorsManager, "ActorRegistered");
+        });
+
+        it("Should revert setValidationSource() & setCallbackGasLimit() if UnAuthorized", async function () {
+            await expect(actorsManager.connect(otherAccount).setValidationSource(""))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized");
+            await expect(batchManager.connect(otherAccount).setCallbackGasLimit(400000))
+                .to.be.revertedWithCustomError(batchManager, "UnAuthorized");
+        });
+
+        it("Should send the API key from the DON-hosted secrets", async function () {
+            server.setMode({ apiKey: "secret-key" });
+            simulator.secrets = { apiKey: "secret-key" };
+            await actorsManager.registerActor(0, otherAccount.address, "QmValidHash");
+            const [unauthorized] = await simulator.fulfillPending();
+            await expect(unauthorized.receipt)
+                .to.emit(actorsManager, "ValidationFailed")
+                .withArgs(0, 0, "QmValidHash", ethers.hexlify(ethers.toUtf8Bytes("Request Failed")));
+
+            await validator.setDonHostedSecrets(0, 1);
+            await actorsManager.registerActor(0, otherAccount.address, "QmValidHash");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt).to.emit(actorsManager, "ActorRegistered").withArgs(0, 0, otherAccount.address, "QmValidHash");
+        });
+
+        it("Should register an actor with valid fixture metadata", async function () {
+            await actorsManager.registerActor(0, otherAccount.address, "QmValidHash");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt).to.emit(actorsManager, "ActorRegistered").withArgs(0, 0, otherAccount.address, "QmValidHash");
+        });
+
+        it("Should create a batch with valid fixture metadata", async function () {
+            await registerSupplier();
+            await supplyChain.addHarvestedBatch(0, "QmValidHash");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt).to.emit(batchManager, "BatchCreated").withArgs(0, "QmValidHash", anyValue);
+        });
+
+        it("Should fail the certification on a 500 error", async function () {
+            await registerSupplier();
+            server.setMode({ fail: true });
+            await supplyChain.addHarvestedBatch(0, "QmValidHash");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt)
+                .to.emit(batchManager, "DataCertificationFailed")
+                .withArgs(0, "QmValidHash", ethers.hexlify(ethers.toUtf8Bytes("Request Failed")));
+        });
+
+        it("Should fail the certification on a malformed body", async function () {
+            server.setMode({ malformed: true });
+            await actorsManager.registerActor(0, otherAccount.address, "QmValidHash");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt)
+                .to.emit(actorsManager, "ValidationFailed")
+                .withArgs(0, 0, "QmValidHash", ethers.hexlify(ethers.toUtf8Bytes("undefined")));
+        });
+
+        it("Should fail the certification on a slow response", async function () {
+            await registerSupplier();
+            server.setMode({ delayMs: 3000 });
+            simulator.timeoutMs = 200;
+            await supplyChain.addHarvestedBatch(0, "QmValidHash");
+            const [result] = await simulator.fulfillPending();
+            await expect(result.receipt).to.emit(batchManager, "DataCertificationFailed");
+            server.closeAllConnections();
+        });
+    });
+});
@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { decodeRequestData, decodeSequence } = require("../simulator/cbor");
+const { deployActorsManager } = require("./helpers/actors");
+
+describe("Validators", function () {
+    const VALID_HASH = "QmValidHash";
+    const INVALID_HASH = "QmInvalidHash";
+    const ATTESTATION_TYPES = {
+        Attestation: [
+            { name: "consumer", type: "address" },
+            { name: "requestId", type: "bytes32" },
+            { name: "hash", type: "string" },
+            { name: "valid", type: "bool" },
+        ]
+    };
+
+    const DON_ID = ethers.encodeBytes32String("donId");
+
+    let accessManager, actorsManager, allowlist, attestation, router, functionsValidator;
+    let owner, attester, account, other;
+
+    beforeEach(async function () {
+        [owner, attester, account, other] = await ethers.getSigners();
+
+        const AccessManager = await ethers.getContractFactory("AccessManager");
+        accessManager = await AccessManager.deploy(owner.address);
+        await accessManager.grantAdminRole(owner.address);
+        await accessManager.grantCompanyUserRole(owner.address);
+        await accessManager.grantAuthorizedContractRole(owner.address);
+        await accessManager.grantAttesterRole(attester.address);
+
+        const AllowlistValidator = await ethers.getContractFactory("AllowlistValidator");
+        allowlist = await AllowlistValidator.deploy(accessManager.target);
+        const AttestationValidator = await ethers.getContractFactory("AttestationValidator");
+        attestation = await AttestationValidator.deploy(accessManager.target);
+        const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+        router = await FunctionsRouterMock.deploy();
+        const FunctionsValidator = await ethers.getContractFactory("FunctionsValidator");
+        functionsValidator = await FunctionsValidator.deploy(accessManager.target, DON_ID, router.target, 1);
+        await accessManager.grantAuthorizedContractRole(functionsValidator.target);
+
+        actorsManager = await deployActorsManager(accessManager.target, allowlist.target);
+        await accessManager.grantAuthorizedContractRole(actorsManager.target);
+    });
+
+    // signs an `Attestation` of the request for the `ActorsManager`
+    const sign = async (signer, requestId, hash, valid) => {
+        const domain = {
+            name: "AttestationValidator",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: attestation.target,
+        };
+        return signer.signTypedData(domain, ATTESTATION_TYPES, { consumer: actorsManager.target, requestId, hash, valid });
+    };
+
+    const requestIdOf = async (tx) => {
+        const [sent] = await actorsManager.queryFilter(actorsManager.filters.RequestSent(), (await tx).blockNumber);
+        return sent.args.id;
+    };
+
+    describe("AllowlistValidator", function () {
+        it("Should register an actor with an allowed hash within the request", async function () {
+            await allowlist.setAllowed(VALID_HASH, true);
+            await expect(actorsManager.registerActor(3, account.address, VALID_HASH))
+                .to.emit(actorsManager, "ActorRegistered")
+                .withArgs(3, 0, account.address, VALID_HASH);
+            expect(await actorsManager.getActorURI(3, 0)).to.equal(`ipfs://${VALID_HASH}`);
+        });
+
+        it("Should reject a hash which is not allowed", async function () {
+            await expect(actorsManager.registerActor(3, account.address, INVALID_HASH))
+                .to.emit(actorsManager, "ValidationFailed");
+            await expect(actorsManager.getActorURI(3, 0)).to.be.reverted;
+        });
+
+        it("Should forbid a hash again", async function () {
+            await allowlist.setAllowed(VALID_HASH, true);
+            await expect(allowlist.setAllowed(VALID_HASH, false))
+                .to.emit(allowlist, "HashAllowed")
+                .withArgs(VALID_HASH, false);
+            expect(await allowlist.isAllowed(VALID_HASH)).to.be.false;
+        });
+
+        it("Should revert if UnAuthorized", async function () {
+            await expect(allowlist.connect(other).setAllowed(VALID_HASH, true))
+                .to.be.revertedWithCustomError(allowlist, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(allowlist.connect(other).requestValidation(ethers.ZeroHash, VALID_HASH, "", [], 0))
+                .to.be.revertedWithCustomError(allowlist, "UnAuthorized")
+                .withArgs("AUTHORIZED_CONTRACT_ROLE");
+        });
+    });
+
+    describe("AttestationValidator", function () {
+        beforeEach(async function () {
+            await actorsManager.setValidator(attestation.target);
+        });
+
+        it("Should register an actor once attested", async function () {
+            const requestId = await requestIdOf(actorsManager.registerActor(3, account.address, VALID_HASH));
+            expect(await attestation.isPending(actorsManager.target, requestId)).to.be.true;
+
+            const signature = await sign(attester, requestId, VALID_HASH, true);
+            await expect(attestation.connect(other).attest(actorsManager.target, requestId, true, signature))
+                .to.emit(attestation, "Attested")
+                .withArgs(actorsManager.target, requestId, attester.address, true)
+                .and.to.emit(actorsManager, "ActorRegistered")
+                .withArgs(3, 0, account.address, VALID_HASH);
+            expect(await attestation.isPending(actorsManager.target, requestId)).to.be.false;
+        });
+
+        it("Should reject the metadata attested as invalid", async function () {
+            const requestId = await requestIdOf(actorsManager.registerActor(3, account.address, INVALID_HASH));
+            const signature = await sign(attester, requestId, INVALID_HASH, false);
+            await expect(attestation.attest(actorsManager.target, requestId, false, signature))
+                .to.emit(actorsManager, "ValidationFailed");
+        });
+
+        it("Should revert attest() signed by an account without the ATTESTER_ROLE", async function () {
+            const requestId = await requestIdOf(actorsManager.registerActor(3, account.address, VALID_HASH));
+            const signature = await sign(other, requestId, VALID_HASH, true);
+            await expect(attestation.attest(actorsManager.target, requestId, true, signature))
+                .to.be.revertedWithCustomError(attestation, "UnAuthorized")
+                .withArgs("ATTESTER_ROLE");
+        });
+
+        it("Should revert attest() with a tampered verdict", async function () {
+            const requestId = await requestIdOf(actorsManager.registerActor(3, account.address, VALID_HASH));
+            const signature = await sign(attester, requestId, VALID_HASH, false);
+            await expect(attestation.attest(actorsManager.target, requestId, true, signature))
+                .to.be.revertedWithCustomError(attestation, "UnAuthorized")
+                .withArgs("ATTESTER_ROLE");
+        });
+
+        it("Should revert attest() for an unknown request", async function () {
+            const requestId = ethers.zeroPadValue("0x01", 32);
+            const signature = await sign(attester, requestId, VALID_HASH, true);
+            await expect(attestation.attest(actorsManager.target, requestId, true, signature))
+                .to.be.revertedWithCustomError(attestation, "UnexpectedRequestID")
+                .withArgs(requestId);
+        });
+    });
+
+    describe("FunctionsValidator", function () {
+        beforeEach(async function () {
+            await actorsManager.setValidator(functionsValidator.target);
+        });
+
+        it("Should send the requests with the updated DON configuration", async function () {
+            const FunctionsRouterMock = await ethers.getContractFactory("FunctionsRouterMock");
+            const newRouter = await FunctionsRouterMock.deploy();
+            const newDonId = ethers.encodeBytes32String("newDonId");
+            await expect(functionsValidator.setDonRouter(newRouter.target))
+                .to.emit(functionsValidator, "DonRouterUpdated")
+                .withArgs(newRouter.target);
+            await expect(functionsValidator.setDonId(newDonId))
+                .to.emit(functionsValidator, "DonIdUpdated")
+                .withArgs(newDonId);
+            await expect(functionsValidator.setDonSubscriptionId(7))
+                .to.emit(functionsValidator, "DonSubscriptionIdUpdated")
+                .withArgs(7);
+
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            const [started] = await newRouter.queryFilter(newRouter.filters.RequestStarted());
+            expect(started.args.subscriptionId).to.equal(7);
+            expect(started.args.donId).to.equal(newDonId);
+            expect(await router.queryFilter(router.filters.RequestStarted())).to.be.empty;
+        });
+
+        it("Should reference the DON-hosted secrets in the requests", async function () {
+            await expect(functionsValidator.setDonHostedSecrets(2, 1718000000))
+                .to.emit(functionsValidator, "DonHostedSecretsUpdated")
+                .withArgs(2, 1718000000);
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            const [started] = await router.queryFilter(router.filters.RequestStarted());
+            const request = decodeRequestData(ethers.getBytes(started.args.data));
+            expect(request.secretsLocation).to.equal(2);
+            expect(decodeSequence(request.secrets)).to.deep.equal(["slotID", 2, "version", 1718000000]);
+
+            await functionsValidator.setDonHostedSecrets(0, 0);
+            await actorsManager.registerActor(3, account.address, VALID_HASH);
+            const [, next] = await router.queryFilter(router.filters.RequestStarted());
+            expect(decodeRequestData(ethers.getBytes(next.args.data)).secretsLocation).to.be.undefined;
+        });
+
+        it("Should revert if UnAuthorized", async function () {
+            await expect(functionsValidator.connect(other).setDonRouter(other.address))
+                .to.be.revertedWithCustomError(functionsValidator, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(functionsValidator.connect(other).setDonId(DON_ID))
+                .to.be.revertedWithCustomError(functionsValidator, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(functionsValidator.connect(other).setDonSubscriptionId(7))
+                .to.be.revertedWithCustomError(functionsValidator, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+            await expect(functionsValidator.connect(other).setDonHostedSecrets(0, 1))
+                .to.be.revertedWithCustomError(functionsValidator, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+        });
+    });
+
+    describe("Consumers", function () {
+        it("Should emit ValidatorUpdated", async function () {
+            await expect(actorsManager.setValidator(attestation.target))
+                .to.emit(actorsManager, "ValidatorUpdated")
+                .withArgs(attestation.target);
+            expect(await actorsManager.validator()).to.equal(attestation.target);
+        });
+
+        it("Should revert fulfillValidation() unless called by the validator", async function () {
+            await expect(actorsManager.connect(other).fulfillValidation(ethers.ZeroHash, "0x", "0x"))
+                .to.be.revertedWithCustomError(actorsManager, "UnexpectedAgent")
+                .withArgs(other.address, allowlist.target);
+        });
+
+        it("Should revert setValidator() if UnAuthorized", async function () {
+            await expect(actorsManager.connect(other).setValidator(attestation.target))
+                .to.be.revertedWithCustomError(actorsManager, "UnAuthorized")
+                .withArgs("ADMIN_ROLE");
+        });
+    });
+});
@@ -0,0 +1,26 @@
+const { ethers } = require("hardhat");
+
+// name & symbol of the `Actor` collection of each actor type, in the order of `ActorsManager.ActorType`
+const ACTOR_COLLECTIONS = [
+    ["RawMaterialSupplier", "RMS"],
+    ["RawProcessorId", "RP"],
+    ["BatteryManufacturer", "BM"],
+    ["Distributor", "DS"],
+    ["Retailer", "RT"],
+    ["Consumer", "CU"],
+    ["Collector", "CL"],
+    ["Recycler", "RC"]
+];
+
+// deploys the actor collections & the `ActorsManager` holding them, `args` being the constructor arguments preceding the collections
+const deployActorsManager = async (aclAddress, ...args) => {
+    const Actor = await ethers.getContractFactory("Actor");
+    const collections = [];
+    for (const [name, symbol] of ACTOR_COLLECTIONS) {
+        collections.push((await Actor.deploy(aclAddress, name, symbol)).target);
+    }
+    const ActorsManager = await ethers.getContractFactory("ActorsManager");
+    return ActorsManager.deploy(aclAddress, ...args, collections);
+};
+
+module.exports = { ACTOR_COLLECTIONS, deployActorsManager };